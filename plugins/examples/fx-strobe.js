@@ -0,0 +1,32 @@
+/**
+ * fx-strobe: example plugin
+ *
+ * Holding the left FX unit's fourth button strobes the left FX buttons in
+ * time with the tempo instead of toggling the effect, and tells the browsers
+ * so page scripts can flash the screen too:
+ *
+ *   window.addEventListener('ddj:plugin', ({ detail }) => {
+ *     if (detail.plugin === 'fx-strobe') document.body.classList.toggle('strobe', detail.data.on);
+ *   });
+ *
+ * Copy it into plugins/ to load it; edits are picked up while the server runs.
+ */
+
+const BUTTON = { channel: 4, note: 74 };
+const LEDS = [71, 72, 73, 74].map(note => ({ channel: 4, note }));
+
+export default {
+  activate(api) {
+    api.claim(BUTTON, ({ message }) => {
+      const on = message.velocity > 0;
+      if (on) {
+        api.animate('strobe', { pattern: 'beat', leds: LEDS, priority: 5 });
+      } else {
+        api.stopAnimation('strobe');
+      }
+      api.send('strobe', { on, tempo: api.state.getCurrentTempo() });
+    });
+
+    api.on('tempoChange', ({ tempo }) => api.log.debug(`Strobing at ${tempo} BPM`));
+  }
+};
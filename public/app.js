@@ -4,6 +4,11 @@ import { UIRenderer } from './js/UIRenderer.js';
 import { SongList } from './js/SongList.js';
 import { ActiveTracks } from './js/ActiveTracks.js';
 import { AudioPlayer } from './js/AudioPlayer.js';
+import { Sampler } from './js/Sampler.js';
+import { VirtualController } from './js/VirtualController.js';
+import { createLogger, setLogForwarder, setLogLevel } from './js/Logger.js';
+
+const log = createLogger('app');
 
 // Initialize components
 const ws = new WebSocketClient();
@@ -12,6 +17,8 @@ const ui = new UIRenderer();
 const activeTracks = new ActiveTracks('active-tracks', ws);
 const songList = new SongList('song-list', activeTracks);
 const audioPlayer = new AudioPlayer();
+const sampler = new Sampler(audioPlayer.audioContext);
+const virtualController = new VirtualController((message) => ws.send(message), ui);
 
 // Track volume levels for each deck (0-127 MIDI range)
 const deckVolumes = new Map([
@@ -21,16 +28,69 @@ const deckVolumes = new Map([
   [3, 127]  // Deck 4 - full volume by default
 ]);
 
+// Echo settings last applied from the server's deck state (key: audio deck 0-3)
+const deckFX = new Map();
+
+// Blink the controller's SYNC LED while a deck is about to run out of body
+audioPlayer.onDeckEnding = (deck, ending) => {
+  ws.send({ type: 'deckEnding', data: { deck: deck + 1, ending } });
+};
+
+// Keep the section each deck plays with the server's deck state
+audioPlayer.onSectionChange = (audioDeck, section) => {
+  const deck = audioDeck + 1;
+  if (activeTracks.getSection(deck) !== section) {
+    activeTracks.setSection(deck, section);
+    reportDeck(deck, { section });
+  }
+};
+
+// Light SAMPLER pads on the controller for loaded/playing samples
+sampler.onStatusChange = (pads) => {
+  ws.send({ type: 'samplerStatus', data: { pads } });
+};
+ws.on('open', () => sampler.notifyStatus());
+sampler.loadBanks().then(() => {
+  ui.renderSamplerBanks(sampler.banks, sampler.bankIndex, (index) => sampler.selectBank(index));
+});
+
 // Connect to server
 ws.connect(`ws://${window.location.host}`);
 
+// Send browser warnings/errors to the server log
+setLogForwarder((entry) => {
+  if (ws.isConnected()) {
+    ws.send({ type: 'log', data: entry });
+  }
+});
+
+// Runtime log levels from the devtools console, e.g. ddjLog.setLevel('debug', 'audio')
+window.ddjLog = {
+  setLevel: (level, subsystem) => setLogLevel(level, subsystem),
+  setServerLevel: (level, subsystem) => ws.send({ type: 'setLogLevel', data: { level, subsystem } })
+};
+
+// Drive the controller from the browser when a hardware control fails, e.g. ddjControl.toggleDeck(0)
+// The server applies these like the real buttons, so LEDs and every open page follow
+window.ddjControl = {
+  setTempo: (tempo) => ws.send({ type: 'setTempo', data: { tempo } }),
+  setPadMode: (deck, mode) => ws.send({ type: 'setPadMode', data: { deck, mode } }),
+  toggleFXAssign: (fx, deck) => ws.send({ type: 'toggleFXAssign', data: { fx, deck } }),
+  toggleDeck: (side) => ws.send({ type: 'toggleDeck', data: { side } }),
+  setLeds: (leds) => ws.send({ type: 'setLeds', data: { leds } }),
+  sync: (deck) => ws.send({ type: 'sync', data: { deck } }),
+  spindown: (deck) => ws.send({ type: 'spindown', data: { deck } }),
+  startClock: (position) => ws.send({ type: 'startClock', data: position === undefined ? {} : { position } }),
+  stopClock: () => ws.send({ type: 'stopClock', data: {} })
+};
+
 // Handle WebSocket messages
 ws.on('message', async (message) => {
   // Try to resume audio context on any controller interaction
   if (audioPlayer.audioContext.state === 'suspended') {
     try {
       await audioPlayer.audioContext.resume();
-      console.log('🔊 Audio resumed from controller input');
+      log.info('🔊 Audio resumed from controller input');
     } catch (e) {
       // Ignore errors
     }
@@ -38,16 +98,18 @@ ws.on('message', async (message) => {
 
   if (message.type === 'layout') {
     initializeLayout(message.data);
+  } else if (message.type === 'deviceStatus') {
+    handleDeviceStatus(message.data);
   } else if (message.type === 'event') {
     handleEvent(message.data);
   } else if (message.type === 'lock') {
     handleLockChange(message.data);
   } else if (message.type === 'tempoChange') {
     handleTempoChange(message.data);
-  } else if (message.type === 'deckButtonStates') {
-    handleDeckButtonStates(message.data);
-  } else if (message.type === 'padModeStates') {
-    handlePadModeStates(message.data);
+  } else if (message.type === 'snapshot') {
+    handleSnapshot(message.data);
+  } else if (message.type === 'deckState') {
+    applyDeckState(message.data);
   } else if (message.type === 'modeChange') {
     handleModeChange(message.data);
   } else if (message.type === 'padPress') {
@@ -58,6 +120,20 @@ ws.on('message', async (message) => {
     handleSpindown(message.data);
   } else if (message.type === 'syncChange') {
     handleSyncChange(message.data);
+  } else if (message.type === 'gesture') {
+    handleGesture(message.data);
+  } else if (message.type === 'logConfig') {
+    log.info('Server log levels:', message.data);
+  } else if (message.type === 'loadDeck') {
+    handleLoadDeck(message.data);
+  } else if (message.type === 'leds') {
+    virtualController.applyLEDs(message.data.leds);
+  } else if (message.type === 'plugin') {
+    // Custom message from a server plugin; page scripts listen for ddj:plugin
+    log.debug(`Plugin ${message.data.plugin}: ${message.data.event}`, message.data.data);
+    window.dispatchEvent(new CustomEvent('ddj:plugin', { detail: message.data }));
+  } else if (message.type === 'error') {
+    log.warn(`Server rejected ${message.data.inReplyTo ?? 'message'} (${message.data.code}): ${message.data.message}`);
   }
 });
 
@@ -70,6 +146,7 @@ function initializeLayout(layout) {
     const knobClickTarget = state.getKnobClickTarget(controlDef.id);
     if (knobClickTarget) {
       state.registerKnobClickButton(controlDef.id, knobClickTarget);
+      virtualController.attachKnobClick(knobClickTarget, controlDef);
       return;
     }
 
@@ -77,6 +154,7 @@ function initializeLayout(layout) {
     const element = ui.createControl(controlDef);
     ui.appendTo(element, controlDef.section);
     state.registerControl(controlDef.id, element);
+    virtualController.attach(element, controlDef);
   });
 
   // After layout is initialized, update mode buttons to show current state
@@ -84,6 +162,16 @@ function initializeLayout(layout) {
   setTimeout(() => updateModeButtons(), 100);
 }
 
+/**
+ * Handle controller connection status from server
+ * Shows the offline banner while the DDJ-SP1 is unplugged
+ */
+function handleDeviceStatus(status) {
+  ui.updateDeviceStatus(status.connected);
+  virtualController.setEnabled(status.virtual === true);
+  log.info(`🔌 Controller ${status.connected ? `connected: ${status.deviceName}` : 'offline'}`);
+}
+
 /**
  * Handle controller events
  */
@@ -92,8 +180,8 @@ function handleEvent(event) {
 
   // Debug logging for LOAD buttons (notes 70, 71, 72, 73)
   if (event.type === 'button' && (event.button === 70 || event.button === 71 || event.button === 72 || event.button === 73) && event.channel === 6) {
-    console.log(`🎯 LOAD button event received: button=${event.button}, channel=${event.channel}, pressed=${event.pressed}, key=${key}`);
-    console.log(`   hasControl('${key}'):`, state.hasControl(key));
+    log.debug(`🎯 LOAD button event received: button=${event.button}, channel=${event.channel}, pressed=${event.pressed}, key=${key}`);
+    log.debug(`hasControl('${key}'):`, state.hasControl(key));
   }
 
   if (!state.hasControl(key)) {
@@ -130,7 +218,7 @@ function handleButtonEvent(control, event) {
   const isLoadButton = control.id === 'button-70-ch6' || control.id === 'button-71-ch6' ||
                         control.id === 'button-72-ch6' || control.id === 'button-73-ch6';
   if (isLoadButton) {
-    console.log(`🔘 LOAD button event: ${control.id}, pressed=${event.pressed}, channel=${event.channel}, button=${event.button}`);
+    log.debug(`🔘 LOAD button event: ${control.id}, pressed=${event.pressed}, channel=${event.channel}, button=${event.button}`);
   }
 
   state.updateButton(control.id, event.pressed);
@@ -138,14 +226,14 @@ function handleButtonEvent(control, event) {
 
   // Handle DECK button state changes - update mode buttons to show new deck's mode
   if (control.id === 'button-114-ch2' || control.id === 'button-114-ch3') {
-    console.log(`🎚️ DECK button event: ${control.id}, pressed=${event.pressed}`);
-    console.log(`   State after update:`, state.deckButtonStates);
+    log.debug(`🎚️ DECK button event: ${control.id}, pressed=${event.pressed}`);
+    log.debug(`State after update:`, state.deckButtonStates);
     updateModeButtons();
   }
 
-  // Handle LOAD buttons (only on button press, not release)
-  if (event.pressed && isLoadButton) {
-    console.log(`✅ Calling handleLoadButton for ${control.id}`);
+  // Handle LOAD buttons on release, so holding LOAD can unload instead (see handleGesture)
+  if (!event.pressed && isLoadButton && !event.longPressed) {
+    log.debug(`✅ Calling handleLoadButton for ${control.id}`);
     handleLoadButton(control.id);
   }
 
@@ -196,12 +284,14 @@ function handleButtonEvent(control, event) {
       // Button pressed - enable echo
       audioPlayer.setEchoEnabled(deck, true);
       audioPlayer.setEchoEnabled(deck + 2, true); // Also enable for alternate deck
-      console.log(`🔊 FX button pressed (${isShifted ? 'SHIFT+' : ''}tap): Deck ${deck + 1}/${deck + 3} echo ON`);
+      reportSideFX(deck, { echo: true });
+      log.info(`🔊 FX button pressed (${isShifted ? 'SHIFT+' : ''}tap): Deck ${deck + 1}/${deck + 3} echo ON`);
     } else if (!isShifted) {
       // Button released (momentary mode) - disable echo
       audioPlayer.setEchoEnabled(deck, false);
       audioPlayer.setEchoEnabled(deck + 2, false);
-      console.log(`🔊 FX button released (momentary): Deck ${deck + 1}/${deck + 3} echo OFF`);
+      reportSideFX(deck, { echo: false });
+      log.info(`🔊 FX button released (momentary): Deck ${deck + 1}/${deck + 3} echo OFF`);
     }
     // If shifted, leave echo on (latched)
   }
@@ -214,16 +304,62 @@ function handleLoadButton(buttonId) {
   const selectedSong = songList.getSelectedSong();
 
   if (!selectedSong) {
-    console.log('No song selected to load');
+    log.info('No song selected to load');
     return;
   }
 
+  const targetDeck = getLoadTargetDeck(buttonId);
+
+  if (targetDeck) {
+    loadSong(targetDeck, selectedSong);
+  } else {
+    log.info('⚠️ No target deck determined!');
+  }
+}
+
+/**
+ * Handle a deck load requested through the server's REST API
+ * Loads the given song, or the selected one when no song id is sent
+ */
+function handleLoadDeck(data) {
+  const song = data.songId === undefined ? songList.getSelectedSong() : songList.getSong(data.songId);
+
+  if (!song) {
+    log.warn(`Cannot load Deck ${data.deck}: ${data.songId === undefined ? 'no song selected' : `no song with id ${data.songId}`}`);
+    return;
+  }
+  loadSong(data.deck, song);
+}
+
+/**
+ * Load a song into a deck (1-4) and preload its audio
+ * @param {boolean} notify - false when following the server's deck state
+ */
+function loadSong(targetDeck, song, notify = true) {
+  log.info(`📥 Loading "${song.title}" to Deck ${targetDeck}...`);
+  activeTracks.loadTrack(targetDeck, song, notify);
+  log.debug(`✓ Loaded to Deck ${targetDeck}`);
+
+  // If loading to Deck 1, update song list reference key for harmonic mixing
+  if (targetDeck === 1) {
+    songList.setReferenceKey(song.key);
+    log.info(`🎵 Song list sorted by key ${song.key} (harmonic mixing)`);
+  }
+
+  // Preload audio files for instant playback
+  audioPlayer.preloadSong(song);
+}
+
+/**
+ * Get the deck (1-4) a LOAD button targets, following the DECK button states
+ */
+function getLoadTargetDeck(buttonId) {
   let targetDeck;
 
-  console.log(`🔍 handleLoadButton: buttonId=${buttonId}`);
-  console.log(`   DECK button states:`, state.deckButtonStates);
-  console.log(`   DECK 1/3 (ch2, note 114):`, state.isDeckButtonActive(2));
-  console.log(`   DECK 2/4 (ch3, note 114):`, state.isDeckButtonActive(3));
+  log.debug(`🔍 handleLoadButton: buttonId=${buttonId}`);
+  log.debug(`DECK button states:`, state.deckButtonStates);
+  log.debug(`DECK 1/3 (ch2, note 114):`, state.isDeckButtonActive(2));
+  log.debug(`DECK 2/4 (ch3, note 114):`, state.isDeckButtonActive(3));
 
   // Based on actual hardware testing:
   // Note 72: LEFT LOAD button - loads to Deck 1 or 3 based on DECK 1/3 button
@@ -234,40 +370,25 @@ function handleLoadButton(buttonId) {
     // Button 72: LEFT LOAD button (Deck 1 or 3 based on DECK 1/3 button state)
     const deck3Active = state.isDeckButtonActive(2);
     targetDeck = deck3Active ? 3 : 1;
-    console.log(`   → Button 72 (LOAD LEFT): DECK 1/3=${deck3Active}, targetDeck=${targetDeck}`);
+    log.debug(`→ Button 72 (LOAD LEFT): DECK 1/3=${deck3Active}, targetDeck=${targetDeck}`);
   } else if (buttonId === 'button-71-ch6') {
     // Button 71: RIGHT LOAD button (Deck 2 or 4 based on DECK 2/4 button state)
     const deck4Active = state.isDeckButtonActive(3);
     targetDeck = deck4Active ? 4 : 2;
-    console.log(`   → Button 71 (LOAD RIGHT): DECK 2/4=${deck4Active}, targetDeck=${targetDeck}`);
+    log.debug(`→ Button 71 (LOAD RIGHT): DECK 2/4=${deck4Active}, targetDeck=${targetDeck}`);
   } else if (buttonId === 'button-70-ch6') {
     // Button 70: Try LEFT side logic
     const deck3Active = state.isDeckButtonActive(2);
     targetDeck = deck3Active ? 3 : 1;
-    console.log(`   → Button 70 (ALT LEFT): DECK 1/3=${deck3Active}, targetDeck=${targetDeck}`);
+    log.debug(`→ Button 70 (ALT LEFT): DECK 1/3=${deck3Active}, targetDeck=${targetDeck}`);
   } else if (buttonId === 'button-73-ch6') {
     // Button 73: Try RIGHT side logic
     const deck4Active = state.isDeckButtonActive(3);
     targetDeck = deck4Active ? 4 : 2;
-    console.log(`   → Button 73 (ALT RIGHT): DECK 2/4=${deck4Active}, targetDeck=${targetDeck}`);
+    log.debug(`→ Button 73 (ALT RIGHT): DECK 2/4=${deck4Active}, targetDeck=${targetDeck}`);
   }
 
-  if (targetDeck) {
-    console.log(`📥 Loading "${selectedSong.title}" to Deck ${targetDeck}...`);
-    activeTracks.loadTrack(targetDeck, selectedSong);
-    console.log(`✓ Loaded to Deck ${targetDeck}`);
-
-    // If loading to Deck 1, update song list reference key for harmonic mixing
-    if (targetDeck === 1) {
-      songList.setReferenceKey(selectedSong.key);
-      console.log(`🎵 Song list sorted by key ${selectedSong.key} (harmonic mixing)`);
-    }
-
-    // Preload audio files for instant playback
-    audioPlayer.preloadSong(selectedSong);
-  } else {
-    console.log('⚠️ No target deck determined!');
-  }
+  return targetDeck;
 }
 
 /**
@@ -289,7 +410,7 @@ function handleSlipButton(buttonId) {
   if (targetDeck) {
     const audioDeck = targetDeck - 1; // Convert deck 1-4 to audio deck 0-3
     audioPlayer.fadeOut(audioDeck, 0.2); // 200ms fadeout
-    console.log(`💫 SLIP pressed: Fading out Deck ${targetDeck}`);
+    log.info(`💫 SLIP pressed: Fading out Deck ${targetDeck}`);
   }
 }
 
@@ -306,6 +427,15 @@ function handleUnloadButton(buttonId) {
 
   // Map channel directly to deck (channel 0=deck 1, 1=deck 2, 2=deck 3, 3=deck 4)
   const targetDeck = channel + 1;
+  unloadDeck(targetDeck);
+
+  log.info(`🗑️  SHIFT + SLIP: Unloaded track from Deck ${targetDeck}`);
+}
+
+/**
+ * Stop a deck (1-4) and unload its track
+ */
+function unloadDeck(targetDeck) {
   const audioDeck = targetDeck - 1; // Convert deck 1-4 to audio deck 0-3
 
   // Stop playback
@@ -313,8 +443,29 @@ function handleUnloadButton(buttonId) {
 
   // Unload track from ActiveTracks
   activeTracks.loadTrack(targetDeck, null);
+}
 
-  console.log(`🗑️  SHIFT + SLIP: Unloaded track from Deck ${targetDeck}`);
+/**
+ * Handle named gestures from the profile's gesture bindings
+ * - unload: LOAD held for a second unloads the deck it targets
+ * - panic: both STOP buttons together silence every deck and the sampler
+ */
+function handleGesture(data) {
+  log.debug(`✋ Gesture: ${data.gesture}${data.name ? ` (${data.name})` : ''}`, data.buttons);
+
+  // LOAD loads on release and skips that when held this long, so the deck still holds its track
+  if (data.name === 'unload') {
+    const [button] = data.buttons;
+    const targetDeck = data.deck ?? getLoadTargetDeck(`button-${button.note}-ch${button.channel}`);
+    if (targetDeck) {
+      unloadDeck(targetDeck);
+      log.info(`🗑️  LOAD held: Unloaded track from Deck ${targetDeck}`);
+    }
+  } else if (data.name === 'panic') {
+    audioPlayer.stopAll();
+    sampler.stopAll();
+    log.warn('🚨 PANIC: Stopped all decks and samples');
+  }
 }
 
 /**
@@ -333,7 +484,7 @@ function handleCensorPress(buttonId) {
 
   const audioDeck = targetDeck - 1; // Convert deck 1-4 to audio deck 0-3
   audioPlayer.startReverse(audioDeck);
-  console.log(`⏪ CENSOR pressed: Starting reverse on Deck ${targetDeck}`);
+  log.info(`⏪ CENSOR pressed: Starting reverse on Deck ${targetDeck}`);
 }
 
 /**
@@ -352,7 +503,7 @@ function handleCensorRelease(buttonId) {
 
   const audioDeck = targetDeck - 1; // Convert deck 1-4 to audio deck 0-3
   audioPlayer.stopReverse(audioDeck);
-  console.log(`⏪ CENSOR released: Resuming normal playback on Deck ${targetDeck}`);
+  log.info(`⏪ CENSOR released: Resuming normal playback on Deck ${targetDeck}`);
 }
 
 /**
@@ -360,7 +511,7 @@ function handleCensorRelease(buttonId) {
  * Supports all 4 deck channels (0-3)
  */
 function handleSyncButton(buttonId) {
-  console.log(`🔗 SYNC button pressed: ${buttonId}`);
+  log.info(`🔗 SYNC button pressed: ${buttonId}`);
 
   // Extract channel from button ID (button-88-ch0 -> channel 0)
   const match = buttonId.match(/ch(\d+)/);
@@ -371,18 +522,18 @@ function handleSyncButton(buttonId) {
   // Map channel directly to deck (channel 0=deck 1, 1=deck 2, 2=deck 3, 3=deck 4)
   const sourceDeck = channel + 1;
 
-  console.log(`🔗 Syncing ALL other decks to Deck ${sourceDeck}`);
+  log.info(`🔗 Syncing ALL other decks to Deck ${sourceDeck}`);
 
   const sourceAudioDeck = sourceDeck - 1;
 
   // Get current state of source deck
   const sourceState = audioPlayer.getCurrentPlaybackState(sourceAudioDeck);
   if (!sourceState) {
-    console.log(`⚠️  Deck ${sourceDeck} is not playing`);
+    log.info(`⚠️  Deck ${sourceDeck} is not playing`);
     return;
   }
 
-  console.log(`🔗 Source: Deck ${sourceDeck} at ${sourceState.section} ${sourceState.position.toFixed(2)}s`);
+  log.info(`🔗 Source: Deck ${sourceDeck} at ${sourceState.section} ${sourceState.position.toFixed(2)}s`);
 
   // Sync all other decks (1-4) to this source deck
   for (let targetDeck = 1; targetDeck <= 4; targetDeck++) {
@@ -393,13 +544,13 @@ function handleSyncButton(buttonId) {
     // Get the loaded song for the target deck
     const targetSong = activeTracks.getTrack(targetDeck);
     if (!targetSong) {
-      console.log(`   ⏭️  Deck ${targetDeck}: No song loaded, skipping`);
+      log.debug(`⏭️  Deck ${targetDeck}: No song loaded, skipping`);
       continue;
     }
 
     // Check tempo match
     if (sourceState.song.bpm !== targetSong.bpm) {
-      console.log(`   ⚠️  Deck ${targetDeck}: Tempo mismatch (${targetSong.bpm} BPM vs ${sourceState.song.bpm} BPM), skipping`);
+      log.debug(`⚠️  Deck ${targetDeck}: Tempo mismatch (${targetSong.bpm} BPM vs ${sourceState.song.bpm} BPM), skipping`);
       continue;
     }
 
@@ -408,7 +559,7 @@ function handleSyncButton(buttonId) {
     const beatsPerSecond = targetSong.bpm / 60;
     const positionInBeats = sourceState.position * beatsPerSecond;
 
-    console.log(`   ✅ Deck ${targetDeck}: Syncing to ${sourceState.section} at ${positionInBeats.toFixed(2)} beats`);
+    log.debug(`✅ Deck ${targetDeck}: Syncing to ${sourceState.section} at ${positionInBeats.toFixed(2)} beats`);
     audioPlayer.play(targetSong, targetAudioDeck, sourceState.section, positionInBeats);
   }
 }
@@ -418,18 +569,15 @@ function handleSyncButton(buttonId) {
  */
 function handleKnobEvent(control, event, key) {
   // Check if this is the center browser knob (controls song list scrolling)
-  if (control.id === 'knob-64-ch6') {
-    songList.scroll(event.value, 1); // Normal: ±1 song
+  // SHIFT + browser knob (knob-100) is quick mode: one row (4 songs) per tick
+  // Step sizes and acceleration come from the profile's encoder settings
+  if (control.id === 'knob-64-ch6' || control.id === 'knob-100-ch6') {
+    songList.scroll(event.delta ?? 0);
   }
 
-  // Check if this is SHIFT + browser knob (quick mode: ±4 songs per turn)
-  if (control.id === 'knob-100-ch6') {
-    songList.scroll(event.value, 4); // Quick: ±4 songs (one row)
-  }
-
-  // Check if this is the sampler volume slider (controls master volume)
+  // Check if this is the sampler volume slider (controls the sampler bus)
   if (control.id === 'knob-3-ch6') {
-    audioPlayer.setMasterVolume(event.value);
+    sampler.setVolume(event.value);
   }
 
   // Check if this is a volume knob (infinite encoder, fast scrolling)
@@ -442,31 +590,11 @@ function handleKnobEvent(control, event, key) {
 
     const targetDeck = parseInt(match[1]); // channel 0=deck 0, 1=deck 1, 2=deck 2, 3=deck 3 (audio deck index)
 
-    // Get current volume for this deck
-    let currentVolume = deckVolumes.get(targetDeck);
-
-    // Calculate delta from center (64)
-    // Negate for correct direction, use 0.3x multiplier for fine control
-    const delta = Math.round(-(event.value - 64) * 0.3);
-
-    // Update volume with clamping (0-127)
-    currentVolume = Math.max(0, Math.min(127, currentVolume + delta));
-    deckVolumes.set(targetDeck, currentVolume);
-
-    // Set volume for the target deck
-    audioPlayer.setVolume(targetDeck, currentVolume);
-    console.log(`🔊 Volume: Deck ${targetDeck + 1} = ${currentVolume}`);
-
-    // Update the UI with raw value for correct rotation, but display as percentage
-    state.updateKnob(control.id, currentVolume);
-    ui.updateKnob(control.element, key, currentVolume, state);
-
-    // Update the displayed text to show percentage
-    const percentage = Math.round((currentVolume / 127) * 100);
-    const valueDisplay = control.element.querySelector('.knob-value');
-    if (valueDisplay) {
-      valueDisplay.textContent = percentage;
-    }
+    // Update volume with clamping (0-127); delta is already accelerated by the server
+    const currentVolume = Math.max(0, Math.min(127, deckVolumes.get(targetDeck) + (event.delta ?? 0)));
+    setDeckVolume(targetDeck, currentVolume);
+    reportDeck(targetDeck + 1, { volume: currentVolume });
+    log.debug(`🔊 Volume: Deck ${targetDeck + 1} = ${currentVolume}`);
 
     return; // Skip default knob handling
   }
@@ -486,24 +614,28 @@ function handleKnobEvent(control, event, key) {
       const beats = event.value < 64 ? 1 : 0.5;
       audioPlayer.setEchoTime(deck, beats, currentTempo);
       audioPlayer.setEchoTime(deck + 2, beats, currentTempo); // Also set for alternate deck (e.g., deck 2 if deck 0)
+      reportSideFX(deck, { beats });
     }
 
     // FX1 knob (knob-2): Controls echo level/mix
     if (knobNum === 2) {
       audioPlayer.setEchoLevel(deck, event.value);
       audioPlayer.setEchoLevel(deck + 2, event.value);
+      reportSideFX(deck, { level: event.value });
     }
 
     // FX2 knob (knob-4): Controls echo feedback
     if (knobNum === 4) {
       audioPlayer.setEchoFeedback(deck, event.value);
       audioPlayer.setEchoFeedback(deck + 2, event.value);
+      reportSideFX(deck, { feedback: event.value });
     }
 
     // FX3 knob (knob-6): Controls echo filter
     if (knobNum === 6) {
       audioPlayer.setEchoFilter(deck, event.value);
       audioPlayer.setEchoFilter(deck + 2, event.value);
+      reportSideFX(deck, { filter: event.value });
     }
   }
 
@@ -543,7 +675,101 @@ function handleTempoChange(tempoData) {
   // Update song list with filtered songs for new tempo
   songList.setTempo(tempoData.tempo);
 
-  console.log(`🎵 Tempo changed to ${tempoData.tempo} BPM via SHIFT + Volume`);
+  // Keep tempo-aware sampler loops in time
+  sampler.setTempo(tempoData.tempo);
+
+  log.info(`🎵 Tempo changed to ${tempoData.tempo} BPM via SHIFT + Volume`);
+}
+
+/**
+ * Handle the session snapshot sent on connect
+ * Restores tempo, DECK toggles, pad modes, locks and each deck's song,
+ * section, volume and FX so a reload or a second browser picks up the session
+ */
+function handleSnapshot(snapshot) {
+  handleTempoChange({ tempo: snapshot.tempo });
+  handleDeckButtonStates(snapshot.deckButtons);
+  handlePadModeStates(snapshot.padModes);
+  snapshot.locks.forEach(handleLockChange);
+  snapshot.decks.forEach(applyDeckState);
+  log.info(`📡 Restored session: decks [${snapshot.decks.filter(d => d.loaded).map(d => d.deck).join(', ')}] loaded`);
+}
+
+/**
+ * Bring a deck (1-4) in line with the server's deck state
+ * Used for the snapshot and for changes reported by other browsers
+ */
+function applyDeckState(deckState) {
+  const { deck, loaded, songId, section, volume, fx } = deckState;
+  const audioDeck = deck - 1;
+  const current = activeTracks.getTrack(deck);
+
+  if (!loaded) {
+    if (current) {
+      audioPlayer.stop(audioDeck);
+      activeTracks.loadTrack(deck, null, false);
+    }
+  } else if (songId !== null && current?.id !== songId) {
+    const song = songList.getSong(songId);
+    if (song) {
+      loadSong(deck, song, false);
+    } else {
+      log.warn(`Cannot restore Deck ${deck}: no song with id ${songId}`);
+    }
+  }
+  activeTracks.setSection(deck, section);
+
+  if (deckVolumes.get(audioDeck) !== volume) {
+    setDeckVolume(audioDeck, volume);
+  }
+
+  // Only touch the echo when its settings changed (enabling it ramps the wet signal)
+  const fxKey = JSON.stringify(fx);
+  if (deckFX.get(audioDeck) !== fxKey) {
+    deckFX.set(audioDeck, fxKey);
+    if (fx.beats !== undefined) audioPlayer.setEchoTime(audioDeck, fx.beats, state.getTempo());
+    if (fx.level !== undefined) audioPlayer.setEchoLevel(audioDeck, fx.level);
+    if (fx.feedback !== undefined) audioPlayer.setEchoFeedback(audioDeck, fx.feedback);
+    if (fx.filter !== undefined) audioPlayer.setEchoFilter(audioDeck, fx.filter);
+    audioPlayer.setEchoEnabled(audioDeck, fx.echo);
+  }
+}
+
+/**
+ * Set a deck's volume (audio deck 0-3, 0-127) and show it on its VOLUME knob
+ */
+function setDeckVolume(audioDeck, volume) {
+  deckVolumes.set(audioDeck, volume);
+  audioPlayer.setVolume(audioDeck, volume);
+
+  const knobId = `knob-23-ch${audioDeck}`;
+  if (!state.hasControl(knobId)) return;
+  const control = state.getControl(knobId);
+
+  // Update the UI with raw value for correct rotation, but display as percentage
+  state.updateKnob(knobId, volume);
+  ui.updateKnob(control.element, knobId, volume, state);
+
+  const valueDisplay = control.element.querySelector('.knob-value');
+  if (valueDisplay) {
+    valueDisplay.textContent = Math.round((volume / 127) * 100);
+  }
+}
+
+/**
+ * Report a deck's (1-4) section, volume or FX change to the server, which owns deck state
+ */
+function reportDeck(deck, update) {
+  ws.send({ type: 'deckUpdate', data: { deck, ...update } });
+}
+
+/**
+ * Report an FX change for a side's decks (an FX unit drives a deck and its alternate)
+ * @param {number} audioDeck - 0 (Deck 1/3) or 1 (Deck 2/4)
+ */
+function reportSideFX(audioDeck, fx) {
+  reportDeck(audioDeck + 1, { fx });
+  reportDeck(audioDeck + 3, { fx });
 }
 
 /**
@@ -552,7 +778,7 @@ function handleTempoChange(tempoData) {
 function handleDeckButtonStates(deckStates) {
   state.setDeckButtonState(2, deckStates.deck1_3);
   state.setDeckButtonState(3, deckStates.deck2_4);
-  console.log(`📡 Synced DECK states: 1/3=${deckStates.deck1_3}, 2/4=${deckStates.deck2_4}`);
+  log.info(`📡 Synced DECK states: 1/3=${deckStates.deck1_3}, 2/4=${deckStates.deck2_4}`);
 }
 
 /**
@@ -564,7 +790,7 @@ function handlePadModeStates(padModes) {
   state.setActiveMode(3, padModes.deck3);
   state.setActiveMode(4, padModes.deck4);
   updateModeButtons();
-  console.log(`📡 Synced pad modes: D1=${getModeName(padModes.deck1)}, D2=${getModeName(padModes.deck2)}, D3=${getModeName(padModes.deck3)}, D4=${getModeName(padModes.deck4)}`);
+  log.info(`📡 Synced pad modes: D1=${getModeName(padModes.deck1)}, D2=${getModeName(padModes.deck2)}, D3=${getModeName(padModes.deck3)}, D4=${getModeName(padModes.deck4)}`);
 }
 
 /**
@@ -573,7 +799,7 @@ function handlePadModeStates(padModes) {
 function handleModeChange(modeData) {
   state.setActiveMode(modeData.deck, modeData.activeMode);
   updateModeButtons();
-  console.log(`🎮 Mode changed: Deck ${modeData.deck} → ${getModeName(modeData.activeMode)}`);
+  log.info(`🎮 Mode changed: Deck ${modeData.deck} → ${getModeName(modeData.activeMode)}`);
 }
 
 /**
@@ -633,7 +859,7 @@ function handleSpindown(spindownData) {
  */
 function handleSyncChange(syncData) {
   const { deck } = syncData;
-  console.log(`🔗 SYNC pressed: Deck ${deck} - syncing ALL other decks to this deck`);
+  log.info(`🔗 SYNC pressed: Deck ${deck} - syncing ALL other decks to this deck`);
 
   const sourceDeck = deck;
   const sourceAudioDeck = sourceDeck - 1;
@@ -641,11 +867,11 @@ function handleSyncChange(syncData) {
   // Get current state of source deck
   const sourceState = audioPlayer.getCurrentPlaybackState(sourceAudioDeck);
   if (!sourceState) {
-    console.log(`⚠️  Deck ${sourceDeck} is not playing`);
+    log.info(`⚠️  Deck ${sourceDeck} is not playing`);
     return;
   }
 
-  console.log(`🔗 Source: Deck ${sourceDeck} at ${sourceState.section} ${sourceState.position.toFixed(2)}s`);
+  log.info(`🔗 Source: Deck ${sourceDeck} at ${sourceState.section} ${sourceState.position.toFixed(2)}s`);
 
   // Sync all other decks (1-4) to this source deck
   for (let targetDeck = 1; targetDeck <= 4; targetDeck++) {
@@ -656,13 +882,13 @@ function handleSyncChange(syncData) {
     // Get the loaded song for the target deck
     const targetSong = activeTracks.getTrack(targetDeck);
     if (!targetSong) {
-      console.log(`   ⏭️  Deck ${targetDeck}: No song loaded, skipping`);
+      log.debug(`⏭️  Deck ${targetDeck}: No song loaded, skipping`);
       continue;
     }
 
     // Check tempo match
     if (sourceState.song.bpm !== targetSong.bpm) {
-      console.log(`   ⚠️  Deck ${targetDeck}: Tempo mismatch (${targetSong.bpm} BPM vs ${sourceState.song.bpm} BPM), skipping`);
+      log.debug(`⚠️  Deck ${targetDeck}: Tempo mismatch (${targetSong.bpm} BPM vs ${sourceState.song.bpm} BPM), skipping`);
       continue;
     }
 
@@ -671,7 +897,7 @@ function handleSyncChange(syncData) {
     const beatsPerSecond = targetSong.bpm / 60;
     const positionInBeats = sourceState.position * beatsPerSecond;
 
-    console.log(`   ✅ Deck ${targetDeck}: Syncing to ${sourceState.section} at ${positionInBeats.toFixed(2)} beats`);
+    log.debug(`✅ Deck ${targetDeck}: Syncing to ${sourceState.section} at ${positionInBeats.toFixed(2)} beats`);
     audioPlayer.play(targetSong, targetAudioDeck, sourceState.section, positionInBeats);
   }
 }
@@ -684,7 +910,7 @@ function handleSyncChange(syncData) {
 function handlePadPress(padData) {
   const { channel, note, deck } = padData;
 
-  console.log(`🎹 handlePadPress: channel=${channel}, note=${note}, deck=${deck}`);
+  log.debug(`🎹 handlePadPress: channel=${channel}, note=${note}, deck=${deck}`);
 
   // Update UI to turn on the pad LED
   const padButtonId = `button-${note}-ch${channel}`;
@@ -697,66 +923,80 @@ function handlePadPress(padData) {
   // Use the deck value sent from backend (already calculated based on DECK button state)
   // Backend correctly determines: channel 7 → Deck 1 or 3, channel 8 → Deck 2 or 4
   const targetDeck = deck;
-  console.log(`🎯 Target deck: ${targetDeck} (from backend)`);
+  log.debug(`🎯 Target deck: ${targetDeck} (from backend)`);
+
+  // Check active mode for this deck
+  // Use getActiveMode directly with the deck number (1-4)
+  const activeMode = state.getActiveMode(targetDeck);
+  log.debug(`🎮 Active mode for Deck ${targetDeck}: ${activeMode} (${getModeName(activeMode)})`);
+
+  // SAMPLER MODE (34): Trigger the pad's sample (independent of the loaded track)
+  if (activeMode === 34) {
+    sampler.trigger(note);
+    return;
+  }
 
   // Get the loaded track for this deck
   const loadedSong = activeTracks.getTrack(targetDeck);
   if (!loadedSong) {
-    console.log(`⚠️ No track loaded on Deck ${targetDeck}`);
+    log.info(`⚠️ No track loaded on Deck ${targetDeck}`);
     return;
   }
 
-  // Check active mode for this deck
-  // Use getActiveMode directly with the deck number (1-4)
-  const activeMode = state.getActiveMode(targetDeck);
-  console.log(`🎮 Active mode for Deck ${targetDeck}: ${activeMode} (${getModeName(activeMode)})`);
-
   // ROLL MODE (30): Loop small sections based on pad
   if (activeMode === 30) {
     const rollBeats = [2, 1, 0.5, 0.25, 0.125, 0.0625, 0.03125, 0.015625][note];
     if (rollBeats !== undefined) {
       const audioDeck = targetDeck - 1;
-      console.log(`🔁 Starting roll: Deck ${targetDeck}, Pad ${note + 1}, ${rollBeats} beats`);
+      log.debug(`🔁 Starting roll: Deck ${targetDeck}, Pad ${note + 1}, ${rollBeats} beats`);
       audioPlayer.startRoll(audioDeck, rollBeats, loadedSong);
-      console.log(`🔁 Pad ${note + 1} (Deck ${targetDeck}): Roll ${rollBeats} beats`);
+      log.info(`🔁 Pad ${note + 1} (Deck ${targetDeck}): Roll ${rollBeats} beats`);
     }
     return;
   }
 
+  // SLICER MODE (32): Play one of 8 slices of the current bar
+  if (activeMode === 32) {
+    const audioDeck = targetDeck - 1;
+    log.info(`🔪 Pad ${note + 1} (Deck ${targetDeck}): Slice ${note + 1}/8`);
+    audioPlayer.startSlice(audioDeck, note, loadedSong);
+    return;
+  }
+
   // Determine section and position from pad
   let section, position;
   if (note === 0) {
     section = 'lead';
     position = 0;
-    console.log(`🎹 Pad 1 (Deck ${targetDeck}): Playing LEAD`);
+    log.info(`🎹 Pad 1 (Deck ${targetDeck}): Playing LEAD`);
   } else if (note === 1) {
     section = 'body';
     position = 0.5; // 0.5 beats (eighth note)
-    console.log(`🎹 Pad 2 (Deck ${targetDeck}): Playing BODY +0.5 beats (eighth note)`);
+    log.info(`🎹 Pad 2 (Deck ${targetDeck}): Playing BODY +0.5 beats (eighth note)`);
   } else if (note === 2) {
     section = 'body';
     position = 0.75; // 0.75 beats (shuffle point)
-    console.log(`🎹 Pad 3 (Deck ${targetDeck}): Playing BODY +0.75 beats`);
+    log.info(`🎹 Pad 3 (Deck ${targetDeck}): Playing BODY +0.75 beats`);
   } else if (note === 3) {
     section = 'body';
     position = 1.0; // 1 beat (first snare on beat 2)
-    console.log(`🎹 Pad 4 (Deck ${targetDeck}): Playing BODY +1 beat (SNARE)`);
+    log.info(`🎹 Pad 4 (Deck ${targetDeck}): Playing BODY +1 beat (SNARE)`);
   } else if (note === 4) {
     section = 'body';
     position = 0; // 0 beats (body start)
-    console.log(`🎹 Pad 5 (Deck ${targetDeck}): Playing BODY 0 beats`);
+    log.info(`🎹 Pad 5 (Deck ${targetDeck}): Playing BODY 0 beats`);
   } else if (note === 5) {
     section = 'body';
     position = 16; // 16 beats (25%)
-    console.log(`🎹 Pad 6 (Deck ${targetDeck}): Playing BODY 16 beats (25%)`);
+    log.info(`🎹 Pad 6 (Deck ${targetDeck}): Playing BODY 16 beats (25%)`);
   } else if (note === 6) {
     section = 'body';
     position = 32; // 32 beats (50%)
-    console.log(`🎹 Pad 7 (Deck ${targetDeck}): Playing BODY 32 beats (50%)`);
+    log.info(`🎹 Pad 7 (Deck ${targetDeck}): Playing BODY 32 beats (50%)`);
   } else if (note === 7) {
     section = 'body';
     position = 48; // 48 beats (75%)
-    console.log(`🎹 Pad 8 (Deck ${targetDeck}): Playing BODY 48 beats (75%)`);
+    log.info(`🎹 Pad 8 (Deck ${targetDeck}): Playing BODY 48 beats (75%)`);
   } else {
     return;
   }
@@ -765,7 +1005,7 @@ function handlePadPress(padData) {
   // Play on the target deck (map deck 1-4 to audio deck 0-3)
   const audioDeck = targetDeck - 1;
   audioPlayer.play(loadedSong, audioDeck, section, position);
-  console.log(`▶️  Deck ${targetDeck}: "${loadedSong.title}"`);
+  log.info(`▶️  Deck ${targetDeck}: "${loadedSong.title}"`);
 }
 
 /**
@@ -808,6 +1048,26 @@ function handlePadRelease(padData) {
   if (activeMode === 30) {
     const audioDeck = targetDeck - 1;
     audioPlayer.stopRoll(audioDeck);
-    console.log(`🔁 Pad ${note + 1} (Deck ${targetDeck}): Roll stopped`);
+    log.info(`🔁 Pad ${note + 1} (Deck ${targetDeck}): Roll stopped`);
+  }
+
+  // SLICER MODE (32): Resume background position on release
+  if (activeMode === 32) {
+    audioPlayer.stopSlice(targetDeck - 1, note);
   }
 }
+
+/**
+ * Report the SLICER playhead of each deck to the server so the pad LED
+ * follows the slice being played
+ */
+const slicerPositions = new Map([[1, null], [2, null], [3, null], [4, null]]); // key: deck (1-4), value: last reported slice
+setInterval(() => {
+  for (let deck = 1; deck <= 4; deck++) {
+    const slice = state.getActiveMode(deck) === 32 ? audioPlayer.getSlicerSlice(deck - 1) : null;
+    if (slicerPositions.get(deck) !== slice) {
+      slicerPositions.set(deck, slice);
+      ws.send({ type: 'slicerPosition', data: { deck, slice } });
+    }
+  }
+}, 50);
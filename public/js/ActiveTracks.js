@@ -5,6 +5,10 @@
  * 4-column grid showing active track info
  */
 
+import { createLogger } from './Logger.js';
+
+const log = createLogger('app');
+
 export class ActiveTracks {
   constructor(containerId, ws) {
     this.container = document.getElementById(containerId);
@@ -15,33 +19,54 @@ export class ActiveTracks {
       3: null,
       4: null
     };
+    this.sections = { 1: null, 2: null, 3: null, 4: null }; // 'lead' | 'body' last played
     this.render();
   }
 
   /**
    * Load a song into a deck
+   * @param {boolean} notify - false when following the server's deck state
    */
-  loadTrack(deck, song) {
-    console.log(`📥 ActiveTracks.loadTrack: deck=${deck}, song=${song?.title}`);
-    console.log(`   Before:`, this.tracks);
-    const wasLoaded = this.tracks[deck] !== null;
+  loadTrack(deck, song, notify = true) {
+    log.debug(`📥 ActiveTracks.loadTrack: deck=${deck}, song=${song?.title}`);
+    log.debug(`Before:`, this.tracks);
+    const changed = (this.tracks[deck]?.id ?? null) !== (song?.id ?? null);
     const isLoaded = song !== null;
 
     this.tracks[deck] = song;
-    console.log(`   After:`, this.tracks);
+    if (changed) {
+      this.sections[deck] = null;
+    }
+    log.debug(`After:`, this.tracks);
     this.render();
-    console.log(`   ✓ Rendered`);
+    log.debug(`✓ Rendered`);
 
-    // Notify backend of deck load state change
-    if (wasLoaded !== isLoaded) {
+    // Notify backend, which owns deck state, of the new song
+    if (changed && notify) {
       this.ws.send({
         type: 'deckLoad',
-        data: { deck, loaded: isLoaded }
+        data: isLoaded ? { deck, loaded: true, songId: song.id } : { deck, loaded: false }
       });
-      console.log(`📡 Sent deckLoad notification: deck=${deck}, loaded=${isLoaded}`);
+      log.debug(`📡 Sent deckLoad notification: deck=${deck}, loaded=${isLoaded}`);
     }
   }
 
+  /**
+   * Show the section ('lead' or 'body') a deck last played
+   */
+  setSection(deck, section) {
+    if (this.sections[deck] === section) return;
+    this.sections[deck] = section;
+    this.render();
+  }
+
+  /**
+   * Get the section a deck last played (null if none yet)
+   */
+  getSection(deck) {
+    return this.sections[deck];
+  }
+
   /**
    * Get loaded track for a deck
    */
@@ -63,6 +88,7 @@ export class ActiveTracks {
               <span class="track-header">D${deck}</span>
               <span class="track-key key-${this.tracks[deck].key}">${this.tracks[deck].key}</span>
               <span class="track-content">${this.escapeHtml(this.tracks[deck].artist)} - ${this.escapeHtml(this.tracks[deck].title)}</span>
+              ${this.sections[deck] ? `<span class="track-section">${this.sections[deck]}</span>` : ''}
             ` : `
               <span class="track-header">D${deck}</span>
               <span class="track-empty">—</span>
@@ -5,6 +5,14 @@
  * Each deck (0-3) can play one audio file at a time
  */
 
+import { createLogger } from './Logger.js';
+
+const log = createLogger('audio');
+
+// SLICER mode divides one bar into 8 slices (half a beat each)
+const SLICER_BAR_BEATS = 4;
+const SLICER_SLICES = 8;
+
 export class AudioPlayer {
   constructor() {
     // Create Web Audio context
@@ -68,6 +76,9 @@ export class AudioPlayer {
     // Roll state tracking
     this.rollStates = new Map(); // key: deck, value: { active, rollStartTime, savedTime, savedSection, savedSong, sectionStartTime }
 
+    // Slicer state tracking (SLICER pad mode)
+    this.slicerStates = new Map(); // key: deck, value: { active, pressTime, savedPosition, savedSection, savedSong, slice, replacedSource }
+
     // Reverse state tracking (for CENSOR button)
     this.reverseStates = new Map(); // key: deck, value: { active, reverseStartTime, savedPosition, savedSection, savedSong }
 
@@ -78,6 +89,15 @@ export class AudioPlayer {
     // key: tempo (84/94/102), value: { section, startBeat, startTime, bpm }
     this.masterClocks = new Map();
 
+    // Warn shortly before a body section runs out (server blinks the SYNC LED)
+    this.endingWarningBeats = 8;
+    this.endingTimers = new Map(); // key: deck, value: timeout id
+    this.endingDecks = new Set(); // decks currently warned
+    this.onDeckEnding = null; // callback(deck, ending)
+
+    // Report the section each deck plays (the server keeps it with the deck)
+    this.onSectionChange = null; // callback(deck, section)
+
     // Resume audio context on any user interaction
     this.setupAudioUnlock();
   }
@@ -89,7 +109,7 @@ export class AudioPlayer {
     const unlock = async () => {
       if (this.audioContext.state === 'suspended') {
         await this.audioContext.resume();
-        console.log('🔊 Audio context unlocked!');
+        log.info('🔊 Audio context unlocked!');
       }
       // Remove listeners after first unlock
       document.removeEventListener('click', unlock);
@@ -106,7 +126,7 @@ export class AudioPlayer {
     document.addEventListener('visibilitychange', async () => {
       if (!document.hidden && this.audioContext.state === 'suspended') {
         await this.audioContext.resume();
-        console.log('🔊 Audio context resumed (tab focused)');
+        log.info('🔊 Audio context resumed (tab focused)');
       }
     });
 
@@ -114,7 +134,7 @@ export class AudioPlayer {
     window.addEventListener('focus', async () => {
       if (this.audioContext.state === 'suspended') {
         await this.audioContext.resume();
-        console.log('🔊 Audio context resumed (window focused)');
+        log.info('🔊 Audio context resumed (window focused)');
       }
     });
   }
@@ -125,11 +145,11 @@ export class AudioPlayer {
   async loadAudio(filePath) {
     // Check cache first
     if (this.audioCache.has(filePath)) {
-      console.log(`⚡ Using cached: ${filePath.split('/').pop()}`);
+      log.debug(`⚡ Using cached: ${filePath.split('/').pop()}`);
       return this.audioCache.get(filePath);
     }
 
-    console.log(`📥 Loading: ${filePath.split('/').pop()}...`);
+    log.debug(`📥 Loading: ${filePath.split('/').pop()}...`);
     const loadStart = Date.now();
 
     try {
@@ -141,11 +161,11 @@ export class AudioPlayer {
       this.audioCache.set(filePath, audioBuffer);
 
       const loadTime = Date.now() - loadStart;
-      console.log(`✓ Loaded in ${loadTime}ms: ${filePath.split('/').pop()}`);
+      log.debug(`✓ Loaded in ${loadTime}ms: ${filePath.split('/').pop()}`);
 
       return audioBuffer;
     } catch (error) {
-      console.error(`Failed to load audio: ${filePath}`, error);
+      log.error(`Failed to load audio: ${filePath}`, error);
       throw error;
     }
   }
@@ -163,25 +183,27 @@ export class AudioPlayer {
     if (this.audioContext.state === 'suspended') {
       try {
         await this.audioContext.resume();
-        console.log('🔊 Audio context resumed');
+        log.info('🔊 Audio context resumed');
       } catch (error) {
-        console.error('Failed to resume audio context:', error);
+        log.error('Failed to resume audio context:', error);
         return;
       }
     }
 
     // Stop any currently playing audio on this deck
     this.stop(deck);
+    this.clearEndingWarning(deck);
 
     // Store song and section for this deck (for auto-transitions)
     this.deckSongs.set(deck, song);
     this.deckSections.set(deck, section);
+    this.onSectionChange?.(deck, section);
 
     // Format song ID as 8-digit zero-padded string
     const songId = String(song.id).padStart(8, '0');
     const filePath = `/music/${songId}-${section}.wav`;
 
-    console.log(`🎵 Playing: ${section.toUpperCase()} on Deck ${deck + 1}`);
+    log.info(`🎵 Playing: ${section.toUpperCase()} on Deck ${deck + 1}`);
 
     try {
       // Load the audio file
@@ -198,7 +220,7 @@ export class AudioPlayer {
       if (bodyPosition > 0) {
         startTime = bodyPosition / beatsPerSecond;
         const percentage = ((bodyPosition / sectionBeats) * 100).toFixed(1);
-        console.log(`   Starting ${section} at beat ${bodyPosition} (${percentage}%, ${startTime.toFixed(2)}s)`);
+        log.debug(`Starting ${section} at beat ${bodyPosition} (${percentage}%, ${startTime.toFixed(2)}s)`);
       }
 
       // Calculate duration to play (from start position to end of section)
@@ -225,7 +247,11 @@ export class AudioPlayer {
         sectionStart: startTime
       });
 
-      console.log(`▶️  Playing ${sectionBeats} beats (${playDuration.toFixed(2)}s) at ${song.bpm} BPM`);
+      log.debug(`▶️  Playing ${sectionBeats} beats (${playDuration.toFixed(2)}s) at ${song.bpm} BPM`);
+
+      if (section === 'body') {
+        this.scheduleEndingWarning(deck, playDuration - this.endingWarningBeats / beatsPerSecond);
+      }
 
       // When this section ends, automatically play the next section
       source.onended = () => {
@@ -239,7 +265,7 @@ export class AudioPlayer {
           if (currentSong && currentSection) {
             // Toggle between lead and body (always at 0% for body)
             const nextSection = currentSection === 'lead' ? 'body' : 'lead';
-            console.log(`🔄 Deck ${deck + 1}: ${currentSection.toUpperCase()} → ${nextSection.toUpperCase()}`);
+            log.info(`🔄 Deck ${deck + 1}: ${currentSection.toUpperCase()} → ${nextSection.toUpperCase()}`);
 
             // Play the next section (don't await, let it happen asynchronously)
             this.play(currentSong, deck, nextSection, 0);
@@ -248,7 +274,7 @@ export class AudioPlayer {
       };
 
     } catch (error) {
-      console.error(`Failed to play ${filePath}:`, error);
+      log.error(`Failed to play ${filePath}:`, error);
     }
   }
 
@@ -269,8 +295,35 @@ export class AudioPlayer {
       // Clear tracking info to stop auto-transitions
       this.deckSongs.delete(deck);
       this.deckSections.delete(deck);
+      this.clearEndingWarning(deck);
+
+      log.info(`⏹️  Stopped Deck ${deck + 1}`);
+    }
+  }
+
+  /**
+   * Notify onDeckEnding once a deck is close to the end of its body section
+   * @param {number} deck - Deck number (0-3)
+   * @param {number} delaySeconds - Time until the warning should start
+   */
+  scheduleEndingWarning(deck, delaySeconds) {
+    const timer = setTimeout(() => {
+      this.endingTimers.delete(deck);
+      this.endingDecks.add(deck);
+      this.onDeckEnding?.(deck, true);
+    }, Math.max(0, delaySeconds) * 1000);
+    this.endingTimers.set(deck, timer);
+  }
 
-      console.log(`⏹️  Stopped Deck ${deck + 1}`);
+  /**
+   * Cancel a pending ending warning and clear an active one
+   * @param {number} deck - Deck number (0-3)
+   */
+  clearEndingWarning(deck) {
+    clearTimeout(this.endingTimers.get(deck));
+    this.endingTimers.delete(deck);
+    if (this.endingDecks.delete(deck)) {
+      this.onDeckEnding?.(deck, false);
     }
   }
 
@@ -282,7 +335,7 @@ export class AudioPlayer {
   fadeOut(deck, fadeTime = 0.2) {
     const source = this.activeSources.get(deck);
     if (!source) {
-      console.log(`⚠️  No audio playing on Deck ${deck + 1}`);
+      log.info(`⚠️  No audio playing on Deck ${deck + 1}`);
       return;
     }
 
@@ -297,7 +350,7 @@ export class AudioPlayer {
       gainNode.gain.setValueAtTime(gainNode.gain.value, now);
       gainNode.gain.linearRampToValueAtTime(0, now + fadeTime);
 
-      console.log(`🔇 Deck ${deck + 1} FADE OUT (${fadeTime * 1000}ms)`);
+      log.info(`🔇 Deck ${deck + 1} FADE OUT (${fadeTime * 1000}ms)`);
 
       // Stop completely after fade and restore gain
       setTimeout(() => {
@@ -305,7 +358,7 @@ export class AudioPlayer {
         gainNode.gain.value = 1.0; // Restore full volume for next play
       }, fadeTime * 1000 + 50);
     } catch (error) {
-      console.error(`Failed to fade out Deck ${deck + 1}:`, error);
+      log.error(`Failed to fade out Deck ${deck + 1}:`, error);
     }
   }
 
@@ -316,7 +369,7 @@ export class AudioPlayer {
   spindown(deck) {
     const source = this.activeSources.get(deck);
     if (!source || !source.playbackRate) {
-      console.log(`⚠️  No audio playing on Deck ${deck + 1}`);
+      log.info(`⚠️  No audio playing on Deck ${deck + 1}`);
       return;
     }
 
@@ -329,14 +382,14 @@ export class AudioPlayer {
       source.playbackRate.setValueAtTime(source.playbackRate.value, now);
       source.playbackRate.exponentialRampToValueAtTime(0.01, now + spindownTime);
 
-      console.log(`🛑 Deck ${deck + 1} SPINDOWN`);
+      log.info(`🛑 Deck ${deck + 1} SPINDOWN`);
 
       // Stop completely after spindown
       setTimeout(() => {
         this.stop(deck);
       }, spindownTime * 1000 + 100);
     } catch (error) {
-      console.error(`Failed to spindown Deck ${deck + 1}:`, error);
+      log.error(`Failed to spindown Deck ${deck + 1}:`, error);
     }
   }
 
@@ -360,7 +413,7 @@ export class AudioPlayer {
       // Convert MIDI 0-127 to gain 0.0-1.0
       const gain = volume / 127;
       gainNode.gain.value = gain;
-      console.log(`🔊 Deck ${deck + 1} volume: ${Math.round(gain * 100)}%`);
+      log.debug(`🔊 Deck ${deck + 1} volume: ${Math.round(gain * 100)}%`);
     }
   }
 
@@ -384,7 +437,7 @@ export class AudioPlayer {
     const leadPath = `/music/${songId}-lead.wav`;
     const bodyPath = `/music/${songId}-body.wav`;
 
-    console.log(`⏳ Preloading: ${song.title}...`);
+    log.info(`⏳ Preloading: ${song.title}...`);
 
     try {
       // Load both files in parallel
@@ -392,9 +445,9 @@ export class AudioPlayer {
         this.loadAudio(leadPath),
         this.loadAudio(bodyPath)
       ]);
-      console.log(`✓ Preloaded: ${song.title}`);
+      log.info(`✓ Preloaded: ${song.title}`);
     } catch (error) {
-      console.error(`Failed to preload: ${song.title}`, error);
+      log.error(`Failed to preload: ${song.title}`, error);
     }
   }
 
@@ -409,9 +462,9 @@ export class AudioPlayer {
     if (this.audioContext.state === 'suspended') {
       try {
         await this.audioContext.resume();
-        console.log('🔊 Audio context resumed for roll');
+        log.info('🔊 Audio context resumed for roll');
       } catch (error) {
-        console.error('Failed to resume audio context:', error);
+        log.error('Failed to resume audio context:', error);
         return;
       }
     }
@@ -421,11 +474,11 @@ export class AudioPlayer {
     const section = this.deckSections.get(deck) || 'body'; // Default to body if nothing playing
 
     if (!rollSong) {
-      console.log(`⚠️  No song loaded on Deck ${deck + 1}`);
+      log.info(`⚠️  No song loaded on Deck ${deck + 1}`);
       return;
     }
 
-    console.log(`🔁 Starting roll: ${rollSong.title}, section=${section}, beats=${rollBeats}`);
+    log.info(`🔁 Starting roll: ${rollSong.title}, section=${section}, beats=${rollBeats}`);
 
     // Calculate current position in the song
     const playbackStart = this.deckPlaybackStarts.get(deck);
@@ -433,7 +486,7 @@ export class AudioPlayer {
     if (playbackStart) {
       const elapsedTime = this.audioContext.currentTime - playbackStart.contextTime;
       currentPosition = playbackStart.sectionStart + elapsedTime;
-      console.log(`🔁 Current position: ${currentPosition.toFixed(2)}s into ${section}`);
+      log.debug(`🔁 Current position: ${currentPosition.toFixed(2)}s into ${section}`);
     }
 
     // Stop current playback and save state
@@ -464,7 +517,7 @@ export class AudioPlayer {
       const beatsPerSecond = rollSong.bpm / 60;
       const rollDuration = rollBeats / beatsPerSecond;
 
-      console.log(`🔁 Roll settings: BPM=${rollSong.bpm}, duration=${(rollDuration * 1000).toFixed(1)}ms, from position ${currentPosition.toFixed(2)}s`);
+      log.debug(`🔁 Roll settings: BPM=${rollSong.bpm}, duration=${(rollDuration * 1000).toFixed(1)}ms, from position ${currentPosition.toFixed(2)}s`);
 
       // Create looping source
       const source = this.audioContext.createBufferSource();
@@ -485,9 +538,9 @@ export class AudioPlayer {
       // Start playing from current position
       source.start(0, currentPosition);
 
-      console.log(`🔁 Deck ${deck + 1} ROLL ACTIVE: ${rollBeats} beats (${(rollDuration * 1000).toFixed(0)}ms loop)`);
+      log.info(`🔁 Deck ${deck + 1} ROLL ACTIVE: ${rollBeats} beats (${(rollDuration * 1000).toFixed(0)}ms loop)`);
     } catch (error) {
-      console.error(`Failed to start roll on Deck ${deck + 1}:`, error);
+      log.error(`Failed to start roll on Deck ${deck + 1}:`, error);
       this.rollStates.delete(deck);
     }
   }
@@ -499,24 +552,19 @@ export class AudioPlayer {
   stopRoll(deck) {
     const rollState = this.rollStates.get(deck);
     if (!rollState || !rollState.active) {
-      console.log(`⚠️  No active roll on Deck ${deck + 1}`);
+      log.info(`⚠️  No active roll on Deck ${deck + 1}`);
       return;
     }
 
     // Calculate how long the roll was active
     const rollDuration = this.audioContext.currentTime - rollState.rollStartTime;
-    console.log(`🔁 Deck ${deck + 1} ROLL END after ${(rollDuration * 1000).toFixed(0)}ms`);
+    log.info(`🔁 Deck ${deck + 1} ROLL END after ${(rollDuration * 1000).toFixed(0)}ms`);
 
     // Calculate where playback should resume (as if the button was never pressed)
     const { savedSong, savedSection, savedPosition } = rollState;
     const resumePosition = savedPosition + rollDuration;
 
-    // Get section duration
-    const beatsPerSecond = savedSong.bpm / 60;
-    const sectionBeats = savedSection === 'lead' ? 16 : 64;
-    const sectionDuration = sectionBeats / beatsPerSecond;
-
-    console.log(`🔁 Resume calculation: was at ${savedPosition.toFixed(2)}s, roll lasted ${rollDuration.toFixed(2)}s, resuming at ${resumePosition.toFixed(2)}s`);
+    log.debug(`🔁 Resume calculation: was at ${savedPosition.toFixed(2)}s, roll lasted ${rollDuration.toFixed(2)}s, resuming at ${resumePosition.toFixed(2)}s`);
 
     // Stop the rolling source
     const source = this.activeSources.get(deck);
@@ -533,19 +581,181 @@ export class AudioPlayer {
     // Clear roll state
     this.rollStates.delete(deck);
 
+    this.resumeAt(deck, savedSong, savedSection, resumePosition);
+  }
+
+  /**
+   * Resume normal playback after a roll or slice, continuing into the next
+   * section if the saved position has run past the end of the current one
+   * @param {number} deck - Deck number (0-3)
+   * @param {Object} song - Song that was playing
+   * @param {string} section - 'lead' or 'body'
+   * @param {number} resumePosition - Position in seconds within the section
+   */
+  resumeAt(deck, song, section, resumePosition) {
+    const beatsPerSecond = song.bpm / 60;
+    const sectionBeats = section === 'lead' ? 16 : 64;
+    const sectionDuration = sectionBeats / beatsPerSecond;
+
     // Check if we've gone past the end of the section
     if (resumePosition >= sectionDuration) {
       // We've passed the end - transition to next section
-      const nextSection = savedSection === 'lead' ? 'body' : 'lead';
+      const nextSection = section === 'lead' ? 'body' : 'lead';
       const overflow = resumePosition - sectionDuration;
-      console.log(`▶️  Section ended during roll, transitioning to ${nextSection} at ${overflow.toFixed(2)}s`);
-      this.play(savedSong, deck, nextSection, overflow * beatsPerSecond);
+      log.info(`▶️  Section ended, transitioning to ${nextSection} at ${overflow.toFixed(2)}s`);
+      this.play(song, deck, nextSection, overflow * beatsPerSecond);
     } else {
       // Resume from calculated position within current section
       const resumeBeats = resumePosition * beatsPerSecond;
-      console.log(`▶️  Resuming: ${savedSong.title} (${savedSection}) at beat ${resumeBeats.toFixed(2)}`);
-      this.play(savedSong, deck, savedSection, resumeBeats);
+      log.info(`▶️  Resuming: ${song.title} (${section}) at beat ${resumeBeats.toFixed(2)}`);
+      this.play(song, deck, section, resumeBeats);
+    }
+  }
+
+  /**
+   * Start playing one slice of the current bar (SLICER mode)
+   * The bar under the playhead is split into 8 equal slices. The chosen slice
+   * starts on the next slice boundary and loops while the pad is held.
+   * @param {number} deck - Deck number (0-3)
+   * @param {number} slice - Slice index (0-7)
+   * @param {Object} song - Song object to slice (if not currently playing)
+   */
+  async startSlice(deck, slice, song) {
+    if (this.audioContext.state === 'suspended') {
+      try {
+        await this.audioContext.resume();
+      } catch (error) {
+        log.error('Failed to resume audio context:', error);
+        return;
+      }
+    }
+
+    // Keep the original background position if another slice is already held
+    const previous = this.slicerStates.get(deck);
+    const sliceSong = previous?.savedSong || song || this.deckSongs.get(deck);
+    const section = previous?.savedSection || this.deckSections.get(deck) || 'body';
+    if (!sliceSong) {
+      log.info(`⚠️  No song loaded on Deck ${deck + 1}`);
+      return;
+    }
+
+    const beatsPerSecond = sliceSong.bpm / 60;
+    const sliceDuration = (SLICER_BAR_BEATS / SLICER_SLICES) / beatsPerSecond;
+    const now = this.audioContext.currentTime;
+
+    // Where the background playback is right now
+    let currentPosition = 0;
+    if (previous) {
+      currentPosition = previous.savedPosition + (now - previous.pressTime);
+    } else {
+      const playbackStart = this.deckPlaybackStarts.get(deck);
+      if (playbackStart && this.activeSources.has(deck)) {
+        currentPosition = playbackStart.sectionStart + (now - playbackStart.contextTime);
+      }
     }
+
+    // Quantize: start on the next slice boundary of the current bar
+    const barDuration = SLICER_BAR_BEATS / beatsPerSecond;
+    const barStart = Math.floor(currentPosition / barDuration) * barDuration;
+    const nextBoundary = Math.ceil((currentPosition - barStart) / sliceDuration - 1e-6) * sliceDuration;
+    const startAt = now + (barStart + nextBoundary - currentPosition);
+    const sliceStart = barStart + slice * sliceDuration;
+
+    const songId = String(sliceSong.id).padStart(8, '0');
+    const filePath = `/music/${songId}-${section}.wav`;
+
+    try {
+      const audioBuffer = await this.loadAudio(filePath);
+
+      // Let the background (or previous slice) run until the boundary
+      const currentSource = this.activeSources.get(deck);
+      if (currentSource) {
+        try {
+          currentSource.onended = null;
+          currentSource.stop(startAt);
+        } catch (e) {
+          // Already stopped
+        }
+      }
+
+      this.slicerStates.set(deck, {
+        active: true,
+        pressTime: previous ? previous.pressTime : now,
+        savedPosition: previous ? previous.savedPosition : currentPosition,
+        savedSection: section,
+        savedSong: sliceSong,
+        slice,
+        replacedSource: currentSource || null // still playing until the boundary
+      });
+
+      const source = this.audioContext.createBufferSource();
+      source.buffer = audioBuffer;
+      source.loop = true;
+      source.loopStart = sliceStart;
+      source.loopEnd = Math.min(sliceStart + sliceDuration, audioBuffer.duration);
+
+      const echo = this.echoEffects.get(deck);
+      source.connect(echo.dry);
+      source.connect(echo.delay);
+
+      this.activeSources.set(deck, source);
+      source.start(startAt, sliceStart);
+
+      log.info(`🔪 Deck ${deck + 1} SLICE ${slice + 1}/${SLICER_SLICES} from ${sliceStart.toFixed(2)}s in ${((startAt - now) * 1000).toFixed(0)}ms`);
+    } catch (error) {
+      log.error(`Failed to start slice on Deck ${deck + 1}:`, error);
+      this.slicerStates.delete(deck);
+    }
+  }
+
+  /**
+   * Stop slicing and resume the background position as if the pad was never pressed
+   * @param {number} deck - Deck number (0-3)
+   * @param {number} slice - Slice being released; ignored if another slice took over
+   */
+  stopSlice(deck, slice) {
+    const slicerState = this.slicerStates.get(deck);
+    if (!slicerState || !slicerState.active || slicerState.slice !== slice) {
+      return;
+    }
+
+    // Stop the slice, and whatever it was waiting to replace if released before the boundary
+    [this.activeSources.get(deck), slicerState.replacedSource].forEach(source => {
+      try {
+        source?.stop();
+      } catch (e) {
+        // Already stopped
+      }
+    });
+    this.activeSources.delete(deck);
+    this.slicerStates.delete(deck);
+
+    const { savedSong, savedSection, savedPosition, pressTime } = slicerState;
+    const resumePosition = savedPosition + (this.audioContext.currentTime - pressTime);
+    log.info(`🔪 Deck ${deck + 1} SLICE END, resuming at ${resumePosition.toFixed(2)}s`);
+    this.resumeAt(deck, savedSong, savedSection, resumePosition);
+  }
+
+  /**
+   * Get the slice (0-7) of the current bar under a deck's playhead
+   * While a slice pad is held, that slice is reported.
+   * @param {number} deck - Deck number (0-3)
+   * @returns {number|null} - Slice index, or null if the deck is not playing
+   */
+  getSlicerSlice(deck) {
+    const slicerState = this.slicerStates.get(deck);
+    if (slicerState) {
+      return slicerState.slice;
+    }
+
+    const playback = this.activeSources.has(deck) ? this.getCurrentPlaybackState(deck) : null;
+    if (!playback) {
+      return null;
+    }
+
+    const beats = playback.position * (playback.song.bpm / 60);
+    const beatInBar = beats % SLICER_BAR_BEATS;
+    return Math.floor(beatInBar / (SLICER_BAR_BEATS / SLICER_SLICES)) % SLICER_SLICES;
   }
 
   /**
@@ -557,9 +767,9 @@ export class AudioPlayer {
     if (this.audioContext.state === 'suspended') {
       try {
         await this.audioContext.resume();
-        console.log('🔊 Audio context resumed for reverse');
+        log.info('🔊 Audio context resumed for reverse');
       } catch (error) {
-        console.error('Failed to resume audio context:', error);
+        log.error('Failed to resume audio context:', error);
         return;
       }
     }
@@ -568,11 +778,11 @@ export class AudioPlayer {
     const section = this.deckSections.get(deck) || 'body';
 
     if (!song) {
-      console.log(`⚠️  No song loaded on Deck ${deck + 1}`);
+      log.info(`⚠️  No song loaded on Deck ${deck + 1}`);
       return;
     }
 
-    console.log(`⏪ Starting reverse: ${song.title}, section=${section}`);
+    log.info(`⏪ Starting reverse: ${song.title}, section=${section}`);
 
     // Calculate current position in the song
     const playbackStart = this.deckPlaybackStarts.get(deck);
@@ -580,7 +790,7 @@ export class AudioPlayer {
     if (playbackStart) {
       const elapsedTime = this.audioContext.currentTime - playbackStart.contextTime;
       currentPosition = playbackStart.sectionStart + elapsedTime;
-      console.log(`⏪ Current position: ${currentPosition.toFixed(2)}s into ${section}`);
+      log.debug(`⏪ Current position: ${currentPosition.toFixed(2)}s into ${section}`);
     }
 
     // Stop current playback and save state
@@ -644,9 +854,9 @@ export class AudioPlayer {
 
       source.start(0, reversedOffset);
 
-      console.log(`⏪ Deck ${deck + 1} REVERSE ACTIVE from ${currentPosition.toFixed(2)}s (reversed offset: ${reversedOffset.toFixed(2)}s)`);
+      log.info(`⏪ Deck ${deck + 1} REVERSE ACTIVE from ${currentPosition.toFixed(2)}s (reversed offset: ${reversedOffset.toFixed(2)}s)`);
     } catch (error) {
-      console.error(`Failed to start reverse on Deck ${deck + 1}:`, error);
+      log.error(`Failed to start reverse on Deck ${deck + 1}:`, error);
       this.reverseStates.delete(deck);
     }
   }
@@ -684,20 +894,20 @@ export class AudioPlayer {
     // Get source deck's current state
     const sourceState = this.getCurrentPlaybackState(sourceDeck);
     if (!sourceState) {
-      console.log(`⚠️  No playback on Deck ${sourceDeck + 1} to sync from`);
+      log.info(`⚠️  No playback on Deck ${sourceDeck + 1} to sync from`);
       return;
     }
 
     // Get target deck's loaded song
     const targetSong = this.deckSongs.get(targetDeck);
     if (!targetSong) {
-      console.log(`⚠️  No song loaded on Deck ${targetDeck + 1} to sync`);
+      log.info(`⚠️  No song loaded on Deck ${targetDeck + 1} to sync`);
       return;
     }
 
     // Check if tempos match
     if (sourceState.song.bpm !== targetSong.bpm) {
-      console.log(`⚠️  Tempo mismatch: Deck ${sourceDeck + 1} (${sourceState.song.bpm} BPM) vs Deck ${targetDeck + 1} (${targetSong.bpm} BPM)`);
+      log.info(`⚠️  Tempo mismatch: Deck ${sourceDeck + 1} (${sourceState.song.bpm} BPM) vs Deck ${targetDeck + 1} (${targetSong.bpm} BPM)`);
       return;
     }
 
@@ -705,7 +915,7 @@ export class AudioPlayer {
     const beatsPerSecond = targetSong.bpm / 60;
     const positionInBeats = sourceState.position * beatsPerSecond;
 
-    console.log(`🔗 SYNC: Deck ${targetDeck + 1} → Deck ${sourceDeck + 1} at ${sourceState.section} ${positionInBeats.toFixed(2)} beats`);
+    log.info(`🔗 SYNC: Deck ${targetDeck + 1} → Deck ${sourceDeck + 1} at ${sourceState.section} ${positionInBeats.toFixed(2)} beats`);
     this.play(targetSong, targetDeck, sourceState.section, positionInBeats);
   }
 
@@ -716,13 +926,13 @@ export class AudioPlayer {
   stopReverse(deck) {
     const reverseState = this.reverseStates.get(deck);
     if (!reverseState || !reverseState.active) {
-      console.log(`⚠️  No active reverse on Deck ${deck + 1}`);
+      log.info(`⚠️  No active reverse on Deck ${deck + 1}`);
       return;
     }
 
     // Calculate how long the reverse was active
     const reverseDuration = this.audioContext.currentTime - reverseState.reverseStartTime;
-    console.log(`⏪ Deck ${deck + 1} REVERSE END after ${(reverseDuration * 1000).toFixed(0)}ms`);
+    log.info(`⏪ Deck ${deck + 1} REVERSE END after ${(reverseDuration * 1000).toFixed(0)}ms`);
 
     // Calculate where playback should resume (as if button was never pressed)
     const { savedSong, savedSection, savedPosition } = reverseState;
@@ -733,7 +943,7 @@ export class AudioPlayer {
     const sectionBeats = savedSection === 'lead' ? 16 : 64;
     const sectionDuration = sectionBeats / beatsPerSecond;
 
-    console.log(`⏪ Resume calculation: was at ${savedPosition.toFixed(2)}s, reverse lasted ${reverseDuration.toFixed(2)}s, resuming at ${resumePosition.toFixed(2)}s`);
+    log.debug(`⏪ Resume calculation: was at ${savedPosition.toFixed(2)}s, reverse lasted ${reverseDuration.toFixed(2)}s, resuming at ${resumePosition.toFixed(2)}s`);
 
     // Stop the reverse source
     const source = this.activeSources.get(deck);
@@ -755,16 +965,16 @@ export class AudioPlayer {
       // We've passed the end - transition to next section
       const nextSection = savedSection === 'lead' ? 'body' : 'lead';
       const overflow = resumePosition - sectionDuration;
-      console.log(`▶️  Section ended during reverse, transitioning to ${nextSection} at ${overflow.toFixed(2)}s`);
+      log.info(`▶️  Section ended during reverse, transitioning to ${nextSection} at ${overflow.toFixed(2)}s`);
       this.play(savedSong, deck, nextSection, overflow * beatsPerSecond);
     } else if (resumePosition < 0) {
       // We've gone past the beginning - stay at the start
-      console.log(`▶️  Resuming: ${savedSong.title} (${savedSection}) at beginning`);
+      log.info(`▶️  Resuming: ${savedSong.title} (${savedSection}) at beginning`);
       this.play(savedSong, deck, savedSection, 0);
     } else {
       // Resume from calculated position within current section
       const resumeBeats = resumePosition * beatsPerSecond;
-      console.log(`▶️  Resuming: ${savedSong.title} (${savedSection}) at beat ${resumeBeats.toFixed(2)}`);
+      log.info(`▶️  Resuming: ${savedSong.title} (${savedSection}) at beat ${resumeBeats.toFixed(2)}`);
       this.play(savedSong, deck, savedSection, resumeBeats);
     }
   }
@@ -784,7 +994,7 @@ export class AudioPlayer {
     const delayTime = secondsPerBeat * beats;
 
     echo.delay.delayTime.setValueAtTime(delayTime, this.audioContext.currentTime);
-    console.log(`🔊 Echo time: Deck ${deck + 1} = ${beats} beats @ ${bpm} BPM = ${delayTime.toFixed(3)}s`);
+    log.debug(`🔊 Echo time: Deck ${deck + 1} = ${beats} beats @ ${bpm} BPM = ${delayTime.toFixed(3)}s`);
   }
 
   /**
@@ -799,7 +1009,7 @@ export class AudioPlayer {
     // Convert MIDI value to feedback gain (0-0.9, capped to prevent runaway feedback)
     const feedback = Math.min((value / 127) * 0.9, 0.9);
     echo.feedback.gain.setValueAtTime(feedback, this.audioContext.currentTime);
-    console.log(`🔊 Echo feedback: Deck ${deck + 1} = ${Math.round(feedback * 100)}%`);
+    log.debug(`🔊 Echo feedback: Deck ${deck + 1} = ${Math.round(feedback * 100)}%`);
   }
 
   /**
@@ -814,7 +1024,7 @@ export class AudioPlayer {
     // Convert MIDI value to wet gain (0-1)
     const wetLevel = value / 127;
     echo.wet.gain.setValueAtTime(wetLevel, this.audioContext.currentTime);
-    console.log(`🔊 Echo level: Deck ${deck + 1} = ${Math.round(wetLevel * 100)}%`);
+    log.debug(`🔊 Echo level: Deck ${deck + 1} = ${Math.round(wetLevel * 100)}%`);
   }
 
   /**
@@ -829,7 +1039,7 @@ export class AudioPlayer {
     // Convert MIDI value to frequency (200Hz - 12000Hz)
     const frequency = 200 + (value / 127) * 11800;
     echo.filter.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-    console.log(`🔊 Echo filter: Deck ${deck + 1} = ${Math.round(frequency)}Hz`);
+    log.debug(`🔊 Echo filter: Deck ${deck + 1} = ${Math.round(frequency)}Hz`);
   }
 
   /**
@@ -853,6 +1063,6 @@ export class AudioPlayer {
       echo.wet.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + 0.05);
     }
 
-    console.log(`🔊 Echo: Deck ${deck + 1} ${enabled ? 'ON' : 'OFF'}`);
+    log.info(`🔊 Echo: Deck ${deck + 1} ${enabled ? 'ON' : 'OFF'}`);
   }
 }
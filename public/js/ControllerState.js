@@ -4,6 +4,11 @@
  * Manages the state of all controls on the DDJ-SP1 controller.
  * Single source of truth for button states, knob values, and lock states.
  */
+
+import { createLogger } from './Logger.js';
+
+const log = createLogger('app');
+
 export class ControllerState {
   constructor() {
     this.controls = new Map();
@@ -87,7 +92,7 @@ export class ControllerState {
       if (id === 'button-114-ch2' || id === 'button-114-ch3') {
         const channel = id === 'button-114-ch2' ? 2 : 3;
         this.deckButtonStates.set(channel, pressed);
-        console.log(`🎚️ DECK button ch${channel}: ${pressed ? 'ON' : 'OFF'}`);
+        log.debug(`🎚️ DECK button ch${channel}: ${pressed ? 'ON' : 'OFF'}`);
       }
 
       return control;
@@ -0,0 +1,114 @@
+/**
+ * Logger
+ *
+ * Browser counterpart of the server's level-based logger. Each subsystem
+ * (app, ws, audio, ...) has its own threshold, falling back to the default.
+ * Warnings and errors can be forwarded to the server so they end up in its log.
+ *
+ * Configure with ?log=info,audio=debug in the URL, or persist it with
+ * localStorage.setItem('ddjLog', 'debug').
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+const config = { level: 'info', subsystems: {} };
+let forwarder = null;
+let forwarding = false;
+
+/**
+ * Parse a spec such as "info,audio=debug"; unknown levels are ignored
+ */
+export function parseLogSpec(spec) {
+  const result = { level: config.level, subsystems: {} };
+  spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [name, level] = part.includes('=') ? part.split('=').map(s => s.trim()) : [null, part];
+    if (!LOG_LEVELS.includes(level)) return;
+    if (name === null) {
+      result.level = level;
+    } else {
+      result.subsystems[name] = level;
+    }
+  });
+  return result;
+}
+
+/**
+ * Replace the default level and/or the per-subsystem levels
+ */
+export function configureLogging({ level, subsystems } = {}) {
+  if (level !== undefined) config.level = level;
+  if (subsystems !== undefined) config.subsystems = { ...subsystems };
+}
+
+/**
+ * Change the level of one subsystem, or the default level when no subsystem is given
+ */
+export function setLogLevel(level, subsystem) {
+  if (subsystem) {
+    config.subsystems[subsystem] = level;
+  } else {
+    config.level = level;
+  }
+}
+
+/**
+ * Forward warnings and errors, e.g. to the server
+ * @param {Function|null} callback - callback({ level, subsystem, message })
+ */
+export function setLogForwarder(callback) {
+  forwarder = callback;
+}
+
+/**
+ * Create a logger for a subsystem
+ * Methods take a message plus optional extra values, like console.log
+ */
+export function createLogger(subsystem) {
+  const isEnabled = (level) => {
+    const threshold = config.subsystems[subsystem] ?? config.level;
+    return level !== 'silent' && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+  };
+
+  const write = (level, message, ...data) => {
+    if (!isEnabled(level)) return;
+    console[CONSOLE_METHODS[level]](`[${subsystem}]`, message, ...data);
+
+    // Guard against loops: the forwarder itself may log (e.g. "not connected")
+    if (forwarder && (level === 'warn' || level === 'error') && !forwarding) {
+      forwarding = true;
+      try {
+        forwarder({ level, subsystem, message: [message, ...data.map(formatValue)].join(' ') });
+      } finally {
+        forwarding = false;
+      }
+    }
+  };
+
+  return {
+    debug: (message, ...data) => write('debug', message, ...data),
+    info: (message, ...data) => write('info', message, ...data),
+    warn: (message, ...data) => write('warn', message, ...data),
+    error: (message, ...data) => write('error', message, ...data),
+    isEnabled
+  };
+}
+
+function formatValue(value) {
+  if (value instanceof Error) return value.message;
+  if (typeof value === 'object') {
+    try {
+      return JSON.stringify(value);
+    } catch (e) {
+      return String(value);
+    }
+  }
+  return String(value);
+}
+
+// Initial configuration: URL (?log=...) wins over localStorage
+const spec = new URLSearchParams(window.location.search).get('log') ?? window.localStorage?.getItem('ddjLog');
+if (spec) {
+  configureLogging(parseLogSpec(spec));
+}
@@ -0,0 +1,14 @@
+/**
+ * Types for the browser copy of the message catalog (Protocol.js), so the
+ * server's drift test can import it type-checked. The catalogs are keyed by
+ * the same message types as src/Protocol.ts.
+ */
+
+import type { ClientMessageType, Schema, ServerMessageType } from '../../src/Protocol.js';
+
+export declare const PROTOCOL_VERSION: number;
+export declare const SERVER_MESSAGE_SCHEMAS: Record<ServerMessageType, Schema>;
+export declare const CLIENT_MESSAGE_SCHEMAS: Record<ClientMessageType, Schema>;
+
+export declare function validateSchema(value: unknown, schema: Schema, path?: string): string[];
+export declare function validateMessage(message: unknown, schemas: Record<string, Schema>): string[];
@@ -0,0 +1,178 @@
+/**
+ * Protocol
+ *
+ * Browser copy of the WebSocket message catalog (see src/Protocol.ts).
+ * Every message is { type, data }; incoming messages are checked against
+ * SERVER_MESSAGE_SCHEMAS and outgoing ones against CLIENT_MESSAGE_SCHEMAS.
+ * Keep both files (and Protocol.d.ts) in step and bump PROTOCOL_VERSION on
+ * incompatible changes.
+ */
+
+export const PROTOCOL_VERSION = 2;
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const LOG_SUBSYSTEMS = ['app', 'midi', 'leds', 'state', 'ws', 'osc', 'plugins', 'audio'];
+const GESTURE_TYPES = ['longPress', 'doubleTap', 'chord'];
+const SAMPLER_PAD_STATUSES = ['empty', 'loaded', 'playing'];
+const PAD_MODE_IDS = ['hotCue', 'roll', 'slicer', 'sampler'];
+const DECK_SECTIONS = ['lead', 'body'];
+const ERROR_CODES = ['invalidJson', 'unknownType', 'invalidMessage', 'handshakeRequired', 'unsupportedVersion', 'commandFailed'];
+
+const integer = (min, max) => ({ type: 'integer', min, max });
+const boolean = { type: 'boolean' };
+const string = { type: 'string' };
+const object = (fields) => ({ type: 'object', fields });
+const optional = (schema) => ({ ...schema, optional: true });
+
+const channel = integer(0, 15);
+const midiValue = integer(0, 127);
+const deck = integer(1);
+const note = object({ channel, note: midiValue });
+const tempo = { type: 'integer', values: [84, 94, 102] };
+const logLevel = { type: 'string', values: LOG_LEVELS };
+const hello = object({ protocolVersion: integer(1) });
+const lock = object({ button: midiValue, channel, locked: boolean });
+const section = { type: 'string', values: DECK_SECTIONS, nullable: true };
+const fxKnobs = { beats: optional({ type: 'number', values: [1, 0.5] }), level: optional(midiValue), feedback: optional(midiValue), filter: optional(midiValue) };
+const deckState = object({
+  deck,
+  loaded: boolean,
+  songId: { ...integer(1), nullable: true },
+  section,
+  volume: midiValue,
+  fx: object({ echo: boolean, ...fxKnobs })
+});
+
+export const SERVER_MESSAGE_SCHEMAS = {
+  hello,
+  error: object({ code: { type: 'string', values: ERROR_CODES }, message: string, inReplyTo: optional(string) }),
+  layout: {
+    type: 'array',
+    items: object({ id: string, type: { type: 'string', values: ['button', 'knob', 'slider'] }, channel, number: integer(), label: string, section: string })
+  },
+  deviceStatus: object({ connected: boolean, deviceName: { type: 'string', nullable: true }, virtual: optional(boolean) }),
+  event: object({
+    type: { type: 'string', values: ['button', 'knob'] },
+    channel,
+    button: optional(midiValue),
+    pressed: optional(boolean),
+    mainDeckAssigned: optional(boolean),
+    altDeckAssigned: optional(boolean),
+    longPressed: optional(boolean),
+    knob: optional(midiValue),
+    value: optional(midiValue),
+    delta: optional(integer())
+  }),
+  lock,
+  tempoChange: object({ tempo }),
+  snapshot: object({
+    tempo,
+    deckButtons: object({ deck1_3: boolean, deck2_4: boolean }),
+    padModes: object({ deck1: midiValue, deck2: midiValue, deck3: midiValue, deck4: midiValue }),
+    locks: { type: 'array', items: lock },
+    fxAssignments: { type: 'array', items: object({ fx: integer(1), deck }) },
+    syncedDecks: { type: 'array', items: deck },
+    decks: { type: 'array', items: deckState }
+  }),
+  deckState,
+  modeChange: object({ activeMode: midiValue, channel, deck }),
+  padPress: object({ channel, note: midiValue, deck, synced: boolean }),
+  padRelease: object({ channel, note: midiValue, deck }),
+  syncChange: object({ deck, synced: boolean }),
+  spindown: object({ deck }),
+  gesture: object({
+    gesture: { type: 'string', values: GESTURE_TYPES },
+    buttons: { type: 'array', items: note },
+    name: optional(string),
+    deck: optional(deck),
+    durationMs: optional({ type: 'number', min: 0 })
+  }),
+  logConfig: object({ level: logLevel, subsystems: { type: 'object' }, file: { type: 'string', nullable: true } }),
+  loadDeck: object({ deck, songId: optional(integer(1)) }),
+  plugin: object({ plugin: string, event: string, data: optional(object({})) }),
+  leds: object({ leds: { type: 'array', items: object({ channel, note: midiValue, velocity: midiValue }) } })
+};
+
+export const CLIENT_MESSAGE_SCHEMAS = {
+  hello,
+  deckLoad: object({ deck, loaded: boolean, songId: optional(integer(1)) }),
+  deckUpdate: object({
+    deck,
+    section: optional(section),
+    volume: optional(midiValue),
+    fx: optional(object({ echo: optional(boolean), ...fxKnobs }))
+  }),
+  deckEnding: object({ deck, ending: boolean }),
+  slicerPosition: object({ deck, slice: { ...integer(0), nullable: true } }),
+  samplerStatus: object({ pads: { type: 'array', items: { type: 'string', values: SAMPLER_PAD_STATUSES } } }),
+  setLogLevel: object({ level: logLevel, subsystem: optional({ type: 'string', values: LOG_SUBSYSTEMS }) }),
+  log: object({ level: { type: 'string', values: ['warn', 'error'] }, subsystem: string, message: string }),
+  setTempo: object({ tempo }),
+  setPadMode: object({ deck, mode: { type: 'string', values: PAD_MODE_IDS } }),
+  toggleFXAssign: object({ fx: integer(1), deck }),
+  toggleDeck: object({ side: integer(0, 1) }),
+  setLeds: object({ leds: { type: 'array', items: object({ channel, note: midiValue, velocity: midiValue }) } }),
+  sync: object({ deck }),
+  spindown: object({ deck }),
+  startClock: object({ position: optional(integer(0, 16383)) }),
+  stopClock: object({}),
+  virtualButton: object({ channel, note: midiValue, pressed: boolean }),
+  virtualKnob: object({ channel, controller: midiValue, steps: integer(-63, 63) })
+};
+
+/**
+ * Check a value against a schema
+ * @returns {string[]} problems (empty if valid)
+ */
+export function validateSchema(value, schema, path = 'data') {
+  if (value === null && schema.nullable) return [];
+
+  const problems = [];
+  const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v);
+  const typeOk = {
+    integer: Number.isInteger(value),
+    number: typeof value === 'number' && Number.isFinite(value),
+    boolean: typeof value === 'boolean',
+    string: typeof value === 'string',
+    object: isObject(value),
+    array: Array.isArray(value)
+  }[schema.type];
+
+  if (!typeOk) {
+    return [`${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}${schema.nullable ? ' or null' : ''}`];
+  }
+  if (schema.values && !schema.values.includes(value)) {
+    problems.push(`${path} must be one of ${schema.values.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.min !== undefined && value < schema.min) problems.push(`${path} must be >= ${schema.min}`);
+    if (schema.max !== undefined && value > schema.max) problems.push(`${path} must be <= ${schema.max}`);
+  }
+  if (schema.fields && isObject(value)) {
+    Object.entries(schema.fields).forEach(([key, field]) => {
+      if (value[key] === undefined) {
+        if (!field.optional) problems.push(`${path}.${key} is required`);
+        return;
+      }
+      problems.push(...validateSchema(value[key], field, `${path}.${key}`));
+    });
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, i) => problems.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  return problems;
+}
+
+/**
+ * Check a { type, data } message against a catalog
+ * @returns {string[]} problems (empty if valid)
+ */
+export function validateMessage(message, schemas) {
+  if (typeof message !== 'object' || message === null || typeof message.type !== 'string') {
+    return ['message must be an object with a string type'];
+  }
+  if (!Object.prototype.hasOwnProperty.call(schemas, message.type)) {
+    return [`unknown message type: ${message.type}`];
+  }
+  return validateSchema(message.data, schemas[message.type]);
+}
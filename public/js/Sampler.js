@@ -0,0 +1,210 @@
+/**
+ * Sampler
+ *
+ * Plays SAMPLER pad mode samples from banks served under /samples
+ * Samples run through their own bus (SAMPLER VOLUME slider) instead of a deck
+ * One-shots play to the end; loops repeat until the pad is pressed again and
+ * are time-stretched to the current BPM when the bank gives their length in beats
+ */
+
+import { createLogger } from './Logger.js';
+
+const log = createLogger('audio');
+
+export class Sampler {
+  /**
+   * @param {AudioContext} audioContext - Shared audio context
+   */
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+
+    // Sampler bus → speakers
+    this.bus = this.audioContext.createGain();
+    this.bus.gain.value = 1.0;
+    this.bus.connect(this.audioContext.destination);
+
+    this.banks = []; // [{ name, pads: [{ pad, name, url, mode, gain, beats }] }]
+    this.bankIndex = 0;
+    this.tempo = 94;
+
+    this.buffers = new Map(); // key: url, value: AudioBuffer
+    this.voices = new Map(); // key: pad (0-7), value: { source, gain, sample }
+
+    this.onStatusChange = null; // callback(statuses) with 'empty' | 'loaded' | 'playing' per pad
+  }
+
+  /**
+   * Fetch the bank list from the server and load the first bank
+   */
+  async loadBanks() {
+    try {
+      const response = await fetch('/api/samples');
+      this.banks = await response.json();
+      log.info(`🥁 Sampler: ${this.banks.length} bank(s) available`);
+    } catch (error) {
+      log.error('Failed to load sample banks:', error);
+      this.banks = [];
+    }
+    await this.selectBank(0);
+  }
+
+  /**
+   * Switch to another bank, stopping anything still playing
+   * @param {number} index - Bank index
+   */
+  async selectBank(index) {
+    this.stopAll();
+    this.bankIndex = index;
+
+    const bank = this.getBank();
+    if (!bank) {
+      this.notifyStatus();
+      return;
+    }
+
+    log.info(`🥁 Sampler bank: ${bank.name}`);
+    await Promise.all(bank.pads.map(async (sample) => {
+      try {
+        await this.loadBuffer(sample.url);
+      } catch (error) {
+        log.error(`Failed to load sample ${sample.url}:`, error);
+      }
+    }));
+    this.notifyStatus();
+  }
+
+  /**
+   * Get the active bank (or null)
+   */
+  getBank() {
+    return this.banks[this.bankIndex] || null;
+  }
+
+  /**
+   * Load and cache a sample
+   */
+  async loadBuffer(url) {
+    if (this.buffers.has(url)) {
+      return this.buffers.get(url);
+    }
+    const response = await fetch(url);
+    const arrayBuffer = await response.arrayBuffer();
+    const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+    this.buffers.set(url, audioBuffer);
+    return audioBuffer;
+  }
+
+  /**
+   * Handle a pad press: start a sample, retrigger a one-shot, or stop a running loop
+   * @param {number} pad - Pad index (0-7)
+   */
+  trigger(pad) {
+    const sample = this.getBank()?.pads.find(p => p.pad === pad);
+    const buffer = sample && this.buffers.get(sample.url);
+    if (!buffer) {
+      log.info(`⚠️  No sample on pad ${pad + 1}`);
+      return;
+    }
+
+    const playing = this.voices.get(pad);
+    this.stop(pad);
+    if (playing && sample.mode === 'loop') {
+      return; // Second press stops a loop
+    }
+
+    const source = this.audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.loop = sample.mode === 'loop';
+    source.playbackRate.value = this.getPlaybackRate(sample, buffer);
+
+    const gain = this.audioContext.createGain();
+    gain.gain.value = sample.gain;
+    source.connect(gain);
+    gain.connect(this.bus);
+
+    source.onended = () => {
+      if (this.voices.get(pad)?.source === source) {
+        this.voices.delete(pad);
+        this.notifyStatus();
+      }
+    };
+
+    this.voices.set(pad, { source, gain, sample });
+    source.start();
+    log.info(`🥁 Pad ${pad + 1}: ${sample.name} (${sample.mode})`);
+    this.notifyStatus();
+  }
+
+  /**
+   * Stop a pad's sample
+   * @param {number} pad - Pad index (0-7)
+   */
+  stop(pad) {
+    const voice = this.voices.get(pad);
+    if (!voice) return;
+
+    this.voices.delete(pad);
+    try {
+      voice.source.stop();
+    } catch (e) {
+      // Already stopped
+    }
+    this.notifyStatus();
+  }
+
+  /**
+   * Stop every sample
+   */
+  stopAll() {
+    for (const pad of [...this.voices.keys()]) {
+      this.stop(pad);
+    }
+  }
+
+  /**
+   * Set the sampler bus volume (SAMPLER VOLUME slider)
+   * @param {number} volume - Volume level (0-127 MIDI range)
+   */
+  setVolume(volume) {
+    this.bus.gain.value = volume / 127;
+    log.debug(`🥁 Sampler volume: ${Math.round((volume / 127) * 100)}%`);
+  }
+
+  /**
+   * Follow the global tempo: running tempo-aware loops are re-stretched
+   * @param {number} tempo - BPM
+   */
+  setTempo(tempo) {
+    this.tempo = tempo;
+    for (const voice of this.voices.values()) {
+      voice.source.playbackRate.value = this.getPlaybackRate(voice.sample, voice.source.buffer);
+    }
+  }
+
+  /**
+   * Playback rate that makes a loop of `beats` beats last exactly that long at the current tempo
+   */
+  getPlaybackRate(sample, buffer) {
+    if (sample.mode !== 'loop' || !sample.beats) {
+      return 1;
+    }
+    const targetDuration = sample.beats * 60 / this.tempo;
+    return buffer.duration / targetDuration;
+  }
+
+  /**
+   * Status of every pad: 'empty', 'loaded' or 'playing'
+   */
+  getStatus() {
+    const bank = this.getBank();
+    return Array.from({ length: 8 }, (_, pad) => {
+      if (this.voices.has(pad)) return 'playing';
+      const sample = bank?.pads.find(p => p.pad === pad);
+      return sample && this.buffers.has(sample.url) ? 'loaded' : 'empty';
+    });
+  }
+
+  notifyStatus() {
+    this.onStatusChange?.(this.getStatus());
+  }
+}
@@ -5,6 +5,10 @@
  * E-reader style with zebra striping
  */
 
+import { createLogger } from './Logger.js';
+
+const log = createLogger('app');
+
 export class SongList {
   constructor(containerId, activeTracks) {
     this.container = document.getElementById(containerId);
@@ -28,7 +32,7 @@ export class SongList {
       this.songs = module.songdata || [];
       this.render();
     } catch (error) {
-      console.error('Failed to load songs:', error);
+      log.error('Failed to load songs:', error);
     }
   }
 
@@ -113,10 +117,9 @@ export class SongList {
 
   /**
    * Scroll the list (called by center knob)
-   * @param value - encoder value (1-63 = down, 65-127 = up)
-   * @param multiplier - scroll amount (1 = normal, 4 = quick mode via SHIFT)
+   * @param steps - songs to move (positive = down); the server applies encoder acceleration
    */
-  scroll(value, multiplier = 1) {
+  scroll(steps) {
     const filteredSongs = this.getFilteredSongs();
     if (filteredSongs.length === 0) return;
 
@@ -127,13 +130,7 @@ export class SongList {
     }
     this.lastScrollTime = now;
 
-    // Infinite encoder: 1-63 = down, 65-127 = up
-    // Multiplier sets scroll amount: 1 = normal, 4 = quick mode (one row)
-    if (value < 64) {
-      this.selectedIndex = Math.min(this.selectedIndex + multiplier, filteredSongs.length - 1);
-    } else if (value > 64) {
-      this.selectedIndex = Math.max(this.selectedIndex - multiplier, 0);
-    }
+    this.selectedIndex = Math.max(0, Math.min(this.selectedIndex + steps, filteredSongs.length - 1));
 
     this.render();
     this.scrollToSelected();
@@ -158,6 +155,13 @@ export class SongList {
     return filteredSongs[this.selectedIndex] || null;
   }
 
+  /**
+   * Get a song from the whole library by id (ignores the tempo filter)
+   */
+  getSong(id) {
+    return this.songs.find(song => song.id === id) || null;
+  }
+
   /**
    * Render the song list in 4-column grid layout
    */
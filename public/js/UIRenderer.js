@@ -4,6 +4,11 @@
  * Handles all DOM manipulation for the controller UI.
  * Pure rendering logic separated from state management.
  */
+
+import { createLogger } from './Logger.js';
+
+const log = createLogger('app');
+
 export class UIRenderer {
   constructor() {
     this.fxKnobs = new Set([
@@ -321,6 +326,64 @@ export class UIRenderer {
     }
   }
 
+  /**
+   * Show an LED of the virtual controller on its button
+   * @param {HTMLElement} element - The control container element
+   * @param {number} velocity - LED velocity (0 = off, low = dim)
+   */
+  updateLED(element, velocity) {
+    const button = element.querySelector('.button');
+    if (!button) return;
+
+    button.classList.toggle('led-on', velocity >= 64);
+    button.classList.toggle('led-dim', velocity > 0 && velocity < 64);
+  }
+
+  /**
+   * Show or hide the controller offline banner
+   * @param {boolean} connected - Whether the DDJ-SP1 is connected
+   */
+  updateDeviceStatus(connected) {
+    const banner = document.getElementById('device-banner');
+    if (!banner) return;
+
+    banner.hidden = connected;
+    document.body.classList.toggle('device-offline', !connected);
+  }
+
+  /**
+   * Render the SAMPLER bank selector
+   * @param {Array} banks - Banks from the server ({ name, pads })
+   * @param {number} activeIndex - Selected bank
+   * @param {Function} onSelect - Called with the chosen bank index
+   */
+  renderSamplerBanks(banks, activeIndex, onSelect) {
+    const container = document.getElementById('sampler-banks');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.hidden = banks.length === 0;
+    if (banks.length === 0) return;
+
+    const label = document.createElement('label');
+    label.className = 'sampler-banks-label';
+    label.textContent = 'Sampler bank';
+
+    const select = document.createElement('select');
+    select.className = 'sampler-banks-select';
+    banks.forEach((bank, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = `${bank.name} (${bank.pads.length})`;
+      option.selected = index === activeIndex;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => onSelect(Number(select.value)));
+
+    label.appendChild(select);
+    container.appendChild(label);
+  }
+
   /**
    * Append control to container
    */
@@ -329,7 +392,7 @@ export class UIRenderer {
     if (container) {
       container.appendChild(control);
     } else {
-      console.warn(`Container not found: ${containerId}`);
+      log.warn(`Container not found: ${containerId}`);
     }
   }
 }
@@ -0,0 +1,171 @@
+/**
+ * VirtualController
+ *
+ * Plays the controller from the page while the server runs the virtual
+ * DDJ-SP1 (--virtual-controller): pressing a button or pad holds it down
+ * until release, dragging a knob or slider up/down or scrolling over it
+ * turns it, and clicking a knob without turning it pushes it (TAP, BROWSE).
+ * The keyboard's Shift key holds SHIFT. The server sends these on as the
+ * MIDI the hardware would, so state, audio and LEDs follow as with the real
+ * controller. LED writes come back as `leds` messages and light the
+ * matching controls.
+ */
+
+import { createLogger } from './Logger.js';
+
+const log = createLogger('app');
+
+const DRAG_PX_PER_STEP = 4;
+const SHIFT = { channel: 6, note: 64 };
+
+// Pads are drawn once per side; their LEDs are on the active deck's pad channel
+const PAD_LAYERS = {
+  7: { channel: 9, deckButton: '2:114' },  // deck 1, or deck 3 while DECK 1/3 is on
+  8: { channel: 10, deckButton: '3:114' }  // deck 2, or deck 4 while DECK 2/4 is on
+};
+
+export class VirtualController {
+  /**
+   * @param {Function} send - Sends a message to the server
+   * @param {UIRenderer} ui - Draws the LEDs
+   */
+  constructor(send, ui) {
+    this.send = send;
+    this.ui = ui;
+    this.enabled = false;
+    this.controls = new Map();  // "channel:number" → { element, definition }
+    this.knobClicks = new Map(); // knob id → knob-click button definition
+    this.leds = new Map();       // "channel:note" → velocity
+
+    window.addEventListener('keydown', (event) => {
+      if (event.key === 'Shift' && !event.repeat) this.press(SHIFT.channel, SHIFT.note, true);
+    });
+    window.addEventListener('keyup', (event) => {
+      if (event.key === 'Shift') this.press(SHIFT.channel, SHIFT.note, false);
+    });
+  }
+
+  /**
+   * Make a rendered control playable
+   * @param {HTMLElement} element - The control container
+   * @param {Object} definition - Its layout definition ({ id, type, channel, number })
+   */
+  attach(element, definition) {
+    this.controls.set(`${definition.channel}:${definition.number}`, { element, definition });
+    if (definition.type === 'button') {
+      this.attachButton(element, definition);
+    } else {
+      this.attachKnob(element, definition);
+    }
+  }
+
+  /**
+   * Let clicking a knob press the button under it (e.g. TAP under BEATS)
+   */
+  attachKnobClick(knobId, definition) {
+    this.knobClicks.set(knobId, definition);
+  }
+
+  /**
+   * Follow the server: playable only while connected to the virtual controller
+   */
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    document.body.classList.toggle('virtual-controller', enabled);
+    if (!enabled) {
+      this.leds.clear();
+      this.renderLEDs();
+    }
+    log.info(enabled ? '🖱️ Virtual controller: play the controls on screen' : '🖱️ Virtual controller off');
+  }
+
+  /**
+   * Apply LED writes from the server
+   * @param {Array} leds - { channel, note, velocity } entries
+   */
+  applyLEDs(leds) {
+    leds.forEach(({ channel, note, velocity }) => this.leds.set(`${channel}:${note}`, velocity));
+    this.renderLEDs();
+  }
+
+  attachButton(element, definition) {
+    element.addEventListener('pointerdown', (event) => {
+      if (!this.enabled) return;
+      event.preventDefault();
+      element.setPointerCapture(event.pointerId);
+      this.press(definition.channel, definition.number, true);
+
+      const release = () => {
+        element.removeEventListener('pointerup', release);
+        element.removeEventListener('pointercancel', release);
+        this.press(definition.channel, definition.number, false);
+      };
+      element.addEventListener('pointerup', release);
+      element.addEventListener('pointercancel', release);
+    });
+  }
+
+  attachKnob(element, definition) {
+    element.addEventListener('wheel', (event) => {
+      if (!this.enabled) return;
+      event.preventDefault();
+      this.turn(definition.channel, definition.number, event.deltaY < 0 ? 1 : -1);
+    }, { passive: false });
+
+    element.addEventListener('pointerdown', (event) => {
+      if (!this.enabled) return;
+      event.preventDefault();
+      element.setPointerCapture(event.pointerId);
+      let lastY = event.clientY;
+      let turned = false;
+
+      const move = (moveEvent) => {
+        const steps = Math.trunc((lastY - moveEvent.clientY) / DRAG_PX_PER_STEP);
+        if (steps === 0) return;
+        lastY -= steps * DRAG_PX_PER_STEP;
+        turned = true;
+        this.turn(definition.channel, definition.number, steps);
+      };
+      const end = (endEvent) => {
+        element.removeEventListener('pointermove', move);
+        element.removeEventListener('pointerup', end);
+        element.removeEventListener('pointercancel', end);
+        const click = this.knobClicks.get(definition.id);
+        if (!turned && click && endEvent.type === 'pointerup') {
+          this.press(click.channel, click.number, true);
+          this.press(click.channel, click.number, false);
+        }
+      };
+      element.addEventListener('pointermove', move);
+      element.addEventListener('pointerup', end);
+      element.addEventListener('pointercancel', end);
+    });
+  }
+
+  press(channel, note, pressed) {
+    if (!this.enabled) return;
+    this.send({ type: 'virtualButton', data: { channel, note, pressed } });
+  }
+
+  turn(channel, controller, steps) {
+    if (!this.enabled) return;
+    this.send({ type: 'virtualKnob', data: { channel, controller, steps: Math.max(-63, Math.min(63, steps)) } });
+  }
+
+  /**
+   * Light every button from the LED state
+   */
+  renderLEDs() {
+    this.controls.forEach(({ element, definition }) => {
+      if (definition.type !== 'button') return;
+
+      let channel = definition.channel;
+      const layer = PAD_LAYERS[channel];
+      if (layer && (this.leds.get(layer.deckButton) ?? 0) > 0) {
+        channel = layer.channel;
+      }
+      this.ui.updateLED(element, this.leds.get(`${channel}:${definition.number}`) ?? 0);
+    });
+  }
+}
@@ -3,7 +3,14 @@
  *
  * Manages WebSocket connection to the server and provides
  * an event-based interface for communication.
+ * Messages in both directions are checked against the protocol catalog.
  */
+
+import { createLogger } from './Logger.js';
+import { CLIENT_MESSAGE_SCHEMAS, PROTOCOL_VERSION, SERVER_MESSAGE_SCHEMAS, validateMessage } from './Protocol.js';
+
+const log = createLogger('ws');
+
 export class WebSocketClient {
   constructor() {
     this.ws = null;
@@ -20,29 +27,41 @@ export class WebSocketClient {
     this.ws = new WebSocket(url);
 
     this.ws.onopen = () => {
-      console.log('Connected to DDJ-SP1');
+      log.info('Connected to DDJ-SP1');
       this.reconnectAttempts = 0;
+      this.send({ type: 'hello', data: { protocolVersion: PROTOCOL_VERSION } });
       this.emit('open');
     };
 
     this.ws.onclose = () => {
-      console.log('Disconnected from DDJ-SP1');
+      log.info('Disconnected from DDJ-SP1');
       this.emit('close');
       this.attemptReconnect(url);
     };
 
     this.ws.onerror = (error) => {
-      console.error('WebSocket error:', error);
+      log.error('WebSocket error:', error);
       this.emit('error', error);
     };
 
     this.ws.onmessage = (event) => {
+      let message;
       try {
-        const message = JSON.parse(event.data);
-        this.emit('message', message);
+        message = JSON.parse(event.data);
       } catch (error) {
-        console.error('Failed to parse message:', error);
+        log.error('Failed to parse message:', error);
+        return;
       }
+
+      const problems = validateMessage(message, SERVER_MESSAGE_SCHEMAS);
+      if (problems.length > 0) {
+        log.warn(`Dropping invalid server message (${message?.type}): ${problems.join(', ')}`);
+        return;
+      }
+      if (message.type === 'hello' && message.data.protocolVersion !== PROTOCOL_VERSION) {
+        log.error(`Server speaks protocol v${message.data.protocolVersion}, this page v${PROTOCOL_VERSION} - reload the page`);
+      }
+      this.emit('message', message);
     };
   }
 
@@ -52,13 +71,13 @@ export class WebSocketClient {
   attemptReconnect(url) {
     if (this.reconnectAttempts < this.maxReconnectAttempts) {
       this.reconnectAttempts++;
-      console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+      log.info(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
 
       setTimeout(() => {
         this.connect(url);
       }, this.reconnectDelay);
     } else {
-      console.error('Max reconnection attempts reached');
+      log.error('Max reconnection attempts reached');
     }
   }
 
@@ -66,10 +85,15 @@ export class WebSocketClient {
    * Send a message through the WebSocket
    */
   send(data) {
+    const problems = validateMessage(data, CLIENT_MESSAGE_SCHEMAS);
+    if (problems.length > 0) {
+      log.warn(`Not sending invalid ${data?.type} message: ${problems.join(', ')}`);
+      return;
+    }
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify(data));
     } else {
-      console.warn('WebSocket is not connected');
+      log.warn('WebSocket is not connected');
     }
   }
 
@@ -105,7 +129,7 @@ export class WebSocketClient {
         try {
           callback(data);
         } catch (error) {
-          console.error(`Error in ${event} listener:`, error);
+          log.error(`Error in ${event} listener:`, error);
         }
       });
     }
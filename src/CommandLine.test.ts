@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DeviceManager } from './DeviceManager.js';
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { MidiTransport } from './MidiTransport.js';
+import { CommandContext, parseArgs, parseRange, runCommand, USAGE } from './CommandLine.js';
+
+describe('CommandLine', () => {
+  describe('parseArgs', () => {
+    it('should separate positional arguments from options', () => {
+      expect(parseArgs(['led', 'scan', '--channels', '4-6', '--notes=70-90', '--events'])).toEqual({
+        positional: ['led', 'scan'],
+        options: { channels: '4-6', notes: '70-90', events: true }
+      });
+    });
+
+    it('should reject options without a value', () => {
+      expect(() => parseArgs(['monitor', '--channels'])).toThrow('Option --channels needs a value');
+    });
+  });
+
+  describe('parseRange', () => {
+    it('should expand ranges and lists', () => {
+      expect(parseRange('0-3,6,2', 15, 'channel')).toEqual([0, 1, 2, 3, 6]);
+    });
+
+    it('should reject values outside the range', () => {
+      expect(() => parseRange('0-16', 15, 'channel')).toThrow('Invalid channel range "0-16"');
+      expect(() => parseRange('a', 127, 'note')).toThrow('Invalid note range');
+    });
+  });
+
+  describe('Commands', () => {
+    let transport: LoopbackTransport;
+    let lines: string[];
+    let answers: string[];
+    let abort: AbortController;
+    let context: CommandContext;
+
+    beforeEach(() => {
+      transport = new LoopbackTransport();
+      lines = [];
+      answers = [];
+      abort = new AbortController();
+      context = {
+        createDevice: (custom?: MidiTransport) => new DeviceManager(custom ?? transport),
+        output: (line) => lines.push(line),
+        prompt: async () => answers.shift() ?? 'q',
+        signal: abort.signal
+      };
+    });
+
+    const run = (...argv: string[]) => runCommand(parseArgs(argv), context);
+
+    /**
+     * LED writes made by the command, ignoring the controller's startup LEDs
+     */
+    const ledWrites = (channel: number) => transport.getSentMessages()
+      .filter(m => m.type === 'noteon' && m.message.channel === channel)
+      .map(m => (m.message as any).note + ':' + (m.message as any).velocity);
+
+    it('should print usage without a command', async () => {
+      await run();
+      expect(lines).toEqual([USAGE]);
+    });
+
+    it('should reject unknown commands', async () => {
+      await expect(run('scan-everything')).rejects.toThrow('Unknown command: scan-everything');
+    });
+
+    it('should list devices and mark the controller', async () => {
+      transport.setDevices(['IAC Bus 1', 'PIONEER DDJ-SP1']);
+      await run('list', '--format', 'json');
+      expect(lines.map(line => JSON.parse(line))).toEqual([
+        { name: 'IAC Bus 1', controller: false },
+        { name: 'PIONEER DDJ-SP1', controller: true }
+      ]);
+    });
+
+    it('should set a single LED and leave the others alone', async () => {
+      await run('led', 'set', '6', '90', '64');
+      expect(transport.getSentMessages()).toHaveLength(1);
+      expect(ledWrites(6)).toEqual(['90:64']);
+      expect(lines).toEqual(['💡 ch6 note90 = 64']);
+    });
+
+    it('should scan LEDs in the given ranges', async () => {
+      await run('led', 'scan', '--channels', '11', '--notes', '1-2', '--on-ms', '0', '--off-ms', '0', '--format', 'json');
+      expect(ledWrites(11)).toEqual(['1:127', '1:0', '2:127', '2:0']);
+      expect(lines).toEqual(['{"channel":11,"note":1}', '{"channel":11,"note":2}']);
+    });
+
+    it('should monitor incoming messages until stopped', async () => {
+      const done = run('monitor', '--channels', '6');
+      expect(transport.getSentMessages()).toEqual([]); // attaching doesn't rewrite the LEDs
+      transport.noteOn(6, 64);
+      transport.cc(0, 23, 1); // filtered out
+      abort.abort();
+      await done;
+
+      expect(lines.slice(1)).toEqual(['NOTE ON   ch6 note64 vel127']);
+    });
+
+    it('should record what lit up while identifying', async () => {
+      answers = ['', 'red light under LEFT 1', 'q'];
+      await run('identify', '--channels', '6', '--notes', '89-95');
+
+      expect(lines).toEqual(['Identified lights:', '  ch6 note90: red light under LEFT 1']);
+    });
+
+    it('should replay a recording offline and print the events', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'ddj-cli-'));
+      const file = join(dir, 'session.jsonl');
+      writeFileSync(file, JSON.stringify({ t: 0, type: 'cc', message: { channel: 0, controller: 55, value: 1 } }) + '\n');
+      transport.setDevices([]);
+      try {
+        await run('replay', file, '--speed', 'max', '--format', 'json');
+        expect(lines.map(line => JSON.parse(line))).toEqual([{ event: 'tempoChange', data: { tempo: 102 } }]);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should write a profile from a discovery session', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'ddj-cli-'));
+      const file = join(dir, 'discovered.json');
+      context.output = (line) => {
+        lines.push(line);
+        if (line === '👉 Press SHIFT') setTimeout(() => transport.noteOn(6, 63), 0);
+      };
+      answers = ['1', 'q'];
+      try {
+        await run('discover', '--out', file, '--name', 'Test Controller', '--channels', '6', '--notes', '96-99',
+          '--timeout-ms', '1', '--settle-ms', '0');
+
+        const profile = JSON.parse(readFileSync(file, 'utf8'));
+        expect(profile.name).toBe('Test Controller');
+        expect(profile.shift).toEqual({ channel: 6, note: 63 });
+        expect(profile.fxAssign[0].lightNote).toBe(96);
+        expect(lines).toContain(`✅ Wrote ${file} (1 controls, 1 LEDs)`);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,510 @@
+/**
+ * CommandLine
+ *
+ * Subcommands of the `ddj-sp1` tool (entry point: cli.ts). Every command
+ * goes through DeviceManager, so it works with any MidiTransport, and writes
+ * its results through an output callback as text or JSON lines.
+ *
+ *   ddj-sp1 list
+ *   ddj-sp1 monitor [--channels 0-15] [--events]
+ *   ddj-sp1 led set <channel> <note> [velocity]
+ *   ddj-sp1 led scan [--channels 0-15] [--notes 0-127] [--on-ms 50] [--off-ms 10]
+ *   ddj-sp1 identify [--channels 6] [--notes 70-95] [--velocity 127]   (ranges default to all)
+ *   ddj-sp1 replay <file.jsonl> [--speed 1|max]
+ *   ddj-sp1 discover --out <profile.json> [--base <profile.json>] [--channels 6] [--notes 70-95]
+ *   ddj-sp1 serve [--port 3000] [--host 0.0.0.0] [--music <dirs>] [--samples <dirs>] [--config <file>] ...
+ */
+
+import { writeFileSync } from 'fs';
+
+import { DeviceManager } from './DeviceManager.js';
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { MidiMessageMap, MidiMessageType, MidiTransport } from './MidiTransport.js';
+import { SessionReplayer } from './SessionReplayer.js';
+import { ControllerProfile, loadControllerProfile } from './ControllerProfile.js';
+import { CapturedControl, DiscoveryInputKind, ProfileDiscovery } from './ProfileDiscovery.js';
+
+export const USAGE = `Usage: ddj-sp1 <command> [options]
+
+Commands:
+  list                              List MIDI inputs and mark the controller
+  monitor                           Print every incoming MIDI message
+  led set <channel> <note> [vel]    Set one LED (velocity defaults to 127)
+  led scan                          Light every LED in the ranges one by one
+  identify                          Light LEDs one by one and ask what lit up
+  replay <file.jsonl>               Replay a recorded session through DeviceManager
+  discover --out <file.json>        Guided session that writes a controller profile
+  serve                             Start the web UI server
+
+Options:
+  --channels <range>   MIDI channels, e.g. 0-8 or 4,5,6 (default 0-15)
+  --notes <range>      Notes, e.g. 70-90 (default 0-127)
+  --on-ms <ms>         led scan: time each LED stays on (default 50)
+  --off-ms <ms>        led scan: pause between LEDs (default 10)
+  --velocity <0-127>   identify: velocity used to light LEDs (default 127)
+  --speed <x|max>      replay: speed factor (default 1)
+  --events             monitor: also print decoded controller events
+  --base <file>        discover: profile to start from (default: --profile)
+  --name <name>        discover: name of the new profile
+  --device-match <s>   discover, serve: MIDI port name substring of the controller
+  --timeout-ms <ms>    discover: time to press each control before skipping (default 10000)
+  --settle-ms <ms>     discover: quiet time required after each control (default 300)
+  --skip-inputs        discover: only walk the LEDs
+  --skip-leds          discover: only capture the inputs
+  --port <n>           serve: HTTP port (default 3000)
+  --host <addr>        serve: address to listen on (default 0.0.0.0)
+  --music <dirs>       serve: music folders, separated by ":" (";" on Windows)
+  --samples <dirs>     serve: SAMPLER bank folders, separated like --music
+  --log <spec>         serve: log levels, e.g. info,midi=debug
+  --state-file <file>  serve: where controller state is saved
+  --osc-port <n>       serve: UDP port for OSC commands (default off)
+  --osc-targets <list> serve: OSC event receivers, e.g. 127.0.0.1:9000,10.0.0.5:8000
+  --virtual-output <s> serve: virtual MIDI port name for the translated controller stream
+  --clock-output <s>   serve: MIDI port to send clock on at the master tempo
+  --clock-input <s>    serve: MIDI port whose clock sets the tempo
+  --plugins <dir>      serve: plugins folder (default ./plugins)
+  --virtual-controller <mode>
+                       serve: play the controller in the browser: off, auto (while no hardware) or on
+  --config <file>      serve: settings file (default ./ddj-sp1.config.json)
+  --format text|json   Output format (default text)
+  --profile <file>     Controller profile JSON (default profiles/ddj-sp1.json)
+  --help               Show this help`;
+
+export type OutputFormat = 'text' | 'json';
+
+export interface ParsedArgs {
+  positional: string[];
+  options: Record<string, string | true>;
+}
+
+export interface CommandContext {
+  createDevice(transport?: MidiTransport, profile?: ControllerProfile): DeviceManager; // not connected yet
+  output(line: string): void;
+  prompt(question: string): Promise<string>;
+  signal?: AbortSignal; // ends long-running commands (monitor, scans, replay)
+}
+
+const BOOLEAN_OPTIONS = new Set(['help', 'events', 'skip-inputs', 'skip-leds']);
+
+const REPLAYED_EVENTS = ['event', 'padPress', 'padRelease', 'tempoChange', 'modeChange', 'syncChange', 'spindown', 'lock'];
+
+/**
+ * Split argv into positional arguments and --options
+ * @throws if an option that needs a value has none
+ */
+export function parseArgs(argv: string[]): ParsedArgs {
+  const result: ParsedArgs = { positional: [], options: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      result.positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_OPTIONS.has(name)) {
+      result.options[name] = true;
+    } else if (inlineValue !== undefined) {
+      result.options[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      result.options[name] = argv[++i];
+    } else {
+      throw new Error(`Option --${name} needs a value`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a range list such as "0-8", "70-90,92" or "6"
+ * @throws if the spec is malformed or a value is outside 0..max
+ */
+export function parseRange(spec: string, max: number, name: string): number[] {
+  const values = new Set<number>();
+  const fail = (): never => {
+    throw new Error(`Invalid ${name} range "${spec}" (use e.g. 0-8,10; values 0-${max})`);
+  };
+
+  spec.split(',').forEach(part => {
+    const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) fail();
+    const start = Number(match![1]);
+    const end = match![2] === undefined ? start : Number(match![2]);
+    if (start > end || end > max) fail();
+    for (let value = start; value <= end; value++) values.add(value);
+  });
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Run a subcommand
+ * @throws on usage errors or if the controller cannot be reached
+ */
+export async function runCommand(args: ParsedArgs, context: CommandContext): Promise<void> {
+  const [command, ...rest] = args.positional;
+  const format = getFormat(args.options);
+
+  if (!command || args.options.help) {
+    context.output(USAGE);
+    return;
+  }
+
+  switch (command) {
+    case 'list':
+      return listDevices(context, format);
+    case 'monitor':
+      return monitor(context, format, args.options);
+    case 'led':
+      if (rest[0] === 'set') return setLED(context, format, rest.slice(1));
+      if (rest[0] === 'scan') return scanLEDs(context, format, args.options);
+      throw new Error('Usage: ddj-sp1 led set <channel> <note> [velocity] | led scan');
+    case 'identify':
+      return identify(context, format, args.options);
+    case 'replay':
+      return replay(context, format, rest[0], args.options);
+    case 'discover':
+      return discover(context, format, args.options);
+    case 'serve':
+      await import('./server.js');
+      return;
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+function getFormat(options: ParsedArgs['options']): OutputFormat {
+  const format = options.format ?? 'text';
+  if (format !== 'text' && format !== 'json') {
+    throw new Error(`Invalid --format "${format}". Use text or json`);
+  }
+  return format;
+}
+
+function getNumber(options: ParsedArgs['options'], name: string, fallback: number, min: number, max: number): number {
+  const raw = options[name];
+  if (raw === undefined) return fallback;
+  const value = Number(raw);
+  if (raw === true || !Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`Invalid --${name} "${raw}". Must be a number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+function getRanges(options: ParsedArgs['options']): { channels: number[]; notes: number[] } {
+  return {
+    channels: parseRange(String(options.channels ?? '0-15'), 15, 'channel'),
+    notes: parseRange(String(options.notes ?? '0-127'), 127, 'note')
+  };
+}
+
+// Diagnostics leave the LEDs as they are instead of rewriting them from the state
+function connect(context: CommandContext): DeviceManager {
+  const device = context.createDevice();
+  device.connect({ syncLEDs: false });
+  return device;
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function untilAborted(signal?: AbortSignal): Promise<void> {
+  return new Promise(resolve => {
+    if (!signal) return; // runs until the process ends
+    if (signal.aborted) return resolve();
+    signal.addEventListener('abort', () => resolve(), { once: true });
+  });
+}
+
+/**
+ * Format a raw MIDI message like the old midi-spy output
+ */
+export function formatMidiMessage<T extends MidiMessageType>(type: T, message: MidiMessageMap[T]): string {
+  if (type === 'cc') {
+    const cc = message as MidiMessageMap['cc'];
+    return `CC        ch${cc.channel} cc${cc.controller} value${cc.value}`;
+  }
+  const note = message as MidiMessageMap['noteon'];
+  return `${type === 'noteon' ? 'NOTE ON ' : 'NOTE OFF'}  ch${note.channel} note${note.note} vel${note.velocity}`;
+}
+
+async function listDevices(context: CommandContext, format: OutputFormat): Promise<void> {
+  const device = context.createDevice();
+  const match = device.getProfile().deviceMatch;
+  const names = device.getAvailableDevices();
+
+  if (format === 'json') {
+    names.forEach(name => context.output(JSON.stringify({ name, controller: name.includes(match) })));
+    return;
+  }
+  if (names.length === 0) {
+    context.output('No MIDI devices found');
+    return;
+  }
+  names.forEach((name, i) => {
+    context.output(`  ${i + 1}. ${name}${name.includes(match) ? `  ← ${device.getProfile().name}` : ''}`);
+  });
+}
+
+async function monitor(context: CommandContext, format: OutputFormat, options: ParsedArgs['options']): Promise<void> {
+  const { channels } = getRanges(options);
+  const device = connect(context);
+
+  device.on('midi', ({ type, message }: { type: MidiMessageType; message: MidiMessageMap[MidiMessageType] }) => {
+    if (!channels.includes(message.channel)) return;
+    context.output(format === 'json' ? JSON.stringify({ type, message }) : formatMidiMessage(type, message));
+  });
+  if (options.events) {
+    device.on('event', (event) => {
+      context.output(format === 'json' ? JSON.stringify({ event }) : `  → ${JSON.stringify(event)}`);
+    });
+  }
+
+  if (format === 'text') {
+    context.output(`Monitoring ${device.getDeviceName()} (Ctrl+C to stop)`);
+  }
+  await untilAborted(context.signal);
+  device.disconnect();
+}
+
+async function setLED(context: CommandContext, format: OutputFormat, values: string[]): Promise<void> {
+  if (values.length < 2) {
+    throw new Error('Usage: ddj-sp1 led set <channel> <note> [velocity]');
+  }
+  const [channel, note, velocity] = [
+    parseRange(values[0], 15, 'channel'),
+    parseRange(values[1], 127, 'note'),
+    parseRange(values[2] ?? '127', 127, 'velocity')
+  ].map(range => {
+    if (range.length !== 1) throw new Error('led set takes single values, not ranges');
+    return range[0];
+  });
+
+  const device = connect(context);
+  device.setLED(channel, note, velocity);
+  device.disconnect(); // flushes the LED queue
+  context.output(format === 'json'
+    ? JSON.stringify({ channel, note, velocity })
+    : `💡 ch${channel} note${note} = ${velocity}`);
+}
+
+async function scanLEDs(context: CommandContext, format: OutputFormat, options: ParsedArgs['options']): Promise<void> {
+  const { channels, notes } = getRanges(options);
+  const onMs = getNumber(options, 'on-ms', 50, 0, 60000);
+  const offMs = getNumber(options, 'off-ms', 10, 0, 60000);
+  const device = connect(context);
+
+  for (const channel of channels) {
+    if (format === 'text') context.output(`Channel ${channel}: notes ${notes[0]}-${notes[notes.length - 1]}`);
+    for (const note of notes) {
+      if (context.signal?.aborted) break;
+      if (format === 'json') context.output(JSON.stringify({ channel, note }));
+
+      device.setLED(channel, note, 127);
+      device.flushLEDs();
+      await sleep(onMs, context.signal);
+      device.setLED(channel, note, 0);
+      device.flushLEDs();
+      await sleep(offMs, context.signal);
+    }
+  }
+
+  device.disconnect();
+  if (format === 'text') context.output(context.signal?.aborted ? 'Scan stopped' : 'Scan complete');
+}
+
+async function identify(context: CommandContext, format: OutputFormat, options: ParsedArgs['options']): Promise<void> {
+  const { channels, notes } = getRanges(options);
+  const velocity = getNumber(options, 'velocity', 127, 1, 127);
+  const device = connect(context);
+  const found: Array<{ channel: number; note: number; label: string }> = [];
+
+  scan:
+  for (const channel of channels) {
+    for (const note of notes) {
+      device.setLED(channel, note, velocity);
+      device.flushLEDs();
+      const answer = (await context.prompt(`ch${channel} note${note}: what lit up? (Enter = nothing, q = quit) `)).trim();
+      device.setLED(channel, note, 0);
+      device.flushLEDs();
+
+      if (answer.toLowerCase() === 'q' || context.signal?.aborted) break scan;
+      if (answer !== '') found.push({ channel, note, label: answer });
+    }
+  }
+
+  device.disconnect();
+  if (format === 'json') {
+    found.forEach(entry => context.output(JSON.stringify(entry)));
+  } else if (found.length === 0) {
+    context.output('No lights identified');
+  } else {
+    context.output('Identified lights:');
+    found.forEach(({ channel, note, label }) => context.output(`  ch${channel} note${note}: ${label}`));
+  }
+}
+
+async function replay(
+  context: CommandContext,
+  format: OutputFormat,
+  file: string | undefined,
+  options: ParsedArgs['options']
+): Promise<void> {
+  if (!file) {
+    throw new Error('Usage: ddj-sp1 replay <file.jsonl> [--speed 1|max]');
+  }
+  const speed = options.speed === 'max' ? Infinity : getNumber(options, 'speed', 1, 0.01, 1000);
+  const replayer = await SessionReplayer.fromFile(file);
+
+  // Mirror the session on the controller's LEDs when it is attached, otherwise run offline
+  let device = context.createDevice();
+  if (device.isDeviceConnected()) {
+    device.connect();
+  } else {
+    device = context.createDevice(new LoopbackTransport(`${device.getProfile().deviceMatch} (offline)`));
+    device.connect();
+  }
+
+  REPLAYED_EVENTS.forEach(name => {
+    device.on(name, (data) => {
+      context.output(format === 'json' ? JSON.stringify({ event: name, data }) : `${name} ${JSON.stringify(data)}`);
+    });
+  });
+
+  context.signal?.addEventListener('abort', () => replayer.stop(), { once: true });
+  await replayer.play(device, { speed });
+  device.disconnect();
+}
+
+/**
+ * Resolve with the next control pressed (note on) or turned (CC), or null on timeout/abort
+ */
+function waitForControl(
+  device: DeviceManager,
+  kind: DiscoveryInputKind,
+  timeoutMs: number,
+  signal?: AbortSignal
+): Promise<CapturedControl | null> {
+  return new Promise(resolve => {
+    const finish = (control: CapturedControl | null) => {
+      clearTimeout(timer);
+      device.off('midi', onMidi);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(control);
+    };
+    const onMidi = ({ type, message }: { type: MidiMessageType; message: any }) => {
+      if (kind === 'note' && type === 'noteon' && message.velocity > 0) {
+        finish({ channel: message.channel, number: message.note });
+      } else if (kind === 'cc' && type === 'cc') {
+        finish({ channel: message.channel, number: message.controller });
+      }
+    };
+    const onAbort = () => finish(null);
+    const timer = setTimeout(() => finish(null), timeoutMs);
+    device.on('midi', onMidi);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Resolve once the controller has been silent for quietMs (control released, knob stopped)
+ */
+function waitForQuiet(device: DeviceManager, quietMs: number, signal?: AbortSignal): Promise<void> {
+  return new Promise(resolve => {
+    let timer = setTimeout(done, quietMs);
+    const onMidi = () => {
+      clearTimeout(timer);
+      timer = setTimeout(done, quietMs);
+    };
+    function done() {
+      clearTimeout(timer);
+      device.off('midi', onMidi);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    device.on('midi', onMidi);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+async function discover(context: CommandContext, format: OutputFormat, options: ParsedArgs['options']): Promise<void> {
+  const out = options.out;
+  if (typeof out !== 'string') {
+    throw new Error('Usage: ddj-sp1 discover --out <profile.json> [--base <profile.json>]');
+  }
+  const base = typeof options.base === 'string' ? loadControllerProfile(options.base) : context.createDevice().getProfile();
+  const deviceMatch = typeof options['device-match'] === 'string' ? options['device-match'] : base.deviceMatch;
+  const timeoutMs = getNumber(options, 'timeout-ms', 10000, 1, 600000);
+  const settleMs = getNumber(options, 'settle-ms', 300, 0, 10000);
+  const { channels, notes } = getRanges(options);
+
+  const discovery = new ProfileDiscovery(base);
+  const device = context.createDevice(undefined, { ...base, deviceMatch });
+  device.connect({ syncLEDs: false });
+
+  if (!options['skip-inputs']) {
+    context.output(`Inputs: press or turn each control when asked (${timeoutMs / 1000}s to skip it)`);
+    for (const step of discovery.getInputSteps()) {
+      if (context.signal?.aborted) break;
+      context.output(`👉 ${step.prompt}`);
+      const control = await waitForControl(device, step.kind, timeoutMs, context.signal);
+      if (control) {
+        discovery.recordInput(step.id, control);
+        context.output(`   ✓ ch${control.channel} ${step.kind === 'cc' ? 'cc' : 'note'}${control.number}`);
+      } else {
+        context.output('   – skipped');
+      }
+      await waitForQuiet(device, settleMs, context.signal);
+    }
+  }
+
+  if (!options['skip-leds'] && !context.signal?.aborted) {
+    context.output('LEDs: each LED lights in turn. Type what lit up: Enter = nothing, a number = one of these, any text = a label, q = finish');
+    discovery.getLEDTargets().forEach((target, i) => context.output(`  ${i + 1}) ${target.label}`));
+
+    leds:
+    for (const channel of channels) {
+      for (const note of notes) {
+        device.setLED(channel, note, 127);
+        device.flushLEDs();
+        const answer = await context.prompt(`ch${channel} note${note}: `);
+        device.setLED(channel, note, 0);
+        device.flushLEDs();
+
+        if (answer.trim().toLowerCase() === 'q' || context.signal?.aborted) break leds;
+        discovery.recordLED(channel, note, answer);
+      }
+    }
+  }
+
+  device.disconnect();
+
+  const name = typeof options.name === 'string' ? options.name : undefined;
+  const { profile, problems } = discovery.buildProfile({ name, deviceMatch });
+  writeFileSync(out, JSON.stringify(profile, null, 2) + '\n');
+
+  if (format === 'json') {
+    context.output(JSON.stringify({ file: out, controls: discovery.getCaptureCount(), leds: profile.leds?.length ?? 0, problems }));
+    return;
+  }
+  context.output(`✅ Wrote ${out} (${discovery.getCaptureCount()} controls, ${profile.leds?.length ?? 0} LEDs)`);
+  if (problems.length > 0) {
+    context.output('⚠️  The profile needs manual fixes before it can be loaded:');
+    problems.forEach(problem => context.output(`  - ${problem}`));
+  } else {
+    context.output(`Load it with: DDJ_PROFILE=${out} npm start`);
+  }
+}
@@ -170,4 +170,135 @@ describe('ControlStateManager', () => {
       expect(manager.isButtonLocked(4, 71)).toBe(false);
     });
   });
+
+  describe('Slicer Playhead', () => {
+    it('should start with no slice playing', () => {
+      expect(manager.getSlicerSlice(1)).toBeNull();
+    });
+
+    it('should report whether the playhead moved', () => {
+      expect(manager.setSlicerSlice(1, 3)).toBe(true);
+      expect(manager.setSlicerSlice(1, 3)).toBe(false);
+      expect(manager.getSlicerSlice(1)).toBe(3);
+      expect(manager.getSlicerSlice(2)).toBeNull();
+    });
+
+    it('should reject slices outside the pad range', () => {
+      expect(() => manager.setSlicerSlice(1, 8)).toThrow('Invalid slice');
+      expect(() => manager.setSlicerSlice(1, -1)).toThrow('Invalid slice');
+    });
+  });
+
+  describe('Encoders', () => {
+    it('should step the tempo by the encoder steps and stop at either end', () => {
+      expect(manager.handleBeatsKnobChange(0, 127)).toBe(84);
+      expect(manager.handleBeatsKnobChange(0, 127)).toBeNull();
+      expect(manager.handleBeatsKnobChange(0, 2)).toBe(102); // two ticks at once
+    });
+
+    it('should apply sensitivity changes to every channel of an encoder', () => {
+      manager.setEncoderSettings('volume', { sensitivity: 0.5 });
+
+      expect(manager.getEncoderSettings('volume').sensitivity).toBe(0.5);
+      expect(manager.turnEncoder(3, 23, 2)).toBe(1);
+      expect(manager.turnEncoder(6, 2, 1)).toBeNull(); // not an encoder
+      expect(() => manager.setEncoderSettings('jog', { sensitivity: 1 })).toThrow('Unknown encoder: jog');
+    });
+  });
+
+  describe('Snapshots', () => {
+    it('should round-trip the persistent state into a fresh manager', () => {
+      manager.toggleFXAssignment(1, 3);
+      manager.toggleButtonLock(4, 71);
+      manager.toggleDeckButton(2, 114);
+      manager.setDeckLoaded(1, true, 42);
+      manager.updateDeck(1, { section: 'body', volume: 90, fx: { echo: true, level: 64 } });
+      manager.handleModeButtonPress(0, 32, 127); // SLICER on deck 1
+      manager.setTempo(102);
+
+      const restored = new ControlStateManager();
+      restored.restoreSnapshot(JSON.parse(JSON.stringify(manager.getSnapshot())));
+
+      expect(restored.getSnapshot()).toEqual(manager.getSnapshot());
+      expect(restored.isFXAssigned(1, 3)).toBe(true);
+      expect(restored.isButtonLocked(4, 71)).toBe(true);
+      expect(restored.getActiveDeck(0)).toBe(3);
+      expect(restored.getActiveMode(1)).toBe(32);
+      expect(restored.isDeckLoaded(1)).toBe(true);
+      expect(restored.getDeckState(1)).toEqual({ deck: 1, loaded: true, songId: 42, section: 'body', volume: 90, fx: { echo: true, level: 64 } });
+      expect(restored.getCurrentTempo()).toBe(102);
+    });
+
+    it('should emit change for persistent state only', () => {
+      let changes = 0;
+      manager.on('change', () => changes++);
+
+      manager.setShiftPressed(true);
+      manager.setSlicerSlice(1, 2);
+      expect(changes).toBe(0);
+
+      manager.toggleDeckButton(3, 114);
+      manager.setDeckLoaded(2, true);
+      expect(changes).toBe(2);
+    });
+
+    it('should skip entries the profile does not have', () => {
+      const snapshot = manager.getSnapshot();
+      snapshot.fxAssignments.push({ fx: 1, deck: 9 });
+      snapshot.deckButtons.push({ channel: 6, note: 1 });
+      snapshot.padModes[0].mode = 99;
+
+      manager.restoreSnapshot(snapshot);
+      expect(manager.getSnapshot().fxAssignments).toEqual([]);
+      expect(manager.getSnapshot().deckButtons).toEqual([]);
+      expect(manager.getActiveMode(1)).toBe(27); // back to the default mode
+    });
+
+    it('should reject malformed snapshots', () => {
+      const snapshot: any = { ...manager.getSnapshot(), version: 2, tempo: 120 };
+      expect(() => manager.restoreSnapshot(snapshot)).toThrow('Invalid state snapshot: version must be 1, tempo must be 84, 94 or 102');
+
+      snapshot.version = 1;
+      snapshot.tempo = 94;
+      snapshot.decks[0].volume = 200;
+      expect(() => manager.restoreSnapshot(snapshot)).toThrow('decks must be a list of deck states');
+    });
+  });
+
+  describe('Deck state', () => {
+    it('should keep the song, section, volume and FX of each deck', () => {
+      manager.setDeckLoaded(3, true, 7);
+      expect(manager.updateDeck(3, { section: 'lead', fx: { beats: 0.5 } })).toBe(true);
+      expect(manager.updateDeck(3, { section: 'lead' })).toBe(false); // nothing changed
+      expect(manager.updateDeck(3, { volume: 100, fx: { echo: true } })).toBe(true);
+      expect(manager.getDeckState(3)).toEqual({ deck: 3, loaded: true, songId: 7, section: 'lead', volume: 100, fx: { echo: true, beats: 0.5 } });
+
+      // A new song starts without a section; unloading keeps the mixer settings
+      manager.setDeckLoaded(3, true, 8);
+      expect(manager.getDeckState(3)).toMatchObject({ songId: 8, section: null, volume: 100 });
+      manager.setDeckLoaded(3, false);
+      expect(manager.getDeckState(3)).toMatchObject({ loaded: false, songId: null, volume: 100, fx: { echo: true } });
+    });
+
+    it('should reject unknown decks and out-of-range values', () => {
+      expect(() => manager.updateDeck(9, { volume: 1 })).toThrow('Unknown deck: 9');
+      expect(() => manager.updateDeck(1, { volume: 128 })).toThrow('Deck volume and FX levels must be 0-127');
+      expect(() => manager.updateDeck(1, { fx: { beats: 2 as any } })).toThrow('Invalid echo beats: 2');
+    });
+
+    it('should capture the session for a browser', () => {
+      manager.toggleButtonLock(4, 71);
+      manager.toggleDeckButton(3, 114);
+      manager.setDeckLoaded(2, true, 5);
+
+      const session = manager.getSessionSnapshot();
+      expect(session).toMatchObject({
+        tempo: 94,
+        deckButtons: { deck1_3: false, deck2_4: true },
+        padModes: { deck1: 27, deck2: 27, deck3: 27, deck4: 27 },
+        locks: [{ button: 71, channel: 4, locked: true }]
+      });
+      expect(session.decks[1]).toMatchObject({ deck: 2, loaded: true, songId: 5 });
+    });
+  });
 });
@@ -6,71 +6,334 @@
  * - Button lock/unlock state (for FX buttons)
  * - LED state management
  * - Note mapping for shifted controls
+ * - What each deck holds (song, section, volume, FX), reported by the browsers
+ *
+ * All control addresses come from the ControllerProfile.
+ * Emits 'change' whenever state worth persisting changes (see getSnapshot).
  */
 
+import { EventEmitter } from 'events';
+import { ControllerProfile, getDefaultProfile, NoteAddress, PadModeId } from './ControllerProfile.js';
+import { createLogger } from './Logger.js';
+import { decodeRelative, EncoderSettings, RelativeEncoder } from './RelativeEncoder.js';
+import type { DeckButtonStates, PadModeStates } from './types.js';
+
+const log = createLogger('state');
+
 export interface LockStateChange {
   button: number;
   channel: number;
   locked: boolean;
 }
 
-export class ControlStateManager {
+/**
+ * SAMPLER pad status reported by the frontend
+ */
+export const SAMPLER_PAD_STATUSES = ['empty', 'loaded', 'playing'] as const;
+export type SamplerPadStatus = typeof SAMPLER_PAD_STATUSES[number];
+
+export const DECK_SECTIONS = ['lead', 'body'] as const;
+export type DeckSection = typeof DECK_SECTIONS[number];
+
+/**
+ * Echo settings of a deck; knob values (0-127) are left out until first turned
+ */
+export interface DeckFXState {
+  echo: boolean;
+  beats?: 1 | 0.5;
+  level?: number;
+  feedback?: number;
+  filter?: number;
+}
+
+/**
+ * What a deck holds, reported by the browsers and handed back to them on connect
+ */
+export interface DeckState {
+  deck: number;
+  loaded: boolean;
+  songId: number | null;       // null when loaded without saying which song
+  section: DeckSection | null; // section last played
+  volume: number;              // 0-127
+  fx: DeckFXState;
+}
+
+/**
+ * Browser-reported deck settings that can be changed one at a time
+ */
+export type DeckUpdate = Partial<Pick<DeckState, 'section' | 'volume'>> & { fx?: Partial<DeckFXState> };
+
+/**
+ * Persistent part of the controller state, restored after a server restart
+ * (SHIFT, SLICER playheads and SAMPLER status are transient and left out)
+ */
+export interface ControlStateSnapshot {
+  version: typeof SNAPSHOT_VERSION;
+  tempo: 84 | 94 | 102;
+  fxAssignments: Array<{ fx: number; deck: number }>;
+  lockedButtons: NoteAddress[];
+  deckButtons: NoteAddress[]; // DECK buttons toggled on
+  padModes: Array<{ deck: number; mode: number }>;
+  syncedDecks: number[];
+  decks: DeckState[];
+}
+
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Everything a browser needs to pick up the session where it stands (snapshot message)
+ */
+export interface SessionSnapshot {
+  tempo: 84 | 94 | 102;
+  deckButtons: DeckButtonStates;
+  padModes: PadModeStates;
+  locks: LockStateChange[];
+  fxAssignments: Array<{ fx: number; deck: number }>;
+  syncedDecks: number[];
+  decks: DeckState[];
+}
+
+export class ControlStateManager extends EventEmitter {
   private shiftPressed: boolean = false;
   private lockedButtons: Map<string, boolean> = new Map();
   private fxAssignments: Map<string, boolean> = new Map(); // key: "fx:deck" (e.g., "1:1" = FX1→Deck1)
   private deckButtonStates: Map<string, boolean> = new Map(); // key: "channel:note" for DECK buttons
 
+  private readonly profile: ControllerProfile;
+
+  // Deck lookups derived from the profile
+  private readonly decks: number[];
+  private readonly deckByPadChannel: Map<number, number> = new Map();
+  private readonly deckByControlChannel: Map<number, number> = new Map();
+  private readonly sideDecks: number[][]; // index: side, value: [primary deck, alternate deck]
+  private readonly fxChannels: Set<number>;
+
   // Performance pad mode management
-  // Tracks mode for each of the 4 decks (1-4)
-  private padModes: Map<number, number> = new Map([
-    [1, 27], // Deck 1 starts with HOT CUE (note 27)
-    [2, 27], // Deck 2 starts with HOT CUE (note 27)
-    [3, 27], // Deck 3 starts with HOT CUE (note 27)
-    [4, 27], // Deck 4 starts with HOT CUE (note 27)
-  ]);
-  private readonly modeButtons = [27, 30, 32, 34]; // HOT CUE, ROLL, SLICER, SAMPLER
+  // Tracks mode for each deck, starting with the profile's default (HOT CUE)
+  private padModes: Map<number, number> = new Map();
+  private readonly modeButtons: number[]; // HOT CUE, ROLL, SLICER, SAMPLER
+  private readonly defaultMode: number;
 
   // Tempo management
   private currentTempo: 84 | 94 | 102 = 94;
   private readonly tempos: Array<84 | 94 | 102> = [84, 94, 102];
 
   // Sync state: tracks which decks are synced
-  private syncStates: Map<number, boolean> = new Map([
-    [1, false],
-    [2, false],
-    [3, false],
-    [4, false],
-  ]);
-
-  // Deck loaded state: tracks which decks have songs loaded
-  private deckLoadedStates: Map<number, boolean> = new Map([
-    [1, false],
-    [2, false],
-    [3, false],
-    [4, false],
-  ]);
-
-  // Map shifted note numbers to their unshifted equivalents
-  private readonly shiftedNoteMap: Map<number, number> = new Map([
-    [99, 71],   // FX1
-    [100, 72],  // FX2
-    [101, 73],  // FX3
-    [102, 67],  // TAP (or 74 for FX ASSIGN)
-  ]);
+  private syncStates: Map<number, boolean> = new Map();
+
+  // What each deck holds (song, section, volume, FX), key: deck
+  private deckStates: Map<number, DeckState> = new Map();
+
+  // SLICER playhead: which of the 8 slices of the current bar each deck is playing
+  private slicerSlices: Map<number, number | null> = new Map();
+
+  // SAMPLER pad status (shared by every deck in SAMPLER mode)
+  private samplerStatus: SamplerPadStatus[] = [];
+
+  // Map shifted note numbers to their unshifted equivalents (FX1-3, TAP)
+  private readonly shiftedNoteMap: Map<number, number>;
 
   // Performance pad shift mapping → pad mode buttons (HOT CUE, ROLL, SLICER, SAMPLER)
-  private readonly shiftedPadMap: Map<string, string> = new Map([
-    // Deck A - shift + top row pads → mode buttons
-    ['0:105', '0:27'],   // HOT CUE
-    ['0:107', '0:30'],   // ROLL
-    ['0:109', '0:32'],   // SLICER
-    ['0:111', '0:34'],   // SAMPLER
-    // Deck B - shift + top row pads → mode buttons
-    ['1:105', '1:27'],   // HOT CUE
-    ['1:107', '1:30'],   // ROLL
-    ['1:109', '1:32'],   // SLICER
-    ['1:111', '1:34'],   // SAMPLER
-  ]);
+  private readonly shiftedPadMap: Map<string, string>;
+
+  // Infinite encoders, key: "channel:controller"
+  private readonly encoders: Map<string, { name: string; encoder: RelativeEncoder }> = new Map();
+
+  /**
+   * @param profile - Controller mapping (defaults to the bundled DDJ-SP1 profile)
+   */
+  constructor(profile: ControllerProfile = getDefaultProfile()) {
+    super();
+    this.profile = profile;
+
+    this.decks = profile.decks.map(d => d.deck).sort((a, b) => a - b);
+    profile.decks.forEach(d => {
+      this.deckByPadChannel.set(d.padChannel, d.deck);
+      this.deckByControlChannel.set(d.controlChannel, d.deck);
+    });
+    this.sideDecks = profile.sides.map(side =>
+      profile.decks.filter(d => d.side === side.name).map(d => d.deck)
+    );
+    this.fxChannels = new Set(profile.sides.map(side => side.fxChannel));
+
+    this.modeButtons = profile.padModes.modes.map(mode => mode.note);
+    this.defaultMode = profile.padModes.default;
+    this.decks.forEach(deck => {
+      this.padModes.set(deck, this.defaultMode);
+      this.syncStates.set(deck, false);
+      this.deckStates.set(deck, emptyDeck(deck));
+    });
+
+    this.shiftedNoteMap = new Map(profile.fx.shifted.map(entry => [entry.note, entry.original]));
+    this.shiftedPadMap = new Map(profile.shiftedPads.map(entry => [
+      this.getButtonKey(entry.channel, entry.note),
+      this.getButtonKey(entry.original.channel, entry.original.note)
+    ]));
+
+    (profile.encoders ?? []).forEach(({ name, controller, channels, ...settings }) => {
+      channels.forEach(channel => {
+        this.encoders.set(this.getButtonKey(channel, controller), { name, encoder: new RelativeEncoder(settings) });
+      });
+    });
+  }
+
+  /**
+   * Get the controller profile this state is derived from
+   */
+  getProfile(): ControllerProfile {
+    return this.profile;
+  }
+
+  /**
+   * Get all deck numbers (1-4 on the DDJ-SP1)
+   */
+  getDecks(): number[] {
+    return [...this.decks];
+  }
+
+  /**
+   * Get the performance pad channel for a deck (Deck 1→ch7 ... Deck 4→ch10)
+   */
+  getPadChannel(deck: number): number {
+    const definition = this.profile.decks.find(d => d.deck === deck);
+    if (!definition) {
+      throw new Error(`Unknown deck: ${deck}`);
+    }
+    return definition.padChannel;
+  }
+
+  /**
+   * Get the control channel for a deck (Deck 1→ch0 ... Deck 4→ch3)
+   * Mode buttons, SYNC, SLIP and CENSOR are on this channel
+   */
+  getControlChannel(deck: number): number {
+    const definition = this.profile.decks.find(d => d.deck === deck);
+    if (!definition) {
+      throw new Error(`Unknown deck: ${deck}`);
+    }
+    return definition.controlChannel;
+  }
+
+  /**
+   * Get the physical side (0 = left, 1 = right) a deck lives on
+   */
+  getSideForDeck(deck: number): number {
+    return this.sideDecks.findIndex(decks => decks.includes(deck));
+  }
+
+  /**
+   * Get the currently active deck on a side based on its DECK button
+   * Side 0 (left) → Deck 1 or 3, Side 1 (right) → Deck 2 or 4
+   */
+  getActiveDeck(side: number): number {
+    const decks = this.sideDecks[side];
+    if (!decks || decks.length === 0) {
+      return this.decks[0];
+    }
+    const deckButton = this.profile.sides[side].deckButton;
+    const altActive = decks.length > 1 && this.isDeckButtonOn(deckButton.channel, deckButton.note);
+    return altActive ? decks[1] : decks[0];
+  }
+
+  /**
+   * Get the deck a performance pad message belongs to
+   * The alternate deck's pad channel (9/10) maps directly; the primary
+   * deck's channel (7/8) follows the DECK button toggle
+   */
+  getDeckForPadChannel(channel: number): number {
+    const deck = this.deckByPadChannel.get(channel);
+    if (deck === undefined) {
+      return this.decks[0]; // Default
+    }
+    const side = this.getSideForDeck(deck);
+    return this.sideDecks[side][0] === deck ? this.getActiveDeck(side) : deck;
+  }
+
+  /**
+   * Get the deck a SYNC button controls (active deck on that button's side)
+   */
+  getSyncDeck(channel: number): number {
+    const deck = this.deckByControlChannel.get(channel) ?? this.decks[0];
+    return this.getActiveDeck(this.getSideForDeck(deck));
+  }
+
+  /**
+   * Get the performance pad notes
+   */
+  getPadNotes(): number[] {
+    return [...this.profile.pads.notes];
+  }
+
+  /**
+   * Get the LED velocity for pads active in the current mode
+   */
+  getPadLitVelocity(): number {
+    return this.profile.pads.litVelocity;
+  }
+
+  /**
+   * Check if a button is the SHIFT button
+   */
+  isShiftButton(channel: number, note: number): boolean {
+    return channel === this.profile.shift.channel && note === this.profile.shift.note;
+  }
+
+  /**
+   * Check if a control change is the shifted VOLUME knob (tempo control)
+   */
+  isTempoKnob(channel: number, controller: number): boolean {
+    return controller === this.profile.tempoKnob.controller &&
+           this.profile.tempoKnob.channels.includes(channel);
+  }
+
+  /**
+   * Check if a control change comes from an infinite encoder listed in the profile
+   */
+  isEncoder(channel: number, controller: number): boolean {
+    return this.encoders.has(this.getButtonKey(channel, controller));
+  }
+
+  /**
+   * Feed an encoder CC value through its acceleration and sensitivity settings
+   * @returns steps to apply (may be 0 while a slow turn accumulates), or null if not an encoder
+   */
+  turnEncoder(channel: number, controller: number, value: number): number | null {
+    const entry = this.encoders.get(this.getButtonKey(channel, controller));
+    return entry ? entry.encoder.turn(value) : null;
+  }
+
+  /**
+   * Get the settings of a named encoder (e.g. "browse")
+   * @throws if no encoder has that name
+   */
+  getEncoderSettings(name: string): EncoderSettings {
+    const entry = [...this.encoders.values()].find(e => e.name === name);
+    if (!entry) {
+      throw new Error(`Unknown encoder: ${name}`);
+    }
+    return entry.encoder.getSettings();
+  }
+
+  /**
+   * Change the settings of a named encoder on every channel it is mapped to
+   * @throws if no encoder has that name or a setting is invalid
+   */
+  setEncoderSettings(name: string, settings: Partial<EncoderSettings>): void {
+    const entries = [...this.encoders.values()].filter(e => e.name === name);
+    if (entries.length === 0) {
+      throw new Error(`Unknown encoder: ${name}`);
+    }
+    entries.forEach(entry => entry.encoder.setSettings(settings));
+    log.info(`🎛️  Encoder ${name}: ${JSON.stringify(entries[0].encoder.getSettings())}`);
+  }
+
+  /**
+   * Get the indicator light note under an FX ASSIGN button
+   * (lit when the FX is assigned to the side's alternate deck)
+   */
+  getFXAssignLightNote(note: number): number | null {
+    return this.profile.fxAssign.find(entry => entry.note === note)?.lightNote ?? null;
+  }
 
   /**
    * Update shift button state
@@ -90,7 +353,7 @@ export class ControlStateManager {
    * Check if a note is a shifted FX button
    */
   isShiftedFXNote(note: number, channel: number): boolean {
-    return this.shiftedNoteMap.has(note) && (channel === 4 || channel === 5);
+    return this.shiftedNoteMap.has(note) && this.fxChannels.has(channel);
   }
 
   /**
@@ -124,8 +387,7 @@ export class ControlStateManager {
    * Check if a button is an FX button (channels 4 & 5, specific notes)
    */
   isFXButton(channel: number, note: number): boolean {
-    return (channel === 4 || channel === 5) &&
-           (note === 71 || note === 72 || note === 73 || note === 74 || note === 67);
+    return this.fxChannels.has(channel) && this.profile.fx.buttons.includes(note);
   }
 
   /**
@@ -133,14 +395,14 @@ export class ControlStateManager {
    * Channel 7 = Deck 1, Channel 8 = Deck 2, Channel 9 = Deck 3, Channel 10 = Deck 4
    */
   isPerformancePad(channel: number): boolean {
-    return channel === 7 || channel === 8 || channel === 9 || channel === 10;
+    return this.deckByPadChannel.has(channel);
   }
 
   /**
    * Check if a button is an FX ASSIGN button (channel 6, notes 76/77/80/81)
    */
   isFXAssignButton(channel: number, note: number): boolean {
-    return channel === 6 && (note === 76 || note === 77 || note === 80 || note === 81);
+    return this.profile.fxAssign.some(entry => entry.channel === channel && entry.note === note);
   }
 
   /**
@@ -149,36 +411,27 @@ export class ControlStateManager {
    * @returns {fx, deck, isAltDeck} or null if not an FX ASSIGN button
    */
   getFXAssignMapping(note: number): { fx: number; deck: number; isAltDeck: boolean } | null {
-    // Base mapping (Deck 1 or 2)
-    const baseMapping: Record<number, { fx: number; baseDeck: number }> = {
-      76: { fx: 1, baseDeck: 1 }, // Left side, top button
-      80: { fx: 2, baseDeck: 1 }, // Left side, bottom button
-      77: { fx: 1, baseDeck: 2 }, // Right side, top button
-      81: { fx: 2, baseDeck: 2 }, // Right side, bottom button
-    };
-
-    const base = baseMapping[note];
+    const base = this.getFXAssignBase(note);
     if (!base) return null;
 
-    // Check if DECK 3/4 button is active for this side
-    const isDeck3Active = this.isDeckButtonOn(2, 114); // DECK 1/3 button
-    const isDeck4Active = this.isDeckButtonOn(3, 114); // DECK 2/4 button
+    // Target the alternate deck (3/4) when this side's DECK button is active
+    const targetDeck = this.getActiveDeck(base.side);
+    const isAltDeck = targetDeck !== base.baseDeck;
 
-    let targetDeck = base.baseDeck;
-    let isAltDeck = false;
+    return { fx: base.fx, deck: targetDeck, isAltDeck };
+  }
 
-    // If left side (deck 1) and DECK 3 is active, target deck 3
-    if (base.baseDeck === 1 && isDeck3Active) {
-      targetDeck = 3;
-      isAltDeck = true;
-    }
-    // If right side (deck 2) and DECK 4 is active, target deck 4
-    else if (base.baseDeck === 2 && isDeck4Active) {
-      targetDeck = 4;
-      isAltDeck = true;
-    }
+  /**
+   * Get the FX unit, side and main deck (1 or 2) an FX ASSIGN button belongs to,
+   * regardless of DECK button state
+   */
+  getFXAssignBase(note: number): { fx: number; side: number; baseDeck: number; altDeck: number | null } | null {
+    const entry = this.profile.fxAssign.find(e => e.note === note);
+    if (!entry) return null;
 
-    return { fx: base.fx, deck: targetDeck, isAltDeck };
+    const side = this.profile.sides.findIndex(s => s.name === entry.side);
+    const [baseDeck, altDeck] = this.sideDecks[side];
+    return { fx: entry.fx, side, baseDeck, altDeck: altDeck ?? null };
   }
 
   /**
@@ -190,6 +443,7 @@ export class ControlStateManager {
     const wasAssigned = this.fxAssignments.get(key) || false;
     const nowAssigned = !wasAssigned;
     this.fxAssignments.set(key, nowAssigned);
+    this.emit('change');
     return nowAssigned;
   }
 
@@ -205,7 +459,21 @@ export class ControlStateManager {
    * Check if a button is a DECK button (channel 2 or 3, note 114)
    */
   isDeckButton(channel: number, note: number): boolean {
-    return (channel === 2 || channel === 3) && note === 114;
+    return this.profile.sides.some(side => side.deckButton.channel === channel && side.deckButton.note === note);
+  }
+
+  /**
+   * Get the DECK button for a side (0 = DECK 1/3, 1 = DECK 2/4)
+   */
+  getDeckButton(side: number): NoteAddress {
+    return { ...this.profile.sides[side].deckButton };
+  }
+
+  /**
+   * Get the side (0 = left, 1 = right) a DECK button toggles
+   */
+  getSideForDeckButton(channel: number, note: number): number {
+    return this.profile.sides.findIndex(side => side.deckButton.channel === channel && side.deckButton.note === note);
   }
 
   /**
@@ -217,6 +485,7 @@ export class ControlStateManager {
     const wasOn = this.deckButtonStates.get(key) || false;
     const nowOn = !wasOn;
     this.deckButtonStates.set(key, nowOn);
+    this.emit('change');
     return nowOn;
   }
 
@@ -233,9 +502,11 @@ export class ControlStateManager {
    * @returns {deck1_3: boolean, deck2_4: boolean}
    */
   getDeckButtonStates(): { deck1_3: boolean; deck2_4: boolean } {
+    const left = this.getDeckButton(0);
+    const right = this.getDeckButton(1);
     return {
-      deck1_3: this.isDeckButtonOn(2, 114),
-      deck2_4: this.isDeckButtonOn(3, 114)
+      deck1_3: this.isDeckButtonOn(left.channel, left.note),
+      deck2_4: this.isDeckButtonOn(right.channel, right.note)
     };
   }
 
@@ -248,6 +519,7 @@ export class ControlStateManager {
     const wasLocked = this.lockedButtons.get(key) || false;
     const nowLocked = !wasLocked;
     this.lockedButtons.set(key, nowLocked);
+    this.emit('change');
     return nowLocked;
   }
 
@@ -303,6 +575,7 @@ export class ControlStateManager {
    */
   clearAllLocks(): void {
     this.lockedButtons.clear();
+    this.emit('change');
   }
 
   /**
@@ -325,7 +598,7 @@ export class ControlStateManager {
    * Check if a control is a BEATS knob (channels 4 or 5, note 0)
    */
   isBeatsKnob(channel: number, note: number): boolean {
-    return (channel === 4 || channel === 5) && note === 0;
+    return this.fxChannels.has(channel) && note === this.profile.fx.beatsKnob;
   }
 
   /**
@@ -334,36 +607,30 @@ export class ControlStateManager {
    * @returns new tempo if changed, null if no change
    */
   handleBeatsKnobChange(channel: number, value: number): 84 | 94 | 102 | null {
-    console.log(`🔍 BEATS KNOB: ch${channel} value=${value}`);
+    log.debug(`🔍 BEATS KNOB: ch${channel} value=${value}`);
 
-    // Infinite encoders send low values (1-63) for clockwise, high values (65-127) for counter-clockwise
-    if (value === 64) {
+    // Steps come from the tempo encoder settings; without one, every twist is one step
+    const steps = this.turnEncoder(channel, this.profile.tempoKnob.controller, value)
+      ?? Math.sign(decodeRelative(value));
+    if (steps === 0) {
       return null;
     }
 
-    const isClockwise = value < 64;
-
     const currentIndex = this.tempos.indexOf(this.currentTempo);
-    console.log(`   Current tempo: ${this.currentTempo} (index ${currentIndex}), turning ${isClockwise ? 'RIGHT' : 'LEFT'}`);
-
-    let newIndex: number;
+    log.debug(`Current tempo: ${this.currentTempo} (index ${currentIndex}), turning ${steps > 0 ? 'RIGHT' : 'LEFT'} ${Math.abs(steps)} step(s)`);
 
-    if (isClockwise) {
-      // Turn right: go up (84 → 94 → 102, stops at 102)
-      newIndex = Math.min(currentIndex + 1, this.tempos.length - 1);
-    } else {
-      // Turn left: go down (102 → 94 → 84, stops at 84)
-      newIndex = Math.max(currentIndex - 1, 0);
-    }
+    // Right goes up (84 → 94 → 102), left goes down; stops at either end
+    const newIndex = Math.max(0, Math.min(this.tempos.length - 1, currentIndex + steps));
 
     // Only update if tempo actually changed
     if (newIndex === currentIndex) {
-      console.log(`   Already at ${isClockwise ? 'max' : 'min'} tempo, no change`);
+      log.debug(`Already at ${steps > 0 ? 'max' : 'min'} tempo, no change`);
       return null;
     }
 
     this.currentTempo = this.tempos[newIndex];
-    console.log(`   ✅ New tempo: ${this.currentTempo}`);
+    log.info(`✅ New tempo: ${this.currentTempo}`);
+    this.emit('change');
     return this.currentTempo;
   }
 
@@ -374,6 +641,13 @@ export class ControlStateManager {
     return this.currentTempo;
   }
 
+  /**
+   * Get the supported tempo closest to a BPM (e.g. a measured MIDI clock)
+   */
+  getNearestTempo(bpm: number): 84 | 94 | 102 {
+    return this.tempos.reduce((best, tempo) => Math.abs(tempo - bpm) < Math.abs(best - bpm) ? tempo : best);
+  }
+
   /**
    * Set tempo directly (for external control or initialization)
    */
@@ -382,6 +656,7 @@ export class ControlStateManager {
       throw new Error(`Invalid tempo: ${tempo}. Must be 84, 94, or 102`);
     }
     this.currentTempo = tempo;
+    this.emit('change');
   }
 
   /**
@@ -389,7 +664,7 @@ export class ControlStateManager {
    * Mode buttons are on deck control channels 0, 1, 2, 3 (for decks 1, 2, 3, 4)
    */
   isModeButton(channel: number, note: number): boolean {
-    return (channel === 0 || channel === 1 || channel === 2 || channel === 3) && this.modeButtons.includes(note);
+    return this.deckByControlChannel.has(channel) && this.modeButtons.includes(note);
   }
 
   /**
@@ -405,11 +680,12 @@ export class ControlStateManager {
     }
 
     // Map channel to deck: 0→1, 1→2, 2→3, 3→4
-    const targetDeck = channel + 1;
+    const targetDeck = this.deckByControlChannel.get(channel) as number;
 
     // Set this as the active mode for the target deck
     this.padModes.set(targetDeck, note);
-    console.log(`🎮 Deck ${targetDeck} mode: ${this.getModeName(note)}`);
+    log.info(`🎮 Deck ${targetDeck} mode: ${this.getModeName(note)}`);
+    this.emit('change');
 
     return {
       activeMode: note,
@@ -422,7 +698,7 @@ export class ControlStateManager {
    * Get the active mode for a deck (1-4)
    */
   getActiveMode(deck: number): number {
-    return this.padModes.get(deck) || 27; // Default to HOT CUE
+    return this.padModes.get(deck) || this.defaultMode; // Default to HOT CUE
   }
 
   /**
@@ -431,15 +707,7 @@ export class ControlStateManager {
    * Channel 1 (right) → Deck 2 or 4
    */
   getActiveModeForChannel(channel: number): number {
-    let targetDeck: number;
-    if (channel === 0) {
-      const deck3Active = this.isDeckButtonOn(2, 114);
-      targetDeck = deck3Active ? 3 : 1;
-    } else {
-      const deck4Active = this.isDeckButtonOn(3, 114);
-      targetDeck = deck4Active ? 4 : 2;
-    }
-    return this.getActiveMode(targetDeck);
+    return this.getActiveMode(this.getActiveDeck(channel));
   }
 
   /**
@@ -461,17 +729,25 @@ export class ControlStateManager {
     };
   }
 
+  /**
+   * Get the behaviour id (hotCue, roll, slicer, sampler) for a mode button note
+   */
+  getModeId(note: number): PadModeId | null {
+    return this.profile.padModes.modes.find(mode => mode.note === note)?.id ?? null;
+  }
+
+  /**
+   * Get the mode button note for a behaviour id
+   */
+  getModeNote(id: PadModeId): number | null {
+    return this.profile.padModes.modes.find(mode => mode.id === id)?.note ?? null;
+  }
+
   /**
    * Get mode name for logging
    */
-  private getModeName(note: number): string {
-    const names: Record<number, string> = {
-      27: 'HOT CUE',
-      30: 'ROLL',
-      32: 'SLICER',
-      34: 'SAMPLER'
-    };
-    return names[note] || 'UNKNOWN';
+  getModeName(note: number): string {
+    return this.profile.padModes.modes.find(mode => mode.note === note)?.name || 'UNKNOWN';
   }
 
   /**
@@ -485,7 +761,14 @@ export class ControlStateManager {
    * Check if a button is a SYNC button
    */
   isSyncButton(channel: number, note: number): boolean {
-    return (channel === 0 || channel === 1) && note === 88;
+    return this.profile.sync.channels.includes(channel) && note === this.profile.sync.note;
+  }
+
+  /**
+   * Get the SYNC button for a side (0 = left, 1 = right)
+   */
+  getSyncButton(side: number): NoteAddress {
+    return { channel: this.profile.sync.channels[side], note: this.profile.sync.note };
   }
 
   /**
@@ -494,7 +777,8 @@ export class ControlStateManager {
   toggleSync(deck: number): boolean {
     const currentState = this.syncStates.get(deck) || false;
     this.syncStates.set(deck, !currentState);
-    console.log(`🔄 Deck ${deck} SYNC: ${!currentState ? 'ON' : 'OFF'}`);
+    log.info(`🔄 Deck ${deck} SYNC: ${!currentState ? 'ON' : 'OFF'}`);
+    this.emit('change');
     return !currentState;
   }
 
@@ -507,16 +791,241 @@ export class ControlStateManager {
 
   /**
    * Set deck loaded state
+   * Unloading forgets the song and section; volume and FX stay with the deck
+   * @param songId - Song loaded, if the browser said which
    */
-  setDeckLoaded(deck: number, loaded: boolean): void {
-    this.deckLoadedStates.set(deck, loaded);
-    console.log(`📀 Deck ${deck} loaded state: ${loaded}`);
+  setDeckLoaded(deck: number, loaded: boolean, songId: number | null = null): void {
+    const current = this.getDeckState(deck);
+    this.deckStates.set(deck, loaded
+      ? { ...current, loaded, songId, section: songId === current.songId ? current.section : null }
+      : { ...current, loaded, songId: null, section: null });
+    log.info(`📀 Deck ${deck} loaded state: ${loaded}${songId !== null ? ` (song ${songId})` : ''}`);
+    this.emit('change');
   }
 
   /**
    * Check if a deck has a song loaded
    */
   isDeckLoaded(deck: number): boolean {
-    return this.deckLoadedStates.get(deck) || false;
+    return this.deckStates.get(deck)?.loaded || false;
+  }
+
+  /**
+   * Get what a deck holds
+   * @throws if the deck is unknown
+   */
+  getDeckState(deck: number): DeckState {
+    const state = this.deckStates.get(deck);
+    if (!state) {
+      throw new Error(`Unknown deck: ${deck}`);
+    }
+    return { ...state, fx: { ...state.fx } };
+  }
+
+  /**
+   * Get what every deck holds
+   */
+  getDeckStates(): DeckState[] {
+    return this.decks.map(deck => this.getDeckState(deck));
+  }
+
+  /**
+   * Change a deck's section, volume or FX settings
+   * @returns true if anything changed
+   * @throws if the deck is unknown or a value is out of range
+   */
+  updateDeck(deck: number, update: DeckUpdate): boolean {
+    const current = this.getDeckState(deck);
+    const midiValue = (value: number | undefined) => value === undefined || (Number.isInteger(value) && value >= 0 && value <= 127);
+    const fx = update.fx ?? {};
+    if (!midiValue(update.volume) || !midiValue(fx.level) || !midiValue(fx.feedback) || !midiValue(fx.filter)) {
+      throw new Error('Deck volume and FX levels must be 0-127');
+    }
+    if (update.section !== undefined && update.section !== null && !DECK_SECTIONS.includes(update.section)) {
+      throw new Error(`Invalid section: ${update.section}. Must be ${DECK_SECTIONS.join(' or ')}`);
+    }
+    if (fx.beats !== undefined && fx.beats !== 1 && fx.beats !== 0.5) {
+      throw new Error(`Invalid echo beats: ${fx.beats}. Must be 1 or 0.5`);
+    }
+
+    const next: DeckState = {
+      ...current,
+      ...(update.section !== undefined ? { section: update.section } : {}),
+      ...(update.volume !== undefined ? { volume: update.volume } : {}),
+      fx: { ...current.fx, ...fx }
+    };
+    if (JSON.stringify(next) === JSON.stringify(current)) {
+      return false;
+    }
+    this.deckStates.set(deck, next);
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Capture the persistent state (see ControlStateSnapshot)
+   */
+  getSnapshot(): ControlStateSnapshot {
+    const onKeys = (states: Map<string, boolean>) => [...states.entries()]
+      .filter(([, on]) => on)
+      .map(([key]) => key.split(':').map(Number));
+
+    return {
+      version: SNAPSHOT_VERSION,
+      tempo: this.currentTempo,
+      fxAssignments: onKeys(this.fxAssignments).map(([fx, deck]) => ({ fx, deck })),
+      lockedButtons: onKeys(this.lockedButtons).map(([channel, note]) => ({ channel, note })),
+      deckButtons: onKeys(this.deckButtonStates).map(([channel, note]) => ({ channel, note })),
+      padModes: this.decks.map(deck => ({ deck, mode: this.getActiveMode(deck) })),
+      syncedDecks: this.decks.filter(deck => this.isSynced(deck)),
+      decks: this.getDeckStates()
+    };
+  }
+
+  /**
+   * Capture the session for a browser that just connected
+   */
+  getSessionSnapshot(): SessionSnapshot {
+    return {
+      tempo: this.currentTempo,
+      deckButtons: this.getDeckButtonStates(),
+      padModes: this.getPadModeStates(),
+      locks: this.getLockedButtons().map(({ channel, note }) => ({ button: note, channel, locked: true })),
+      fxAssignments: this.getSnapshot().fxAssignments,
+      syncedDecks: this.decks.filter(deck => this.isSynced(deck)),
+      decks: this.getDeckStates()
+    };
+  }
+
+  /**
+   * Replace the persistent state with a snapshot
+   * Entries for decks, buttons or modes the profile doesn't have are skipped,
+   * so a snapshot survives small profile edits
+   * @throws if the snapshot is malformed or from another version
+   */
+  restoreSnapshot(snapshot: ControlStateSnapshot): void {
+    const problems = validateSnapshot(snapshot);
+    if (problems.length > 0) {
+      throw new Error(`Invalid state snapshot: ${problems.join(', ')}`);
+    }
+
+    const isDeck = (deck: number) => this.decks.includes(deck);
+    const fxUnits = new Set(this.profile.fxAssign.map(entry => entry.fx));
+    const lockable = (address: NoteAddress) =>
+      this.fxChannels.has(address.channel) && this.profile.fx.buttons.includes(address.note);
+
+    this.currentTempo = snapshot.tempo;
+    this.fxAssignments = new Map(snapshot.fxAssignments
+      .filter(({ fx, deck }) => fxUnits.has(fx) && isDeck(deck))
+      .map(({ fx, deck }) => [`${fx}:${deck}`, true]));
+    this.lockedButtons = new Map(snapshot.lockedButtons
+      .filter(lockable)
+      .map(({ channel, note }) => [this.getButtonKey(channel, note), true]));
+    this.deckButtonStates = new Map(snapshot.deckButtons
+      .filter(({ channel, note }) => this.isDeckButton(channel, note))
+      .map(({ channel, note }) => [this.getButtonKey(channel, note), true]));
+    this.decks.forEach(deck => {
+      const mode = snapshot.padModes.find(entry => entry.deck === deck)?.mode;
+      this.padModes.set(deck, mode !== undefined && this.modeButtons.includes(mode) ? mode : this.defaultMode);
+      this.syncStates.set(deck, snapshot.syncedDecks.includes(deck));
+      const saved = snapshot.decks.find(entry => entry.deck === deck);
+      this.deckStates.set(deck, saved ? { ...saved, fx: { ...saved.fx } } : emptyDeck(deck));
+    });
+
+    const loaded = this.decks.filter(deck => this.isDeckLoaded(deck));
+    log.info(`♻️  Restored state: tempo ${this.currentTempo}, loaded decks [${loaded.join(', ')}]`);
+    this.emit('change');
+  }
+
+  /**
+   * Set the SLICER playhead for a deck
+   * @param slice - Slice index (0-7) within the current bar, or null when not playing
+   * @returns true if the playhead moved
+   */
+  setSlicerSlice(deck: number, slice: number | null): boolean {
+    if (slice !== null && !(Number.isInteger(slice) && slice >= 0 && slice < this.profile.pads.notes.length)) {
+      throw new Error(`Invalid slice ${slice}. Must be 0-${this.profile.pads.notes.length - 1}`);
+    }
+    const previous = this.slicerSlices.get(deck) ?? null;
+    this.slicerSlices.set(deck, slice);
+    return previous !== slice;
+  }
+
+  /**
+   * Get the SLICER playhead for a deck (null when not playing)
+   */
+  getSlicerSlice(deck: number): number | null {
+    return this.slicerSlices.get(deck) ?? null;
   }
+
+  /**
+   * Set the SAMPLER status of every pad
+   * @param status - One entry per pad; missing pads are treated as empty
+   * @returns true if any pad changed
+   */
+  setSamplerStatus(status: SamplerPadStatus[]): boolean {
+    const padCount = this.profile.pads.notes.length;
+    if (status.length > padCount || status.some(s => !SAMPLER_PAD_STATUSES.includes(s))) {
+      throw new Error(`Invalid sampler status. Expected up to ${padCount} of ${SAMPLER_PAD_STATUSES.join('/')}`);
+    }
+    const next = this.profile.pads.notes.map((_, i) => status[i] ?? 'empty');
+    const changed = next.some((s, i) => s !== this.getSamplerPadStatus(i));
+    this.samplerStatus = next;
+    return changed;
+  }
+
+  /**
+   * Get the SAMPLER status of a pad (0-7)
+   */
+  getSamplerPadStatus(pad: number): SamplerPadStatus {
+    return this.samplerStatus[pad] ?? 'empty';
+  }
+}
+
+/**
+ * State of a deck nothing has been loaded into
+ */
+function emptyDeck(deck: number): DeckState {
+  return { deck, loaded: false, songId: null, section: null, volume: 127, fx: { echo: false } };
+}
+
+/**
+ * Check the shape of a snapshot read from disk
+ * @returns list of problems (empty if valid)
+ */
+export function validateSnapshot(data: unknown): string[] {
+  const problems: string[] = [];
+  const check = (ok: boolean, problem: string) => {
+    if (!ok) problems.push(problem);
+  };
+  const isObject = (value: unknown): value is Record<string, any> =>
+    typeof value === 'object' && value !== null && !Array.isArray(value);
+  const isInteger = (value: unknown): value is number => Number.isInteger(value);
+  const isAddress = (value: unknown) => isObject(value) && isInteger(value.channel) && isInteger(value.note);
+  const isMidiValue = (value: unknown) => isInteger(value) && value >= 0 && value <= 127;
+  const isDeckState = (value: unknown) => isObject(value) && isInteger(value.deck) &&
+    typeof value.loaded === 'boolean' &&
+    (value.songId === null || isInteger(value.songId)) &&
+    (value.section === null || DECK_SECTIONS.includes(value.section)) &&
+    isMidiValue(value.volume) &&
+    isObject(value.fx) && typeof value.fx.echo === 'boolean' &&
+    (value.fx.beats === undefined || value.fx.beats === 1 || value.fx.beats === 0.5) &&
+    ['level', 'feedback', 'filter'].every(knob => value.fx[knob] === undefined || isMidiValue(value.fx[knob]));
+
+  if (!isObject(data)) {
+    return ['snapshot must be a JSON object'];
+  }
+
+  check(data.version === SNAPSHOT_VERSION, `version must be ${SNAPSHOT_VERSION}`);
+  check([84, 94, 102].includes(data.tempo), 'tempo must be 84, 94 or 102');
+  check(Array.isArray(data.fxAssignments) && data.fxAssignments.every((entry: any) => isObject(entry) && isInteger(entry.fx) && isInteger(entry.deck)),
+    'fxAssignments must be a list of {fx, deck}');
+  check(Array.isArray(data.lockedButtons) && data.lockedButtons.every(isAddress), 'lockedButtons must be a list of {channel, note}');
+  check(Array.isArray(data.deckButtons) && data.deckButtons.every(isAddress), 'deckButtons must be a list of {channel, note}');
+  check(Array.isArray(data.padModes) && data.padModes.every((entry: any) => isObject(entry) && isInteger(entry.deck) && isInteger(entry.mode)),
+    'padModes must be a list of {deck, mode}');
+  check(Array.isArray(data.syncedDecks) && data.syncedDecks.every(isInteger), 'syncedDecks must be a list of deck numbers');
+  check(Array.isArray(data.decks) && data.decks.every(isDeckState), 'decks must be a list of deck states');
+
+  return problems;
 }
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDefaultProfile,
+  loadControllerProfile,
+  parseControllerProfile,
+  validateControllerProfile,
+  ControllerProfile
+} from './ControllerProfile.js';
+import { ControlStateManager } from './ControlStateManager.js';
+
+/**
+ * Deep copy of the bundled profile that a test can modify
+ */
+function copyProfile(): ControllerProfile {
+  return JSON.parse(JSON.stringify(getDefaultProfile()));
+}
+
+describe('ControllerProfile', () => {
+  describe('Bundled DDJ-SP1 profile', () => {
+    it('should load without validation problems', () => {
+      const profile = getDefaultProfile();
+      expect(validateControllerProfile(profile)).toEqual([]);
+      expect(profile.deviceMatch).toBe('DDJ-SP1');
+    });
+
+    it('should map decks 1-4 to pad channels 7-10', () => {
+      const profile = getDefaultProfile();
+      expect(profile.decks.map(d => [d.deck, d.padChannel])).toEqual([[1, 7], [2, 8], [3, 9], [4, 10]]);
+    });
+
+    it('should describe every control the UI renders', () => {
+      const ids = getDefaultProfile().controls.map(c => c.id);
+      expect(ids).toContain('button-64-ch6'); // SHIFT
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject non-objects', () => {
+      expect(validateControllerProfile(null)).toEqual(['profile must be a JSON object']);
+    });
+
+    it('should report every problem with its path', () => {
+      const profile: any = copyProfile();
+      profile.shift.channel = 16;
+      profile.decks[0].side = 'middle';
+      profile.padModes.default = 99;
+
+      const problems = validateControllerProfile(profile);
+      expect(problems.some(p => p.startsWith('shift.channel'))).toBe(true);
+      expect(problems.some(p => p.startsWith('decks[0].side'))).toBe(true);
+      expect(problems.some(p => p.startsWith('padModes.default'))).toBe(true);
+    });
+
+    it('should validate encoder settings', () => {
+      const profile: any = copyProfile();
+      profile.encoders[0].sensitivity = -1;
+      profile.encoders[1].channels = [16];
+
+      const problems = validateControllerProfile(profile);
+      expect(problems).toContain('encoders[0].sensitivity must be a positive number');
+      expect(problems).toContain('encoders[1].channels[0] must be a MIDI channel (0-15)');
+    });
+
+    it('should validate gesture bindings', () => {
+      const profile: any = copyProfile();
+      profile.gestures.longPressMs = 0;
+      profile.gestures.bindings = [
+        { name: 'panic', gesture: 'chord', buttons: [{ channel: 0, note: 64 }] },
+        { name: 'unload', gesture: 'swipe', buttons: [{ channel: 6, note: 70 }], deck: 9 }
+      ];
+
+      const problems = validateControllerProfile(profile);
+      expect(problems).toContain('gestures.longPressMs must be a positive number');
+      expect(problems).toContain('gestures.bindings[0].buttons must list at least two buttons');
+      expect(problems).toContain('gestures.bindings[1].gesture must be one of longPress, doubleTap, chord');
+      expect(problems).toContain('gestures.bindings[1].deck must be one of the decks');
+    });
+
+    it('should throw a readable error from parseControllerProfile', () => {
+      const profile: any = copyProfile();
+      delete profile.name;
+      expect(() => parseControllerProfile(profile, 'broken.json')).toThrow('Invalid controller profile (broken.json)');
+    });
+
+    it('should report unreadable files', () => {
+      expect(() => loadControllerProfile('/nonexistent/profile.json')).toThrow('Cannot load controller profile');
+    });
+  });
+
+  describe('Custom mappings', () => {
+    it('should drive ControlStateManager from the profile', () => {
+      const profile = copyProfile();
+      profile.shift = { channel: 6, note: 63 };
+      profile.decks[0].padChannel = 11;
+
+      const manager = new ControlStateManager(profile);
+      expect(manager.isShiftButton(6, 63)).toBe(true);
+      expect(manager.isShiftButton(6, 64)).toBe(false);
+      expect(manager.isPerformancePad(11)).toBe(true);
+      expect(manager.isPerformancePad(7)).toBe(false);
+      expect(manager.getDeckForPadChannel(11)).toBe(1);
+    });
+  });
+});
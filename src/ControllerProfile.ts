@@ -0,0 +1,416 @@
+/**
+ * ControllerProfile
+ *
+ * Declarative description of a controller's MIDI mapping, loaded from JSON
+ * (profiles/ddj-sp1.json by default). DeviceManager, ControlStateManager and
+ * the layout sent to browsers are all derived from it, so fixing a mapping
+ * only means editing the profile.
+ *
+ * DDJ-SP1 channel mapping (0-indexed, spec channel = n + 1):
+ * - Ch 0/1/2/3: Deck 1/2/3/4 control buttons (SYNC, SLIP, CENSOR, VOLUME, pad modes)
+ * - Ch 4/5: Deck A/B FX controls
+ * - Ch 6: Center section (browser, LOAD, SHIFT, FX ASSIGN)
+ * - Ch 7/8/9/10: Deck 1/2/3/4 performance pads
+ */
+
+import { readFileSync } from 'fs';
+import { EncoderSettings, validateEncoderSettings } from './RelativeEncoder.js';
+import { GESTURE_TYPES, GestureBinding, GestureTimings, validateGestureTimings } from './GestureDetector.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_PROFILE_PATH = join(__dirname, '../profiles/ddj-sp1.json');
+
+export const CONTROL_SECTIONS = [
+  'deck-a', 'deck-b', 'center', 'deck-a-top', 'deck-b-top', 'deck-a-buttons', 'deck-b-buttons',
+  'center-row-4', 'center-row-2', 'center-browser', 'center-view-area', 'center-load',
+  'center-shift', 'center-volume'
+] as const;
+
+/**
+ * A control rendered by the web UI
+ */
+export interface ControlDefinition {
+  id: string;
+  type: 'button' | 'knob' | 'slider';
+  channel: number;
+  number: number;
+  label: string;
+  section: typeof CONTROL_SECTIONS[number];
+}
+
+/**
+ * Pad mode identifiers the application implements behaviour for
+ */
+export const PAD_MODE_IDS = ['hotCue', 'roll', 'slicer', 'sampler'] as const;
+export type PadModeId = typeof PAD_MODE_IDS[number];
+
+/**
+ * A MIDI note address
+ */
+export interface NoteAddress {
+  channel: number;
+  note: number;
+}
+
+/**
+ * One of the four virtual decks
+ */
+export interface DeckDefinition {
+  deck: number;
+  side: string;           // name of the physical side the deck lives on
+  controlChannel: number; // SYNC, SLIP, CENSOR, VOLUME and pad mode buttons
+  padChannel: number;     // performance pads and their LEDs
+}
+
+/**
+ * A physical half of the controller, shared by two decks
+ * The first deck listed for a side is active until its DECK button is toggled on
+ */
+export interface SideDefinition {
+  name: string;
+  deckButton: NoteAddress;
+  fxChannel: number;
+}
+
+/**
+ * An FX ASSIGN button and the indicator light under it
+ */
+export interface FXAssignDefinition extends NoteAddress {
+  fx: number;
+  side: string;
+  lightNote: number; // LED shown when assigned to the side's alternate deck
+}
+
+/**
+ * An infinite (relative) encoder and how its turns are scaled
+ * Settings left out fall back to DEFAULT_ENCODER_SETTINGS
+ */
+export interface EncoderDefinition extends Partial<EncoderSettings> {
+  name: string;       // e.g. "browse", "volume"
+  controller: number; // CC number
+  channels: number[];
+}
+
+/**
+ * Gesture timings and the named actions behind gestures
+ * Timings left out fall back to DEFAULT_GESTURE_TIMINGS
+ */
+export interface GestureDefinitions extends Partial<GestureTimings> {
+  bindings?: GestureBinding[];
+}
+
+/**
+ * An LED found with `ddj-sp1 discover`, kept for reference
+ */
+export interface DiscoveredLED {
+  channel: number;
+  note: number;
+  label: string;
+  target?: string; // profile field the LED was mapped to (e.g. "fxAssignLight:0")
+}
+
+export interface ControllerProfile {
+  name: string;
+  deviceMatch: string; // substring matched against MIDI port names
+  decks: DeckDefinition[];
+  sides: SideDefinition[];
+  shift: NoteAddress;
+  pads: {
+    notes: number[];
+    litVelocity: number; // LED velocity for pads active in the current mode
+  };
+  padModes: {
+    default: number;
+    modes: Array<{ note: number; id: PadModeId; name: string }>;
+  };
+  sync: {
+    note: number;
+    channels: number[];
+  };
+  tempoKnob: {
+    controller: number; // CC sent by VOLUME while SHIFT is held
+    channels: number[];
+  };
+  fx: {
+    buttons: number[];
+    beatsKnob: number;
+    shifted: Array<{ note: number; original: number }>;
+  };
+  fxAssign: FXAssignDefinition[];
+  shiftedPads: Array<NoteAddress & { original: NoteAddress }>;
+  encoders?: EncoderDefinition[];
+  gestures?: GestureDefinitions;
+  leds?: DiscoveredLED[];
+  controls: ControlDefinition[];
+}
+
+const isObject = (value: unknown): value is Record<string, any> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isMidiValue = (value: unknown, max: number): value is number =>
+  Number.isInteger(value) && (value as number) >= 0 && (value as number) <= max;
+
+/**
+ * Validate parsed profile JSON
+ * @returns list of problems (empty if the profile is valid)
+ */
+export function validateControllerProfile(data: unknown): string[] {
+  const problems: string[] = [];
+  const check = (ok: boolean, problem: string) => {
+    if (!ok) problems.push(problem);
+  };
+  const checkChannel = (value: unknown, path: string) =>
+    check(isMidiValue(value, 15), `${path} must be a MIDI channel (0-15)`);
+  const checkNote = (value: unknown, path: string) =>
+    check(isMidiValue(value, 127), `${path} must be a MIDI note (0-127)`);
+  const checkAddress = (value: unknown, path: string) => {
+    if (!isObject(value)) {
+      problems.push(`${path} must be an object with channel and note`);
+      return;
+    }
+    checkChannel(value.channel, `${path}.channel`);
+    checkNote(value.note, `${path}.note`);
+  };
+  const checkArray = (value: unknown, path: string): value is any[] => {
+    check(Array.isArray(value), `${path} must be an array`);
+    return Array.isArray(value);
+  };
+
+  if (!isObject(data)) {
+    return ['profile must be a JSON object'];
+  }
+
+  check(typeof data.name === 'string' && data.name.length > 0, 'name must be a non-empty string');
+  check(typeof data.deviceMatch === 'string' && data.deviceMatch.length > 0, 'deviceMatch must be a non-empty string');
+
+  const sideNames = new Set<string>();
+  if (checkArray(data.sides, 'sides')) {
+    data.sides.forEach((side: any, i: number) => {
+      const path = `sides[${i}]`;
+      if (!isObject(side)) {
+        problems.push(`${path} must be an object`);
+        return;
+      }
+      check(typeof side.name === 'string' && !sideNames.has(side.name), `${path}.name must be a unique string`);
+      sideNames.add(side.name);
+      checkAddress(side.deckButton, `${path}.deckButton`);
+      checkChannel(side.fxChannel, `${path}.fxChannel`);
+    });
+  }
+
+  if (checkArray(data.decks, 'decks')) {
+    const deckNumbers = new Set<number>();
+    const padChannels = new Set<number>();
+    const controlChannels = new Set<number>();
+    data.decks.forEach((deck: any, i: number) => {
+      const path = `decks[${i}]`;
+      if (!isObject(deck)) {
+        problems.push(`${path} must be an object`);
+        return;
+      }
+      check(Number.isInteger(deck.deck) && deck.deck > 0 && !deckNumbers.has(deck.deck), `${path}.deck must be a unique positive integer`);
+      check(sideNames.has(deck.side), `${path}.side must name one of the sides`);
+      checkChannel(deck.controlChannel, `${path}.controlChannel`);
+      checkChannel(deck.padChannel, `${path}.padChannel`);
+      check(!padChannels.has(deck.padChannel), `${path}.padChannel is used by another deck`);
+      check(!controlChannels.has(deck.controlChannel), `${path}.controlChannel is used by another deck`);
+      deckNumbers.add(deck.deck);
+      padChannels.add(deck.padChannel);
+      controlChannels.add(deck.controlChannel);
+    });
+    sideNames.forEach(name => {
+      const count = data.decks.filter((deck: any) => deck?.side === name).length;
+      check(count === 1 || count === 2, `side "${name}" must have one or two decks`);
+    });
+  }
+
+  checkAddress(data.shift, 'shift');
+
+  if (!isObject(data.pads)) {
+    problems.push('pads must be an object');
+  } else {
+    if (checkArray(data.pads.notes, 'pads.notes')) {
+      data.pads.notes.forEach((note: unknown, i: number) => checkNote(note, `pads.notes[${i}]`));
+    }
+    check(isMidiValue(data.pads.litVelocity, 127), 'pads.litVelocity must be a MIDI velocity (0-127)');
+  }
+
+  if (!isObject(data.padModes)) {
+    problems.push('padModes must be an object');
+  } else if (checkArray(data.padModes.modes, 'padModes.modes')) {
+    data.padModes.modes.forEach((mode: any, i: number) => {
+      checkNote(mode?.note, `padModes.modes[${i}].note`);
+      check((PAD_MODE_IDS as readonly string[]).includes(mode?.id), `padModes.modes[${i}].id must be one of ${PAD_MODE_IDS.join(', ')}`);
+      check(typeof mode?.name === 'string', `padModes.modes[${i}].name must be a string`);
+    });
+    check(data.padModes.modes.some((mode: any) => mode?.note === data.padModes.default),
+      'padModes.default must be one of padModes.modes');
+  }
+
+  if (!isObject(data.sync)) {
+    problems.push('sync must be an object');
+  } else {
+    checkNote(data.sync.note, 'sync.note');
+    if (checkArray(data.sync.channels, 'sync.channels')) {
+      data.sync.channels.forEach((channel: unknown, i: number) => {
+        checkChannel(channel, `sync.channels[${i}]`);
+        check(Array.isArray(data.decks) && data.decks.some((deck: any) => deck?.controlChannel === channel),
+          `sync.channels[${i}] must be a deck control channel`);
+      });
+    }
+  }
+
+  if (!isObject(data.tempoKnob)) {
+    problems.push('tempoKnob must be an object');
+  } else {
+    checkNote(data.tempoKnob.controller, 'tempoKnob.controller');
+    if (checkArray(data.tempoKnob.channels, 'tempoKnob.channels')) {
+      data.tempoKnob.channels.forEach((channel: unknown, i: number) => checkChannel(channel, `tempoKnob.channels[${i}]`));
+    }
+  }
+
+  if (!isObject(data.fx)) {
+    problems.push('fx must be an object');
+  } else {
+    if (checkArray(data.fx.buttons, 'fx.buttons')) {
+      data.fx.buttons.forEach((note: unknown, i: number) => checkNote(note, `fx.buttons[${i}]`));
+    }
+    checkNote(data.fx.beatsKnob, 'fx.beatsKnob');
+    if (checkArray(data.fx.shifted, 'fx.shifted')) {
+      data.fx.shifted.forEach((entry: any, i: number) => {
+        checkNote(entry?.note, `fx.shifted[${i}].note`);
+        checkNote(entry?.original, `fx.shifted[${i}].original`);
+      });
+    }
+  }
+
+  if (checkArray(data.fxAssign, 'fxAssign')) {
+    data.fxAssign.forEach((entry: any, i: number) => {
+      const path = `fxAssign[${i}]`;
+      checkAddress(entry, path);
+      check(Number.isInteger(entry?.fx) && entry.fx > 0, `${path}.fx must be a positive integer`);
+      check(sideNames.has(entry?.side), `${path}.side must name one of the sides`);
+      checkNote(entry?.lightNote, `${path}.lightNote`);
+    });
+  }
+
+  if (checkArray(data.shiftedPads, 'shiftedPads')) {
+    data.shiftedPads.forEach((entry: any, i: number) => {
+      checkAddress(entry, `shiftedPads[${i}]`);
+      checkAddress(entry?.original, `shiftedPads[${i}].original`);
+    });
+  }
+
+  if (data.encoders !== undefined && checkArray(data.encoders, 'encoders')) {
+    data.encoders.forEach((encoder: any, i: number) => {
+      const path = `encoders[${i}]`;
+      if (!isObject(encoder)) {
+        problems.push(`${path} must be an object`);
+        return;
+      }
+      check(typeof encoder.name === 'string' && encoder.name.length > 0, `${path}.name must be a non-empty string`);
+      checkNote(encoder.controller, `${path}.controller`);
+      if (checkArray(encoder.channels, `${path}.channels`)) {
+        encoder.channels.forEach((channel: unknown, j: number) => checkChannel(channel, `${path}.channels[${j}]`));
+      }
+      problems.push(...validateEncoderSettings(encoder, path));
+    });
+  }
+
+  if (data.gestures !== undefined) {
+    if (!isObject(data.gestures)) {
+      problems.push('gestures must be an object');
+    } else {
+      problems.push(...validateGestureTimings(data.gestures));
+      if (data.gestures.bindings !== undefined && checkArray(data.gestures.bindings, 'gestures.bindings')) {
+        data.gestures.bindings.forEach((binding: any, i: number) => {
+          const path = `gestures.bindings[${i}]`;
+          if (!isObject(binding)) {
+            problems.push(`${path} must be an object`);
+            return;
+          }
+          check(typeof binding.name === 'string' && binding.name.length > 0, `${path}.name must be a non-empty string`);
+          check((GESTURE_TYPES as readonly string[]).includes(binding.gesture), `${path}.gesture must be one of ${GESTURE_TYPES.join(', ')}`);
+          if (checkArray(binding.buttons, `${path}.buttons`)) {
+            binding.buttons.forEach((button: unknown, j: number) => checkAddress(button, `${path}.buttons[${j}]`));
+            const expected = binding.gesture === 'chord' ? 'at least two buttons' : 'exactly one button';
+            check(binding.gesture === 'chord' ? binding.buttons.length >= 2 : binding.buttons.length === 1,
+              `${path}.buttons must list ${expected}`);
+          }
+          check(binding.deck === undefined || (Array.isArray(data.decks) && data.decks.some((deck: any) => deck?.deck === binding.deck)),
+            `${path}.deck must be one of the decks`);
+        });
+      }
+    }
+  }
+
+  if (data.leds !== undefined && checkArray(data.leds, 'leds')) {
+    data.leds.forEach((led: any, i: number) => {
+      checkAddress(led, `leds[${i}]`);
+      check(typeof led?.label === 'string', `leds[${i}].label must be a string`);
+    });
+  }
+
+  if (checkArray(data.controls, 'controls')) {
+    const ids = new Set<string>();
+    data.controls.forEach((control: any, i: number) => {
+      const path = `controls[${i}]`;
+      if (!isObject(control)) {
+        problems.push(`${path} must be an object`);
+        return;
+      }
+      check(typeof control.id === 'string' && !ids.has(control.id), `${path}.id must be a unique string`);
+      ids.add(control.id);
+      check(['button', 'knob', 'slider'].includes(control.type), `${path}.type must be button, knob or slider`);
+      checkChannel(control.channel, `${path}.channel`);
+      check(Number.isInteger(control.number), `${path}.number must be an integer`);
+      check(typeof control.label === 'string', `${path}.label must be a string`);
+      check((CONTROL_SECTIONS as readonly string[]).includes(control.section), `${path}.section is not a known UI section`);
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Validate parsed JSON and return it as a profile
+ * @param source - Name used in the error message (e.g. the file path)
+ * @throws if the profile is invalid
+ */
+export function parseControllerProfile(data: unknown, source: string = 'controller profile'): ControllerProfile {
+  const problems = validateControllerProfile(data);
+  if (problems.length > 0) {
+    throw new Error(`Invalid controller profile (${source}):\n  - ${problems.join('\n  - ')}`);
+  }
+  return data as ControllerProfile;
+}
+
+/**
+ * Load and validate a controller profile JSON file
+ * @throws if the file cannot be read, is not JSON, or is invalid
+ */
+export function loadControllerProfile(filePath: string = DEFAULT_PROFILE_PATH): ControllerProfile {
+  let data: unknown;
+  try {
+    data = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot load controller profile ${filePath}: ${(error as Error).message}`);
+  }
+  return parseControllerProfile(data, filePath);
+}
+
+let defaultProfile: ControllerProfile | null = null;
+
+/**
+ * Get the bundled DDJ-SP1 profile (loaded once)
+ */
+export function getDefaultProfile(): ControllerProfile {
+  if (!defaultProfile) {
+    defaultProfile = loadControllerProfile(DEFAULT_PROFILE_PATH);
+  }
+  return defaultProfile;
+}
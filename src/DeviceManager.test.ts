@@ -1,11 +1,13 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { DeviceManager } from './DeviceManager.js';
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { ScriptedTransport } from './ScriptedTransport.js';
 
 describe('DeviceManager', () => {
   let manager: DeviceManager;
 
   beforeEach(() => {
-    manager = new DeviceManager();
+    manager = new DeviceManager(new LoopbackTransport('Some Other Controller'));
   });
 
   afterEach(() => {
@@ -87,4 +89,669 @@ describe('DeviceManager', () => {
       expect(manager.listenerCount('knob')).toBe(0);
     });
   });
+
+  describe('Loopback Transport', () => {
+    let transport: LoopbackTransport;
+    let device: DeviceManager;
+
+    /**
+     * Collect payloads emitted for an event name
+     */
+    function capture(event: string): any[] {
+      const events: any[] = [];
+      device.on(event, (data) => events.push(data));
+      return events;
+    }
+
+    /**
+     * Last LED velocity written to a channel/note, or undefined
+     */
+    function lastLED(channel: number, note: number): number | undefined {
+      device.flushLEDs(); // include writes still paced in the LED queue
+      const writes = transport.getSentMessages().filter(sent =>
+        sent.type === 'noteon' &&
+        sent.message.channel === channel &&
+        (sent.message as { note: number }).note === note
+      );
+      const last = writes[writes.length - 1];
+      return last ? (last.message as { velocity: number }).velocity : undefined;
+    }
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      transport = new LoopbackTransport();
+      device = new DeviceManager(transport);
+      device.connect();
+      transport.clearSentMessages();
+    });
+
+    afterEach(() => {
+      device.disconnect();
+      vi.useRealTimers();
+    });
+
+    it('should connect through the injected transport', () => {
+      expect(device.isConnected()).toBe(true);
+      expect(device.isDeviceConnected()).toBe(true);
+      expect(device.getDeviceName()).toContain('DDJ-SP1');
+    });
+
+    it('should throw when the transport has no DDJ-SP1', () => {
+      const empty = new DeviceManager(new LoopbackTransport('Some Other Controller'));
+      expect(() => empty.connect()).toThrow('Pioneer DDJ-SP1 not found');
+    });
+
+    it('should emit padPress for the active deck and flash the pad LED', () => {
+      const presses = capture('padPress');
+
+      transport.noteOn(7, 3);
+      expect(presses).toEqual([{ channel: 7, note: 3, deck: 1, synced: false }]);
+
+      vi.advanceTimersByTime(100);
+      expect(lastLED(7, 3)).toBe(2);
+    });
+
+    it('should emit padRelease on noteoff and on noteon with velocity 0', () => {
+      const releases = capture('padRelease');
+
+      transport.noteOff(8, 2);
+      transport.noteOn(8, 5, 0);
+
+      expect(releases).toEqual([
+        { channel: 8, note: 2, deck: 2 },
+        { channel: 8, note: 5, deck: 2 }
+      ]);
+    });
+
+    it('should route pads to deck 3 after DECK 1/3 is toggled', () => {
+      const buttons = capture('button');
+      const presses = capture('padPress');
+
+      transport.noteOn(2, 114);
+      expect(buttons[0]).toMatchObject({ button: 114, channel: 2, pressed: true });
+      expect(lastLED(2, 114)).toBe(127);
+
+      transport.noteOn(7, 0);
+      expect(presses[0].deck).toBe(3);
+    });
+
+    it('should light the newly active deck mode buttons after a DECK press', () => {
+      device.handleDeckLoadChange(3, true);
+      transport.clearSentMessages();
+
+      transport.noteOn(2, 114);
+      expect(lastLED(2, 27)).toBe(127);
+      expect(lastLED(2, 30)).toBe(0);
+      expect(lastLED(9, 0)).toBe(2);
+    });
+
+    it('should only send LED values that changed', () => {
+      device.handleDeckLoadChange(1, true);
+      device.syncModeLEDs();
+      transport.clearSentMessages();
+
+      device.syncModeLEDs();
+      expect(transport.getSentMessages()).toEqual([]);
+    });
+
+    it('should expose the LED shadow state', () => {
+      device.handleDeckLoadChange(1, true);
+
+      const state = device.getLEDState();
+      expect(state).toContainEqual({ channel: 7, note: 27, velocity: 127 });
+      expect(state).toContainEqual({ channel: 7, note: 0, velocity: 2 });
+      expect(state).toContainEqual({ channel: 8, note: 27, velocity: 0 });
+    });
+
+    it('should blink the SYNC LED of an ending deck and restore it', () => {
+      transport.noteOn(1, 88); // SYNC lights ch1 note 88
+      device.setDeckEnding(2, true);
+      expect(device.getAnimator().isRunning('ending-deck-2')).toBe(true);
+
+      vi.advanceTimersByTime(400); // past half a beat at 84 BPM
+      expect(lastLED(1, 88)).toBe(0);
+
+      device.setDeckEnding(2, false);
+      expect(lastLED(1, 88)).toBe(127);
+    });
+
+    it('should turn a SYNC LED that was never lit back off after the ending blink', () => {
+      device.setDeckEnding(1, true);
+      expect(lastLED(0, 88)).toBe(127);
+
+      device.setDeckEnding(1, false);
+      expect(lastLED(0, 88)).toBe(0);
+    });
+
+    it('should toggle FX ASSIGN for the main deck and light the button', () => {
+      const buttons = capture('button');
+
+      transport.noteOn(6, 76);
+
+      expect(device.getStateManager().isFXAssigned(1, 1)).toBe(true);
+      expect(buttons[0]).toMatchObject({ button: 76, mainDeckAssigned: true, altDeckAssigned: false });
+      expect(lastLED(6, 76)).toBe(127);
+      expect(lastLED(6, 90)).toBe(0);
+    });
+
+    it('should toggle FX ASSIGN for the alt deck and light the indicator', () => {
+      transport.noteOn(3, 114); // DECK 2/4 → deck 4
+      transport.noteOn(6, 81);
+
+      expect(device.getStateManager().isFXAssigned(2, 4)).toBe(true);
+      expect(lastLED(6, 81)).toBe(0);
+      expect(lastLED(6, 93)).toBe(127);
+    });
+
+    it('should emit syncChange on SYNC and keep its LED lit', () => {
+      const syncs = capture('syncChange');
+
+      transport.noteOn(1, 88);
+
+      expect(syncs).toEqual([{ deck: 2, synced: true }]);
+      expect(lastLED(1, 88)).toBe(127);
+    });
+
+    it('should emit spindown on SHIFT + SYNC', () => {
+      const syncs = capture('syncChange');
+      const spindowns = capture('spindown');
+
+      transport.noteOn(6, 64);
+      transport.noteOn(0, 88);
+
+      expect(spindowns).toEqual([{ deck: 1 }]);
+      expect(syncs).toHaveLength(0);
+    });
+
+    it('should toggle FX locks from shifted FX buttons', () => {
+      const locks = capture('lock');
+
+      transport.noteOn(4, 99);
+      expect(locks).toEqual([{ button: 71, channel: 4, locked: true }]);
+      expect(lastLED(4, 71)).toBe(127);
+
+      transport.noteOn(4, 71, 0);
+      expect(lastLED(4, 71)).toBe(127); // locked buttons stay lit
+    });
+
+    it('should only change pad mode for loaded decks', () => {
+      const modes = capture('modeChange');
+
+      transport.noteOn(0, 30);
+      expect(modes).toHaveLength(0);
+
+      device.handleDeckLoadChange(1, true);
+      transport.noteOn(0, 30);
+      expect(modes).toEqual([{ activeMode: 30, channel: 0, deck: 1 }]);
+      expect(lastLED(0, 30)).toBe(127);
+      expect(lastLED(0, 27)).toBe(0);
+    });
+
+    it('should emit padPress in SLICER mode and light the playhead pad', () => {
+      const presses = capture('padPress');
+      device.handleDeckLoadChange(1, true);
+      transport.noteOn(0, 32); // SLICER on deck 1
+
+      device.setSlicerPosition(1, 2);
+      expect(lastLED(7, 2)).toBe(127);
+      expect(lastLED(7, 0)).toBe(0);
+
+      device.setSlicerPosition(1, 3);
+      expect(lastLED(7, 2)).toBe(0);
+      expect(lastLED(7, 3)).toBe(127);
+
+      transport.noteOn(7, 5);
+      expect(presses).toEqual([{ channel: 7, note: 5, deck: 1, synced: false }]);
+    });
+
+    it('should ignore SLICER playhead updates for decks in other modes', () => {
+      device.handleDeckLoadChange(1, true);
+      transport.clearSentMessages();
+
+      device.setSlicerPosition(1, 4);
+      expect(lastLED(7, 4)).toBeUndefined();
+      expect(() => device.setSlicerPosition(1, 8)).toThrow('Invalid slice');
+    });
+
+    it('should light SAMPLER pads from the sample status', () => {
+      const presses = capture('padPress');
+      device.handleDeckLoadChange(2, true);
+      transport.noteOn(1, 34); // SAMPLER on deck 2
+
+      device.setSamplerStatus(['loaded', 'playing']);
+      device.flushLEDs();
+      expect(device.getLEDState()).toContainEqual({ channel: 8, note: 0, velocity: 2 }); // the device shows 2 since connect(), so nothing is resent
+      expect(lastLED(8, 1)).toBe(127);
+      expect(lastLED(8, 2)).toBe(0);
+
+      transport.noteOn(8, 0);
+      expect(presses).toEqual([{ channel: 8, note: 0, deck: 2, synced: false }]);
+      expect(() => device.setSamplerStatus(['bogus' as any])).toThrow('Invalid sampler status');
+    });
+
+    it('should change tempo on SHIFT + VOLUME without emitting a knob event', () => {
+      const tempos = capture('tempoChange');
+      const knobs = capture('knob');
+
+      transport.cc(0, 55, 1);
+
+      expect(tempos).toEqual([{ tempo: 102 }]);
+      expect(knobs).toHaveLength(0);
+    });
+
+    it('should emit knob events for other control changes', () => {
+      const knobs = capture('knob');
+
+      transport.cc(4, 2, 70);
+
+      expect(knobs).toEqual([{ type: 'knob', knob: 2, value: 70, channel: 4 }]);
+    });
+
+    it('should add decoded steps to encoder knob events', () => {
+      const knobs = capture('knob');
+
+      transport.cc(0, 23, 127); // VOLUME one tick counter-clockwise
+      transport.cc(6, 100, 1);  // SHIFT + BROWSE one tick: one row of 4 songs
+
+      expect(knobs).toEqual([
+        { type: 'knob', knob: 23, value: 127, channel: 0, delta: -1 },
+        { type: 'knob', knob: 100, value: 1, channel: 6, delta: 4 }
+      ]);
+    });
+
+    it('should emit named gestures after the button events', () => {
+      const events: string[] = [];
+      device.on('button', (event) => events.push(`button ch${event.channel} ${event.button}`));
+      device.on('chord', (event) => events.push(`chord ${event.name}`));
+      device.on('longPress', (event) => events.push(`longPress ${event.name}`));
+
+      transport.noteOn(0, 64);  // left STOP held...
+      transport.noteOn(1, 64);  // ...then right STOP
+      transport.noteOff(0, 64);
+      transport.noteOff(1, 64);
+      transport.noteOn(6, 64);  // SHIFT is never part of a gesture
+      transport.noteOn(6, 72);  // LOAD held
+      vi.advanceTimersByTime(1000);
+
+      expect(events).toEqual([
+        'button ch0 64',
+        'button ch1 64',
+        'chord panic',
+        'button ch6 64',
+        'button ch6 72',
+        'longPress unload'
+      ]);
+    });
+
+    it('should flag the release of a LOAD held into the unload gesture', () => {
+      const events: unknown[] = [];
+      device.on('button', (event) => events.push(event));
+      device.on('longPress', (event) => events.push(event.name));
+
+      transport.noteOn(6, 72);     // LOAD tapped
+      transport.noteOn(6, 72, 0);
+      transport.noteOn(6, 72);     // LOAD held...
+      vi.advanceTimersByTime(1000);
+      transport.noteOn(6, 72, 0);  // ...and released after the unload
+
+      expect(events).toEqual([
+        { type: 'button', button: 72, pressed: true, channel: 6 },
+        { type: 'button', button: 72, pressed: false, channel: 6 },
+        { type: 'button', button: 72, pressed: true, channel: 6 },
+        'unload',
+        { type: 'button', button: 72, pressed: false, channel: 6, longPressed: true }
+      ]);
+    });
+
+    it('should play a scripted session through the listeners', async () => {
+      const scripted = new ScriptedTransport([
+        { type: 'noteon', message: { channel: 2, note: 114, velocity: 127 } },
+        { type: 'noteon', message: { channel: 7, note: 1, velocity: 127 }, delay: 10 },
+        { type: 'noteoff', message: { channel: 7, note: 1, velocity: 0 } }
+      ]);
+      const scriptedDevice = new DeviceManager(scripted);
+      const presses: any[] = [];
+      const releases: any[] = [];
+      scriptedDevice.on('padPress', (data) => presses.push(data));
+      scriptedDevice.on('padRelease', (data) => releases.push(data));
+      scriptedDevice.connect();
+
+      const done = scripted.play();
+      await vi.runAllTimersAsync();
+      await done;
+
+      expect(presses.map(p => p.deck)).toEqual([3]);
+      expect(releases.map(r => r.deck)).toEqual([3]);
+      scriptedDevice.disconnect();
+    });
+
+    it('should hand claimed controls to the claim handler instead of default handling', () => {
+      const locks = capture('lock');
+      const events = capture('event');
+      const claimed: Array<{ type: string; note: number }> = [];
+      const release = device.claimControl({ channel: 4, note: 99 }, ({ type, message }) => {
+        claimed.push({ type, note: (message as { note: number }).note });
+      });
+      expect(() => device.claimControl({ channel: 4, note: 99 }, () => {})).toThrow('Control already claimed: note:4:99');
+
+      transport.noteOn(4, 99); // SHIFT + FX would lock FX 1
+      expect(claimed).toEqual([{ type: 'noteon', note: 99 }]);
+      expect(locks).toEqual([]);
+      expect(events).toEqual([]);
+
+      release();
+      transport.noteOn(4, 99);
+      expect(claimed).toHaveLength(1);
+      expect(locks).toEqual([{ button: 71, channel: 4, locked: true }]);
+    });
+
+    describe('Virtual output', () => {
+      const forwarded = () => transport.getVirtualMessages().map(({ type, message }) => ({ type, ...message }));
+
+      beforeEach(() => {
+        device.openVirtualOutput();
+      });
+
+      afterEach(() => {
+        device.closeVirtualOutput();
+      });
+
+      it('should pass knobs and plain buttons through unchanged', () => {
+        transport.cc(0, 19, 64);
+        transport.noteOn(6, 70);
+        transport.noteOff(6, 70);
+
+        expect(forwarded()).toEqual([
+          { type: 'cc', channel: 0, controller: 19, value: 64 },
+          { type: 'noteon', channel: 6, note: 70, velocity: 127 },
+          { type: 'noteoff', channel: 6, note: 70, velocity: 0 }
+        ]);
+        expect(device.getVirtualOutputName()).toBe('DDJ-SP1 (Translated)');
+        expect(() => device.openVirtualOutput('Other')).toThrow('Virtual MIDI output already open');
+      });
+
+      it('should send pads and SYNC on the active deck channel and map shifted pads back', () => {
+        transport.noteOn(2, 114); // DECK 1/3 → Deck 3
+        transport.clearSentMessages();
+
+        transport.noteOn(7, 3);
+        transport.noteOn(0, 88);
+        transport.noteOn(0, 105);
+
+        expect(forwarded()).toEqual([
+          { type: 'noteon', channel: 9, note: 3, velocity: 127 },
+          { type: 'noteon', channel: 2, note: 88, velocity: 127 },
+          { type: 'noteon', channel: 0, note: 27, velocity: 127 }
+        ]);
+      });
+
+      it('should hold locked FX buttons on', () => {
+        transport.noteOn(4, 99);    // SHIFT + FX: lock
+        transport.noteOn(4, 71);
+        transport.noteOn(4, 71, 0);
+        transport.noteOn(4, 99);    // unlock
+        transport.noteOn(4, 71);
+
+        expect(forwarded()).toEqual([
+          { type: 'noteon', channel: 4, note: 71, velocity: 127 },
+          { type: 'noteon', channel: 4, note: 71, velocity: 0 },
+          { type: 'noteon', channel: 4, note: 71, velocity: 127 }
+        ]);
+      });
+
+      it('should stay open across a disconnect', () => {
+        device.disconnect();
+        device.connect();
+        transport.clearSentMessages();
+
+        transport.noteOn(8, 1);
+        expect(forwarded()).toEqual([{ type: 'noteon', channel: 8, note: 1, velocity: 127 }]);
+      });
+    });
+
+    describe('MIDI clock', () => {
+      afterEach(() => {
+        device.closeClockOutput();
+        device.closeClockInput();
+      });
+
+      it('should send clock at the master tempo and start/stop on command', () => {
+        expect(() => device.startClock()).toThrow('No MIDI clock output open');
+
+        device.openClockOutput('TR-8S');
+        device.setTempo(102);
+        device.startClock();
+        vi.advanceTimersByTime(60000 / 102);
+
+        const types = transport.getClockMessages().map(m => m.type);
+        expect(types[0]).toBe('clock');
+        expect(types).toContain('start');
+        expect(types.filter(type => type === 'clock').length).toBeGreaterThanOrEqual(24);
+        expect(device.getClockStatus()).toMatchObject({ output: 'TR-8S', input: null, running: true, position: 4 });
+
+        device.stopClock();
+        expect(transport.getClockMessages().pop()).toEqual({ type: 'stop' });
+      });
+
+      it('should choose the nearest tempo from a followed clock', () => {
+        const tempos = capture('tempoChange');
+        device.openClockInput('Drum machine');
+
+        for (let i = 0; i <= 24; i++) {
+          transport.injectClock('clock');
+          vi.advanceTimersByTime(25); // 100 BPM
+        }
+
+        expect(tempos).toEqual([{ tempo: 102 }]);
+        expect(device.getClockStatus()).toMatchObject({ input: 'Drum machine', following: true, measuredTempo: 100 });
+      });
+    });
+
+    describe('Commands', () => {
+      it('should set the tempo like SHIFT + VOLUME', () => {
+        const tempos = capture('tempoChange');
+
+        device.setTempo(102);
+
+        expect(tempos).toEqual([{ tempo: 102 }]);
+        expect(device.getStateManager().getCurrentTempo()).toBe(102);
+        expect(() => device.setTempo(120 as any)).toThrow('Invalid tempo: 120');
+      });
+
+      it('should toggle a DECK button like the hardware', () => {
+        const buttons = capture('button');
+        const presses = capture('padPress');
+
+        expect(device.toggleDeck(0)).toBe(true);
+        expect(buttons).toEqual([{ type: 'button', button: 114, pressed: true, channel: 2 }]);
+        expect(lastLED(2, 114)).toBe(127);
+
+        transport.noteOn(7, 0);
+        expect(presses[0].deck).toBe(3);
+        expect(() => device.toggleDeck(2)).toThrow('Unknown side: 2');
+      });
+
+      it('should toggle FX ASSIGN for a deck and light its LED', () => {
+        const buttons = capture('button');
+
+        expect(device.toggleFXAssign(1, 3)).toBe(true);
+
+        expect(device.getStateManager().isFXAssigned(1, 3)).toBe(true);
+        expect(buttons).toEqual([{
+          type: 'button', button: 76, pressed: true, channel: 6, mainDeckAssigned: false, altDeckAssigned: true
+        }]);
+        expect(lastLED(6, 90)).toBe(127);
+        expect(() => device.toggleFXAssign(3, 1)).toThrow('No FX ASSIGN button for FX3 on deck 1');
+      });
+
+      it('should only change the pad mode of a loaded deck', () => {
+        const modes = capture('modeChange');
+
+        expect(() => device.setPadMode(1, 'roll')).toThrow('Deck 1 is empty');
+        expect(() => device.setPadMode(5, 'roll')).toThrow('Unknown deck: 5');
+
+        device.handleDeckLoadChange(1, true);
+        device.setPadMode(1, 'roll');
+
+        expect(modes).toEqual([{ activeMode: 30, channel: 0, deck: 1 }]);
+        expect(lastLED(0, 30)).toBe(127);
+        expect(lastLED(0, 27)).toBe(0);
+      });
+
+      it('should trigger sync and spindown for a deck', () => {
+        const syncs = capture('syncChange');
+        const spindowns = capture('spindown');
+
+        device.triggerSync(2);
+        device.triggerSpindown(3);
+
+        expect(syncs).toEqual([{ deck: 2, synced: true }]);
+        expect(spindowns).toEqual([{ deck: 3 }]);
+        expect(lastLED(1, 88)).toBe(127);
+      });
+
+      it('should report deck changes with who made them', () => {
+        const decks: any[] = [];
+        device.on('deckState', (deckState, source) => decks.push({ deckState, source }));
+
+        device.handleDeckLoadChange(2, true, 11, 'browser-a');
+        device.updateDeck(2, { volume: 64 }, 'browser-b');
+        device.updateDeck(2, { volume: 64 }); // unchanged: no event
+
+        expect(decks.map(({ deckState, source }) => [deckState.songId, deckState.volume, source]))
+          .toEqual([[11, 127, 'browser-a'], [11, 64, 'browser-b']]);
+        expect(() => device.handleDeckLoadChange(7, true)).toThrow('Unknown deck: 7');
+      });
+
+      it('should set arbitrary LEDs only while connected', () => {
+        device.setLEDs([{ channel: 6, note: 70, velocity: 127 }, { channel: 0, note: 11, velocity: 64 }]);
+        expect(lastLED(6, 70)).toBe(127);
+        expect(lastLED(0, 11)).toBe(64);
+
+        device.disconnect();
+        expect(() => device.setLEDs([{ channel: 6, note: 70, velocity: 0 }])).toThrow('controller not connected');
+      });
+    });
+  });
+
+  describe('Hot-plug', () => {
+    let transport: LoopbackTransport;
+    let device: DeviceManager;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      transport = new LoopbackTransport();
+      transport.setDevices([]);
+      device = new DeviceManager(transport);
+    });
+
+    afterEach(() => {
+      device.stopWatching();
+      device.disconnect();
+      vi.useRealTimers();
+    });
+
+    it('should connect when the controller appears', () => {
+      const connected: any[] = [];
+      device.on('connected', (status) => connected.push(status));
+
+      device.startWatching(500);
+      expect(device.isConnected()).toBe(false);
+
+      transport.setDevices(['PIONEER DDJ-SP1 (Loopback)']);
+      vi.advanceTimersByTime(500);
+
+      expect(device.isConnected()).toBe(true);
+      expect(connected).toEqual([{ connected: true, deviceName: 'PIONEER DDJ-SP1 (Loopback)' }]);
+    });
+
+    it('should disconnect when the controller is unplugged', () => {
+      const disconnected: any[] = [];
+      device.on('disconnected', (status) => disconnected.push(status));
+      transport.setDevices(['PIONEER DDJ-SP1 (Loopback)']);
+
+      device.startWatching(500);
+      expect(device.isConnected()).toBe(true);
+
+      transport.setDevices([]);
+      vi.advanceTimersByTime(500);
+
+      expect(device.isConnected()).toBe(false);
+      expect(disconnected).toEqual([{ connected: false, deviceName: null }]);
+    });
+
+    it('should restore mode LEDs after reconnecting', () => {
+      transport.setDevices(['PIONEER DDJ-SP1 (Loopback)']);
+      device.startWatching(500);
+      device.handleDeckLoadChange(2, true);
+
+      transport.setDevices([]);
+      vi.advanceTimersByTime(500);
+      transport.clearSentMessages();
+
+      transport.setDevices(['PIONEER DDJ-SP1 (Loopback)']);
+      vi.advanceTimersByTime(500);
+
+      const modeWrites = transport.getSentMessages()
+        .map(sent => sent.message as { channel: number; note: number; velocity: number })
+        .filter(msg => msg.channel === 8 && msg.note === 27);
+      expect(modeWrites[modeWrites.length - 1].velocity).toBe(127);
+    });
+
+    it('should show restored state on the hardware when connecting', () => {
+      const state = device.getStateManager();
+      state.setDeckLoaded(1, true);
+      state.toggleDeckButton(3, 114);   // right side on deck 4
+      state.toggleFXAssignment(2, 4);   // FX 2 → deck 4: right FX2 ASSIGN light
+      state.toggleButtonLock(5, 72);
+
+      transport.setDevices(['PIONEER DDJ-SP1 (Loopback)']);
+      device.startWatching(500);
+      device.flushLEDs();
+
+      const leds = device.getLEDState();
+      expect(leds).toContainEqual({ channel: 3, note: 114, velocity: 127 });
+      expect(leds).toContainEqual({ channel: 6, note: 81, velocity: 0 });
+      expect(leds).toContainEqual({ channel: 6, note: 93, velocity: 127 });
+      expect(leds).toContainEqual({ channel: 5, note: 72, velocity: 127 });
+      expect(leds).toContainEqual({ channel: 7, note: 27, velocity: 127 }); // deck 1 loaded: HOT CUE lit
+    });
+
+    it('should retry on the next poll when opening the output fails', () => {
+      const scripted = new ScriptedTransport([]);
+      const retrying = new DeviceManager(scripted);
+      const closes: any[] = [];
+      const openInput = scripted.openInput.bind(scripted);
+      vi.spyOn(scripted, 'openInput').mockImplementation((name) => {
+        const input = openInput(name);
+        closes.push(vi.spyOn(input, 'close'));
+        return input;
+      });
+      vi.spyOn(scripted, 'openOutput').mockImplementationOnce(() => {
+        throw new Error('Port busy');
+      });
+
+      retrying.startWatching(500);
+      expect(retrying.isConnected()).toBe(false);
+      expect(closes[0]).toHaveBeenCalled(); // the input opened for the failed attempt
+
+      vi.advanceTimersByTime(500);
+      expect(retrying.isConnected()).toBe(true);
+      expect(retrying.getStatus()).toEqual({ connected: true, deviceName: 'PIONEER DDJ-SP1 (Loopback)' });
+
+      retrying.stopWatching();
+      retrying.disconnect();
+    });
+
+    it('should stop polling after stopWatching', () => {
+      device.startWatching(500);
+      expect(device.isWatching()).toBe(true);
+      device.stopWatching();
+      expect(device.isWatching()).toBe(false);
+
+      transport.setDevices(['PIONEER DDJ-SP1 (Loopback)']);
+      vi.advanceTimersByTime(2000);
+      expect(device.isConnected()).toBe(false);
+    });
+  });
 });
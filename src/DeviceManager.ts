@@ -1,50 +1,219 @@
-import easymidi from 'easymidi';
 import { EventEmitter } from 'events';
-import { ControllerEvent } from './types.js';
-import { ControlStateManager } from './ControlStateManager.js';
+import { ControllerEvent, DeviceStatus, ModeChangeEvent, TempoChangeEvent } from './types.js';
+import { ControlStateManager, DeckUpdate, SamplerPadStatus } from './ControlStateManager.js';
+import {
+  MidiClockInputPort,
+  MidiClockOutputPort,
+  MidiControlMessage,
+  MidiInputPort,
+  MidiMessageMap,
+  MidiMessageType,
+  MidiNoteMessage,
+  MidiOutputPort,
+  MidiTransport
+} from './MidiTransport.js';
+import { ControllerProfile, getDefaultProfile, PadModeId } from './ControllerProfile.js';
+import { LEDBuffer, LEDState } from './LEDBuffer.js';
+import { LEDAnimator } from './LEDAnimator.js';
+import { GESTURE_TYPES, GestureDetector, GestureEvent } from './GestureDetector.js';
+import { MidiClock, MidiClockStatus } from './MidiClock.js';
+import { createLogger } from './Logger.js';
+
+const log = createLogger('midi');
+const ledLog = createLogger('leds');
+
+// Port name other software sees for the translated stream
+export const DEFAULT_VIRTUAL_OUTPUT_NAME = 'DDJ-SP1 (Translated)';
+
+/**
+ * A button/pad (note) or knob (controller) taken over by a claim
+ */
+export type ControlAddress = { channel: number; note: number } | { channel: number; controller: number };
+
+/**
+ * Receives a claimed control's raw messages, in the same shape as the 'midi' event
+ */
+export type ClaimHandler = (event: { type: MidiMessageType; message: MidiNoteMessage | MidiControlMessage }) => void;
+
+/**
+ * How connect() treats the hardware
+ */
+export interface ConnectOptions {
+  syncLEDs?: boolean; // rewrite every LED from the state (default); off for tools that only watch or probe
+}
+
+/**
+ * MIDI clock state plus the ports it uses
+ */
+export interface ClockStatus extends MidiClockStatus {
+  output: string | null;
+  input: string | null;
+}
 
 export class DeviceManager extends EventEmitter {
-  private input: easymidi.Input | null = null;
-  private output: easymidi.Output | null = null;
+  private input: MidiInputPort | null = null;
+  private output: MidiOutputPort | null = null;
+  private virtualOutput: MidiOutputPort | null = null;
+  private virtualOutputName: string | null = null;
   private deviceName: string | null = null;
   private stateManager: ControlStateManager;
+  private transport: MidiTransport;
+  private profile: ControllerProfile;
+  private watchTimer: ReturnType<typeof setInterval> | null = null;
+  private leds: LEDBuffer;
+  private animator: LEDAnimator;
+  private gestures: GestureDetector;
+  private clock: MidiClock;
+  private clockOutput: { name: string; port: MidiClockOutputPort } | null = null;
+  private clockInput: { name: string; port: MidiClockInputPort } | null = null;
+  private claims: Map<string, ClaimHandler> = new Map(); // key: "note:ch:note" or "cc:ch:controller"
 
-  constructor() {
+  /**
+   * @param transport - MIDI backend: EasyMidiTransport for the hardware, LoopbackTransport for tests
+   * @param profile - Controller mapping (defaults to the bundled DDJ-SP1 profile)
+   */
+  constructor(transport: MidiTransport, profile: ControllerProfile = getDefaultProfile()) {
     super();
-    this.stateManager = new ControlStateManager();
+    this.transport = transport;
+    this.profile = profile;
+    this.stateManager = new ControlStateManager(profile);
+    this.leds = new LEDBuffer((channel, note, velocity) => {
+      this.sendMidi('noteon', { note, velocity, channel });
+    });
+    this.animator = new LEDAnimator(this.leds, () => this.stateManager.getCurrentTempo());
+
+    // Gestures are re-emitted as 'longPress', 'doubleTap' and 'chord' events
+    const { bindings, ...timings } = profile.gestures ?? {};
+    this.gestures = new GestureDetector(timings, bindings);
+    GESTURE_TYPES.forEach(type => {
+      this.gestures.on(type, (event: GestureEvent) => {
+        log.info(`✋ ${type}${event.name ? ` (${event.name})` : ''}: ${event.buttons.map(b => `ch${b.channel} note${b.note}`).join(' + ')}`);
+        this.emit(type, event);
+      });
+    });
+
+    // Clock runs at the master tempo; a followed clock picks the nearest tempo
+    this.clock = new MidiClock(() => this.stateManager.getCurrentTempo());
+    this.clock.on('tempo', (bpm: number) => {
+      const tempo = this.stateManager.getNearestTempo(bpm);
+      if (tempo !== this.stateManager.getCurrentTempo()) {
+        log.info(`⏱️  MIDI clock in at ${bpm} BPM → tempo ${tempo}`);
+        this.setTempo(tempo);
+      }
+    });
   }
 
   /**
    * Get list of available MIDI input devices
    */
   getAvailableDevices(): string[] {
-    return easymidi.getInputs();
+    return this.transport.getInputs();
+  }
+
+  /**
+   * Find the DDJ-SP1 among available MIDI input devices
+   */
+  private findDevice(): string | undefined {
+    const devices = this.getAvailableDevices();
+    return devices.find(name => name.includes(this.profile.deviceMatch));
   }
 
   /**
    * Check if DDJ-SP1 is connected
    */
   isDeviceConnected(): boolean {
-    const devices = this.getAvailableDevices();
-    return devices.some(name => name.includes('DDJ-SP1'));
+    return this.findDevice() !== undefined;
   }
 
   /**
    * Connect to the DDJ-SP1
    */
-  connect(): void {
-    const devices = this.getAvailableDevices();
-    const sp1Device = devices.find(name => name.includes('DDJ-SP1'));
+  connect(options: ConnectOptions = {}): void {
+    const sp1Device = this.findDevice();
 
     if (!sp1Device) {
-      throw new Error('Pioneer DDJ-SP1 not found. Make sure it is connected via USB.');
+      throw new Error(`${this.profile.name} not found. Make sure it is connected via USB.`);
+    }
+
+    // Open both ports before taking either, so a failure leaves us disconnected and retryable
+    const input = this.transport.openInput(sp1Device);
+    let output: MidiOutputPort;
+    try {
+      output = this.transport.openOutput(sp1Device);
+    } catch (error) {
+      input.close();
+      throw error;
     }
 
     this.deviceName = sp1Device;
-    this.input = new easymidi.Input(sp1Device);
-    this.output = new easymidi.Output(sp1Device);
+    this.input = input;
+    this.output = output;
     this.setupListeners();
-    this.initializeLEDs();
+    this.leds.reset(); // Device LEDs are in an unknown state after (re)connecting
+    this.animator.reset();
+    this.gestures.reset();
+    if (options.syncLEDs !== false) {
+      this.syncAllLEDs(); // Show the current (possibly restored) state on the hardware
+    }
+
+    this.emit('connected', this.getStatus());
+  }
+
+  /**
+   * Watch for the DDJ-SP1 being plugged in or unplugged
+   * Connects as soon as the device appears, disconnects when it disappears,
+   * and restores LED state after a reconnect
+   * @param intervalMs - How often to poll the MIDI device list
+   */
+  startWatching(intervalMs: number = 1000): void {
+    if (this.watchTimer) return;
+
+    this.checkDevice();
+    this.watchTimer = setInterval(() => this.checkDevice(), intervalMs);
+  }
+
+  /**
+   * Stop watching for hot-plug changes
+   */
+  stopWatching(): void {
+    if (this.watchTimer) {
+      clearInterval(this.watchTimer);
+      this.watchTimer = null;
+    }
+  }
+
+  /**
+   * Check if hot-plug watching is active
+   */
+  isWatching(): boolean {
+    return this.watchTimer !== null;
+  }
+
+  /**
+   * Compare the device list with the connection state and react to changes
+   */
+  private checkDevice(): void {
+    let found: string | undefined;
+    try {
+      found = this.findDevice();
+    } catch (error) {
+      log.error(`Error listing MIDI devices: ${(error as Error).message}`);
+      return;
+    }
+
+    // Another device can take over, e.g. the hardware replacing the virtual controller
+    if (this.isConnected() && found !== this.deviceName) {
+      log.warn(`🔌 ${this.deviceName} ${found ? `replaced by ${found}` : 'unplugged'}`);
+      this.disconnect();
+    }
+    if (!this.isConnected() && found) {
+      try {
+        this.connect();
+        log.info(`🔌 Reconnected to ${this.deviceName}`);
+      } catch (error) {
+        log.error(`Error reconnecting to ${this.profile.name}: ${(error as Error).message}`);
+      }
+    }
   }
 
   /**
@@ -53,36 +222,49 @@ export class DeviceManager extends EventEmitter {
    * DECK button-switched channels (7, 8 for decks 1/3 or 2/4)
    */
   private getActiveDeckFromChannel(channel: number): number {
-    if (channel === 9) return 3;
-    if (channel === 10) return 4;
-    if (channel === 7) {
-      const deck3Active = this.stateManager.isDeckButtonOn(2, 114);
-      return deck3Active ? 3 : 1;
-    }
-    if (channel === 8) {
-      const deck4Active = this.stateManager.isDeckButtonOn(3, 114);
-      return deck4Active ? 4 : 2;
-    }
-    return 1; // Default
+    return this.stateManager.getDeckForPadChannel(channel);
   }
 
   /**
-   * Initialize LEDs on device connection
-   * All decks start with no modes lit (empty)
+   * Write every LED that reflects controller state: DECK toggles, FX ASSIGN
+   * buttons and lights, FX locks, mode buttons and pads
+   * Called on connect, so state restored after a restart shows up on the hardware
    */
-  private initializeLEDs(): void {
+  syncAllLEDs(): void {
     if (!this.output) return;
 
-    // Turn off all mode LEDs initially (decks start empty)
-    const modeButtons = this.stateManager.getModeButtons();
-    for (let deck = 1; deck <= 4; deck++) {
-      const padChannel = deck + 6; // Deck 1→ch7, Deck 2→ch8, Deck 3→ch9, Deck 4→ch10
+    const state = this.stateManager;
+    const modeButtons = state.getModeButtons();
+
+    // Mode LEDs on the pad channels (all decks) and pads of the active decks
+    this.syncModeLEDs();
+
+    // Per side: DECK toggle and the active deck's mode buttons (as after a DECK press)
+    this.profile.sides.forEach((_, side) => {
+      const deckButton = state.getDeckButton(side);
+      this.setLED(deckButton.channel, deckButton.note, state.isDeckButtonOn(deckButton.channel, deckButton.note) ? 127 : 0);
+
+      const activeDeck = state.getActiveDeck(side);
+      const activeMode = state.getActiveMode(activeDeck);
+      const modeButtonChannel = state.getControlChannel(activeDeck);
       modeButtons.forEach(btn => {
-        this.setLED(padChannel, btn, 0);
+        this.setLED(modeButtonChannel, btn, btn === activeMode ? 127 : 0);
       });
-    }
+    });
+
+    // FX ASSIGN: button = main deck, light = alternate deck
+    this.profile.fxAssign.forEach(entry => {
+      const base = state.getFXAssignBase(entry.note);
+      if (!base) return;
+      const altAssigned = base.altDeck !== null && state.isFXAssigned(base.fx, base.altDeck);
+      this.setLED(entry.channel, entry.note, state.isFXAssigned(base.fx, base.baseDeck) ? 127 : 0);
+      this.setLED(entry.channel, entry.lightNote, altAssigned ? 127 : 0);
+    });
+
+    // Locked FX buttons stay lit
+    state.getLockedButtons().forEach(({ channel, note }) => this.setLED(channel, note, 127));
 
-    console.log('🎮 Initialized: All decks empty, no modes active');
+    ledLog.info('🔄 Synced all LEDs to device');
   }
 
   /**
@@ -93,31 +275,23 @@ export class DeviceManager extends EventEmitter {
     if (!this.output) return;
 
     // Determine which deck (1-4) is currently active for this channel
-    let activeDeck: number;
-    if (channel === 0) {
-      const deck3Active = this.stateManager.isDeckButtonOn(2, 114);
-      activeDeck = deck3Active ? 3 : 1;
-    } else {
-      const deck4Active = this.stateManager.isDeckButtonOn(3, 114);
-      activeDeck = deck4Active ? 4 : 2;
-    }
+    const activeDeck = this.stateManager.getActiveDeck(channel);
 
     // Get the active mode for this deck
     const activeMode = this.stateManager.getActiveMode(activeDeck);
 
     // Map deck to pad channel:
     // Deck 1 → Channel 7, Deck 2 → Channel 8, Deck 3 → Channel 9, Deck 4 → Channel 10
-    const padChannel = activeDeck === 1 ? 7 : activeDeck === 2 ? 8 : activeDeck === 3 ? 9 : 10;
+    const padChannel = this.stateManager.getPadChannel(activeDeck);
 
-    console.log(`   📡 updatePadLEDsForChannel: channel=${channel}, activeDeck=${activeDeck}, padChannel=${padChannel}, mode=${activeMode}`);
+    ledLog.debug(`📡 updatePadLEDsForChannel: channel=${channel}, activeDeck=${activeDeck}, padChannel=${padChannel}, mode=${activeMode}`);
 
-    // Turn off all pads first on the correct pad channel
-    for (let i = 0; i < 8; i++) {
-      this.setLED(padChannel, i, 0);
-    }
+    // Work out each pad's velocity for the mode; pads not lit by the mode are off
+    const pads = this.stateManager.getPadNotes();
+    const modeId = this.stateManager.getModeId(activeMode);
+    let padVelocity = (_index: number) => 0;
 
-    // Light up specific pads based on mode
-    if (activeMode === 27) {
+    if (modeId === 'hotCue') {
       // HOT CUE mode: light up all 8 pads
       // Pad 1 (0): LEAD
       // Pad 2 (1): 0.5 beats (eighth note)
@@ -127,11 +301,24 @@ export class DeviceManager extends EventEmitter {
       // Pad 6 (5): 16 beats (25%)
       // Pad 7 (6): 32 beats (50%)
       // Pad 8 (7): 48 beats (75%)
-      const pads = [0, 1, 2, 3, 4, 5, 6, 7];
-      console.log(`      Setting HOT CUE pads: ch${padChannel} notes [0-7] vel 2`);
-      pads.forEach(pad => this.setLED(padChannel, pad, 2));
+      const litVelocity = this.stateManager.getPadLitVelocity();
+      padVelocity = () => litVelocity;
+      ledLog.debug(`Setting HOT CUE pads: ch${padChannel} notes [${pads.join(',')}] vel ${litVelocity}`);
+    } else if (modeId === 'slicer') {
+      // SLICER mode: light the pad of the slice under the playhead
+      const slice = this.stateManager.getSlicerSlice(activeDeck);
+      padVelocity = (index) => index === slice ? 127 : 0;
+    } else if (modeId === 'sampler') {
+      // SAMPLER mode: dim for loaded samples, bright while playing
+      const litVelocity = this.stateManager.getPadLitVelocity();
+      padVelocity = (index) => {
+        const status = this.stateManager.getSamplerPadStatus(index);
+        return status === 'playing' ? 127 : status === 'loaded' ? litVelocity : 0;
+      };
     }
-    // Add other modes here as needed (ROLL, SLICER, SAMPLER)
+    // Add other modes here as needed (ROLL)
+
+    pads.forEach((pad, index) => this.setLED(padChannel, pad, padVelocity(index)));
   }
 
   /**
@@ -145,8 +332,8 @@ export class DeviceManager extends EventEmitter {
 
     // Update mode button LEDs for all 4 decks
     // Mode buttons are on channels 7, 8, 9, 10 (decks 1, 2, 3, 4)
-    for (let deck = 1; deck <= 4; deck++) {
-      const padChannel = deck + 6; // Deck 1→ch7, Deck 2→ch8, Deck 3→ch9, Deck 4→ch10
+    for (const deck of this.stateManager.getDecks()) {
+      const padChannel = this.stateManager.getPadChannel(deck); // Deck 1→ch7, Deck 2→ch8, Deck 3→ch9, Deck 4→ch10
       const isDeckLoaded = this.stateManager.isDeckLoaded(deck);
 
       if (isDeckLoaded) {
@@ -167,35 +354,32 @@ export class DeviceManager extends EventEmitter {
     this.updatePadLEDsForChannel(0); // Left pads (Deck 1 or 3)
     this.updatePadLEDsForChannel(1); // Right pads (Deck 2 or 4)
 
-    console.log('🔄 Synced mode LEDs to device');
-  }
-
-  /**
-   * Get mode name for logging
-   */
-  private getModeName(note: number): string {
-    const names: Record<number, string> = {
-      27: 'HOT CUE',
-      30: 'ROLL',
-      32: 'SLICER',
-      34: 'SAMPLER'
-    };
-    return names[note] || 'UNKNOWN';
+    ledLog.info('🔄 Synced mode LEDs to device');
   }
 
   /**
    * Disconnect from the device
    */
   disconnect(): void {
-    if (this.input) {
-      this.input.close();
-      this.input = null;
-    }
-    if (this.output) {
-      this.output.close();
-      this.output = null;
+    const wasConnected = this.isConnected();
+
+    try {
+      this.animator.reset();
+      this.gestures.reset();
+      this.leds.flush();
+      this.input?.close();
+      this.output?.close();
+    } catch (error) {
+      // Ports of an unplugged device may already be gone
+      log.warn(`Error closing MIDI ports: ${(error as Error).message}`);
     }
+    this.input = null;
+    this.output = null;
     this.deviceName = null;
+
+    if (wasConnected) {
+      this.emit('disconnected', this.getStatus());
+    }
   }
 
   /**
@@ -212,6 +396,161 @@ export class DeviceManager extends EventEmitter {
     return this.input !== null;
   }
 
+  /**
+   * Open a virtual MIDI output that re-emits the controller's input after
+   * processing (see forwardToVirtualOutput), so DAWs and Mixxx can use a
+   * deck-aware stream instead of the raw messages. It stays open while the
+   * controller is unplugged and replugged.
+   * @throws if the transport can't create virtual ports or one is already open
+   */
+  openVirtualOutput(name: string = DEFAULT_VIRTUAL_OUTPUT_NAME): void {
+    if (this.virtualOutput) {
+      throw new Error(`Virtual MIDI output already open: ${this.virtualOutputName}`);
+    }
+    if (!this.transport.openVirtualOutput) {
+      throw new Error('This MIDI backend cannot create virtual ports');
+    }
+    this.virtualOutput = this.transport.openVirtualOutput(name);
+    this.virtualOutputName = name;
+    log.info(`🔀 Virtual MIDI output open: ${name}`);
+  }
+
+  /**
+   * Close the virtual MIDI output, if open
+   */
+  closeVirtualOutput(): void {
+    try {
+      this.virtualOutput?.close();
+    } catch (error) {
+      log.warn(`Error closing virtual MIDI output: ${(error as Error).message}`);
+    }
+    this.virtualOutput = null;
+    this.virtualOutputName = null;
+  }
+
+  /**
+   * Get the name of the open virtual MIDI output
+   */
+  getVirtualOutputName(): string | null {
+    return this.virtualOutputName;
+  }
+
+  /**
+   * Send MIDI clock at the master tempo on an output port
+   * @throws if the transport can't send clock or the port can't be opened
+   */
+  openClockOutput(name: string): void {
+    if (!this.transport.openClockOutput) {
+      throw new Error('This MIDI backend cannot send clock');
+    }
+    const port = this.transport.openClockOutput(name);
+    this.closeClockOutput();
+    this.clockOutput = { name, port };
+    this.clock.setOutput(port);
+    log.info(`⏱️  MIDI clock out: ${name}`);
+  }
+
+  /**
+   * Stop sending MIDI clock
+   */
+  closeClockOutput(): void {
+    if (!this.clockOutput) return;
+    const { port } = this.clockOutput;
+    this.clockOutput = null;
+    this.clock.setOutput(null);
+    this.closeClockPort(port);
+  }
+
+  /**
+   * Follow the MIDI clock arriving on an input port: its tempo chooses the
+   * master tempo, and clock out relays it instead of generating its own
+   * @throws if the transport can't receive clock or the port can't be opened
+   */
+  openClockInput(name: string): void {
+    if (!this.transport.openClockInput) {
+      throw new Error('This MIDI backend cannot receive clock');
+    }
+    const port = this.transport.openClockInput(name);
+    this.closeClockInput();
+    this.clockInput = { name, port };
+    this.clock.follow(port);
+    log.info(`⏱️  Following MIDI clock in: ${name}`);
+  }
+
+  /**
+   * Stop following MIDI clock and generate it again
+   */
+  closeClockInput(): void {
+    if (!this.clockInput) return;
+    const { port } = this.clockInput;
+    this.clockInput = null;
+    this.clock.follow(null);
+    this.closeClockPort(port);
+  }
+
+  /**
+   * Send Start (or Song Position + Continue) on the clock output
+   * @param position - MIDI beats (16th notes) from the start of the song
+   * @throws if no clock output is open, while following clock in, or for an invalid position
+   */
+  startClock(position: number = 0): void {
+    if (!this.clockOutput) {
+      throw new Error('No MIDI clock output open');
+    }
+    this.clock.start(position);
+  }
+
+  /**
+   * Send Stop on the clock output
+   * @throws if no clock output is open or while following clock in
+   */
+  stopClock(): void {
+    if (!this.clockOutput) {
+      throw new Error('No MIDI clock output open');
+    }
+    this.clock.stop();
+  }
+
+  /**
+   * Get the MIDI clock state
+   */
+  getClockStatus(): ClockStatus {
+    return {
+      ...this.clock.getStatus(),
+      output: this.clockOutput?.name ?? null,
+      input: this.clockInput?.name ?? null
+    };
+  }
+
+  private closeClockPort(port: MidiClockInputPort | MidiClockOutputPort): void {
+    try {
+      port.close();
+    } catch (error) {
+      log.warn(`Error closing MIDI clock port: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Get connection status for broadcasting to clients
+   */
+  getStatus(): DeviceStatus {
+    const status: DeviceStatus = {
+      connected: this.isConnected(),
+      deviceName: this.deviceName
+    };
+    if (status.connected && this.deviceName && this.transport.isVirtualDevice?.(this.deviceName)) {
+      status.virtual = true;
+    }
+    return status;
+  }
+
+  /**
+   * Get the controller profile this device was configured with
+   */
+  getProfile(): ControllerProfile {
+    return this.profile;
+  }
+
   /**
    * Get the state manager
    */
@@ -221,13 +560,19 @@ export class DeviceManager extends EventEmitter {
 
   /**
    * Handle deck load/unload event from frontend
+   * Emits 'deckState' with what the deck now holds
    * @param deck - Deck number (1-4)
    * @param loaded - True if song loaded, false if unloaded
+   * @param songId - Song loaded, if the frontend said which
+   * @param source - Who reported it, passed on with 'deckState' (it already shows the change)
+   * @throws if the deck is unknown
    */
-  handleDeckLoadChange(deck: number, loaded: boolean): void {
-    this.stateManager.setDeckLoaded(deck, loaded);
+  handleDeckLoadChange(deck: number, loaded: boolean, songId: number | null = null, source?: unknown): void {
+    this.checkDeck(deck);
+    this.stateManager.setDeckLoaded(deck, loaded, songId);
+    this.emit('deckState', this.stateManager.getDeckState(deck), source);
 
-    const padChannel = deck + 6; // Deck 1→ch7, Deck 2→ch8, Deck 3→ch9, Deck 4→ch10
+    const padChannel = this.stateManager.getPadChannel(deck); // Deck 1→ch7, Deck 2→ch8, Deck 3→ch9, Deck 4→ch10
     const modeButtons = this.stateManager.getModeButtons();
 
     if (loaded) {
@@ -236,44 +581,237 @@ export class DeviceManager extends EventEmitter {
       modeButtons.forEach(btn => {
         this.setLED(padChannel, btn, btn === activeMode ? 127 : 0);
       });
-      console.log(`✨ Deck ${deck} loaded - HOT CUE mode active`);
+      log.info(`✨ Deck ${deck} loaded - HOT CUE mode active`);
 
       // Update pad LEDs
-      const uiChannel = (deck === 1 || deck === 3) ? 0 : 1;
-      this.updatePadLEDsForChannel(uiChannel);
+      this.updatePadLEDsForChannel(this.stateManager.getSideForDeck(deck));
     } else {
       // Song unloaded - turn off all mode LEDs
       modeButtons.forEach(btn => {
         this.setLED(padChannel, btn, 0);
       });
-      console.log(`💤 Deck ${deck} unloaded - modes off`);
+      log.info(`💤 Deck ${deck} unloaded - modes off`);
 
-      // Turn off pad LEDs
-      const uiChannel = (deck === 1 || deck === 3) ? 0 : 1;
       // Turn off all pads for this deck
-      for (let i = 0; i < 8; i++) {
-        this.setLED(padChannel, i, 0);
-      }
+      this.stateManager.getPadNotes().forEach(pad => this.setLED(padChannel, pad, 0));
     }
   }
 
   /**
-   * Send LED control message to the device
+   * Set the steady value of an LED on the device
+   * Writes go through the LED buffer: unchanged values are skipped and
+   * bursts are paced so the controller isn't overrun. A running animation
+   * on the LED takes precedence until it stops.
    * @param channel - MIDI channel
    * @param note - Note number
    * @param velocity - Velocity (0 = off, 127 = on, other values for different colors/brightness)
    */
   setLED(channel: number, note: number, velocity: number): void {
     if (!this.output) {
-      console.warn('Cannot set LED: output not connected');
+      ledLog.warn('Cannot set LED: output not connected');
       return;
     }
 
-    (this.output as any).send('noteon', {
-      note: note,
-      velocity: velocity,
-      channel: channel
+    this.animator.setSteady(channel, note, velocity);
+  }
+
+  /**
+   * Get the last value set for every LED, sorted by channel then note
+   */
+  getLEDState(): LEDState[] {
+    return this.leds.getState();
+  }
+
+  /**
+   * Get the LED animator (blink, pulse, chase and beat-synced patterns)
+   */
+  getAnimator(): LEDAnimator {
+    return this.animator;
+  }
+
+  /**
+   * Get the gesture detector (long press, double tap and chord timings)
+   */
+  getGestureDetector(): GestureDetector {
+    return this.gestures;
+  }
+
+  /**
+   * Blink a deck's SYNC LED in time with the tempo while the deck is about
+   * to run out of its body section
+   * @param deck - Deck number (1-4)
+   * @param ending - True to start blinking, false to restore the LED
+   */
+  setDeckEnding(deck: number, ending: boolean): void {
+    const name = `ending-deck-${deck}`;
+    if (!ending) {
+      this.animator.stop(name);
+      return;
+    }
+    if (!this.output || this.animator.isRunning(name)) return;
+
+    const syncButton = this.stateManager.getSyncButton(this.stateManager.getSideForDeck(deck));
+    this.animator.start(name, { pattern: 'beat', leds: [syncButton], priority: 2 });
+    ledLog.info(`⏳ Deck ${deck} ending - blinking SYNC`);
+  }
+
+  /**
+   * Move the SLICER playhead LED for a deck
+   * The frontend reports which slice of the current bar is playing; the pad
+   * for that slice is lit while the deck is in SLICER mode and active on its side.
+   * @param deck - Deck number (1-4)
+   * @param slice - Slice index (0-7), or null when the deck is not playing
+   */
+  setSlicerPosition(deck: number, slice: number | null): void {
+    if (!this.stateManager.setSlicerSlice(deck, slice)) return;
+
+    const side = this.stateManager.getSideForDeck(deck);
+    const isSlicing = this.stateManager.getModeId(this.stateManager.getActiveMode(deck)) === 'slicer';
+    if (isSlicing && this.stateManager.getActiveDeck(side) === deck) {
+      this.updatePadLEDsForChannel(side);
+    }
+  }
+
+  /**
+   * Update SAMPLER pad LEDs from the frontend's sample status
+   * @param status - Per pad: 'empty', 'loaded' or 'playing'
+   */
+  setSamplerStatus(status: SamplerPadStatus[]): void {
+    if (!this.stateManager.setSamplerStatus(status)) return;
+
+    this.stateManager.getProfile().sides.forEach((_, side) => {
+      const deck = this.stateManager.getActiveDeck(side);
+      if (this.stateManager.getModeId(this.stateManager.getActiveMode(deck)) === 'sampler') {
+        this.updatePadLEDsForChannel(side);
+      }
+    });
+  }
+
+  /**
+   * Set the tempo, as SHIFT + VOLUME does
+   * @throws if the tempo is not 84, 94 or 102
+   */
+  setTempo(tempo: TempoChangeEvent['tempo']): void {
+    this.stateManager.setTempo(tempo);
+    log.info(`🎵 TEMPO SET: ${tempo} BPM`);
+    this.emit('tempoChange', { tempo });
+  }
+
+  /**
+   * Switch a deck's performance pads to a mode, as its mode button does
+   * @throws if the deck is unknown or empty, or the profile has no such mode
+   */
+  setPadMode(deck: number, mode: PadModeId): void {
+    this.checkDeck(deck);
+    const note = this.stateManager.getModeNote(mode);
+    if (note === null) {
+      throw new Error(`Pad mode ${mode} is not in the ${this.profile.name} profile`);
+    }
+    if (!this.stateManager.isDeckLoaded(deck)) {
+      throw new Error(`Deck ${deck} is empty`);
+    }
+
+    const modeChange = this.stateManager.handleModeButtonPress(this.stateManager.getControlChannel(deck), note, 127);
+    if (modeChange) {
+      this.showModeChange(modeChange);
+    }
+  }
+
+  /**
+   * Toggle an FX unit's assignment to a deck, as its FX ASSIGN button does
+   * (with the side's DECK button selecting the deck)
+   * @returns new assignment state
+   * @throws if no FX ASSIGN button covers the FX unit and deck
+   */
+  toggleFXAssign(fx: number, deck: number): boolean {
+    const entry = this.profile.fxAssign.find(e => {
+      const base = this.stateManager.getFXAssignBase(e.note);
+      return base !== null && base.fx === fx && (base.baseDeck === deck || base.altDeck === deck);
     });
+    if (!entry) {
+      throw new Error(`No FX ASSIGN button for FX${fx} on deck ${deck}`);
+    }
+
+    const nowAssigned = this.stateManager.toggleFXAssignment(fx, deck);
+    log.info(`🎛️  FX ASSIGN: FX${fx}→Deck${deck} ${nowAssigned ? 'ON' : 'OFF'}`);
+    this.showFXAssign(entry.channel, entry.note);
+    return nowAssigned;
+  }
+
+  /**
+   * Toggle a side's DECK button (0 = DECK 1/3, 1 = DECK 2/4)
+   * @returns new state (true = alternate deck active)
+   * @throws if the side is unknown
+   */
+  toggleDeck(side: number): boolean {
+    if (!this.profile.sides[side]) {
+      throw new Error(`Unknown side: ${side}`);
+    }
+
+    const button = this.stateManager.getDeckButton(side);
+    const nowOn = this.stateManager.toggleDeckButton(button.channel, button.note);
+    log.info(`→ Switched to Deck ${this.stateManager.getActiveDeck(side)}`);
+    this.showDeckButton(button.channel, button.note);
+    return nowOn;
+  }
+
+  /**
+   * Record a deck's section, volume or FX settings reported by a browser
+   * Emits 'deckState' if anything changed
+   * @param source - Who reported it, passed on with 'deckState'
+   * @throws if the deck is unknown or a value is out of range
+   */
+  updateDeck(deck: number, update: DeckUpdate, source?: unknown): void {
+    this.checkDeck(deck);
+    if (this.stateManager.updateDeck(deck, update)) {
+      this.emit('deckState', this.stateManager.getDeckState(deck), source);
+    }
+  }
+
+  /**
+   * Sync every other deck to this one, as its SYNC button does
+   */
+  triggerSync(deck: number): void {
+    this.checkDeck(deck);
+    log.debug(`🔗 Emitting syncChange for Deck ${deck}`);
+    this.emit('syncChange', { deck, synced: true });
+
+    // Keep LED always lit for SYNC button
+    const syncButton = this.stateManager.getSyncButton(this.stateManager.getSideForDeck(deck));
+    this.setLED(syncButton.channel, syncButton.note, 127);
+  }
+
+  /**
+   * Vinyl stop / brake a deck, as SHIFT + SYNC does
+   */
+  triggerSpindown(deck: number): void {
+    this.checkDeck(deck);
+    log.info(`🛑 Deck ${deck} SPINDOWN (vinyl stop)`);
+    this.emit('spindown', { deck });
+  }
+
+  /**
+   * Set several LEDs at once (e.g. from the web UI)
+   * @throws if the controller is not connected
+   */
+  setLEDs(leds: LEDState[]): void {
+    if (!this.output) {
+      throw new Error('Cannot set LEDs: controller not connected');
+    }
+    leds.forEach(({ channel, note, velocity }) => this.setLED(channel, note, velocity));
+  }
+
+  private checkDeck(deck: number): void {
+    if (!this.stateManager.getDecks().includes(deck)) {
+      throw new Error(`Unknown deck: ${deck}`);
+    }
+  }
+
+  /**
+   * Send any LED writes still waiting in the output queue
+   */
+  flushLEDs(): void {
+    this.leds.flush();
   }
 
   /**
@@ -290,380 +828,512 @@ export class DeviceManager extends EventEmitter {
     this.setLED(channel, note, 0);
   }
 
+  /**
+   * Send a message to the controller
+   * Emits 'midiOut' with the message once it has been sent
+   */
+  private sendMidi<T extends MidiMessageType>(type: T, msg: MidiMessageMap[T]): void {
+    if (!this.output) return;
+    this.output.send(type, msg);
+    this.emit('midiOut', { type, message: msg });
+  }
+
   private setupListeners(): void {
     if (!this.input) return;
 
-    // Handle button presses (Note On/Off)
-    this.input.on('noteon', (msg: any) => {
-      // LOG ALL NOTEON EVENTS FOR DEBUGGING
-      console.log(`🔘 NOTEON: ch${msg.channel} note${msg.note} vel${msg.velocity}`);
+    this.input.on('noteon', (msg) => this.handleMidiMessage('noteon', msg));
+    this.input.on('noteoff', (msg) => this.handleMidiMessage('noteoff', msg));
+    this.input.on('cc', (msg) => this.handleMidiMessage('cc', msg));
+  }
 
-      // Check if this is a pad release (velocity 0)
-      if (this.stateManager.isPerformancePad(msg.channel) && msg.velocity === 0) {
-        console.log('🎹 PAD RELEASE (noteon vel=0):', `ch${msg.channel}`, `note${msg.note}`);
+  /**
+   * Take over a control: its messages go to the handler instead of the
+   * default handling (no events, LED echo, gestures or virtual output).
+   * They still show up in the 'midi' event, so recordings stay complete.
+   * @returns a function that releases the claim
+   * @throws if the control is already claimed
+   */
+  claimControl(control: ControlAddress, handler: ClaimHandler): () => void {
+    const key = 'note' in control
+      ? `note:${control.channel}:${control.note}`
+      : `cc:${control.channel}:${control.controller}`;
+    if (this.claims.has(key)) {
+      throw new Error(`Control already claimed: ${key}`);
+    }
+    this.claims.set(key, handler);
+    return () => {
+      if (this.claims.get(key) === handler) this.claims.delete(key);
+    };
+  }
 
-        // Determine which deck from channel (handles all 4 decks)
-        const activeDeck = this.getActiveDeckFromChannel(msg.channel);
+  /**
+   * Process a raw MIDI message as if it had arrived from the controller.
+   * Emits a 'midi' event with the raw message before routing it, so
+   * recorders see exactly what the listener pipeline sees.
+   * @param type - Message type (noteon, noteoff or cc)
+   * @param msg - Raw message payload
+   */
+  handleMidiMessage<T extends MidiMessageType>(type: T, msg: MidiMessageMap[T]): void {
+    this.emit('midi', { type, message: msg });
+
+    const claimKey = type === 'cc'
+      ? `cc:${msg.channel}:${(msg as MidiControlMessage).controller}`
+      : `note:${msg.channel}:${(msg as MidiNoteMessage).note}`;
+    const claim = this.claims.get(claimKey);
+    if (claim) {
+      claim({ type, message: msg });
+      return;
+    }
 
-        // Emit pad release event
-        this.emit('padRelease', {
-          channel: msg.channel,
-          note: msg.note,
-          deck: activeDeck
-        });
-        return;
+    if (type === 'noteon') {
+      this.handleNoteOn(msg as MidiNoteMessage);
+    } else if (type === 'noteoff') {
+      this.handleNoteOff(msg as MidiNoteMessage);
+    } else if (type === 'cc') {
+      this.handleControlChange(msg as MidiControlMessage);
+    }
+    this.forwardToVirtualOutput(type, msg);
+
+    // Gestures fire after the button's own event; SHIFT is a modifier, not a gesture button
+    if (type === 'noteon' || type === 'noteoff') {
+      const { channel, note, velocity } = msg as MidiNoteMessage;
+      if (!this.stateManager.isShiftButton(channel, note)) {
+        if (type === 'noteon' && velocity > 0) {
+          this.gestures.press(channel, note);
+        } else {
+          this.gestures.release(channel, note);
+        }
       }
+    }
+  }
 
-      // DEBUG: Log ALL pad messages for all 4 decks
-      if (this.stateManager.isPerformancePad(msg.channel) && msg.velocity > 0) {
-        const deck = this.getActiveDeckFromChannel(msg.channel);
-        console.log('🎹 PAD PRESS:', `ch${msg.channel}`, `deck${deck}`, `note${msg.note}`, `vel${msg.velocity}`);
-      }
+  /**
+   * Re-emit a controller message on the virtual output, after it has been
+   * handled so the state reflects it:
+   * - SHIFT + FX and SHIFT + pad notes are sent as their original notes
+   * - pads and SYNC go out on the channel of the deck they drove (Deck 3/4
+   *   while DECK 1/3 or 2/4 is toggled)
+   * - a locked FX button reads as held: SHIFT + FX sends its note on (lock)
+   *   or off (unlock), and its own presses and releases are dropped
+   * Control changes and everything else are passed through unchanged.
+   */
+  private forwardToVirtualOutput<T extends MidiMessageType>(type: T, msg: MidiMessageMap[T]): void {
+    const output = this.virtualOutput;
+    if (!output) return;
 
-      // Check if this is the SHIFT button (button-64-ch6)
-      // Note: SHIFT state is tracked for UI purposes, but the hardware sends different
-      // CC messages (e.g., CC 55 instead of CC 23) when SHIFT is held
-      if (msg.channel === 6 && msg.note === 64) {
-        this.stateManager.setShiftPressed(msg.velocity > 0);
-        console.log(`⬆️  SHIFT: ${msg.velocity > 0 ? 'PRESSED' : 'RELEASED'}`);
+    if (type === 'cc') {
+      output.send('cc', { ...(msg as MidiControlMessage) });
+      return;
+    }
+
+    const state = this.stateManager;
+    let { channel, note } = msg as MidiNoteMessage;
+    const { velocity } = msg as MidiNoteMessage;
+
+    if (state.isShiftedFXNote(note, channel)) {
+      if (type === 'noteon' && velocity > 0) {
+        note = state.getOriginalNote(note);
+        output.send('noteon', { channel, note, velocity: state.isButtonLocked(channel, note) ? 127 : 0 });
       }
+      return;
+    }
 
-      // Check if this is an FX ASSIGN button
-      const isFXAssignButton = this.stateManager.isFXAssignButton(msg.channel, msg.note);
+    const originalPad = state.isShiftedPad(note, channel) ? state.getOriginalPad(note, channel) : null;
+    if (originalPad) {
+      ({ channel, note } = originalPad);
+    }
+    if (state.isButtonLocked(channel, note)) return;
 
-      // Check if this is a DECK button (DECK 1/3 or DECK 2/4)
-      const isDeckButton = this.stateManager.isDeckButton(msg.channel, msg.note);
+    if (state.isPerformancePad(channel)) {
+      channel = state.getPadChannel(state.getDeckForPadChannel(channel));
+    } else if (state.isSyncButton(channel, note)) {
+      channel = state.getControlChannel(state.getSyncDeck(channel));
+    }
+    output.send(type as 'noteon' | 'noteoff', { channel, note, velocity });
+  }
 
-      // Check if this is a SYNC button
-      const isSyncButton = this.stateManager.isSyncButton(msg.channel, msg.note);
+  /**
+   * Handle button presses (Note On/Off)
+   */
+  private handleNoteOn(msg: MidiNoteMessage): void {
+    // LOG ALL NOTEON EVENTS FOR DEBUGGING
+    log.debug(`🔘 NOTEON: ch${msg.channel} note${msg.note} vel${msg.velocity}`);
+
+    // Check if this is a pad release (velocity 0)
+    if (this.stateManager.isPerformancePad(msg.channel) && msg.velocity === 0) {
+      log.debug(`🎹 PAD RELEASE (noteon vel=0): ch${msg.channel} note${msg.note}`);
+
+      // Determine which deck from channel (handles all 4 decks)
+      const activeDeck = this.getActiveDeckFromChannel(msg.channel);
+
+      // Emit pad release event
+      this.emit('padRelease', {
+        channel: msg.channel,
+        note: msg.note,
+        deck: activeDeck
+      });
+      return;
+    }
 
-      // Check if this is a performance pad mode button (HOT CUE, ROLL, SLICER, SAMPLER)
-      const isModeButton = this.stateManager.isModeButton(msg.channel, msg.note);
+    // DEBUG: Log ALL pad messages for all 4 decks
+    if (this.stateManager.isPerformancePad(msg.channel) && msg.velocity > 0) {
+      const deck = this.getActiveDeckFromChannel(msg.channel);
+      log.debug(`🎹 PAD PRESS: ch${msg.channel} deck${deck} note${msg.note} vel${msg.velocity}`);
+    }
 
-      // Handle mode button press (radio button behavior)
-      if (isModeButton) {
-        const modeChange = this.stateManager.handleModeButtonPress(msg.channel, msg.note, msg.velocity);
-        if (modeChange) {
-          // Only allow mode changes for loaded decks
-          const isDeckLoaded = this.stateManager.isDeckLoaded(modeChange.deck);
-          if (!isDeckLoaded) {
-            console.log(`⚠️  Ignoring mode button for empty deck ${modeChange.deck}`);
-            return;
-          }
+    // Check if this is the SHIFT button (button-64-ch6)
+    // Note: SHIFT state is tracked for UI purposes, but the hardware sends different
+    // CC messages (e.g., CC 55 instead of CC 23) when SHIFT is held
+    if (this.stateManager.isShiftButton(msg.channel, msg.note)) {
+      this.stateManager.setShiftPressed(msg.velocity > 0);
+      log.debug(`⬆️  SHIFT: ${msg.velocity > 0 ? 'PRESSED' : 'RELEASED'}`);
+    }
 
-          // Turn off all mode button LEDs for this pad channel
-          const modeButtons = this.stateManager.getModeButtons();
-          modeButtons.forEach(btn => {
-            this.setLED(msg.channel, btn, 0);
-          });
+    // Check if this is an FX ASSIGN button
+    const isFXAssignButton = this.stateManager.isFXAssignButton(msg.channel, msg.note);
+
+    // Check if this is a DECK button (DECK 1/3 or DECK 2/4)
+    const isDeckButton = this.stateManager.isDeckButton(msg.channel, msg.note);
 
-          // Turn on only the active mode button LED
-          this.setLED(msg.channel, modeChange.activeMode, 127);
+    // Check if this is a SYNC button
+    const isSyncButton = this.stateManager.isSyncButton(msg.channel, msg.note);
 
-          // Update performance pad LEDs for the new mode (map deck to UI channel 0 or 1)
-          const uiChannel = (modeChange.deck === 1 || modeChange.deck === 3) ? 0 : 1;
-          this.updatePadLEDsForChannel(uiChannel);
+    // Check if this is a performance pad mode button (HOT CUE, ROLL, SLICER, SAMPLER)
+    const isModeButton = this.stateManager.isModeButton(msg.channel, msg.note);
 
-          // Emit mode change event
-          this.emit('modeChange', modeChange);
+    // Handle mode button press (radio button behavior)
+    if (isModeButton) {
+      const modeChange = this.stateManager.handleModeButtonPress(msg.channel, msg.note, msg.velocity);
+      if (modeChange) {
+        // Only allow mode changes for loaded decks
+        const isDeckLoaded = this.stateManager.isDeckLoaded(modeChange.deck);
+        if (!isDeckLoaded) {
+          log.info(`⚠️  Ignoring mode button for empty deck ${modeChange.deck}`);
+          return;
         }
+
+        this.showModeChange(modeChange);
       }
+    }
 
-      // Check if this is a shifted FX button
-      const isShiftedFX = this.stateManager.isShiftedFXNote(msg.note, msg.channel);
-
-      // Check if this is a shifted performance pad
-      const isShiftedPad = this.stateManager.isShiftedPad(msg.note, msg.channel);
-
-      // Check if this is a performance pad press (channels 7 & 8)
-      const isPerformancePad = this.stateManager.isPerformancePad(msg.channel);
-
-      // Handle performance pad press with LED feedback
-      if (isPerformancePad && msg.velocity > 0) {
-        // Determine which deck from channel (handles all 4 decks)
-        const activeDeck = this.getActiveDeckFromChannel(msg.channel);
-        const activeMode = this.stateManager.getActiveMode(activeDeck);
-        console.log(`🎹 PAD ${msg.note} on deck ${activeDeck}: activeMode=${activeMode}`);
-
-        // Only handle pads that are active in current mode
-        if (activeMode === 27 || activeMode === 30) { // HOT CUE mode (27) or ROLL mode (30)
-          console.log(`✅ Mode ${activeMode} matched - emitting padPress`);
-
-          // All performance pads use notes 0-7 regardless of mode
-          const activePads = [0, 1, 2, 3, 4, 5, 6, 7];
-
-          if (activePads.includes(msg.note)) {
-            // Flash off
-            this.setLED(msg.channel, msg.note, 0);
-
-            // Flash back on after 100ms
-            setTimeout(() => {
-              this.setLED(msg.channel, msg.note, 2);
-            }, 100);
-
-            // Emit pad press event for audio playback
-            const isSynced = this.stateManager.isSynced(activeDeck);
-            this.emit('padPress', {
-              channel: msg.channel,
-              note: msg.note, // 0-7
-              deck: activeDeck,
-              synced: isSynced
-            });
+    // Check if this is a shifted FX button
+    const isShiftedFX = this.stateManager.isShiftedFXNote(msg.note, msg.channel);
+
+    // Check if this is a shifted performance pad
+    const isShiftedPad = this.stateManager.isShiftedPad(msg.note, msg.channel);
+
+    // Check if this is a performance pad press (channels 7 & 8)
+    const isPerformancePad = this.stateManager.isPerformancePad(msg.channel);
+
+    // Handle performance pad press with LED feedback
+    let padFlashed = false;
+    if (isPerformancePad && msg.velocity > 0) {
+      // Determine which deck from channel (handles all 4 decks)
+      const activeDeck = this.getActiveDeckFromChannel(msg.channel);
+      const activeMode = this.stateManager.getActiveMode(activeDeck);
+      log.debug(`🎹 PAD ${msg.note} on deck ${activeDeck}: activeMode=${activeMode}`);
+
+      // Only handle pads that are active in current mode
+      const modeId = this.stateManager.getModeId(activeMode);
+      if (modeId !== null) {
+        log.debug(`✅ Mode ${activeMode} matched - emitting padPress`);
+
+        // All performance pads use the same notes regardless of mode
+        const activePads = this.stateManager.getPadNotes();
+
+        if (activePads.includes(msg.note)) {
+          // Flash off for 100ms, then back to lit
+          this.animator.start(`pad-${msg.channel}-${msg.note}`, {
+            pattern: 'flash',
+            leds: [{ channel: msg.channel, note: msg.note }],
+            velocity: 0,
+            durationMs: 100,
+            priority: 3
+          });
+          if (modeId === 'hotCue' || modeId === 'roll') {
+            // SLICER and SAMPLER pads follow the frontend's playback state instead
+            this.setLED(msg.channel, msg.note, this.stateManager.getPadLitVelocity());
           }
+          padFlashed = true;
+
+          // Emit pad press event for audio playback
+          const isSynced = this.stateManager.isSynced(activeDeck);
+          this.emit('padPress', {
+            channel: msg.channel,
+            note: msg.note, // 0-7
+            deck: activeDeck,
+            synced: isSynced
+          });
         }
       }
+    }
 
-      // Map shifted note to original note
-      let originalNote = msg.note;
-      let originalChannel = msg.channel;
-
-      if (isShiftedFX) {
-        originalNote = this.stateManager.getOriginalNote(msg.note);
-      } else if (isShiftedPad) {
-        const padMapping = this.stateManager.getOriginalPad(msg.note, msg.channel);
-        if (padMapping) {
-          originalNote = padMapping.note;
-          originalChannel = padMapping.channel;
-        }
+    // Map shifted note to original note
+    let originalNote = msg.note;
+    let originalChannel = msg.channel;
+
+    if (isShiftedFX) {
+      originalNote = this.stateManager.getOriginalNote(msg.note);
+    } else if (isShiftedPad) {
+      const padMapping = this.stateManager.getOriginalPad(msg.note, msg.channel);
+      if (padMapping) {
+        originalNote = padMapping.note;
+        originalChannel = padMapping.channel;
       }
+    }
 
-      // Check if this is an FX button
-      const isFXButton = this.stateManager.isFXButton(originalChannel, originalNote);
-
-      // Handle FX ASSIGN button press/release (toggle assignment)
-      if (isFXAssignButton) {
-        const mapping = this.stateManager.getFXAssignMapping(msg.note);
-        if (mapping) {
-          // Only toggle on button press, not release
-          if (msg.velocity > 0) {
-            const nowAssigned = this.stateManager.toggleFXAssignment(mapping.fx, mapping.deck);
-            console.log('🎛️  FX ASSIGN:', `FX${mapping.fx}→Deck${mapping.deck}`, nowAssigned ? 'ON' : 'OFF', `LED: ch${msg.channel} note${msg.note}`);
-          }
+    // Check if this is an FX button
+    const isFXButton = this.stateManager.isFXButton(originalChannel, originalNote);
 
-          // Check BOTH main deck and alt deck assignments
-          // Get the base deck (1 or 2) from the button
-          const baseMapping: Record<number, { fx: number; baseDeck: number }> = {
-            76: { fx: 1, baseDeck: 1 },
-            80: { fx: 2, baseDeck: 1 },
-            77: { fx: 1, baseDeck: 2 },
-            81: { fx: 2, baseDeck: 2 },
-          };
-          const base = baseMapping[msg.note];
-
-          if (base) {
-            const mainDeckAssigned = this.stateManager.isFXAssigned(base.fx, base.baseDeck);
-            const altDeck = base.baseDeck === 1 ? 3 : 4;
-            const altDeckAssigned = this.stateManager.isFXAssigned(base.fx, altDeck);
-
-            // Set button LED (main deck 1/2) and light indicator LED (alt deck 3/4)
-            // Button notes: 76, 77, 80, 81
-            // Light notes:  90, 92, 91, 93 (from spec: 11L, 11R, 12L, 12R)
-            const lightNoteMapping: Record<number, number> = {
-              76: 90,  // Left 1:  FX1→Deck1 button, FX1→Deck3 light (11L) ✓
-              77: 91,  // Right 1: FX1→Deck2 button, FX1→Deck4 light (was transposed)
-              80: 92,  // Left 2:  FX2→Deck1 button, FX2→Deck3 light (was transposed)
-              81: 93,  // Right 2: FX2→Deck2 button, FX2→Deck4 light (12R)
-            };
-
-            // Set button LED based on main deck (1/2) assignment
-            this.setLED(msg.channel, msg.note, mainDeckAssigned ? 127 : 0);
-            console.log(`💡 Button LED: ch${msg.channel} note${msg.note} = ${mainDeckAssigned ? 'ON' : 'OFF'}`);
-
-            // Set light indicator LED based on alt deck (3/4) assignment
-            const lightNote = lightNoteMapping[msg.note];
-            if (lightNote) {
-              this.setLED(msg.channel, lightNote, altDeckAssigned ? 127 : 0);
-              console.log(`🔴 Light LED: ch${msg.channel} note${lightNote} = ${altDeckAssigned ? 'ON' : 'OFF'}`);
-            }
-
-            // Emit event with both deck states
-            const event: ControllerEvent = {
-              type: 'button',
-              button: msg.note,
-              pressed: mainDeckAssigned || altDeckAssigned,
-              channel: msg.channel,
-              mainDeckAssigned,
-              altDeckAssigned
-            };
-            this.emit('event', event);
-            this.emit('button', event);
-            return; // Skip normal event emission
-          }
-        }
-      }
-      // Handle DECK button press/release (toggle state)
-      else if (isDeckButton) {
+    // Handle FX ASSIGN button press/release (toggle assignment)
+    if (isFXAssignButton) {
+      const mapping = this.stateManager.getFXAssignMapping(msg.note);
+      if (mapping) {
         // Only toggle on button press, not release
         if (msg.velocity > 0) {
-          const nowOn = this.stateManager.toggleDeckButton(msg.channel, msg.note);
-          console.log('🎚️  DECK BUTTON:', `ch${msg.channel} note${msg.note}`, nowOn ? 'ON' : 'OFF');
-
-          const activeDeck = msg.channel === 2 ? (nowOn ? 3 : 1) : (nowOn ? 4 : 2);
-          console.log(`   → Switched to Deck ${activeDeck}`);
+          const nowAssigned = this.stateManager.toggleFXAssignment(mapping.fx, mapping.deck);
+          log.info(`🎛️  FX ASSIGN: FX${mapping.fx}→Deck${mapping.deck} ${nowAssigned ? 'ON' : 'OFF'} LED: ch${msg.channel} note${msg.note}`);
         }
 
-        // Always set DECK button LED based on current toggle state
-        const isOn = this.stateManager.isDeckButtonOn(msg.channel, msg.note);
-        this.setLED(msg.channel, msg.note, isOn ? 127 : 0);
-
-        // Update mode button LEDs and pad LEDs with a small delay
-        // to give the hardware time to process the DECK button press
-        // Mode buttons are on deck control channels (0, 1, 2, 3), NOT pad channels
-        // Channel 2 (DECK 1/3 button) controls mode LEDs on channel 0 or 2
-        // Channel 3 (DECK 2/4 button) controls mode LEDs on channel 1 or 3
-        const uiChannel = msg.channel === 2 ? 0 : 1;
-        const activeDeck = msg.channel === 2 ? (isOn ? 3 : 1) : (isOn ? 4 : 2);
-        // Mode buttons are on deck control channels: deck 1→ch0, deck 2→ch1, deck 3→ch2, deck 4→ch3
-        const modeButtonChannel = activeDeck - 1;
-
-        setTimeout(() => {
-          // Get the mode for the newly active deck
-          const activeMode = this.stateManager.getActiveMode(activeDeck);
-
-          // Send mode button LEDs on the correct deck control channel
-          const modeButtons = this.stateManager.getModeButtons();
-
-          console.log(`   📡 Setting mode button LEDs on channel ${modeButtonChannel} (deck ${activeDeck}), activeMode=${activeMode} (${this.getModeName(activeMode)})`);
-          modeButtons.forEach(btn => {
-            const velocity = btn === activeMode ? 127 : 0;
-            console.log(`      LED: ch${modeButtonChannel} note${btn} vel${velocity}`);
-            this.setLED(modeButtonChannel, btn, velocity);
-          });
+        if (this.showFXAssign(msg.channel, msg.note)) {
+          return; // Skip normal event emission
+        }
+      }
+    }
+    // Handle DECK button press/release (toggle state)
+    else if (isDeckButton) {
+      // Only toggle on button press, not release
+      if (msg.velocity > 0) {
+        const nowOn = this.stateManager.toggleDeckButton(msg.channel, msg.note);
+        log.debug(`🎚️  DECK BUTTON: ch${msg.channel} note${msg.note} ${nowOn ? 'ON' : 'OFF'}`);
+
+        const activeDeck = this.stateManager.getActiveDeck(this.stateManager.getSideForDeckButton(msg.channel, msg.note));
+        log.info(`→ Switched to Deck ${activeDeck}`);
+      }
 
-          // Update pad LEDs for the active deck
-          console.log(`   📡 Updating pad LEDs for UI channel ${uiChannel} (deck ${activeDeck})`);
-          this.updatePadLEDsForChannel(uiChannel);
-        }, 50); // 50ms delay to let hardware process DECK button
-
-        // Emit event with toggle state
-        const event: ControllerEvent = {
-          type: 'button',
-          button: msg.note,
-          pressed: isOn,
-          channel: msg.channel
-        };
-        this.emit('event', event);
-        this.emit('button', event);
-        return; // Skip normal event emission
+      this.showDeckButton(msg.channel, msg.note);
+      return; // Skip normal event emission
+    }
+    // Handle SYNC button press (toggle sync state)
+    else if (isSyncButton && msg.velocity > 0) {
+      // Determine which deck this SYNC button controls
+      const activeDeck = this.stateManager.getSyncDeck(msg.channel);
+
+      const shiftPressed = this.stateManager.isShiftPressed();
+      log.debug(`🔄 SYNC pressed on Deck ${activeDeck}, SHIFT=${shiftPressed}`);
+
+      // Check if SHIFT is pressed
+      if (shiftPressed) {
+        // SHIFT + SYNC = vinyl stop/brake effect
+        this.triggerSpindown(activeDeck);
+      } else {
+        this.triggerSync(activeDeck);
       }
-      // Handle SYNC button press (toggle sync state)
-      else if (isSyncButton && msg.velocity > 0) {
-        // Determine which deck this SYNC button controls
-        let activeDeck: number;
-        if (msg.channel === 0) {
-          const deck3Active = this.stateManager.isDeckButtonOn(2, 114);
-          activeDeck = deck3Active ? 3 : 1;
-        } else {
-          const deck4Active = this.stateManager.isDeckButtonOn(3, 114);
-          activeDeck = deck4Active ? 4 : 2;
-        }
 
-        const shiftPressed = this.stateManager.isShiftPressed();
-        console.log(`🔄 SYNC pressed on Deck ${activeDeck}, SHIFT=${shiftPressed}`);
+      return; // Skip normal event emission
+    }
+    // Handle shifted FX button press (toggle lock)
+    else if (isShiftedFX) {
+      const lockChange = this.stateManager.handleShiftedFXPress(msg.channel, msg.note, msg.velocity);
 
-        // Check if SHIFT is pressed
-        if (shiftPressed) {
-          // SHIFT + SYNC = vinyl stop/brake effect
-          console.log(`🛑 Deck ${activeDeck} SPINDOWN (vinyl stop)`);
-          this.emit('spindown', { deck: activeDeck });
-        } else {
-          // Emit sync event on every button press to sync all other decks
-          console.log(`🔗 Emitting syncChange for Deck ${activeDeck}`);
-          this.emit('syncChange', { deck: activeDeck, synced: true });
+      if (lockChange) {
+        log.info(`🔒 BUTTON LOCK: note=${lockChange.button} channel=${lockChange.channel} locked=${lockChange.locked}`);
 
-          // Keep LED always lit for SYNC button
-          this.setLED(msg.channel, msg.note, 127);
-        }
+        // Update LED based on lock state
+        this.setLED(lockChange.channel, lockChange.button, lockChange.locked ? 127 : 0);
 
-        return; // Skip normal event emission
+        // Emit lock state change event
+        this.emit('lock', lockChange);
       }
-      // Handle shifted FX button press (toggle lock)
-      else if (isShiftedFX) {
-        const lockChange = this.stateManager.handleShiftedFXPress(msg.channel, msg.note, msg.velocity);
-
-        if (lockChange) {
-          console.log('🔒 BUTTON LOCK:', `note=${lockChange.button}`, `channel=${lockChange.channel}`, `locked=${lockChange.locked}`);
-
-          // Update LED based on lock state
-          this.setLED(lockChange.channel, lockChange.button, lockChange.locked ? 127 : 0);
-
-          // Emit lock state change event
-          this.emit('lock', lockChange);
-        }
-      } else if (isShiftedPad) {
-        // For shifted pads, echo LED to the original pad channel/note
-        this.setLED(originalChannel, originalNote, msg.velocity);
-      } else if (isFXButton) {
-        // For FX buttons, use state manager to get proper LED velocity
-        const ledVelocity = this.stateManager.getLEDVelocity(msg.channel, msg.note, msg.velocity);
-        this.setLED(msg.channel, msg.note, ledVelocity);
-      } else if (this.stateManager.isPerformancePad(msg.channel)) {
-        // Performance pads: echo LED on same channel/note
-        this.setLED(msg.channel, msg.note, msg.velocity);
-      } else {
-        // For other buttons, just echo normally
+    } else if (isShiftedPad) {
+      // For shifted pads, echo LED to the original pad channel/note
+      this.setLED(originalChannel, originalNote, msg.velocity);
+    } else if (isFXButton) {
+      // For FX buttons, use state manager to get proper LED velocity
+      const ledVelocity = this.stateManager.getLEDVelocity(msg.channel, msg.note, msg.velocity);
+      this.setLED(msg.channel, msg.note, ledVelocity);
+    } else if (this.stateManager.isPerformancePad(msg.channel)) {
+      // Performance pads: echo LED on same channel/note (flashed pads restore themselves)
+      if (!padFlashed) {
         this.setLED(msg.channel, msg.note, msg.velocity);
       }
+    } else {
+      // For other buttons, just echo normally
+      this.setLED(msg.channel, msg.note, msg.velocity);
+    }
 
-      // Emit event with original channel/note for shifted pads
-      const event: ControllerEvent = {
-        type: 'button',
-        button: originalNote,
-        pressed: msg.velocity > 0,
-        channel: originalChannel
-      };
-      this.emit('event', event);
-      this.emit('button', event);
+    // Emit event with original channel/note for shifted pads
+    const event: ControllerEvent = {
+      type: 'button',
+      button: originalNote,
+      pressed: msg.velocity > 0,
+      channel: originalChannel
+    };
+    // Gestures see the release after this event, so the button is still held here
+    if (msg.velocity === 0 && this.gestures.isLongPressed(msg.channel, msg.note)) {
+      event.longPressed = true;
+    }
+    this.emit('event', event);
+    this.emit('button', event);
+  }
+
+  /**
+   * Show a pad mode change: mode button LEDs, pads for the new mode, and the modeChange event
+   */
+  private showModeChange(modeChange: ModeChangeEvent): void {
+    // Turn off all mode button LEDs for this channel, then light only the active mode
+    this.stateManager.getModeButtons().forEach(btn => {
+      this.setLED(modeChange.channel, btn, 0);
     });
+    this.setLED(modeChange.channel, modeChange.activeMode, 127);
 
-    // Handle button releases (Note Off) - for roll mode
-    this.input.on('noteoff', (msg: any) => {
-      console.log('🎹 PAD RELEASE (noteoff):', `ch${msg.channel}`, `note${msg.note}`, `vel${msg.velocity}`);
+    // Update performance pad LEDs for the new mode (map deck to UI channel 0 or 1)
+    this.updatePadLEDsForChannel(this.stateManager.getSideForDeck(modeChange.deck));
 
-      // Only handle performance pad releases (all 4 deck channels)
-      if (this.stateManager.isPerformancePad(msg.channel)) {
-        // Determine which deck from channel (handles all 4 decks)
-        const activeDeck = this.getActiveDeckFromChannel(msg.channel);
+    this.emit('modeChange', modeChange);
+  }
 
-        // Emit pad release event
-        this.emit('padRelease', {
-          channel: msg.channel,
-          note: msg.note, // 0-7
-          deck: activeDeck
-        });
-      }
+  /**
+   * Show an FX ASSIGN button's state: button LED for the main deck (1/2), light LED
+   * for the alternate deck (3/4), and a button event carrying both
+   * @returns false if the note is not an FX ASSIGN button
+   */
+  private showFXAssign(channel: number, note: number): boolean {
+    const base = this.stateManager.getFXAssignBase(note);
+    if (!base) return false;
+
+    const mainDeckAssigned = this.stateManager.isFXAssigned(base.fx, base.baseDeck);
+    const altDeckAssigned = base.altDeck !== null && this.stateManager.isFXAssigned(base.fx, base.altDeck);
+
+    // Set button LED based on main deck (1/2) assignment
+    this.setLED(channel, note, mainDeckAssigned ? 127 : 0);
+    ledLog.debug(`💡 Button LED: ch${channel} note${note} = ${mainDeckAssigned ? 'ON' : 'OFF'}`);
+
+    // Set light indicator LED based on alt deck (3/4) assignment
+    // Button → light notes come from the profile's fxAssign section
+    const lightNote = this.stateManager.getFXAssignLightNote(note);
+    if (lightNote !== null) {
+      this.setLED(channel, lightNote, altDeckAssigned ? 127 : 0);
+      ledLog.debug(`🔴 Light LED: ch${channel} note${lightNote} = ${altDeckAssigned ? 'ON' : 'OFF'}`);
+    }
+
+    // Emit event with both deck states
+    const event: ControllerEvent = {
+      type: 'button',
+      button: note,
+      pressed: mainDeckAssigned || altDeckAssigned,
+      channel,
+      mainDeckAssigned,
+      altDeckAssigned
+    };
+    this.emit('event', event);
+    this.emit('button', event);
+    return true;
+  }
+
+  /**
+   * Show a DECK button's toggle state: its LED, the mode buttons and pads of
+   * the deck now active on that side, and a button event
+   */
+  private showDeckButton(channel: number, note: number): void {
+    // Always set DECK button LED based on current toggle state
+    const isOn = this.stateManager.isDeckButtonOn(channel, note);
+    this.setLED(channel, note, isOn ? 127 : 0);
+
+    // Update mode button LEDs and pad LEDs for the newly active deck
+    // (queued behind the DECK LED write, so the hardware gets it first)
+    // Mode buttons are on deck control channels (0, 1, 2, 3), NOT pad channels
+    // Channel 2 (DECK 1/3 button) controls mode LEDs on channel 0 or 2
+    // Channel 3 (DECK 2/4 button) controls mode LEDs on channel 1 or 3
+    const uiChannel = this.stateManager.getSideForDeckButton(channel, note);
+    const activeDeck = this.stateManager.getActiveDeck(uiChannel);
+    // Mode buttons are on deck control channels: deck 1→ch0, deck 2→ch1, deck 3→ch2, deck 4→ch3
+    const modeButtonChannel = this.stateManager.getControlChannel(activeDeck);
+
+    // Get the mode for the newly active deck
+    const activeMode = this.stateManager.getActiveMode(activeDeck);
+
+    // Send mode button LEDs on the correct deck control channel
+    const modeButtons = this.stateManager.getModeButtons();
+
+    ledLog.debug(`📡 Setting mode button LEDs on channel ${modeButtonChannel} (deck ${activeDeck}), activeMode=${activeMode} (${this.stateManager.getModeName(activeMode)})`);
+    modeButtons.forEach(btn => {
+      this.setLED(modeButtonChannel, btn, btn === activeMode ? 127 : 0);
     });
 
-    // Handle knobs and dials (Control Change)
-    this.input.on('cc', (msg: any) => {
-      // Log ALL CC messages for debugging
-      console.log(`🎛️  CC: ch${msg.channel} CC${msg.controller} value=${msg.value}`);
-
-      // Check if this is SHIFT + volume knob (CC 55) = tempo control
-      // According to spec: volume knob sends CC 23 normally, CC 55 when SHIFT is held
-      const isShiftedVolumeKnob = msg.controller === 55 && (msg.channel >= 0 && msg.channel <= 3);
-
-      if (isShiftedVolumeKnob) {
-        // SHIFT + Volume knob = tempo control
-        console.log(`🎵 SHIFT + VOLUME: ch${msg.channel} CC${msg.controller} value=${msg.value}`);
-        const newTempo = this.stateManager.handleBeatsKnobChange(msg.channel, msg.value);
-        if (newTempo !== null) {
-          console.log(`🎵 TEMPO CHANGED: ${newTempo} BPM`);
-          this.emit('tempoChange', { tempo: newTempo });
-        }
-        return; // Don't emit normal knob event
+    // Update pad LEDs for the active deck
+    ledLog.debug(`📡 Updating pad LEDs for UI channel ${uiChannel} (deck ${activeDeck})`);
+    this.updatePadLEDsForChannel(uiChannel);
+
+    // Emit event with toggle state
+    const event: ControllerEvent = {
+      type: 'button',
+      button: note,
+      pressed: isOn,
+      channel
+    };
+    this.emit('event', event);
+    this.emit('button', event);
+  }
+
+  /**
+   * Handle button releases (Note Off) - for roll mode
+   */
+  private handleNoteOff(msg: MidiNoteMessage): void {
+    log.debug(`🎹 PAD RELEASE (noteoff): ch${msg.channel} note${msg.note} vel${msg.velocity}`);
+
+    // Only handle performance pad releases (all 4 deck channels)
+    if (this.stateManager.isPerformancePad(msg.channel)) {
+      // Determine which deck from channel (handles all 4 decks)
+      const activeDeck = this.getActiveDeckFromChannel(msg.channel);
+
+      // Emit pad release event
+      this.emit('padRelease', {
+        channel: msg.channel,
+        note: msg.note, // 0-7
+        deck: activeDeck
+      });
+    }
+  }
+
+  /**
+   * Handle knobs and dials (Control Change)
+   */
+  private handleControlChange(msg: MidiControlMessage): void {
+    // Log ALL CC messages for debugging
+    log.debug(`🎛️  CC: ch${msg.channel} CC${msg.controller} value=${msg.value}`);
+
+    // Check if this is SHIFT + volume knob (CC 55) = tempo control
+    // According to spec: volume knob sends CC 23 normally, CC 55 when SHIFT is held
+    const isShiftedVolumeKnob = this.stateManager.isTempoKnob(msg.channel, msg.controller);
+
+    if (isShiftedVolumeKnob) {
+      // SHIFT + Volume knob = tempo control
+      log.debug(`🎵 SHIFT + VOLUME: ch${msg.channel} CC${msg.controller} value=${msg.value}`);
+      const newTempo = this.stateManager.handleBeatsKnobChange(msg.channel, msg.value);
+      if (newTempo !== null) {
+        log.info(`🎵 TEMPO CHANGED: ${newTempo} BPM`);
+        this.emit('tempoChange', { tempo: newTempo });
       }
+      return; // Don't emit normal knob event
+    }
 
-      // Note: SHIFT + browse knob sends CC 100 (handled in frontend as quick scroll)
+    // Note: SHIFT + browse knob sends CC 100 (handled in frontend as quick scroll)
 
-      const event: ControllerEvent = {
-        type: 'knob',
-        knob: msg.controller,
-        value: msg.value,
-        channel: msg.channel
-      };
-      this.emit('event', event);
-      this.emit('knob', event);
-    });
+    const event: ControllerEvent = {
+      type: 'knob',
+      knob: msg.controller,
+      value: msg.value,
+      channel: msg.channel
+    };
+
+    // Infinite encoders report decoded, accelerated steps; slow turns may need a few ticks per step
+    const delta = this.stateManager.turnEncoder(msg.channel, msg.controller, msg.value);
+    if (delta !== null) {
+      if (delta === 0) return;
+      event.delta = delta;
+    }
+    this.emit('event', event);
+    this.emit('knob', event);
   }
 }
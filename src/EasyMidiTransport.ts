@@ -0,0 +1,58 @@
+import easymidi from 'easymidi';
+import {
+  MidiClockInputPort,
+  MidiClockOutputPort,
+  MidiInputPort,
+  MidiOutputPort,
+  MidiTransport
+} from './MidiTransport.js';
+
+/**
+ * EasyMidiTransport
+ *
+ * Hardware transport backed by easymidi (RtMidi). The server and CLI hand
+ * it to DeviceManager; import it only where real MIDI ports are wanted.
+ */
+export class EasyMidiTransport implements MidiTransport {
+  /**
+   * Get list of MIDI input port names
+   */
+  getInputs(): string[] {
+    return easymidi.getInputs();
+  }
+
+  /**
+   * Open a MIDI input port by name
+   */
+  openInput(name: string): MidiInputPort {
+    return new easymidi.Input(name) as unknown as MidiInputPort;
+  }
+
+  /**
+   * Open a MIDI output port by name
+   */
+  openOutput(name: string): MidiOutputPort {
+    return new easymidi.Output(name) as unknown as MidiOutputPort;
+  }
+
+  /**
+   * Create a virtual MIDI output port (macOS and Linux; not supported on Windows)
+   */
+  openVirtualOutput(name: string): MidiOutputPort {
+    return new easymidi.Output(name, true) as unknown as MidiOutputPort;
+  }
+
+  /**
+   * Open a MIDI output port for sending clock
+   */
+  openClockOutput(name: string): MidiClockOutputPort {
+    return new easymidi.Output(name) as unknown as MidiClockOutputPort;
+  }
+
+  /**
+   * Open a MIDI input port for receiving clock
+   */
+  openClockInput(name: string): MidiClockInputPort {
+    return new easymidi.Input(name) as unknown as MidiClockInputPort;
+  }
+}
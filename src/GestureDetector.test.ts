@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GestureDetector, GestureEvent, GestureType } from './GestureDetector.js';
+
+describe('GestureDetector', () => {
+  let detector: GestureDetector;
+  let gestures: GestureEvent[];
+
+  const listen = (target: GestureDetector) => {
+    (['longPress', 'doubleTap', 'chord'] as GestureType[]).forEach(type => {
+      target.on(type, (event: GestureEvent) => gestures.push(event));
+    });
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    gestures = [];
+    detector = new GestureDetector({ longPressMs: 1000, doubleTapMs: 300 });
+    listen(detector);
+  });
+
+  afterEach(() => {
+    detector.reset();
+    vi.useRealTimers();
+  });
+
+  describe('Long press', () => {
+    it('should fire while the button is still held', () => {
+      detector.press(6, 70);
+      vi.advanceTimersByTime(999);
+      expect(gestures).toEqual([]);
+
+      vi.advanceTimersByTime(1);
+      expect(gestures).toEqual([{ gesture: 'longPress', buttons: [{ channel: 6, note: 70 }], durationMs: 1000 }]);
+    });
+
+    it('should mark the button as long-pressed until it is released', () => {
+      detector.press(6, 70);
+      vi.advanceTimersByTime(500);
+      expect(detector.isLongPressed(6, 70)).toBe(false);
+
+      vi.advanceTimersByTime(500);
+      expect(detector.isLongPressed(6, 70)).toBe(true);
+      detector.release(6, 70);
+      expect(detector.isLongPressed(6, 70)).toBe(false);
+    });
+
+    it('should not fire for a short press', () => {
+      detector.press(6, 70);
+      vi.advanceTimersByTime(500);
+      detector.release(6, 70);
+      vi.advanceTimersByTime(1000);
+      expect(gestures).toEqual([]);
+    });
+  });
+
+  describe('Double tap', () => {
+    it('should fire on a second press within the window', () => {
+      detector.press(0, 88);
+      detector.release(0, 88);
+      vi.advanceTimersByTime(200);
+      detector.press(0, 88);
+
+      expect(gestures).toEqual([{ gesture: 'doubleTap', buttons: [{ channel: 0, note: 88 }], durationMs: 200 }]);
+    });
+
+    it('should not fire when the presses are too far apart', () => {
+      detector.press(0, 88);
+      detector.release(0, 88);
+      vi.advanceTimersByTime(301);
+      detector.press(0, 88);
+      expect(gestures).toEqual([]);
+    });
+
+    it('should not count a long press as the first tap', () => {
+      detector.press(0, 88);
+      vi.advanceTimersByTime(1000);
+      detector.release(0, 88);
+      detector.press(0, 88);
+      expect(gestures.map(g => g.gesture)).toEqual(['longPress']);
+    });
+
+    it('should start over after a double tap instead of firing on every press', () => {
+      for (let i = 0; i < 3; i++) {
+        detector.press(0, 88);
+        detector.release(0, 88);
+        vi.advanceTimersByTime(100);
+      }
+      expect(gestures.map(g => g.gesture)).toEqual(['doubleTap']);
+    });
+  });
+
+  describe('Chord', () => {
+    it('should fire when a button is pressed while another is held', () => {
+      detector.press(0, 27); // HOT CUE
+      detector.press(7, 3);  // pad 4
+
+      expect(gestures).toEqual([{ gesture: 'chord', buttons: [{ channel: 0, note: 27 }, { channel: 7, note: 3 }] }]);
+    });
+
+    it('should cancel the long press of buttons used in a chord', () => {
+      detector.press(0, 27);
+      detector.press(7, 3);
+      vi.advanceTimersByTime(2000);
+      expect(gestures.map(g => g.gesture)).toEqual(['chord']);
+    });
+  });
+
+  describe('Bindings', () => {
+    beforeEach(() => {
+      detector = new GestureDetector({}, [
+        { name: 'unload', gesture: 'longPress', buttons: [{ channel: 6, note: 70 }], deck: 1 },
+        { name: 'panic', gesture: 'chord', buttons: [{ channel: 0, note: 64 }, { channel: 1, note: 64 }] }
+      ]);
+      listen(detector);
+    });
+
+    it('should name gestures that match a binding', () => {
+      detector.press(6, 70);
+      vi.advanceTimersByTime(1000);
+      detector.release(6, 70);
+
+      detector.press(0, 64);
+      detector.press(1, 64);
+
+      expect(gestures.map(g => [g.name, g.deck])).toEqual([['unload', 1], ['panic', undefined]]);
+    });
+
+    it('should leave other gestures unnamed', () => {
+      detector.press(1, 64);
+      detector.press(0, 64); // reverse order of the bound chord
+      expect(gestures).toHaveLength(1);
+      expect(gestures[0].name).toBeUndefined();
+    });
+  });
+
+  describe('Timings', () => {
+    it('should use changed timings for new presses', () => {
+      detector.setTimings({ longPressMs: 200 });
+      expect(detector.getTimings()).toEqual({ longPressMs: 200, doubleTapMs: 300 });
+
+      detector.press(6, 70);
+      vi.advanceTimersByTime(200);
+      expect(gestures.map(g => g.gesture)).toEqual(['longPress']);
+    });
+
+    it('should reject invalid timings', () => {
+      expect(() => detector.setTimings({ doubleTapMs: 0 })).toThrow('gestures.doubleTapMs must be a positive number');
+    });
+  });
+});
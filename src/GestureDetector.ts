@@ -0,0 +1,221 @@
+/**
+ * GestureDetector
+ *
+ * Turns raw button presses and releases into deliberate gestures, so risky
+ * actions (unload, panic) don't have to compete for SHIFT combinations:
+ * - longPress: a button held for longPressMs (fires while still held)
+ * - doubleTap: a second press of the same button within doubleTapMs
+ * - chord:     a button pressed while others are held (e.g. HOT CUE + pad)
+ *
+ * A button that became part of a chord or a long press doesn't also count
+ * towards a double tap, and held chord buttons don't long-press afterwards.
+ * Gestures matching a profile binding carry the binding's name (and deck).
+ */
+
+import { EventEmitter } from 'events';
+import type { NoteAddress } from './ControllerProfile.js';
+
+export const GESTURE_TYPES = ['longPress', 'doubleTap', 'chord'] as const;
+export type GestureType = typeof GESTURE_TYPES[number];
+
+export interface GestureTimings {
+  longPressMs: number; // hold time before a long press fires
+  doubleTapMs: number; // max time between the two presses of a double tap
+}
+
+export const DEFAULT_GESTURE_TIMINGS: GestureTimings = {
+  longPressMs: 1000,
+  doubleTapMs: 300
+};
+
+/**
+ * A named action behind a gesture
+ * Chords list the held buttons first and the button that completes the chord last
+ */
+export interface GestureBinding {
+  name: string;         // e.g. "unload", "panic"
+  gesture: GestureType;
+  buttons: NoteAddress[];
+  deck?: number;        // deck the action applies to, passed through to listeners
+}
+
+export interface GestureEvent {
+  gesture: GestureType;
+  buttons: NoteAddress[]; // chord: held buttons in press order, then the pressed one
+  name?: string;          // set when a binding matches
+  deck?: number;
+  durationMs?: number;    // longPress: hold time, doubleTap: time between presses
+}
+
+interface HeldButton {
+  address: NoteAddress;
+  timer: ReturnType<typeof setTimeout> | null;
+  consumed: boolean; // part of a chord or long press
+  longPressed: boolean;
+}
+
+/**
+ * Validate gesture timings
+ * @returns list of problems (empty if valid)
+ */
+export function validateGestureTimings(timings: Partial<GestureTimings>, path: string = 'gestures'): string[] {
+  const problems: string[] = [];
+  (['longPressMs', 'doubleTapMs'] as const).forEach(key => {
+    const value = timings[key];
+    if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+      problems.push(`${path}.${key} must be a positive number`);
+    }
+  });
+  return problems;
+}
+
+export class GestureDetector extends EventEmitter {
+  private timings: GestureTimings;
+  private bindings: GestureBinding[];
+  private held: Map<string, HeldButton> = new Map(); // key: "channel:note", in press order
+  private lastTaps: Map<string, number> = new Map();
+  private readonly now: () => number;
+
+  /**
+   * @param timings - overrides for DEFAULT_GESTURE_TIMINGS
+   * @param bindings - named gestures (see GestureBinding)
+   * @param now - clock in ms (injectable for tests)
+   */
+  constructor(timings: Partial<GestureTimings> = {}, bindings: GestureBinding[] = [], now: () => number = Date.now) {
+    super();
+    this.timings = { ...DEFAULT_GESTURE_TIMINGS };
+    this.setTimings(timings);
+    this.bindings = bindings;
+    this.now = now;
+  }
+
+  /**
+   * Feed a button press
+   */
+  press(channel: number, note: number): void {
+    const key = `${channel}:${note}`;
+    if (this.held.has(key)) return; // repeated note on without a release
+
+    const address = { channel, note };
+    const time = this.now();
+    const button: HeldButton = { address, timer: null, consumed: false, longPressed: false };
+
+    const others = [...this.held.values()];
+    if (others.length > 0) {
+      others.forEach(other => this.consume(other));
+      button.consumed = true;
+      this.lastTaps.delete(key);
+      this.fire({ gesture: 'chord', buttons: [...others.map(other => other.address), address] });
+    } else {
+      const lastTap = this.lastTaps.get(key);
+      if (lastTap !== undefined && time - lastTap <= this.timings.doubleTapMs) {
+        this.lastTaps.delete(key);
+        this.fire({ gesture: 'doubleTap', buttons: [address], durationMs: time - lastTap });
+      } else {
+        this.lastTaps.set(key, time);
+      }
+    }
+
+    if (!button.consumed) {
+      button.timer = setTimeout(() => {
+        button.timer = null;
+        button.consumed = true;
+        button.longPressed = true;
+        this.lastTaps.delete(key);
+        this.fire({ gesture: 'longPress', buttons: [address], durationMs: this.now() - time });
+      }, this.timings.longPressMs);
+    }
+    this.held.set(key, button);
+  }
+
+  /**
+   * Feed a button release
+   */
+  release(channel: number, note: number): void {
+    const key = `${channel}:${note}`;
+    const button = this.held.get(key);
+    if (!button) return;
+
+    if (button.consumed) {
+      this.lastTaps.delete(key);
+    }
+    this.consume(button);
+    this.held.delete(key);
+  }
+
+  /**
+   * Check if a button is currently held
+   */
+  isHeld(channel: number, note: number): boolean {
+    return this.held.has(`${channel}:${note}`);
+  }
+
+  /**
+   * Check if a held button has long-pressed (until it is released), so its
+   * release can skip the button's tap action
+   */
+  isLongPressed(channel: number, note: number): boolean {
+    return this.held.get(`${channel}:${note}`)?.longPressed ?? false;
+  }
+
+  /**
+   * Change some timings; the rest stay as they are
+   * @throws if a timing is invalid
+   */
+  setTimings(timings: Partial<GestureTimings>): void {
+    const problems = validateGestureTimings(timings);
+    if (problems.length > 0) {
+      throw new Error(`Invalid gesture timings: ${problems.join(', ')}`);
+    }
+    this.timings = { ...this.timings, ...timings };
+  }
+
+  getTimings(): GestureTimings {
+    return { ...this.timings };
+  }
+
+  /**
+   * Forget held buttons and pending taps (e.g. after the controller is unplugged)
+   */
+  reset(): void {
+    this.held.forEach(button => this.consume(button));
+    this.held.clear();
+    this.lastTaps.clear();
+  }
+
+  /**
+   * Stop a held button's long-press timer and keep it out of double taps
+   */
+  private consume(button: HeldButton): void {
+    if (button.timer) {
+      clearTimeout(button.timer);
+      button.timer = null;
+    }
+    button.consumed = true;
+  }
+
+  /**
+   * Attach the matching binding (if any) and emit the gesture under its type
+   */
+  private fire(event: GestureEvent): void {
+    const binding = this.bindings.find(b => this.matches(b, event));
+    if (binding) {
+      event.name = binding.name;
+      if (binding.deck !== undefined) event.deck = binding.deck;
+    }
+    this.emit(event.gesture, event);
+  }
+
+  /**
+   * A binding matches when the gesture type and the last button agree and,
+   * for chords, every other bound button is among the held ones
+   */
+  private matches(binding: GestureBinding, event: GestureEvent): boolean {
+    if (binding.gesture !== event.gesture || binding.buttons.length === 0) return false;
+    const same = (a: NoteAddress, b: NoteAddress) => a.channel === b.channel && a.note === b.note;
+    const last = binding.buttons[binding.buttons.length - 1];
+    if (!same(last, event.buttons[event.buttons.length - 1])) return false;
+    const held = event.buttons.slice(0, -1);
+    return binding.buttons.slice(0, -1).every(button => held.some(h => same(h, button)));
+  }
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import { Server } from 'http';
+import { AddressInfo } from 'net';
+import { DeviceManager } from './DeviceManager.js';
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { createApiRouter } from './HttpApi.js';
+
+describe('HttpApi', () => {
+  let transport: LoopbackTransport;
+  let manager: DeviceManager;
+  let server: Server;
+  let baseUrl: string;
+  let loads: Array<{ deck: number; songId?: number }>;
+  let browsersConnected: boolean;
+
+  beforeEach(async () => {
+    transport = new LoopbackTransport();
+    manager = new DeviceManager(transport);
+    manager.connect();
+    loads = [];
+    browsersConnected = true;
+
+    const app = express();
+    app.use('/api', createApiRouter(manager, {
+      loadDeck: (deck, songId) => {
+        loads.push({ deck, songId });
+        return browsersConnected;
+      }
+    }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api`;
+  });
+
+  afterEach(async () => {
+    manager.disconnect();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const post = (path: string, body?: unknown) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  it('should return the controller state, layout and devices', async () => {
+    manager.getStateManager().setTempo(102);
+
+    const state = await (await fetch(`${baseUrl}/state`)).json();
+    expect(state).toMatchObject({ version: 1, tempo: 102 });
+    expect(state.decks[0]).toEqual({ deck: 1, loaded: false, songId: null, section: null, volume: 127, fx: { echo: false } });
+
+    const layout = await (await fetch(`${baseUrl}/layout`)).json();
+    expect(layout).toEqual(manager.getProfile().controls);
+
+    const devices = await (await fetch(`${baseUrl}/devices`)).json();
+    expect(devices).toEqual({ connected: true, deviceName: 'PIONEER DDJ-SP1 (Loopback)', available: ['PIONEER DDJ-SP1 (Loopback)'] });
+  });
+
+  it('should set the tempo and reject invalid bodies', async () => {
+    const tempos: unknown[] = [];
+    manager.on('tempoChange', (event) => tempos.push(event));
+
+    const ok = await post('/tempo', { tempo: 84 });
+    expect(ok.status).toBe(200);
+    expect(await ok.json()).toEqual({ tempo: 84 });
+    expect(tempos).toEqual([{ tempo: 84 }]);
+
+    const bad = await post('/tempo', { tempo: 90 });
+    expect(bad.status).toBe(400);
+    expect(await bad.json()).toEqual({ error: 'Invalid request: body.tempo must be one of 84, 94, 102' });
+  });
+
+  it('should reject malformed JSON with a JSON error', async () => {
+    const res = await fetch(`${baseUrl}/tempo`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"tempo": 84'
+    });
+    expect(res.status).toBe(400);
+    expect(res.headers.get('content-type')).toContain('application/json');
+    expect((await res.json()).error).toContain('Invalid request: body is not valid JSON');
+    expect(manager.getStateManager().getCurrentTempo()).toBe(94);
+  });
+
+  it('should set LEDs, or report that the controller is away', async () => {
+    const ok = await post('/leds', { leds: [{ channel: 6, note: 70, velocity: 127 }] });
+    expect(await ok.json()).toEqual({ leds: 1 });
+    manager.flushLEDs();
+    expect(manager.getLEDState()).toContainEqual({ channel: 6, note: 70, velocity: 127 });
+
+    manager.disconnect();
+    const away = await post('/leds', { leds: [] });
+    expect(away.status).toBe(409);
+    expect((await away.json()).error).toContain('controller not connected');
+  });
+
+  it('should start and stop the MIDI clock', async () => {
+    const closed = await post('/clock/start');
+    expect(closed.status).toBe(409);
+    expect(await closed.json()).toEqual({ error: 'No MIDI clock output open' });
+
+    manager.openClockOutput('TR-8S');
+    const started = await post('/clock/start', { position: 16 });
+    expect(await started.json()).toMatchObject({ output: 'TR-8S', running: true, position: 16 });
+    expect(transport.getClockMessages().slice(0, 3).map(m => m.type)).toEqual(['clock', 'position', 'continue']);
+
+    await post('/clock/stop');
+    expect(await (await fetch(`${baseUrl}/clock`)).json()).toMatchObject({ running: false });
+    manager.closeClockOutput();
+  });
+
+  it('should hand deck loads to the browsers', async () => {
+    const selected = await post('/decks/2/load');
+    expect(selected.status).toBe(202);
+    expect(await selected.json()).toEqual({ deck: 2 });
+
+    await post('/decks/3/load', { songId: 5 });
+    expect(loads).toEqual([{ deck: 2, songId: undefined }, { deck: 3, songId: 5 }]);
+
+    expect((await post('/decks/9/load')).status).toBe(404);
+    expect((await post('/decks/1/load', { songId: 'five' })).status).toBe(400);
+
+    browsersConnected = false;
+    const nobody = await post('/decks/1/load');
+    expect(nobody.status).toBe(409);
+    expect(await nobody.json()).toEqual({ error: 'No browser connected to load the deck' });
+  });
+});
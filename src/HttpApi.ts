@@ -0,0 +1,147 @@
+/**
+ * HttpApi
+ *
+ * REST endpoints for scripts and stream overlays that would rather use curl
+ * than the WebSocket protocol. Request bodies are JSON and checked with the
+ * same schemas as the matching WebSocket commands; commands go through
+ * DeviceManager, so the hardware LEDs and every browser update as if the
+ * controller had been used.
+ *
+ * Errors are `{ "error": "..." }` with 400 (bad request body), 404 (unknown
+ * deck) or 409 (valid request the rig can't apply right now).
+ */
+
+import express, { NextFunction, Request, Response, Router } from 'express';
+import { DeviceManager } from './DeviceManager.js';
+import { CLIENT_MESSAGE_SCHEMAS, ClientMessageMap, Schema, validateSchema } from './Protocol.js';
+import { createLogger } from './Logger.js';
+
+const log = createLogger('app');
+
+const LOAD_DECK_SCHEMA: Schema = { type: 'object', fields: { songId: { type: 'integer', min: 1, optional: true } } };
+
+export interface HttpApiHooks {
+  /**
+   * Ask the browsers to load a song into a deck (they own the library and audio)
+   * @param songId - Song to load, or undefined for the song selected in the browser
+   * @returns false if no browser is connected to do it
+   */
+  loadDeck(deck: number, songId?: number): boolean;
+}
+
+/**
+ * Create the /api router
+ */
+export function createApiRouter(manager: DeviceManager, hooks: HttpApiHooks): Router {
+  const router = express.Router();
+  const state = manager.getStateManager();
+
+  router.use(express.json());
+
+  // Full controller state (same shape as the persisted snapshot)
+  router.get('/state', (_req, res) => {
+    res.json(state.getSnapshot());
+  });
+
+  router.get('/layout', (_req, res) => {
+    res.json(manager.getProfile().controls);
+  });
+
+  // Controller connection plus every MIDI input the system can see
+  router.get('/devices', (_req, res) => {
+    res.json({ ...manager.getStatus(), available: manager.getAvailableDevices() });
+  });
+
+  router.post('/tempo', (req, res) => {
+    const body = checkBody<ClientMessageMap['setTempo']>(req, res, CLIENT_MESSAGE_SCHEMAS.setTempo);
+    if (!body) return;
+    apply(res, () => {
+      manager.setTempo(body.tempo);
+      return { tempo: state.getCurrentTempo() };
+    });
+  });
+
+  router.post('/leds', (req, res) => {
+    const body = checkBody<ClientMessageMap['setLeds']>(req, res, CLIENT_MESSAGE_SCHEMAS.setLeds);
+    if (!body) return;
+    apply(res, () => {
+      manager.setLEDs(body.leds);
+      return { leds: body.leds.length };
+    });
+  });
+
+  // MIDI clock for drum machines and FX units
+  router.get('/clock', (_req, res) => {
+    res.json(manager.getClockStatus());
+  });
+
+  router.post('/clock/start', (req, res) => {
+    const body = checkBody<ClientMessageMap['startClock']>(req, res, CLIENT_MESSAGE_SCHEMAS.startClock);
+    if (!body) return;
+    apply(res, () => {
+      manager.startClock(body.position);
+      return manager.getClockStatus();
+    });
+  });
+
+  router.post('/clock/stop', (_req, res) => {
+    apply(res, () => {
+      manager.stopClock();
+      return manager.getClockStatus();
+    });
+  });
+
+  router.post('/decks/:deck/load', (req, res) => {
+    const deck = Number(req.params.deck);
+    if (!state.getDecks().includes(deck)) {
+      res.status(404).json({ error: `Unknown deck: ${req.params.deck}` });
+      return;
+    }
+    const body = checkBody<{ songId?: number }>(req, res, LOAD_DECK_SCHEMA);
+    if (!body) return;
+
+    if (!hooks.loadDeck(deck, body.songId)) {
+      res.status(409).json({ error: 'No browser connected to load the deck' });
+      return;
+    }
+    log.info(`📥 API: load ${body.songId === undefined ? 'selected song' : `song ${body.songId}`} into Deck ${deck}`);
+    // The browsers load the song and report back with deckLoad
+    res.status(202).json(body.songId === undefined ? { deck } : { deck, songId: body.songId });
+  });
+
+  // Malformed JSON bodies get the same error shape as invalid ones
+  router.use((error: Error & { type?: string }, _req: Request, res: Response, next: NextFunction) => {
+    if (error.type !== 'entity.parse.failed') {
+      next(error);
+      return;
+    }
+    res.status(400).json({ error: `Invalid request: body is not valid JSON (${error.message})` });
+  });
+
+  return router;
+}
+
+/**
+ * Validate a JSON body, replying 400 if it doesn't match
+ * @returns the body, or null after replying
+ */
+function checkBody<T>(req: Request, res: Response, schema: Schema): T | null {
+  const body = req.body ?? {};
+  const problems = validateSchema(body, schema, 'body');
+  if (problems.length > 0) {
+    res.status(400).json({ error: `Invalid request: ${problems.join(', ')}` });
+    return null;
+  }
+  return body;
+}
+
+/**
+ * Run a command and reply with its result, or 409 with the reason it failed
+ */
+function apply(res: Response, command: () => unknown): void {
+  try {
+    res.json(command());
+  } catch (error) {
+    res.status(409).json({ error: (error as Error).message });
+  }
+}
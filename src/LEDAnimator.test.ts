@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LEDAnimator } from './LEDAnimator.js';
+
+describe('LEDAnimator', () => {
+  let leds: Map<string, number>;
+  let tempo: number;
+  let animator: LEDAnimator;
+
+  const led = (channel: number, note: number) => leds.get(`${channel}-${note}`);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    leds = new Map();
+    tempo = 120;
+    animator = new LEDAnimator(
+      { set: (channel, note, velocity) => leds.set(`${channel}-${note}`, velocity) },
+      () => tempo,
+      10
+    );
+  });
+
+  afterEach(() => {
+    animator.reset();
+    vi.useRealTimers();
+  });
+
+  describe('Steady state', () => {
+    it('should write steady values straight through', () => {
+      animator.setSteady(0, 88, 127);
+      expect(led(0, 88)).toBe(127);
+      expect(animator.getSteady(0, 88)).toBe(127);
+    });
+
+    it('should turn off an LED without a steady value when its animation stops', () => {
+      animator.start('blink', { pattern: 'blink', leds: [{ channel: 0, note: 88 }], periodMs: 200 });
+      expect(led(0, 88)).toBe(127);
+      expect(animator.getSteady(0, 88)).toBeUndefined();
+
+      animator.stop('blink');
+      expect(led(0, 88)).toBe(0);
+    });
+
+    it('should hold steady changes until an animation stops', () => {
+      animator.start('blink', { pattern: 'blink', leds: [{ channel: 0, note: 88 }], periodMs: 200 });
+      animator.setSteady(0, 88, 64);
+      expect(led(0, 88)).toBe(127);
+
+      animator.stop('blink');
+      expect(led(0, 88)).toBe(64);
+      expect(animator.isRunning('blink')).toBe(false);
+    });
+  });
+
+  describe('Patterns', () => {
+    it('should blink on and off each half period', () => {
+      animator.start('blink', { pattern: 'blink', leds: [{ channel: 0, note: 88 }], periodMs: 200 });
+      expect(led(0, 88)).toBe(127);
+
+      vi.advanceTimersByTime(100);
+      expect(led(0, 88)).toBe(0);
+
+      vi.advanceTimersByTime(100);
+      expect(led(0, 88)).toBe(127);
+    });
+
+    it('should ramp a pulse up and down', () => {
+      animator.start('pulse', { pattern: 'pulse', leds: [{ channel: 0, note: 88 }], periodMs: 200 });
+      expect(led(0, 88)).toBe(0);
+
+      vi.advanceTimersByTime(50);
+      expect(led(0, 88)).toBe(64);
+
+      vi.advanceTimersByTime(50);
+      expect(led(0, 88)).toBe(127);
+    });
+
+    it('should chase along a row of LEDs', () => {
+      const row = [0, 1, 2].map(note => ({ channel: 7, note }));
+      animator.start('chase', { pattern: 'chase', leds: row, periodMs: 100, velocity: 2 });
+      expect([led(7, 0), led(7, 1), led(7, 2)]).toEqual([2, 0, 0]);
+
+      vi.advanceTimersByTime(100);
+      expect([led(7, 0), led(7, 1), led(7, 2)]).toEqual([0, 2, 0]);
+
+      vi.advanceTimersByTime(200);
+      expect([led(7, 0), led(7, 1), led(7, 2)]).toEqual([2, 0, 0]);
+    });
+
+    it('should flash with the current tempo', () => {
+      animator.start('beat', { pattern: 'beat', leds: [{ channel: 0, note: 88 }] });
+
+      vi.advanceTimersByTime(250); // half a beat at 120 BPM
+      expect(led(0, 88)).toBe(0);
+
+      vi.advanceTimersByTime(250);
+      expect(led(0, 88)).toBe(127);
+
+      tempo = 60; // one beat = 1000ms
+      vi.advanceTimersByTime(800); // 1300ms: off at 120 BPM, still on at 60 BPM
+      expect(led(0, 88)).toBe(127);
+    });
+
+    it('should reject unknown patterns', () => {
+      expect(() => animator.start('x', { pattern: 'strobe' as any, leds: [{ channel: 0, note: 1 }] }))
+        .toThrow('Unknown LED animation pattern');
+    });
+  });
+
+  describe('Priorities and lifetime', () => {
+    it('should let the higher priority animation win and restore the lower one', () => {
+      animator.setSteady(0, 88, 127);
+      animator.start('warning', { pattern: 'blink', leds: [{ channel: 0, note: 88 }], periodMs: 200, priority: 1 });
+      animator.start('flash', { pattern: 'flash', leds: [{ channel: 0, note: 88 }], velocity: 42, priority: 5 });
+      vi.advanceTimersByTime(100);
+      expect(led(0, 88)).toBe(42);
+
+      animator.stop('flash');
+      vi.advanceTimersByTime(100);
+      expect(led(0, 88)).toBe(127); // blink is back in its "on" half
+
+      animator.stopAll();
+      expect(led(0, 88)).toBe(127);
+      expect(animator.getRunning()).toEqual([]);
+    });
+
+    it('should stop automatically after its duration', () => {
+      animator.setSteady(7, 3, 2);
+      animator.start('flash', { pattern: 'flash', leds: [{ channel: 7, note: 3 }], velocity: 0, durationMs: 100 });
+      expect(led(7, 3)).toBe(0);
+
+      vi.advanceTimersByTime(100);
+      expect(led(7, 3)).toBe(2);
+      expect(animator.isRunning('flash')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * LEDAnimator
+ *
+ * Time-based LED patterns layered over the steady LED state.
+ * DeviceManager writes steady values through setSteady(); animations
+ * temporarily override them. Each LED shows the highest-priority running
+ * animation (latest started wins a tie), or its steady value when none is
+ * running (off if it never had one), so stopping an animation restores the
+ * LED cleanly.
+ *
+ * Patterns:
+ * - flash: hold `velocity` for the animation's duration
+ * - blink: on/off, half a period each
+ * - pulse: ramp between offVelocity and velocity and back every period
+ * - chase: light one LED of the list at a time, advancing every period
+ * - beat:  on for the first half of every beat at the current tempo
+ */
+
+import type { NoteAddress } from './ControllerProfile.js';
+
+export const ANIMATION_PATTERNS = ['flash', 'blink', 'pulse', 'chase', 'beat'] as const;
+export type AnimationPattern = typeof ANIMATION_PATTERNS[number];
+
+export interface LEDAnimation {
+  pattern: AnimationPattern;
+  leds: NoteAddress[];
+  velocity?: number;    // "on" velocity (default 127)
+  offVelocity?: number; // "off" velocity (default 0)
+  periodMs?: number;    // blink/pulse cycle or chase step (default 500)
+  durationMs?: number;  // stop automatically after this long (default: run until stopped)
+  priority?: number;    // higher wins when animations overlap (default 1)
+}
+
+/**
+ * Where animated and steady values are written (e.g. LEDBuffer)
+ */
+export interface LEDSink {
+  set(channel: number, note: number, velocity: number): unknown;
+}
+
+interface RunningAnimation extends Required<Omit<LEDAnimation, 'durationMs'>> {
+  name: string;
+  durationMs: number | null;
+  startedAt: number;
+  order: number;
+}
+
+export class LEDAnimator {
+  private animations: Map<string, RunningAnimation> = new Map();
+  private steady: Map<string, number> = new Map();
+  private timer: ReturnType<typeof setInterval> | null = null;
+  private order = 0;
+
+  /**
+   * @param output - Receives every LED write
+   * @param getTempo - Current BPM, read on every frame for beat-synced patterns
+   * @param frameMs - How often running animations are re-rendered
+   */
+  constructor(
+    private readonly output: LEDSink,
+    private readonly getTempo: () => number,
+    private readonly frameMs: number = 20
+  ) {}
+
+  /**
+   * Set the value an LED shows when no animation covers it
+   */
+  setSteady(channel: number, note: number, velocity: number): void {
+    const key = this.getKey(channel, note);
+    this.steady.set(key, velocity);
+    if (!this.isAnimated(key)) {
+      this.output.set(channel, note, velocity);
+    }
+  }
+
+  /**
+   * Get the steady value of an LED, or undefined if never set
+   */
+  getSteady(channel: number, note: number): number | undefined {
+    return this.steady.get(this.getKey(channel, note));
+  }
+
+  /**
+   * Start (or restart) a named animation
+   */
+  start(name: string, animation: LEDAnimation): void {
+    if (!ANIMATION_PATTERNS.includes(animation.pattern)) {
+      throw new Error(`Unknown LED animation pattern: ${animation.pattern}`);
+    }
+    if (animation.leds.length === 0) {
+      throw new Error(`LED animation "${name}" has no LEDs`);
+    }
+    if (animation.periodMs !== undefined && !(animation.periodMs > 0)) {
+      throw new Error(`Invalid LED animation period: ${animation.periodMs}`);
+    }
+
+    this.stop(name);
+    this.animations.set(name, {
+      name,
+      pattern: animation.pattern,
+      leds: animation.leds.map(led => ({ channel: led.channel, note: led.note })),
+      velocity: animation.velocity ?? 127,
+      offVelocity: animation.offVelocity ?? 0,
+      periodMs: animation.periodMs ?? 500,
+      durationMs: animation.durationMs ?? null,
+      priority: animation.priority ?? 1,
+      startedAt: Date.now(),
+      order: this.order++
+    });
+
+    this.render();
+    if (!this.timer) {
+      this.timer = setInterval(() => this.render(), this.frameMs);
+    }
+  }
+
+  /**
+   * Stop a named animation and restore the LEDs it covered
+   */
+  stop(name: string): void {
+    const animation = this.animations.get(name);
+    if (!animation) return;
+
+    this.animations.delete(name);
+    this.restore(animation.leds);
+    this.render();
+    this.stopTimerIfIdle();
+  }
+
+  /**
+   * Stop every animation and restore steady values
+   */
+  stopAll(): void {
+    const leds = [...this.animations.values()].flatMap(animation => animation.leds);
+    this.animations.clear();
+    this.restore(leds);
+    this.stopTimerIfIdle();
+  }
+
+  /**
+   * Forget all animations and steady values without writing anything
+   * Use when the device is (re)connected and its LEDs are in an unknown state
+   */
+  reset(): void {
+    this.animations.clear();
+    this.steady.clear();
+    this.stopTimerIfIdle();
+  }
+
+  /**
+   * Check if a named animation is running
+   */
+  isRunning(name: string): boolean {
+    return this.animations.has(name);
+  }
+
+  /**
+   * Get the names of all running animations
+   */
+  getRunning(): string[] {
+    return [...this.animations.keys()];
+  }
+
+  /**
+   * Write the current frame of every animated LED
+   */
+  private render(): void {
+    const now = Date.now();
+
+    const expired = [...this.animations.values()].filter(animation =>
+      animation.durationMs !== null && now - animation.startedAt >= animation.durationMs
+    );
+    if (expired.length > 0) {
+      expired.forEach(animation => this.animations.delete(animation.name));
+      this.restore(expired.flatMap(animation => animation.leds));
+      this.stopTimerIfIdle();
+    }
+
+    const winners = new Map<string, { animation: RunningAnimation; index: number }>();
+    for (const animation of this.animations.values()) {
+      animation.leds.forEach((led, index) => {
+        const key = this.getKey(led.channel, led.note);
+        const current = winners.get(key);
+        if (!current || this.outranks(animation, current.animation)) {
+          winners.set(key, { animation, index });
+        }
+      });
+    }
+
+    for (const { animation, index } of winners.values()) {
+      const led = animation.leds[index];
+      this.output.set(led.channel, led.note, this.getFrame(animation, index, now - animation.startedAt));
+    }
+  }
+
+  /**
+   * Velocity of one LED of an animation at a point in time
+   */
+  private getFrame(animation: RunningAnimation, index: number, elapsed: number): number {
+    const { velocity: on, offVelocity: off, periodMs } = animation;
+
+    switch (animation.pattern) {
+      case 'flash':
+        return on;
+      case 'blink':
+        return (elapsed % periodMs) < periodMs / 2 ? on : off;
+      case 'pulse': {
+        const phase = (elapsed % periodMs) / periodMs;
+        const level = phase < 0.5 ? phase * 2 : (1 - phase) * 2;
+        return Math.round(off + (on - off) * level);
+      }
+      case 'chase': {
+        const step = Math.floor(elapsed / periodMs) % animation.leds.length;
+        return step === index ? on : off;
+      }
+      case 'beat': {
+        const beatMs = 60000 / this.getTempo();
+        return (elapsed % beatMs) < beatMs / 2 ? on : off;
+      }
+    }
+  }
+
+  /**
+   * Write steady values back to LEDs no longer covered by any animation
+   * (LEDs without one are turned off rather than left on their last frame)
+   */
+  private restore(leds: NoteAddress[]): void {
+    for (const led of leds) {
+      const key = this.getKey(led.channel, led.note);
+      if (!this.isAnimated(key)) {
+        this.output.set(led.channel, led.note, this.steady.get(key) ?? 0);
+      }
+    }
+  }
+
+  private outranks(a: RunningAnimation, b: RunningAnimation): boolean {
+    return a.priority > b.priority || (a.priority === b.priority && a.order > b.order);
+  }
+
+  private isAnimated(key: string): boolean {
+    for (const animation of this.animations.values()) {
+      if (animation.leds.some(led => this.getKey(led.channel, led.note) === key)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  private stopTimerIfIdle(): void {
+    if (this.timer && this.animations.size === 0) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private getKey(channel: number, note: number): string {
+    return `${channel}-${note}`;
+  }
+}
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LEDBuffer, LEDState } from './LEDBuffer.js';
+
+describe('LEDBuffer', () => {
+  let writes: LEDState[];
+  let buffer: LEDBuffer;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    writes = [];
+    buffer = new LEDBuffer((channel, note, velocity) => writes.push({ channel, note, velocity }), {
+      maxPerInterval: 4,
+      intervalMs: 10
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('Diffing', () => {
+    it('should send the first value immediately', () => {
+      expect(buffer.set(7, 0, 2)).toBe(true);
+      expect(writes).toEqual([{ channel: 7, note: 0, velocity: 2 }]);
+    });
+
+    it('should skip values the LED already has', () => {
+      buffer.set(7, 0, 2);
+      expect(buffer.set(7, 0, 2)).toBe(false);
+      expect(writes).toHaveLength(1);
+    });
+
+    it('should track the last value per channel and note', () => {
+      buffer.set(7, 0, 2);
+      buffer.set(8, 0, 127);
+      buffer.set(7, 0, 0);
+
+      expect(buffer.get(7, 0)).toBe(0);
+      expect(buffer.get(9, 0)).toBeUndefined();
+      expect(buffer.getState()).toEqual([
+        { channel: 7, note: 0, velocity: 0 },
+        { channel: 8, note: 0, velocity: 127 }
+      ]);
+    });
+  });
+
+  describe('Rate limiting', () => {
+    it('should queue writes beyond the per-interval budget', () => {
+      for (let note = 0; note < 10; note++) {
+        buffer.set(7, note, 2);
+      }
+      expect(writes).toHaveLength(4);
+      expect(buffer.getPendingCount()).toBe(6);
+
+      vi.advanceTimersByTime(10);
+      expect(writes).toHaveLength(8);
+
+      vi.advanceTimersByTime(10);
+      expect(writes).toHaveLength(10);
+      expect(writes.map(w => w.note)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    });
+
+    it('should coalesce repeated changes to a queued LED', () => {
+      for (let note = 0; note < 4; note++) {
+        buffer.set(7, note, 2);
+      }
+      buffer.set(8, 0, 127);
+      buffer.set(8, 0, 0);
+      buffer.set(8, 0, 64);
+
+      vi.advanceTimersByTime(10);
+      expect(writes.filter(w => w.channel === 8)).toEqual([{ channel: 8, note: 0, velocity: 64 }]);
+    });
+
+    it('should drop a queued write that returns to the value already shown', () => {
+      buffer.set(8, 0, 127);
+      for (let note = 0; note < 4; note++) {
+        buffer.set(7, note, 2);
+      }
+      buffer.set(8, 0, 0);
+      buffer.set(8, 0, 127);
+
+      vi.advanceTimersByTime(10);
+      expect(writes.filter(w => w.channel === 8)).toHaveLength(1);
+    });
+
+    it('should send everything on flush', () => {
+      for (let note = 0; note < 10; note++) {
+        buffer.set(7, note, 2);
+      }
+      buffer.flush();
+      expect(writes).toHaveLength(10);
+      expect(buffer.getPendingCount()).toBe(0);
+    });
+  });
+
+  describe('Reset', () => {
+    it('should forget state and resend after reset', () => {
+      buffer.set(7, 0, 2);
+      buffer.reset();
+
+      expect(buffer.getState()).toEqual([]);
+      buffer.set(7, 0, 2);
+      expect(writes).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * LEDBuffer
+ *
+ * Shadow copy of the controller's LEDs. Remembers the last velocity per
+ * channel/note, only transmits values that actually change, and paces
+ * writes so bursts (deck switches, full resyncs) don't overrun the device.
+ *
+ * Up to `maxPerInterval` messages go out immediately; anything beyond that
+ * waits in a queue that drains one window at a time. A queued LED that is
+ * changed again before it is sent is coalesced into a single write.
+ */
+
+export interface LEDState {
+  channel: number;
+  note: number;
+  velocity: number;
+}
+
+export interface LEDBufferOptions {
+  maxPerInterval?: number; // messages allowed per window
+  intervalMs?: number;     // window length
+}
+
+type LEDSender = (channel: number, note: number, velocity: number) => void;
+
+export class LEDBuffer {
+  private state: Map<string, LEDState> = new Map();    // latest requested value
+  private sent: Map<string, number> = new Map();       // value the device has
+  private pending: Map<string, LEDState> = new Map();  // insertion-ordered queue
+  private readonly maxPerInterval: number;
+  private readonly intervalMs: number;
+  private windowStart = 0;
+  private sentInWindow = 0;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+
+  /**
+   * @param send - Writes one LED message to the device
+   */
+  constructor(private readonly send: LEDSender, options: LEDBufferOptions = {}) {
+    this.maxPerInterval = options.maxPerInterval ?? 32;
+    this.intervalMs = options.intervalMs ?? 10;
+    if (!(this.maxPerInterval >= 1) || !(this.intervalMs > 0)) {
+      throw new Error('LEDBuffer needs maxPerInterval >= 1 and intervalMs > 0');
+    }
+  }
+
+  /**
+   * Request an LED value
+   * @returns true if the value changed and a write was queued
+   */
+  set(channel: number, note: number, velocity: number): boolean {
+    const key = this.getKey(channel, note);
+    if (this.state.get(key)?.velocity === velocity) return false;
+
+    const led = { channel, note, velocity };
+    this.state.set(key, led);
+    this.pending.set(key, led);
+    this.drain();
+    return true;
+  }
+
+  /**
+   * Get the last requested velocity for an LED, or undefined if never set
+   */
+  get(channel: number, note: number): number | undefined {
+    return this.state.get(this.getKey(channel, note))?.velocity;
+  }
+
+  /**
+   * Get every LED that has been set, sorted by channel then note
+   */
+  getState(): LEDState[] {
+    return [...this.state.values()]
+      .map(led => ({ ...led }))
+      .sort((a, b) => a.channel - b.channel || a.note - b.note);
+  }
+
+  /**
+   * Number of writes waiting in the queue
+   */
+  getPendingCount(): number {
+    return this.pending.size;
+  }
+
+  /**
+   * Send every queued write now, ignoring the rate limit
+   */
+  flush(): void {
+    this.cancelTimer();
+    for (const [key, led] of this.pending) {
+      this.write(key, led);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Forget all state and drop queued writes
+   * Use when the device is (re)connected and its LEDs are in an unknown state
+   */
+  reset(): void {
+    this.cancelTimer();
+    this.state.clear();
+    this.sent.clear();
+    this.pending.clear();
+    this.sentInWindow = 0;
+  }
+
+  /**
+   * Send as many queued writes as the current window allows
+   */
+  private drain(): void {
+    if (this.timer) return;
+
+    const now = Date.now();
+    if (now - this.windowStart >= this.intervalMs) {
+      this.windowStart = now;
+      this.sentInWindow = 0;
+    }
+
+    for (const [key, led] of this.pending) {
+      if (this.sentInWindow >= this.maxPerInterval) break;
+      this.pending.delete(key);
+      if (this.write(key, led)) {
+        this.sentInWindow++;
+      }
+    }
+
+    if (this.pending.size > 0) {
+      const wait = Math.max(0, this.windowStart + this.intervalMs - now);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+  }
+
+  /**
+   * Write an LED unless the device already shows that value
+   * @returns true if a message was sent
+   */
+  private write(key: string, led: LEDState): boolean {
+    if (this.sent.get(key) === led.velocity) return false;
+    this.sent.set(key, led.velocity);
+    this.send(led.channel, led.note, led.velocity);
+    return true;
+  }
+
+  private cancelTimer(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private getKey(channel: number, note: number): string {
+    return `${channel}-${note}`;
+  }
+}
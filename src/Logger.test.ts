@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  closeLogFile,
+  configureLogging,
+  configureLoggingFromEnv,
+  createLogger,
+  getLogConfig,
+  parseLogSpec,
+  setLogLevel
+} from './Logger.js';
+
+describe('Logger', () => {
+  let log: ReturnType<typeof vi.spyOn>;
+  let debug: ReturnType<typeof vi.spyOn>;
+
+  beforeEach(() => {
+    configureLogging({ level: 'info', subsystems: {} });
+    log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    debug = vi.spyOn(console, 'debug').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await closeLogFile();
+  });
+
+  describe('Levels', () => {
+    it('should drop messages below the default level', () => {
+      const midi = createLogger('midi');
+      midi.debug('CC');
+      midi.info('Connected');
+
+      expect(debug).not.toHaveBeenCalled();
+      expect(log).toHaveBeenCalledWith('[midi]', 'Connected');
+    });
+
+    it('should let a subsystem override the default level', () => {
+      setLogLevel('debug', 'midi');
+      createLogger('midi').debug('CC');
+      createLogger('leds').debug('LED');
+
+      expect(debug).toHaveBeenCalledTimes(1);
+      expect(debug).toHaveBeenCalledWith('[midi]', 'CC');
+    });
+
+    it('should silence everything with "silent"', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      setLogLevel('silent');
+      createLogger('ws').error('boom');
+      expect(error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Configuration', () => {
+    it('should parse a default level with per-subsystem overrides', () => {
+      expect(parseLogSpec('warn, midi=debug,leds=error')).toEqual({
+        level: 'warn',
+        subsystems: { midi: 'debug', leds: 'error' }
+      });
+    });
+
+    it('should reject unknown levels and subsystems', () => {
+      expect(() => parseLogSpec('loud')).toThrow('Invalid log level "loud"');
+      expect(() => parseLogSpec('dsp=debug')).toThrow('Unknown log subsystem "dsp"');
+    });
+
+    it('should read DDJ_LOG from the environment', () => {
+      configureLoggingFromEnv({ DDJ_LOG: 'error,state=info' });
+      expect(getLogConfig()).toEqual({ level: 'error', subsystems: { state: 'info' }, file: null });
+    });
+  });
+
+  describe('JSON lines file', () => {
+    it('should append one JSON object per message', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'ddj-log-'));
+      const file = join(dir, 'logs', 'ddj.jsonl');
+      try {
+        configureLogging({ file });
+        const ws = createLogger('ws');
+        ws.info('Client connected');
+        ws.debug('not written');
+        ws.info('Pad', { deck: 1 });
+        await closeLogFile();
+
+        const entries = readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(entries).toHaveLength(2);
+        expect(entries[0]).toMatchObject({ level: 'info', subsystem: 'ws', message: 'Client connected' });
+        expect(entries[1].data).toEqual({ deck: 1 });
+        expect(typeof entries[0].time).toBe('string');
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Logger
+ *
+ * Level-based logging with named subsystems. Each subsystem has its own
+ * threshold (falling back to the default level), so e.g. per-message MIDI
+ * traces can be enabled without flooding the terminal with everything else.
+ *
+ * Configuration (env, or at runtime via configureLogging / setLogLevel):
+ * - DDJ_LOG="info,midi=debug,leds=warn"  default level plus per-subsystem overrides
+ * - DDJ_LOG_FILE=logs/ddj.jsonl           also append JSON lines to a file
+ */
+
+import { createWriteStream, mkdirSync, WriteStream } from 'fs';
+import { dirname } from 'path';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'] as const;
+export type LogLevel = typeof LOG_LEVELS[number];
+
+export const LOG_SUBSYSTEMS = ['app', 'midi', 'leds', 'state', 'ws', 'osc', 'plugins', 'audio'] as const;
+export type LogSubsystem = typeof LOG_SUBSYSTEMS[number];
+
+export interface LogConfig {
+  level: LogLevel;
+  subsystems: Partial<Record<LogSubsystem, LogLevel>>;
+  file: string | null;
+}
+
+/**
+ * One line of the JSON-lines log file
+ */
+export interface LogEntry {
+  time: string;
+  level: Exclude<LogLevel, 'silent'>;
+  subsystem: LogSubsystem;
+  message: string;
+  data?: unknown;
+}
+
+export interface Logger {
+  debug(message: string, data?: unknown): void;
+  info(message: string, data?: unknown): void;
+  warn(message: string, data?: unknown): void;
+  error(message: string, data?: unknown): void;
+  isEnabled(level: LogLevel): boolean;
+}
+
+const config: LogConfig = { level: 'info', subsystems: {}, file: null };
+let fileStream: WriteStream | null = null;
+
+const CONSOLE_METHODS = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+} as const;
+
+export function isLogLevel(value: unknown): value is LogLevel {
+  return LOG_LEVELS.includes(value as LogLevel);
+}
+
+export function isLogSubsystem(value: unknown): value is LogSubsystem {
+  return LOG_SUBSYSTEMS.includes(value as LogSubsystem);
+}
+
+/**
+ * Parse a DDJ_LOG spec such as "info,midi=debug,leds=warn"
+ * @throws on unknown levels or subsystems
+ */
+export function parseLogSpec(spec: string): Pick<LogConfig, 'level' | 'subsystems'> {
+  const result: Pick<LogConfig, 'level' | 'subsystems'> = { level: config.level, subsystems: {} };
+
+  spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [name, level] = part.includes('=') ? part.split('=').map(s => s.trim()) : [null, part];
+    if (!isLogLevel(level)) {
+      throw new Error(`Invalid log level "${level}". Use one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    if (name === null) {
+      result.level = level;
+    } else if (isLogSubsystem(name)) {
+      result.subsystems[name] = level;
+    } else {
+      throw new Error(`Unknown log subsystem "${name}". Use one of: ${LOG_SUBSYSTEMS.join(', ')}`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Replace the logging configuration
+ * Omitted fields keep their current value; pass file: null to stop file output.
+ */
+export function configureLogging(options: Partial<LogConfig>): void {
+  if (options.level !== undefined) config.level = options.level;
+  if (options.subsystems !== undefined) config.subsystems = { ...options.subsystems };
+
+  if (options.file !== undefined && options.file !== config.file) {
+    fileStream?.end();
+    fileStream = null;
+    config.file = options.file;
+    if (options.file) {
+      mkdirSync(dirname(options.file), { recursive: true });
+      fileStream = createWriteStream(options.file, { flags: 'a' });
+      fileStream.on('error', (error) => {
+        console.error(`Log file ${options.file} failed: ${error.message}`);
+        fileStream = null;
+      });
+    }
+  }
+}
+
+/**
+ * Configure logging from DDJ_LOG / DDJ_LOG_FILE
+ * @throws if DDJ_LOG is invalid
+ */
+export function configureLoggingFromEnv(env: NodeJS.ProcessEnv = process.env): void {
+  configureLogging({
+    ...(env.DDJ_LOG ? parseLogSpec(env.DDJ_LOG) : {}),
+    ...(env.DDJ_LOG_FILE ? { file: env.DDJ_LOG_FILE } : {})
+  });
+}
+
+/**
+ * Change the level of one subsystem, or the default level when no subsystem is given
+ */
+export function setLogLevel(level: LogLevel, subsystem?: LogSubsystem): void {
+  if (subsystem) {
+    config.subsystems[subsystem] = level;
+  } else {
+    config.level = level;
+  }
+}
+
+/**
+ * Get a copy of the current configuration
+ */
+export function getLogConfig(): LogConfig {
+  return { level: config.level, subsystems: { ...config.subsystems }, file: config.file };
+}
+
+/**
+ * Flush and close the log file, if any
+ */
+export function closeLogFile(): Promise<void> {
+  const stream = fileStream;
+  fileStream = null;
+  config.file = null;
+  if (!stream) return Promise.resolve();
+  return new Promise(resolve => stream.end(() => resolve()));
+}
+
+/**
+ * Create a logger for a subsystem
+ */
+export function createLogger(subsystem: LogSubsystem): Logger {
+  const isEnabled = (level: LogLevel) => {
+    const threshold = config.subsystems[subsystem] ?? config.level;
+    return level !== 'silent' && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+  };
+
+  const write = (level: Exclude<LogLevel, 'silent'>, message: string, data?: unknown) => {
+    if (!isEnabled(level)) return;
+
+    const print = console[CONSOLE_METHODS[level]];
+    const prefix = `[${subsystem}]`;
+    if (data === undefined) {
+      print(prefix, message);
+    } else {
+      print(prefix, message, data);
+    }
+
+    if (fileStream) {
+      const entry: LogEntry = { time: new Date().toISOString(), level, subsystem, message };
+      if (data !== undefined) {
+        entry.data = data instanceof Error ? { name: data.name, message: data.message } : data;
+      }
+      fileStream.write(JSON.stringify(entry) + '\n');
+    }
+  };
+
+  return {
+    debug: (message, data) => write('debug', message, data),
+    info: (message, data) => write('info', message, data),
+    warn: (message, data) => write('warn', message, data),
+    error: (message, data) => write('error', message, data),
+    isEnabled
+  };
+}
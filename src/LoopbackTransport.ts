@@ -0,0 +1,217 @@
+import { EventEmitter } from 'events';
+import {
+  MidiClockInputPort,
+  MidiClockMessageMap,
+  MidiClockMessageType,
+  MidiClockOutputPort,
+  MidiInputPort,
+  MidiMessageMap,
+  MidiMessageType,
+  MidiOutputPort,
+  MidiTransport
+} from './MidiTransport.js';
+
+/**
+ * A message written to a loopback output port
+ */
+export interface SentMidiMessage<T extends MidiMessageType = MidiMessageType> {
+  type: T;
+  message: MidiMessageMap[T];
+}
+
+/**
+ * A MIDI clock message written to a loopback clock output
+ */
+export interface SentClockMessage<T extends MidiClockMessageType = MidiClockMessageType> {
+  type: T;
+  message?: MidiClockMessageMap[T];
+}
+
+/**
+ * Input port that receives messages injected through the transport
+ */
+class LoopbackInput extends EventEmitter implements MidiInputPort, MidiClockInputPort {
+  open = true;
+
+  close(): void {
+    this.open = false;
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Output port that records every message sent to it
+ */
+class LoopbackOutput implements MidiOutputPort {
+  constructor(private readonly sent: SentMidiMessage[]) {}
+
+  send<T extends MidiMessageType>(type: T, msg: MidiMessageMap[T]): void {
+    this.sent.push({ type, message: { ...msg } } as SentMidiMessage);
+  }
+
+  close(): void {}
+}
+
+/**
+ * Clock output port that records every message sent to it
+ */
+class LoopbackClockOutput implements MidiClockOutputPort {
+  constructor(private readonly sent: SentClockMessage[]) {}
+
+  send<T extends MidiClockMessageType>(type: T, msg?: MidiClockMessageMap[T]): void {
+    this.sent.push(msg === undefined ? { type } : { type, message: { ...msg } } as SentClockMessage);
+  }
+
+  close(): void {}
+}
+
+/**
+ * LoopbackTransport
+ *
+ * In-memory MIDI transport that stands in for the DDJ-SP1. Messages
+ * injected with noteOn/noteOff/cc arrive at the opened input port exactly as
+ * easymidi would deliver them, and everything written to the output port
+ * (LED updates) is recorded for inspection. Virtual output ports record
+ * into their own list. Clock ports can have any name: clock sent to them is
+ * recorded separately, and injectClock feeds the open clock inputs.
+ */
+export class LoopbackTransport implements MidiTransport {
+  private devices: string[];
+  private inputs: LoopbackInput[] = [];
+  private sent: SentMidiMessage[] = [];
+  private virtualSent: SentMidiMessage[] = [];
+  private clockInputs: LoopbackInput[] = [];
+  private clockSent: SentClockMessage[] = [];
+
+  constructor(deviceName: string = 'PIONEER DDJ-SP1 (Loopback)') {
+    this.devices = [deviceName];
+  }
+
+  /**
+   * Get list of MIDI input port names
+   */
+  getInputs(): string[] {
+    return [...this.devices];
+  }
+
+  /**
+   * Replace the list of attached devices
+   */
+  setDevices(devices: string[]): void {
+    this.devices = [...devices];
+  }
+
+  /**
+   * Open a MIDI input port by name
+   */
+  openInput(name: string): MidiInputPort {
+    this.assertDevice(name);
+    const input = new LoopbackInput();
+    this.inputs.push(input);
+    return input;
+  }
+
+  /**
+   * Open a MIDI output port by name
+   */
+  openOutput(name: string): MidiOutputPort {
+    this.assertDevice(name);
+    return new LoopbackOutput(this.sent);
+  }
+
+  /**
+   * Create a virtual output port
+   */
+  openVirtualOutput(_name: string): MidiOutputPort {
+    return new LoopbackOutput(this.virtualSent);
+  }
+
+  /**
+   * Open a clock output port
+   */
+  openClockOutput(_name: string): MidiClockOutputPort {
+    return new LoopbackClockOutput(this.clockSent);
+  }
+
+  /**
+   * Open a clock input port
+   */
+  openClockInput(_name: string): MidiClockInputPort {
+    const input = new LoopbackInput();
+    this.clockInputs.push(input);
+    return input;
+  }
+
+  /**
+   * Deliver a clock message to every open clock input, as if sent by another device
+   */
+  injectClock<T extends MidiClockMessageType>(type: T, msg?: MidiClockMessageMap[T]): void {
+    this.clockInputs = this.clockInputs.filter(input => input.open);
+    this.clockInputs.forEach(input => input.emit(type, msg === undefined ? {} : { ...msg }));
+  }
+
+  /**
+   * Deliver a message to every open input port, as if sent by the hardware
+   */
+  inject<T extends MidiMessageType>(type: T, msg: MidiMessageMap[T]): void {
+    this.inputs = this.inputs.filter(input => input.open);
+    this.inputs.forEach(input => input.emit(type, { ...msg }));
+  }
+
+  /**
+   * Simulate a button/pad press (Note On)
+   */
+  noteOn(channel: number, note: number, velocity: number = 127): void {
+    this.inject('noteon', { channel, note, velocity });
+  }
+
+  /**
+   * Simulate a button/pad release (Note Off)
+   */
+  noteOff(channel: number, note: number, velocity: number = 0): void {
+    this.inject('noteoff', { channel, note, velocity });
+  }
+
+  /**
+   * Simulate a knob, slider or encoder move (Control Change)
+   */
+  cc(channel: number, controller: number, value: number): void {
+    this.inject('cc', { channel, controller, value });
+  }
+
+  /**
+   * Get all messages written to output ports since the last clear
+   */
+  getSentMessages(): SentMidiMessage[] {
+    return [...this.sent];
+  }
+
+  /**
+   * Get all messages written to virtual output ports since the last clear
+   */
+  getVirtualMessages(): SentMidiMessage[] {
+    return [...this.virtualSent];
+  }
+
+  /**
+   * Get all messages written to clock output ports since the last clear
+   */
+  getClockMessages(): SentClockMessage[] {
+    return [...this.clockSent];
+  }
+
+  /**
+   * Forget recorded output messages (hardware, virtual and clock ports)
+   */
+  clearSentMessages(): void {
+    this.sent.length = 0;
+    this.virtualSent.length = 0;
+    this.clockSent.length = 0;
+  }
+
+  private assertDevice(name: string): void {
+    if (!this.devices.includes(name)) {
+      throw new Error(`MIDI port not found: ${name}`);
+    }
+  }
+}
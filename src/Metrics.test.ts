@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { DeviceManager } from './DeviceManager.js';
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { Metrics } from './Metrics.js';
+
+describe('Metrics', () => {
+  let transport: LoopbackTransport;
+  let manager: DeviceManager;
+  let metrics: Metrics;
+  let now: number;
+
+  beforeEach(() => {
+    transport = new LoopbackTransport();
+    manager = new DeviceManager(transport);
+    manager.connect();
+    manager.flushLEDs(); // LED resync on connect
+    now = 0;
+    metrics = new Metrics({ now: () => now, rateWindowMs: 2000 });
+    metrics.watch(manager);
+  });
+
+  afterEach(() => {
+    metrics.close();
+    manager.disconnect();
+  });
+
+  it('should count MIDI in and out per type and channel', () => {
+    transport.noteOn(6, 70);
+    transport.noteOff(6, 70);
+    transport.cc(0, 19, 64);
+    manager.setLEDs([{ channel: 0, note: 11, velocity: 127 }]);
+    manager.flushLEDs();
+
+    const { midi } = metrics.getSnapshot();
+    expect(midi.in).toEqual([
+      { type: 'cc', channel: 0, count: 1 },
+      { type: 'noteoff', channel: 6, count: 1 },
+      { type: 'noteon', channel: 6, count: 1 }
+    ]);
+    expect(midi.out).toContainEqual({ type: 'noteon', channel: 0, count: 1 });
+    expect(midi.out.every(({ type }) => type === 'noteon')).toBe(true);
+  });
+
+  it('should report LED writes per second over the window', () => {
+    manager.setLEDs([{ channel: 0, note: 11, velocity: 127 }, { channel: 0, note: 12, velocity: 127 }]);
+    manager.flushLEDs();
+    now = 1500;
+    manager.setLEDs([{ channel: 0, note: 13, velocity: 127 }]);
+    manager.flushLEDs();
+
+    expect(metrics.getSnapshot().leds.writes).toBe(3);
+    now = 2500; // the writes at 0 s have left the 2 s window
+    expect(metrics.getSnapshot().leds.writesPerSecond).toBe(0.5);
+  });
+
+  it('should forget old LED seconds without being scraped', () => {
+    for (let second = 0; second < 60; second++) {
+      now = second * 1000;
+      manager.setLED(0, 11, second % 2 === 0 ? 127 : 0);
+      manager.flushLEDs();
+    }
+
+    expect(metrics['ledSeconds'].size).toBe(2); // the 2 s window
+    expect(metrics.getSnapshot().leds.writes).toBe(60);
+  });
+
+  it('should record broadcasts, clients and dropped messages', () => {
+    metrics.setClients(2);
+    metrics.recordBroadcast(0.3, 2);
+    metrics.recordBroadcast(7, 1);
+    metrics.recordDropped('unknownType');
+    metrics.recordDropped('unknownType');
+    metrics.recordDropped('invalidOutgoing');
+
+    const { websocket } = metrics.getSnapshot();
+    expect(websocket).toMatchObject({ clients: 2, broadcasts: 2, messagesSent: 3, dropped: { unknownType: 2, invalidOutgoing: 1 } });
+    expect(websocket.broadcastMs.max).toBe(7);
+    expect(websocket.broadcastMs.buckets.find(b => b.le === 1)?.count).toBe(1);
+    expect(websocket.broadcastMs.buckets.find(b => b.le === 10)?.count).toBe(2);
+  });
+
+  it('should render the Prometheus text format', () => {
+    transport.noteOn(7, 0);
+    metrics.setClients(1);
+    metrics.recordBroadcast(2, 1);
+    metrics.recordDropped('invalidJson');
+
+    const text = metrics.toPrometheus();
+    expect(text).toContain('# TYPE ddj_midi_in_messages_total counter\nddj_midi_in_messages_total{type="noteon",channel="7"} 1\n');
+    expect(text).toContain('ddj_ws_clients 1\n');
+    expect(text).toContain('ddj_ws_broadcast_duration_seconds_bucket{le="0.001"} 0\n');
+    expect(text).toContain('ddj_ws_broadcast_duration_seconds_bucket{le="+Inf"} 1\n');
+    expect(text).toContain('ddj_ws_broadcast_duration_seconds_sum 0.002\n');
+    expect(text).toContain('ddj_ws_dropped_messages_total{reason="invalidJson"} 1\n');
+    expect(text).toMatch(/ddj_event_loop_lag_seconds\{stat="p99"\} [\d.e-]+\n/);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Metrics
+ *
+ * Operational counters for spotting a degrading rig before it is audible:
+ * MIDI traffic per type and channel, LED write rate, WebSocket clients,
+ * broadcast fan-out time, rejected/dropped messages and event-loop lag.
+ *
+ * MIDI and LED figures come from a DeviceManager's 'midi' and 'midiOut'
+ * events (see watch()); server.ts reports the WebSocket figures. Rendered
+ * as Prometheus text (toPrometheus) or JSON (getSnapshot).
+ */
+
+import { EventEmitter } from 'events';
+import { IntervalHistogram, monitorEventLoopDelay, performance } from 'perf_hooks';
+import { MidiMessageMap, MidiMessageType } from './MidiTransport.js';
+
+// Upper bounds (ms) of the broadcast duration histogram buckets
+export const BROADCAST_BUCKETS_MS = [0.1, 0.5, 1, 5, 10, 50] as const;
+
+export interface MetricsOptions {
+  now?: () => number;       // ms clock (default performance.now)
+  rateWindowMs?: number;    // window for LED writes per second (default 10 s)
+  lagWindowMs?: number;     // event-loop lag is measured over this window (default 60 s)
+}
+
+export interface MidiCount {
+  type: MidiMessageType;
+  channel: number;
+  count: number;
+}
+
+/**
+ * JSON form of every metric (durations in ms)
+ */
+export interface MetricsSnapshot {
+  midi: { in: MidiCount[]; out: MidiCount[] };
+  leds: { writes: number; writesPerSecond: number };
+  websocket: {
+    clients: number;
+    broadcasts: number;
+    messagesSent: number; // broadcast fan-out: one per receiving client
+    broadcastMs: { mean: number; max: number; buckets: Array<{ le: number; count: number }> };
+    dropped: Record<string, number>; // key: error code, or invalidOutgoing
+  };
+  eventLoopLagMs: { mean: number; p99: number; max: number };
+}
+
+type MidiEvent = { type: MidiMessageType; message: MidiMessageMap[MidiMessageType] };
+
+export class Metrics {
+  private midiIn: Map<string, number> = new Map();  // key: "type:channel"
+  private midiOut: Map<string, number> = new Map();
+  private ledWrites = 0;
+  private ledSeconds: Map<number, number> = new Map(); // key: second, value: writes
+  private clients = 0;
+  private broadcasts = 0;
+  private messagesSent = 0;
+  private broadcastTotalMs = 0;
+  private broadcastMaxMs = 0;
+  private broadcastBuckets: number[] = BROADCAST_BUCKETS_MS.map(() => 0);
+  private dropped: Map<string, number> = new Map();
+  private source: EventEmitter | null = null;
+  private lag: IntervalHistogram;
+  private lagTimer: ReturnType<typeof setInterval>;
+  private lastLag = { mean: 0, p99: 0, max: 0 };
+
+  private readonly now: () => number;
+  private readonly rateWindowMs: number;
+
+  private readonly onMidiIn = ({ type, message }: MidiEvent) => this.count(this.midiIn, type, message.channel);
+  private readonly onMidiOut = ({ type, message }: MidiEvent) => {
+    this.count(this.midiOut, type, message.channel);
+    // LED values are the note on messages sent to the controller
+    if (type === 'noteon') this.countLEDWrite();
+  };
+
+  constructor(options: MetricsOptions = {}) {
+    this.now = options.now ?? (() => performance.now());
+    this.rateWindowMs = options.rateWindowMs ?? 10000;
+
+    this.lag = monitorEventLoopDelay({ resolution: 20 });
+    this.lag.enable();
+    // Keep the last full window so a scrape right after a reset still sees it
+    this.lagTimer = setInterval(() => {
+      this.lastLag = this.readLag();
+      this.lag.reset();
+    }, options.lagWindowMs ?? 60000);
+    this.lagTimer.unref();
+  }
+
+  /**
+   * Count the MIDI traffic of a DeviceManager
+   */
+  watch(source: EventEmitter): void {
+    if (this.source) {
+      throw new Error('Already watching a device manager');
+    }
+    this.source = source;
+    source.on('midi', this.onMidiIn);
+    source.on('midiOut', this.onMidiOut);
+  }
+
+  /**
+   * Stop counting and measuring event-loop lag
+   */
+  close(): void {
+    this.source?.removeListener('midi', this.onMidiIn);
+    this.source?.removeListener('midiOut', this.onMidiOut);
+    this.source = null;
+    clearInterval(this.lagTimer);
+    this.lag.disable();
+  }
+
+  /**
+   * Set the number of connected WebSocket clients
+   */
+  setClients(count: number): void {
+    this.clients = count;
+  }
+
+  /**
+   * Record one broadcast
+   * @param durationMs - Time spent encoding and sending to every client
+   * @param recipients - Clients the message was sent to
+   */
+  recordBroadcast(durationMs: number, recipients: number): void {
+    this.broadcasts++;
+    this.messagesSent += recipients;
+    this.broadcastTotalMs += durationMs;
+    this.broadcastMaxMs = Math.max(this.broadcastMaxMs, durationMs);
+    BROADCAST_BUCKETS_MS.forEach((le, i) => {
+      if (durationMs <= le) this.broadcastBuckets[i]++;
+    });
+  }
+
+  /**
+   * Record a message that was rejected or not sent
+   * @param reason - Protocol error code for incoming messages, invalidOutgoing for outgoing ones
+   */
+  recordDropped(reason: string): void {
+    this.dropped.set(reason, (this.dropped.get(reason) ?? 0) + 1);
+  }
+
+  /**
+   * Get every metric as JSON
+   */
+  getSnapshot(): MetricsSnapshot {
+    return {
+      midi: { in: this.listMidi(this.midiIn), out: this.listMidi(this.midiOut) },
+      leds: { writes: this.ledWrites, writesPerSecond: this.getLEDRate() },
+      websocket: {
+        clients: this.clients,
+        broadcasts: this.broadcasts,
+        messagesSent: this.messagesSent,
+        broadcastMs: {
+          mean: this.broadcasts > 0 ? this.broadcastTotalMs / this.broadcasts : 0,
+          max: this.broadcastMaxMs,
+          buckets: BROADCAST_BUCKETS_MS.map((le, i) => ({ le, count: this.broadcastBuckets[i] }))
+        },
+        dropped: Object.fromEntries(this.dropped)
+      },
+      eventLoopLagMs: this.getLag()
+    };
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   */
+  toPrometheus(): string {
+    const snapshot = this.getSnapshot();
+    const lines: string[] = [];
+    const metric = (name: string, type: 'counter' | 'gauge' | 'histogram', help: string, samples: Array<[string, number]>) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      samples.forEach(([labels, value]) => lines.push(`${name}${labels} ${value}`));
+    };
+    const midiSamples = (counts: MidiCount[]): Array<[string, number]> =>
+      counts.map(({ type, channel, count }) => [`{type="${type}",channel="${channel}"}`, count]);
+    const { websocket: ws } = snapshot;
+
+    metric('ddj_midi_in_messages_total', 'counter', 'MIDI messages received from the controller', midiSamples(snapshot.midi.in));
+    metric('ddj_midi_out_messages_total', 'counter', 'MIDI messages sent to the controller', midiSamples(snapshot.midi.out));
+    metric('ddj_led_writes_total', 'counter', 'LED values written to the controller', [['', snapshot.leds.writes]]);
+    metric('ddj_led_writes_per_second', 'gauge', `LED writes per second over the last ${this.rateWindowMs / 1000} s`, [['', snapshot.leds.writesPerSecond]]);
+    metric('ddj_ws_clients', 'gauge', 'Connected WebSocket clients', [['', ws.clients]]);
+    metric('ddj_ws_messages_sent_total', 'counter', 'Messages sent by broadcasts (one per receiving client)', [['', ws.messagesSent]]);
+    metric('ddj_ws_broadcast_duration_seconds', 'histogram', 'Time to send a broadcast to every client', [
+      ...ws.broadcastMs.buckets.map(({ le, count }): [string, number] => [`_bucket{le="${le / 1000}"}`, count]),
+      ['_bucket{le="+Inf"}', ws.broadcasts],
+      ['_sum', (ws.broadcastMs.mean * ws.broadcasts) / 1000],
+      ['_count', ws.broadcasts]
+    ]);
+    metric('ddj_ws_dropped_messages_total', 'counter', 'WebSocket messages rejected or not sent, by reason',
+      Object.entries(ws.dropped).map(([reason, count]) => [`{reason="${reason}"}`, count]));
+    metric('ddj_event_loop_lag_seconds', 'gauge', 'Event-loop delay over the last measuring window',
+      (['mean', 'p99', 'max'] as const).map(stat => [`{stat="${stat}"}`, snapshot.eventLoopLagMs[stat] / 1000]));
+
+    return lines.join('\n') + '\n';
+  }
+
+  private count(counts: Map<string, number>, type: MidiMessageType, channel: number): void {
+    const key = `${type}:${channel}`;
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+
+  private countLEDWrite(): void {
+    this.ledWrites++;
+    const second = Math.floor(this.now() / 1000);
+    if (!this.ledSeconds.has(second)) {
+      this.pruneLEDSeconds(); // once per second, so an unscraped rig doesn't pile up seconds
+    }
+    this.ledSeconds.set(second, (this.ledSeconds.get(second) ?? 0) + 1);
+  }
+
+  /**
+   * LED writes per second over the rate window
+   */
+  private getLEDRate(): number {
+    this.pruneLEDSeconds();
+    let writes = 0;
+    this.ledSeconds.forEach(count => {
+      writes += count;
+    });
+    return writes / this.getRateWindowSeconds();
+  }
+
+  /**
+   * Forget seconds that have left the rate window
+   */
+  private pruneLEDSeconds(): void {
+    const oldest = Math.floor(this.now() / 1000) - this.getRateWindowSeconds() + 1;
+    for (const second of this.ledSeconds.keys()) {
+      if (second < oldest) this.ledSeconds.delete(second);
+    }
+  }
+
+  private getRateWindowSeconds(): number {
+    return Math.max(1, Math.round(this.rateWindowMs / 1000));
+  }
+
+  private listMidi(counts: Map<string, number>): MidiCount[] {
+    return [...counts.entries()]
+      .map(([key, count]) => {
+        const [type, channel] = key.split(':');
+        return { type: type as MidiMessageType, channel: Number(channel), count };
+      })
+      .sort((a, b) => a.type.localeCompare(b.type) || a.channel - b.channel);
+  }
+
+  /**
+   * Event-loop lag of the current window, or the last full one before any sample
+   */
+  private getLag(): { mean: number; p99: number; max: number } {
+    return this.lag.count > 0 ? this.readLag() : this.lastLag;
+  }
+
+  private readLag(): { mean: number; p99: number; max: number } {
+    if (this.lag.count === 0) {
+      return { mean: 0, p99: 0, max: 0 };
+    }
+    const ms = (ns: number) => ns / 1e6;
+    return { mean: ms(this.lag.mean), p99: ms(this.lag.percentile(99)), max: ms(this.lag.max) };
+  }
+}
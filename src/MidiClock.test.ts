@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { CLOCK_PPQN, MidiClock } from './MidiClock.js';
+import { MidiClockInputPort, MidiClockOutputPort } from './MidiTransport.js';
+
+describe('MidiClock', () => {
+  let tempo: number;
+  let clock: MidiClock;
+  let sent: Array<{ type: string; message?: unknown }>;
+  let output: MidiClockOutputPort;
+
+  const count = (type: string) => sent.filter(s => s.type === type).length;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    tempo = 100; // 25 ms per tick
+    clock = new MidiClock(() => tempo);
+    sent = [];
+    output = {
+      send: (type, message) => { sent.push(message === undefined ? { type } : { type, message }); },
+      close: () => {}
+    };
+  });
+
+  afterEach(() => {
+    clock.close();
+    vi.useRealTimers();
+  });
+
+  it('should send 24 ticks per beat at the current tempo, running or not', () => {
+    clock.setOutput(output);
+    vi.advanceTimersByTime(600); // one beat at 100 BPM
+    expect(count('clock')).toBe(CLOCK_PPQN + 1); // a tick at 0 ms and every 25 ms after
+
+    sent = [];
+    tempo = 50;
+    vi.advanceTimersByTime(1200);
+    expect(count('clock')).toBe(CLOCK_PPQN);
+  });
+
+  it('should send start, song position + continue and stop, and track the position', () => {
+    clock.setOutput(output);
+    sent = [];
+
+    clock.start();
+    expect(sent.slice(0, 2)).toEqual([{ type: 'start' }, { type: 'clock' }]);
+    vi.advanceTimersByTime(600);
+    expect(clock.getPosition()).toBe(4); // one beat = four 16ths
+
+    clock.stop();
+    expect(sent[sent.length - 1]).toEqual({ type: 'stop' });
+    expect(clock.getStatus()).toMatchObject({ running: false, position: 4 });
+
+    sent = [];
+    clock.start(16);
+    expect(sent.slice(0, 2)).toEqual([{ type: 'position', message: { value: 16 } }, { type: 'continue' }]);
+    expect(() => clock.start(-1)).toThrow('Invalid song position: -1');
+  });
+
+  it('should measure and relay a followed clock instead of generating one', () => {
+    const input = new EventEmitter() as EventEmitter & MidiClockInputPort;
+    input.close = () => {};
+    const tempos: number[] = [];
+    clock.on('tempo', (bpm) => tempos.push(bpm));
+
+    clock.setOutput(output);
+    clock.follow(input);
+    sent = [];
+
+    input.emit('start', {});
+    for (let i = 0; i <= CLOCK_PPQN; i++) {
+      input.emit('clock', {});
+      vi.advanceTimersByTime(20); // 125 BPM
+    }
+
+    expect(tempos).toEqual([125]);
+    expect(count('clock')).toBe(CLOCK_PPQN + 1); // relayed, none generated
+    expect(sent[0]).toEqual({ type: 'start' });
+    expect(clock.getStatus()).toMatchObject({ following: true, running: true, position: 4, measuredTempo: 125 });
+    expect(() => clock.stop()).toThrow('Following an external MIDI clock');
+
+    clock.follow(null);
+    input.emit('stop', {});
+    expect(count('stop')).toBe(0); // no longer following that port
+  });
+});
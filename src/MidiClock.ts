@@ -0,0 +1,199 @@
+/**
+ * MidiClock
+ *
+ * MIDI clock for drum machines and external FX units.
+ *
+ * As master it sends 24 clock ticks per quarter note at the current tempo
+ * whenever an output is set, running or not, so devices can lock to the
+ * tempo before they start. The tempo is read for every tick, so a tempo
+ * change applies straight away. start() sends Start (or Song Position +
+ * Continue when starting mid-song) and stop() sends Stop.
+ *
+ * While following an input it generates nothing: the incoming clock,
+ * start/stop/continue and song position are relayed to the output, so the
+ * whole chain stays phase-locked, and the incoming tempo is measured over
+ * every beat ('tempo' events with the BPM).
+ */
+
+import { EventEmitter } from 'events';
+import { MidiClockInputPort, MidiClockMessageMap, MidiClockOutputPort } from './MidiTransport.js';
+
+export const CLOCK_PPQN = 24;
+const TICKS_PER_MIDI_BEAT = 6;    // song position counts 16th notes
+const MAX_SONG_POSITION = 16383;  // 14-bit
+const CLOCK_TIMEOUT_MS = 1000;    // a longer gap between incoming ticks restarts the measurement
+
+export interface MidiClockStatus {
+  running: boolean;
+  position: number;             // MIDI beats (16th notes) since the start of the song
+  following: boolean;
+  measuredTempo: number | null; // BPM of the followed clock, once a beat has arrived
+}
+
+export class MidiClock extends EventEmitter {
+  private output: MidiClockOutputPort | null = null;
+  private input: MidiClockInputPort | null = null;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private nextTickAt = 0;
+  private running = false;
+  private ticks = 0;               // since the start of the song, counted while running
+  private tickTimes: number[] = []; // last beat of incoming ticks
+  private measuredTempo: number | null = null;
+
+  /**
+   * @param getTempo - Current BPM, read for every tick
+   * @param now - clock in ms (injectable for tests)
+   */
+  constructor(private readonly getTempo: () => number, private readonly now: () => number = Date.now) {
+    super();
+  }
+
+  /**
+   * Send clock to a port, or stop sending with null
+   */
+  setOutput(port: MidiClockOutputPort | null): void {
+    this.output = port;
+    this.restartTicks();
+  }
+
+  /**
+   * Follow the clock arriving on a port instead of generating it, or go back
+   * to generating with null
+   */
+  follow(port: MidiClockInputPort | null): void {
+    this.input = port;
+    this.tickTimes = [];
+    this.measuredTempo = null;
+    if (port) {
+      // Ports can't drop listeners, so events from a port no longer followed are ignored
+      const on = <T extends keyof MidiClockMessageMap>(type: T, listener: (msg: MidiClockMessageMap[T]) => void) => {
+        port.on(type, (msg) => {
+          if (this.input === port) listener(msg);
+        });
+      };
+      on('clock', () => this.receiveTick());
+      on('start', () => this.setTransport(true, 0, 'start'));
+      on('continue', () => this.setTransport(true, this.getPosition(), 'continue'));
+      on('stop', () => this.setTransport(false, this.getPosition(), 'stop'));
+      on('position', ({ value }) => {
+        this.ticks = value * TICKS_PER_MIDI_BEAT;
+        this.output?.send('position', { value });
+      });
+    }
+    this.restartTicks();
+  }
+
+  /**
+   * Start the song: Start from the top, or Song Position + Continue
+   * @param position - MIDI beats (16th notes) from the start of the song
+   * @throws while following an input, or if the position is out of range
+   */
+  start(position: number = 0): void {
+    this.assertMaster();
+    if (!Number.isInteger(position) || position < 0 || position > MAX_SONG_POSITION) {
+      throw new Error(`Invalid song position: ${position}. Must be 0-${MAX_SONG_POSITION}`);
+    }
+    if (position > 0) {
+      this.output?.send('position', { value: position });
+    }
+    this.setTransport(true, position, position > 0 ? 'continue' : 'start');
+    // The first beat falls on the next tick, so restart the tick grid now
+    this.restartTicks();
+  }
+
+  /**
+   * Stop the song; the position is kept for a later start()
+   * @throws while following an input
+   */
+  stop(): void {
+    this.assertMaster();
+    this.setTransport(false, this.getPosition(), 'stop');
+  }
+
+  /**
+   * Song position in MIDI beats (16th notes)
+   */
+  getPosition(): number {
+    return Math.floor(this.ticks / TICKS_PER_MIDI_BEAT);
+  }
+
+  getStatus(): MidiClockStatus {
+    return {
+      running: this.running,
+      position: this.getPosition(),
+      following: this.input !== null,
+      measuredTempo: this.measuredTempo
+    };
+  }
+
+  /**
+   * Stop generating and following
+   */
+  close(): void {
+    this.output = null;
+    this.input = null;
+    this.restartTicks();
+  }
+
+  private assertMaster(): void {
+    if (this.input) {
+      throw new Error('Following an external MIDI clock; start and stop it there');
+    }
+  }
+
+  private setTransport(running: boolean, position: number, message: 'start' | 'continue' | 'stop'): void {
+    this.running = running;
+    this.ticks = position * TICKS_PER_MIDI_BEAT;
+    this.output?.send(message);
+  }
+
+  /**
+   * Generate ticks from now on if sending and not following, otherwise stop
+   */
+  private restartTicks(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.output && !this.input) {
+      this.nextTickAt = this.now();
+      this.sendTick();
+    }
+  }
+
+  private sendTick(): void {
+    this.output?.send('clock');
+    if (this.running) this.ticks++;
+
+    // Ticks are scheduled on a fixed grid so timer jitter doesn't add up
+    const beatMs = 60000 / this.getTempo();
+    const now = this.now();
+    this.nextTickAt += beatMs / CLOCK_PPQN;
+    if (now - this.nextTickAt > beatMs) {
+      this.nextTickAt = now; // more than a beat late (e.g. a suspended laptop): don't burst
+    }
+    this.timer = setTimeout(() => this.sendTick(), Math.max(0, this.nextTickAt - now));
+  }
+
+  private receiveTick(): void {
+    this.output?.send('clock');
+    if (this.running) this.ticks++;
+
+    const now = this.now();
+    const last = this.tickTimes[this.tickTimes.length - 1];
+    if (last !== undefined && now - last > CLOCK_TIMEOUT_MS) {
+      this.tickTimes = [];
+    }
+    this.tickTimes.push(now);
+
+    // One beat of ticks: 25 timestamps span 24 intervals
+    if (this.tickTimes.length > CLOCK_PPQN) {
+      const beatMs = now - this.tickTimes[0];
+      this.tickTimes = [now];
+      if (beatMs > 0) {
+        this.measuredTempo = Math.round(600000 / beatMs) / 10;
+        this.emit('tempo', this.measuredTempo);
+      }
+    }
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * MidiTransport
+ *
+ * Abstraction over the MIDI backend used by DeviceManager. The server and
+ * CLI pass EasyMidiTransport, which talks to real hardware through easymidi;
+ * tests and tools pass an in-memory transport instead, so the full listener
+ * pipeline runs without a DDJ-SP1 (or the native MIDI libraries) present.
+ */
+
+/**
+ * Note On / Note Off message
+ */
+export interface MidiNoteMessage {
+  note: number;
+  velocity: number;
+  channel: number;
+}
+
+/**
+ * Control Change message
+ */
+export interface MidiControlMessage {
+  controller: number;
+  value: number;
+  channel: number;
+}
+
+/**
+ * Message types DeviceManager listens for and sends
+ */
+export type MidiMessageType = 'noteon' | 'noteoff' | 'cc';
+
+/**
+ * Map of message type to payload shape
+ */
+export interface MidiMessageMap {
+  noteon: MidiNoteMessage;
+  noteoff: MidiNoteMessage;
+  cc: MidiControlMessage;
+}
+
+/**
+ * MIDI clock messages: 24 clock ticks per quarter note, transport
+ * start/stop/continue, and song position in MIDI beats (16th notes)
+ */
+export interface MidiClockMessageMap {
+  clock: Record<string, never>;
+  start: Record<string, never>;
+  stop: Record<string, never>;
+  continue: Record<string, never>;
+  position: { value: number };
+}
+
+export type MidiClockMessageType = keyof MidiClockMessageMap;
+
+/**
+ * An opened MIDI input port
+ */
+export interface MidiInputPort {
+  on<T extends MidiMessageType>(type: T, listener: (msg: MidiMessageMap[T]) => void): unknown;
+  close(): void;
+}
+
+/**
+ * An opened MIDI output port
+ */
+export interface MidiOutputPort {
+  send<T extends MidiMessageType>(type: T, msg: MidiMessageMap[T]): void;
+  close(): void;
+}
+
+/**
+ * An output port MIDI clock is sent on
+ */
+export interface MidiClockOutputPort {
+  send<T extends MidiClockMessageType>(type: T, msg?: MidiClockMessageMap[T]): void;
+  close(): void;
+}
+
+/**
+ * An input port MIDI clock is received on
+ */
+export interface MidiClockInputPort {
+  on<T extends MidiClockMessageType>(type: T, listener: (msg: MidiClockMessageMap[T]) => void): unknown;
+  close(): void;
+}
+
+/**
+ * A MIDI backend capable of listing and opening ports
+ */
+export interface MidiTransport {
+  getInputs(): string[];
+  openInput(name: string): MidiInputPort;
+  openOutput(name: string): MidiOutputPort;
+  /**
+   * Create a virtual output port that other software on this machine can open
+   * as an input (optional: not every backend can create ports)
+   */
+  openVirtualOutput?(name: string): MidiOutputPort;
+  /**
+   * Open ports for sending or receiving MIDI clock (optional)
+   */
+  openClockOutput?(name: string): MidiClockOutputPort;
+  openClockInput?(name: string): MidiClockInputPort;
+  /**
+   * Check if a device is simulated rather than attached (optional)
+   */
+  isVirtualDevice?(name: string): boolean;
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { decodeOscPacket, encodeOscMessage, parseOscTarget } from './Osc.js';
+
+describe('Osc', () => {
+  it('should encode padded messages and decode them back', () => {
+    const packet = encodeOscMessage({ address: '/ddj/mode', args: [1, 'roll', 30, 0.5, true, false] });
+
+    expect(packet.length % 4).toBe(0);
+    expect(packet.subarray(0, 12).toString()).toBe('/ddj/mode\0\0\0');
+    expect(packet.subarray(12, 20).toString()).toBe(',isifTF\0');
+    expect(decodeOscPacket(packet)).toEqual([{ address: '/ddj/mode', args: [1, 'roll', 30, 0.5, true, false] }]);
+  });
+
+  it('should unpack bundles and reject malformed packets', () => {
+    const first = encodeOscMessage({ address: '/ddj/cmd/setTempo', args: [94] });
+    const second = encodeOscMessage({ address: '/ddj/cmd/sync', args: [2] });
+    const size = (message: Buffer) => {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(message.length);
+      return buffer;
+    };
+    const bundle = Buffer.concat([Buffer.from('#bundle\0'), Buffer.alloc(8), size(first), first, size(second), second]);
+
+    expect(decodeOscPacket(bundle)).toEqual([
+      { address: '/ddj/cmd/setTempo', args: [94] },
+      { address: '/ddj/cmd/sync', args: [2] }
+    ]);
+    expect(() => decodeOscPacket(Buffer.from('ddj\0'))).toThrow('OSC address must start with "/"');
+    expect(() => decodeOscPacket(first.subarray(0, first.length - 2))).toThrow('runs past the end');
+    expect(() => encodeOscMessage({ address: '/x', args: [NaN] })).toThrow('Cannot encode OSC argument');
+  });
+
+  it('should parse host:port targets', () => {
+    expect(parseOscTarget(' 127.0.0.1:9000 ')).toEqual({ host: '127.0.0.1', port: 9000 });
+    expect(() => parseOscTarget('localhost')).toThrow('Invalid OSC target "localhost"');
+    expect(() => parseOscTarget('localhost:70000')).toThrow('Invalid OSC target');
+  });
+});
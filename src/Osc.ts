@@ -0,0 +1,156 @@
+/**
+ * Osc
+ *
+ * Minimal OSC 1.0 encoding for the OSC bridge: messages with int32 (i),
+ * float32 (f), string (s) and true/false (T/F) arguments. Incoming packets
+ * may also carry float64 (d) and nil (N), and bundles are unpacked into
+ * their messages (time tags are ignored; everything is applied on arrival).
+ */
+
+export type OscArgument = number | string | boolean | null;
+
+export interface OscMessage {
+  address: string;
+  args: OscArgument[];
+}
+
+/**
+ * Encode a message; integers are sent as int32, other numbers as float32
+ * @throws if the address doesn't start with "/" or an argument can't be encoded
+ */
+export function encodeOscMessage(message: OscMessage): Buffer {
+  if (!message.address.startsWith('/')) {
+    throw new Error(`OSC address must start with "/": ${message.address}`);
+  }
+
+  let tags = ',';
+  const data: Buffer[] = [];
+  message.args.forEach(arg => {
+    if (typeof arg === 'boolean') {
+      tags += arg ? 'T' : 'F';
+    } else if (typeof arg === 'string') {
+      tags += 's';
+      data.push(encodeString(arg));
+    } else if (typeof arg === 'number' && Number.isInteger(arg) && arg >= -0x80000000 && arg <= 0x7fffffff) {
+      tags += 'i';
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(arg);
+      data.push(buffer);
+    } else if (typeof arg === 'number' && Number.isFinite(arg)) {
+      tags += 'f';
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatBE(arg);
+      data.push(buffer);
+    } else {
+      throw new Error(`Cannot encode OSC argument: ${String(arg)}`);
+    }
+  });
+
+  return Buffer.concat([encodeString(message.address), encodeString(tags), ...data]);
+}
+
+/**
+ * Decode a packet (a message or a bundle of messages)
+ * @throws if the packet is malformed or uses an unsupported type tag
+ */
+export function decodeOscPacket(packet: Buffer): OscMessage[] {
+  const reader = { buffer: packet, offset: 0 };
+
+  if (readString(reader) === '#bundle') {
+    reader.offset += 8; // time tag
+    const messages: OscMessage[] = [];
+    while (reader.offset < packet.length) {
+      const size = readInt(reader);
+      if (size < 0 || reader.offset + size > packet.length) {
+        throw new Error('OSC bundle element runs past the end of the packet');
+      }
+      messages.push(...decodeOscPacket(packet.subarray(reader.offset, reader.offset + size)));
+      reader.offset += size;
+    }
+    return messages;
+  }
+
+  reader.offset = 0;
+  const address = readString(reader);
+  if (!address.startsWith('/')) {
+    throw new Error(`OSC address must start with "/": ${address}`);
+  }
+  // Very old senders omit the type tag string
+  if (reader.offset >= packet.length) {
+    return [{ address, args: [] }];
+  }
+
+  const tags = readString(reader);
+  if (!tags.startsWith(',')) {
+    throw new Error(`OSC type tags must start with ",": ${tags}`);
+  }
+  const args = [...tags.slice(1)].map((tag): OscArgument => {
+    switch (tag) {
+      case 'i': return readInt(reader);
+      case 'f': return read(reader, 4, b => b.readFloatBE(0));
+      case 'd': return read(reader, 8, b => b.readDoubleBE(0));
+      case 's': return readString(reader);
+      case 'T': return true;
+      case 'F': return false;
+      case 'N': return null;
+      default: throw new Error(`Unsupported OSC type tag: ${tag}`);
+    }
+  });
+  return [{ address, args }];
+}
+
+interface Reader {
+  buffer: Buffer;
+  offset: number;
+}
+
+/**
+ * Null-terminated string padded to a multiple of 4 bytes
+ */
+function encodeString(text: string): Buffer {
+  const bytes = Buffer.from(text, 'utf8');
+  const buffer = Buffer.alloc(Math.ceil((bytes.length + 1) / 4) * 4);
+  bytes.copy(buffer);
+  return buffer;
+}
+
+function readString(reader: Reader): string {
+  const end = reader.buffer.indexOf(0, reader.offset);
+  if (end === -1) {
+    throw new Error('OSC string is not terminated');
+  }
+  const text = reader.buffer.toString('utf8', reader.offset, end);
+  reader.offset = Math.ceil((end + 1) / 4) * 4;
+  return text;
+}
+
+function readInt(reader: Reader): number {
+  return read(reader, 4, b => b.readInt32BE(0));
+}
+
+function read<T>(reader: Reader, size: number, decode: (bytes: Buffer) => T): T {
+  if (reader.offset + size > reader.buffer.length) {
+    throw new Error('OSC argument runs past the end of the packet');
+  }
+  const value = decode(reader.buffer.subarray(reader.offset, reader.offset + size));
+  reader.offset += size;
+  return value;
+}
+
+export interface OscTarget {
+  host: string;
+  port: number;
+}
+
+/**
+ * Parse an OSC receiver written as "host:port"
+ * @throws if it isn't host:port with a port of 1-65535
+ */
+export function parseOscTarget(text: string): OscTarget {
+  const match = /^([^\s:]+):(\d+)$/.exec(text.trim());
+  const port = match ? Number(match[2]) : NaN;
+  if (!match || port < 1 || port > 65535) {
+    throw new Error(`Invalid OSC target "${text}". Use host:port, e.g. 127.0.0.1:9000`);
+  }
+  return { host: match[1], port };
+}
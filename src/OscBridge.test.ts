@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createSocket, Socket } from 'dgram';
+import { once } from 'events';
+import { DeviceManager } from './DeviceManager.js';
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { decodeOscPacket, encodeOscMessage, OscArgument, OscMessage } from './Osc.js';
+import { OscBridge } from './OscBridge.js';
+
+describe('OscBridge', () => {
+  let transport: LoopbackTransport;
+  let manager: DeviceManager;
+  let bridge: OscBridge;
+  let client: Socket;
+  let bridgePort: number;
+
+  const receive = async (address: string): Promise<OscMessage> => {
+    for (;;) {
+      const [packet] = await once(client, 'message');
+      const message = decodeOscPacket(packet).find(m => m.address === address);
+      if (message) return message;
+    }
+  };
+  const send = (address: string, args: OscArgument[]) => {
+    client.send(encodeOscMessage({ address, args }), bridgePort, '127.0.0.1');
+  };
+
+  beforeEach(async () => {
+    transport = new LoopbackTransport();
+    manager = new DeviceManager(transport);
+    manager.connect();
+
+    client = createSocket('udp4');
+    client.bind(0, '127.0.0.1');
+    await once(client, 'listening');
+
+    bridge = new OscBridge(manager, { port: 0, host: '127.0.0.1', targets: [{ host: '127.0.0.1', port: client.address().port }] });
+    bridgePort = await bridge.start();
+  });
+
+  afterEach(async () => {
+    await bridge.stop();
+    client.close();
+    manager.disconnect();
+  });
+
+  it('should publish controller events', async () => {
+    const tempo = receive('/ddj/tempo');
+    manager.setTempo(94);
+    expect((await tempo).args).toEqual([94]);
+
+    const knob = receive('/ddj/knob');
+    transport.cc(0, 19, 64);
+    expect((await knob).args).toEqual([0, 19, 64, 0]);
+
+    const deck = receive('/ddj/deck');
+    manager.handleDeckLoadChange(1, true, 7);
+    expect((await deck).args).toEqual([1, 1, 7, 127]);
+
+    const mode = receive('/ddj/mode');
+    manager.setPadMode(1, 'roll');
+    expect((await mode).args).toEqual([1, 'roll', expect.any(Number)]);
+  });
+
+  it('should apply commands like the WebSocket ones', async () => {
+    const tempo = receive('/ddj/tempo');
+    send('/ddj/cmd/setTempo', [102]);
+    await tempo;
+    expect(manager.getStateManager().getCurrentTempo()).toBe(102);
+
+    send('/ddj/cmd/setLeds', [0, 11, 127, 0, 12, 127]);
+    const error = receive('/ddj/error'); // a round trip, so setLeds has been handled
+    send('/ddj/cmd/nope', []);
+    expect((await error).args).toEqual(['/ddj/cmd/nope', 'Unknown OSC command: /ddj/cmd/nope']);
+    expect(manager.getLEDState()).toEqual(expect.arrayContaining([
+      { channel: 0, note: 11, velocity: 127 },
+      { channel: 0, note: 12, velocity: 127 }
+    ]));
+  });
+
+  it('should answer invalid arguments with /ddj/error', async () => {
+    const error = receive('/ddj/error');
+    send('/ddj/cmd/setTempo', [100]);
+    expect((await error).args).toEqual(['/ddj/cmd/setTempo', 'data.tempo must be one of 84, 94, 102']);
+
+    const count = receive('/ddj/error');
+    send('/ddj/cmd/setPadMode', [1]);
+    expect((await count).args[1]).toBe('setPadMode takes 2 arguments (deck mode)');
+  });
+});
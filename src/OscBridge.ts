@@ -0,0 +1,211 @@
+/**
+ * OscBridge
+ *
+ * Optional OSC (UDP) bridge next to the WebSocket server, for lighting desks,
+ * Max/MSP, TouchOSC and the like. Every DeviceManager event is sent to the
+ * configured targets (booleans as int 1/0):
+ *
+ *   /ddj/button      channel note pressed
+ *   /ddj/knob        channel knob value delta (0 for absolute controls)
+ *   /ddj/pad/press   deck pad(0-7) channel synced
+ *   /ddj/pad/release deck pad(0-7) channel
+ *   /ddj/tempo       tempo
+ *   /ddj/mode        deck mode note         e.g. 1 "roll" 30
+ *   /ddj/lock        channel button locked
+ *   /ddj/sync        deck
+ *   /ddj/spindown    deck
+ *   /ddj/gesture     gesture name deck      (name "" and deck 0 when unbound)
+ *   /ddj/deck        deck loaded songId volume  (songId 0 = none)
+ *   /ddj/connected   connected
+ *
+ * Commands are the WebSocket commands with their fields as arguments, in
+ * protocol order, sent to the bridge's port:
+ *
+ *   /ddj/cmd/setTempo tempo             /ddj/cmd/toggleDeck side
+ *   /ddj/cmd/setPadMode deck mode       /ddj/cmd/sync deck
+ *   /ddj/cmd/toggleFXAssign fx deck     /ddj/cmd/spindown deck
+ *   /ddj/cmd/setLeds channel note velocity [channel note velocity ...]
+ *
+ * A command that can't be applied is answered with /ddj/error address message.
+ */
+
+import { createSocket, RemoteInfo, Socket } from 'dgram';
+import { DeviceManager } from './DeviceManager.js';
+import { GESTURE_TYPES, GestureEvent } from './GestureDetector.js';
+import { createLogger } from './Logger.js';
+import { decodeOscPacket, encodeOscMessage, OscArgument, OscMessage, OscTarget } from './Osc.js';
+import { CLIENT_MESSAGE_SCHEMAS, ClientMessageMap, validateSchema } from './Protocol.js';
+import type { DeckState } from './ControlStateManager.js';
+import type { ControllerEvent, DeviceStatus, ModeChangeEvent, PadEvent, PadPressEvent } from './types.js';
+
+const log = createLogger('osc');
+
+export interface OscBridgeOptions {
+  port: number;          // UDP port commands are received on (0 = any free port)
+  host?: string;         // address to listen on (default 0.0.0.0)
+  targets?: OscTarget[]; // receivers of controller events
+}
+
+type OscCommand = 'setTempo' | 'setPadMode' | 'toggleFXAssign' | 'toggleDeck' | 'setLeds' | 'sync' | 'spindown';
+
+const COMMANDS: { [T in OscCommand]: (manager: DeviceManager, data: ClientMessageMap[T]) => void } = {
+  setTempo: (manager, { tempo }) => manager.setTempo(tempo),
+  setPadMode: (manager, { deck, mode }) => manager.setPadMode(deck, mode),
+  toggleFXAssign: (manager, { fx, deck }) => { manager.toggleFXAssign(fx, deck); },
+  toggleDeck: (manager, { side }) => { manager.toggleDeck(side); },
+  setLeds: (manager, { leds }) => manager.setLEDs(leds),
+  sync: (manager, { deck }) => manager.triggerSync(deck),
+  spindown: (manager, { deck }) => manager.triggerSpindown(deck)
+};
+
+const isCommand = (name: string): name is OscCommand => Object.prototype.hasOwnProperty.call(COMMANDS, name);
+
+/**
+ * Turn positional OSC arguments into a WebSocket command's data
+ */
+function toCommandData(command: OscCommand, args: OscArgument[]): Record<string, unknown> {
+  if (command === 'setLeds') {
+    if (args.length === 0 || args.length % 3 !== 0) {
+      throw new Error('setLeds takes channel note velocity triples');
+    }
+    const leds = [];
+    for (let i = 0; i < args.length; i += 3) {
+      leds.push({ channel: args[i], note: args[i + 1], velocity: args[i + 2] });
+    }
+    return { leds };
+  }
+
+  const fields = Object.keys(CLIENT_MESSAGE_SCHEMAS[command].fields ?? {});
+  if (args.length !== fields.length) {
+    throw new Error(`${command} takes ${fields.length === 1 ? '1 argument' : `${fields.length} arguments`} (${fields.join(' ')})`);
+  }
+  return Object.fromEntries(fields.map((field, i) => [field, args[i]]));
+}
+
+export class OscBridge {
+  private socket: Socket | null = null;
+  private readonly targets: OscTarget[];
+  private readonly listeners: Array<[string, (...args: any[]) => void]>;
+
+  constructor(private readonly manager: DeviceManager, private readonly options: OscBridgeOptions) {
+    this.targets = options.targets ?? [];
+
+    const flag = (value: boolean) => value ? 1 : 0;
+    this.listeners = [
+      ['event', (event: ControllerEvent) => {
+        if (event.type === 'button') {
+          this.publish('/ddj/button', [event.channel, event.button, flag(event.pressed)]);
+        } else {
+          this.publish('/ddj/knob', [event.channel, event.knob, event.value, event.delta ?? 0]);
+        }
+      }],
+      ['padPress', (event: PadPressEvent) => this.publish('/ddj/pad/press', [event.deck, event.note, event.channel, flag(event.synced)])],
+      ['padRelease', (event: PadEvent) => this.publish('/ddj/pad/release', [event.deck, event.note, event.channel])],
+      ['tempoChange', ({ tempo }: { tempo: number }) => this.publish('/ddj/tempo', [tempo])],
+      ['modeChange', (event: ModeChangeEvent) => {
+        const mode = manager.getStateManager().getModeId(event.activeMode) ?? 'unknown';
+        this.publish('/ddj/mode', [event.deck, mode, event.activeMode]);
+      }],
+      ['lock', ({ channel, button, locked }: { channel: number; button: number; locked: boolean }) =>
+        this.publish('/ddj/lock', [channel, button, flag(locked)])],
+      ['syncChange', ({ deck }: { deck: number }) => this.publish('/ddj/sync', [deck])],
+      ['spindown', ({ deck }: { deck: number }) => this.publish('/ddj/spindown', [deck])],
+      ...GESTURE_TYPES.map((type): [string, (event: GestureEvent) => void] =>
+        [type, (event) => this.publish('/ddj/gesture', [event.gesture, event.name ?? '', event.deck ?? 0])]),
+      ['deckState', (state: DeckState) => this.publish('/ddj/deck', [state.deck, flag(state.loaded), state.songId ?? 0, state.volume])],
+      ['connected', (status: DeviceStatus) => this.publish('/ddj/connected', [flag(status.connected)])],
+      ['disconnected', (status: DeviceStatus) => this.publish('/ddj/connected', [flag(status.connected)])]
+    ];
+  }
+
+  /**
+   * Open the UDP port and start publishing controller events
+   * @returns the port commands are received on
+   */
+  start(): Promise<number> {
+    if (this.socket) {
+      return Promise.reject(new Error('OSC bridge already started'));
+    }
+
+    const socket = createSocket('udp4');
+    return new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(this.options.port, this.options.host ?? '0.0.0.0', () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (error) => log.error(`Socket error: ${error.message}`));
+        socket.on('message', (packet, sender) => this.handlePacket(packet, sender));
+        this.socket = socket;
+        this.listeners.forEach(([event, listener]) => this.manager.on(event, listener));
+
+        const { port } = socket.address();
+        const targets = this.targets.map(({ host, port }) => `${host}:${port}`).join(', ') || 'none';
+        log.info(`📡 OSC bridge listening on udp ${port}, sending events to ${targets}`);
+        resolve(port);
+      });
+    });
+  }
+
+  /**
+   * Stop publishing and close the UDP port
+   */
+  stop(): Promise<void> {
+    const socket = this.socket;
+    if (!socket) return Promise.resolve();
+
+    this.socket = null;
+    this.listeners.forEach(([event, listener]) => this.manager.removeListener(event, listener));
+    return new Promise(resolve => socket.close(() => resolve()));
+  }
+
+  /**
+   * Send a message to every target
+   */
+  private publish(address: string, args: OscArgument[]): void {
+    if (!this.socket || this.targets.length === 0) return;
+
+    const packet = encodeOscMessage({ address, args });
+    this.targets.forEach(({ host, port }) => {
+      this.socket?.send(packet, port, host, (error) => {
+        if (error) log.warn(`Cannot send ${address} to ${host}:${port}: ${error.message}`);
+      });
+    });
+  }
+
+  private handlePacket(packet: Buffer, sender: RemoteInfo): void {
+    let messages: OscMessage[];
+    try {
+      messages = decodeOscPacket(packet);
+    } catch (error) {
+      log.warn(`Ignoring packet from ${sender.address}:${sender.port}: ${(error as Error).message}`);
+      return;
+    }
+
+    messages.forEach(message => {
+      try {
+        this.applyCommand(message);
+      } catch (error) {
+        log.warn(`Rejected ${message.address} from ${sender.address}:${sender.port}: ${(error as Error).message}`);
+        this.socket?.send(encodeOscMessage({ address: '/ddj/error', args: [message.address, (error as Error).message] }), sender.port, sender.address);
+      }
+    });
+  }
+
+  /**
+   * Validate a command like a WebSocket message and apply it
+   * @throws if the address is unknown, the arguments are invalid or the command fails
+   */
+  private applyCommand({ address, args }: OscMessage): void {
+    const command = address.startsWith('/ddj/cmd/') ? address.slice('/ddj/cmd/'.length) : '';
+    if (!isCommand(command)) {
+      throw new Error(`Unknown OSC command: ${address}`);
+    }
+
+    const data = toCommandData(command, args);
+    const problems = validateSchema(data, CLIENT_MESSAGE_SCHEMAS[command]);
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+    log.debug(`🎛️  ${address} ${args.join(' ')}`);
+    (COMMANDS[command] as (manager: DeviceManager, data: unknown) => void)(this.manager, data);
+  }
+}
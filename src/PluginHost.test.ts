@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DeviceManager } from './DeviceManager.js';
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { PluginHost } from './PluginHost.js';
+
+const STROBE = `
+export default {
+  activate(api) {
+    api.claim({ channel: 6, note: 70 }, ({ message }) => {
+      if (message.velocity > 0) api.animate('strobe', { pattern: 'blink', leds: [{ channel: 6, note: 70 }] });
+      api.send('pressed', { velocity: message.velocity });
+    });
+    api.on('tempoChange', ({ tempo }) => api.send('tempo', { tempo, deck1: api.state.isDeckLoaded(1) }));
+  }
+};
+`;
+
+describe('PluginHost', () => {
+  let dir: string;
+  let transport: LoopbackTransport;
+  let manager: DeviceManager;
+  let host: PluginHost;
+  let sent: Array<{ plugin: string; event: string; data?: Record<string, unknown> }>;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddj-plugins-'));
+    transport = new LoopbackTransport();
+    manager = new DeviceManager(transport);
+    manager.connect();
+    sent = [];
+    host = new PluginHost(manager, { dir, send: (plugin, event, data) => sent.push({ plugin, event, data }) });
+  });
+
+  afterEach(async () => {
+    await host.close();
+    manager.disconnect();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load plugins that claim controls and follow events', async () => {
+    writeFileSync(join(dir, 'strobe.js'), STROBE);
+    writeFileSync(join(dir, 'notes.txt'), 'not a plugin');
+    const buttons: unknown[] = [];
+    manager.on('button', (event) => buttons.push(event));
+
+    expect(await host.loadAll()).toEqual(['strobe']);
+    transport.noteOn(6, 70);
+    manager.setTempo(102);
+
+    expect(buttons).toEqual([]); // default handling skipped
+    expect(manager.getAnimator().getRunning()).toEqual(['plugin:strobe:strobe']);
+    expect(sent).toEqual([
+      { plugin: 'strobe', event: 'pressed', data: { velocity: 127 } },
+      { plugin: 'strobe', event: 'tempo', data: { tempo: 102, deck1: false } }
+    ]);
+    expect(host.list().map(p => p.name)).toEqual(['strobe']);
+  });
+
+  it('should undo everything a plugin registered when it is unloaded', async () => {
+    writeFileSync(join(dir, 'strobe.js'), STROBE);
+    await host.load('strobe');
+    transport.noteOn(6, 70);
+
+    expect(await host.unload('strobe')).toBe(true);
+    sent = [];
+    const buttons: unknown[] = [];
+    manager.on('button', (event) => buttons.push(event));
+    transport.noteOn(6, 70);
+    manager.setTempo(84);
+
+    expect(buttons).toHaveLength(1);
+    expect(sent).toEqual([]);
+    expect(manager.getAnimator().getRunning()).toEqual([]);
+    expect(await host.unload('strobe')).toBe(false);
+  });
+
+  it('should pick up an edited plugin on reload', async () => {
+    writeFileSync(join(dir, 'hello.mjs'), `export default { activate(api) { api.send('version', { v: 1 }); } };`);
+    await host.load('hello');
+    writeFileSync(join(dir, 'hello.mjs'), `export default { activate(api) { api.send('version', { v: 2 }); } };`);
+    await host.load('hello');
+
+    expect(sent.map(s => s.data)).toEqual([{ v: 1 }, { v: 2 }]);
+  });
+
+  it('should hand claims and animations to the reloaded version', async () => {
+    const GLOW = `
+      export default {
+        activate(api) {
+          api.animate('glow', { pattern: 'blink', leds: [{ channel: 6, note: 70 }] });
+          api.claim({ channel: 6, note: 70 }, () => api.send('pressed'));
+        }
+      };
+    `;
+    writeFileSync(join(dir, 'glow.js'), GLOW);
+    await host.load('glow');
+    await host.load('glow');
+
+    expect(manager.getAnimator().getRunning()).toEqual(['plugin:glow:glow']); // not stopped by the old version
+    transport.noteOn(6, 70);
+    expect(sent.map(s => s.event)).toEqual(['pressed']);
+  });
+
+  it('should keep the running version when an edit fails to activate', async () => {
+    writeFileSync(join(dir, 'strobe.js'), STROBE);
+    await host.load('strobe');
+    writeFileSync(join(dir, 'strobe.js'), `
+      export default {
+        activate(api) {
+          api.claim({ channel: 6, note: 70 }, () => {});
+          throw new Error('typo');
+        }
+      };
+    `);
+
+    await expect(host.load('strobe')).rejects.toThrow('activate() failed: typo');
+    expect(host.list().map(p => p.name)).toEqual(['strobe']);
+    transport.noteOn(6, 70);
+    manager.setTempo(102);
+    expect(sent.map(s => s.event)).toEqual(['pressed', 'tempo']);
+  });
+
+  it('should report broken plugins and keep their claims released', async () => {
+    writeFileSync(join(dir, 'broken.js'), `
+      export default {
+        activate(api) {
+          api.claim({ channel: 6, note: 70 }, () => {});
+          throw new Error('no config');
+        }
+      };
+    `);
+    writeFileSync(join(dir, 'empty.js'), 'export const x = 1;');
+
+    await expect(host.load('broken')).rejects.toThrow('activate() failed: no config');
+    await expect(host.load('empty')).rejects.toThrow('empty.js must export default { activate(api) { ... } }');
+    await expect(host.load('../etc/passwd')).rejects.toThrow('Invalid plugin name');
+    await expect(host.load('missing')).rejects.toThrow('Plugin not found: missing');
+    expect(() => manager.claimControl({ channel: 6, note: 70 }, () => {})).not.toThrow();
+  });
+
+  it('should keep running when a plugin listener throws', async () => {
+    writeFileSync(join(dir, 'faulty.js'), `export default { activate(api) { api.on('tempoChange', () => { throw new Error('oops'); }); } };`);
+    await host.load('faulty');
+
+    expect(() => manager.setTempo(84)).not.toThrow();
+  });
+
+  it('should catch async listeners and claim handlers that reject', async () => {
+    const rejections: unknown[] = [];
+    const onRejection = (reason: unknown) => rejections.push(reason);
+    process.on('unhandledRejection', onRejection);
+    writeFileSync(join(dir, 'async.js'), `
+      export default {
+        activate(api) {
+          api.on('tempoChange', async () => { throw new Error('late'); });
+          api.claim({ channel: 6, note: 70 }, async () => { throw new Error('later'); });
+        }
+      };
+    `);
+    await host.load('async');
+
+    manager.setTempo(84);
+    transport.noteOn(6, 70);
+    await new Promise(resolve => setImmediate(resolve));
+    process.removeListener('unhandledRejection', onRejection);
+
+    expect(rejections).toEqual([]);
+  });
+});
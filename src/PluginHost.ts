@@ -0,0 +1,377 @@
+/**
+ * PluginHost
+ *
+ * Loads user plugins: JS modules in the plugins folder (top level only)
+ * that add controller behavior without touching DeviceManager or app.js.
+ *
+ *   // plugins/strobe.js
+ *   export default {
+ *     activate(api) {
+ *       api.claim({ channel: 6, note: 70 }, ({ message }) => {
+ *         if (message.velocity > 0) api.animate('strobe', { pattern: 'blink', leds: [{ channel: 6, note: 70 }], periodMs: 100 });
+ *         else api.stopAnimation('strobe');
+ *       });
+ *       api.on('tempoChange', ({ tempo }) => api.send('tempo', { tempo }));
+ *     }
+ *   };
+ *
+ * Everything a plugin registers through its api (listeners, claims,
+ * animations) is undone when it is unloaded, so plugins can be loaded,
+ * unloaded and reloaded while the server runs. With watch() a plugin is
+ * reloaded when its file changes and unloaded when the file is deleted.
+ * A reload activates the new version before unloading the old one, so an
+ * edit that fails to load leaves the running version in place.
+ * A plugin that throws is logged; the server and other plugins carry on.
+ */
+
+import { existsSync, FSWatcher, readdirSync, watch } from 'fs';
+import { basename, extname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { ClaimHandler, ControlAddress, DeviceManager } from './DeviceManager.js';
+import { ControlStateManager, DeckState, LockStateChange } from './ControlStateManager.js';
+import { GestureEvent } from './GestureDetector.js';
+import { LEDAnimation } from './LEDAnimator.js';
+import { createLogger, Logger } from './Logger.js';
+import type {
+  ButtonEvent,
+  ControllerEvent,
+  DeviceStatus,
+  KnobEvent,
+  ModeChangeEvent,
+  PadEvent,
+  PadPressEvent,
+  SpindownEvent,
+  SyncChangeEvent,
+  TempoChangeEvent
+} from './types.js';
+
+const log = createLogger('plugins');
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * DeviceManager events a plugin can subscribe to, with their payloads
+ */
+export interface PluginEventMap {
+  event: ControllerEvent;
+  button: ButtonEvent;
+  knob: KnobEvent;
+  padPress: PadPressEvent;
+  padRelease: PadEvent;
+  tempoChange: TempoChangeEvent;
+  modeChange: ModeChangeEvent;
+  lock: LockStateChange;
+  syncChange: SyncChangeEvent;
+  spindown: SpindownEvent;
+  deckState: DeckState;
+  longPress: GestureEvent;
+  doubleTap: GestureEvent;
+  chord: GestureEvent;
+  connected: DeviceStatus;
+  disconnected: DeviceStatus;
+}
+
+/**
+ * What a plugin gets in activate()
+ */
+export interface PluginApi {
+  readonly name: string;
+  readonly manager: DeviceManager;     // commands: setTempo, toggleDeck, setPadMode, ...
+  readonly state: ControlStateManager; // read and write controller state
+  readonly log: Logger;
+  /**
+   * Subscribe to a controller event
+   * Listeners may be async; they aren't awaited, and a rejection is logged like a throw.
+   */
+  on<E extends keyof PluginEventMap>(event: E, listener: (data: PluginEventMap[E]) => void | Promise<void>): void;
+  /**
+   * Take over a control; its default handling is skipped
+   * The handler may be async, like an event listener.
+   * @throws if another plugin already claimed it
+   */
+  claim(control: ControlAddress, handler: (event: Parameters<ClaimHandler>[0]) => void | Promise<void>): void;
+  setLED(channel: number, note: number, velocity: number): void;
+  /**
+   * Start an LED animation; names are private to the plugin
+   */
+  animate(name: string, animation: LEDAnimation): void;
+  stopAnimation(name: string): void;
+  /**
+   * Send a `plugin` WebSocket message to every browser
+   */
+  send(event: string, data?: Record<string, unknown>): void;
+}
+
+/**
+ * Default export of a plugin module
+ */
+export interface Plugin {
+  activate(api: PluginApi): void | Promise<void>;
+  deactivate?(): void | Promise<void>;
+}
+
+export interface PluginInfo {
+  name: string; // file name without extension
+  file: string;
+  loadedAt: string;
+}
+
+export interface PluginHostOptions {
+  dir: string;
+  /**
+   * Deliver a plugin's custom message to the browsers
+   */
+  send(plugin: string, event: string, data?: Record<string, unknown>): void;
+}
+
+interface LoadedPlugin {
+  info: PluginInfo;
+  plugin: Plugin;
+  cleanup: Array<() => void>;
+  claims: Array<{ control: ControlAddress; handler: ClaimHandler; release: () => void }>;
+}
+
+export class PluginHost {
+  private plugins: Map<string, LoadedPlugin> = new Map();
+  private animationOwners: Map<string, LoadedPlugin> = new Map();
+  private watcher: FSWatcher | null = null;
+  private pending: Map<string, ReturnType<typeof setTimeout>> = new Map();
+  private version = 0;
+  readonly dir: string;
+
+  constructor(private readonly manager: DeviceManager, private readonly options: PluginHostOptions) {
+    this.dir = resolve(options.dir);
+  }
+
+  /**
+   * Load every plugin in the folder; one that fails is logged and skipped
+   * @returns the names loaded
+   */
+  async loadAll(): Promise<string[]> {
+    if (!existsSync(this.dir)) {
+      log.debug(`No plugins folder at ${this.dir}`);
+      return [];
+    }
+    const loaded: string[] = [];
+    for (const name of this.findPlugins()) {
+      try {
+        await this.load(name);
+        loaded.push(name);
+      } catch (error) {
+        log.error(`❌ Plugin ${name} not loaded: ${(error as Error).message}`);
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * Load (or reload) a plugin by name
+   * On reload the new version takes over the old one's claims and is
+   * activated first; the old version is unloaded only once that succeeded.
+   * @throws if the file is missing, isn't a plugin, or activate() throws
+   */
+  async load(name: string): Promise<PluginInfo> {
+    if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+      throw new Error(`Invalid plugin name: ${name}`);
+    }
+    const file = this.getFile(name);
+    if (!file) {
+      throw new Error(`Plugin not found: ${name} (looked in ${this.dir})`);
+    }
+
+    // A new query string makes import() read the file again after an edit
+    const module = await import(`${pathToFileURL(file).href}?v=${++this.version}`);
+    const plugin: unknown = module.default;
+    if (typeof plugin !== 'object' || plugin === null || typeof (plugin as Plugin).activate !== 'function') {
+      throw new Error(`${basename(file)} must export default { activate(api) { ... } }`);
+    }
+
+    const loaded: LoadedPlugin = {
+      info: { name, file, loadedAt: new Date().toISOString() },
+      plugin: plugin as Plugin,
+      cleanup: [],
+      claims: []
+    };
+    const previous = this.plugins.get(name);
+    previous?.claims.forEach(claim => claim.release());
+    try {
+      await loaded.plugin.activate(this.createApi(loaded));
+    } catch (error) {
+      this.runCleanup(loaded);
+      if (previous) this.reclaim(previous);
+      throw new Error(`activate() failed: ${(error as Error).message}`);
+    }
+    await this.unload(name);
+    this.plugins.set(name, loaded);
+    log.info(`🔌 Plugin loaded: ${name}`);
+    return loaded.info;
+  }
+
+  /**
+   * Unload a plugin: deactivate() runs, then everything it registered is removed
+   * @returns false if it wasn't loaded
+   */
+  async unload(name: string): Promise<boolean> {
+    const loaded = this.plugins.get(name);
+    if (!loaded) return false;
+
+    this.plugins.delete(name);
+    try {
+      await loaded.plugin.deactivate?.();
+    } catch (error) {
+      log.error(`Plugin ${name} deactivate() failed: ${(error as Error).message}`);
+    }
+    this.runCleanup(loaded);
+    log.info(`🔌 Plugin unloaded: ${name}`);
+    return true;
+  }
+
+  /**
+   * Loaded plugins, by name
+   */
+  list(): PluginInfo[] {
+    return [...this.plugins.values()]
+      .map(({ info }) => info)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Plugin files in the folder that could be loaded, by name
+   */
+  findPlugins(): string[] {
+    if (!existsSync(this.dir)) return [];
+    return readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && PLUGIN_EXTENSIONS.includes(extname(entry.name)))
+      .map(entry => basename(entry.name, extname(entry.name)))
+      .sort();
+  }
+
+  /**
+   * Reload plugins when their files change, unload them when deleted
+   * (an edit that fails to load keeps the running version)
+   */
+  watch(): void {
+    if (this.watcher || !existsSync(this.dir)) return;
+
+    this.watcher = watch(this.dir, (_event, fileName) => {
+      if (!fileName || !PLUGIN_EXTENSIONS.includes(extname(fileName))) return;
+      const name = basename(fileName, extname(fileName));
+
+      // Editors write in several steps; act once the file has settled
+      clearTimeout(this.pending.get(name));
+      this.pending.set(name, setTimeout(() => {
+        this.pending.delete(name);
+        const action = this.getFile(name) ? this.load(name) : this.unload(name);
+        action.catch(error => log.error(`❌ Plugin ${name} not reloaded: ${(error as Error).message}`));
+      }, 200));
+    });
+  }
+
+  /**
+   * Stop watching and unload every plugin
+   */
+  async close(): Promise<void> {
+    this.watcher?.close();
+    this.watcher = null;
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+    for (const name of [...this.plugins.keys()]) {
+      await this.unload(name);
+    }
+  }
+
+  private getFile(name: string): string | null {
+    return PLUGIN_EXTENSIONS
+      .map(ext => join(this.dir, `${name}${ext}`))
+      .find(file => existsSync(file)) ?? null;
+  }
+
+  /**
+   * Give a plugin back the claims it handed over for a reload that failed
+   */
+  private reclaim(loaded: LoadedPlugin): void {
+    loaded.claims.forEach(claim => {
+      try {
+        claim.release = this.manager.claimControl(claim.control, claim.handler);
+      } catch (error) {
+        log.warn(`Plugin ${loaded.info.name} lost a claim: ${(error as Error).message}`);
+      }
+    });
+  }
+
+  private runCleanup(loaded: LoadedPlugin): void {
+    loaded.cleanup.splice(0).reverse().forEach(undo => {
+      try {
+        undo();
+      } catch (error) {
+        log.warn(`Plugin ${loaded.info.name} cleanup failed: ${(error as Error).message}`);
+      }
+    });
+  }
+
+  private createApi(loaded: LoadedPlugin): PluginApi {
+    const { name } = loaded.info;
+    const manager = this.manager;
+    const animator = manager.getAnimator();
+    const pluginLog = createLogger('plugins');
+    const prefixed: Logger = {
+      debug: (message, data) => pluginLog.debug(`[${name}] ${message}`, data),
+      info: (message, data) => pluginLog.info(`[${name}] ${message}`, data),
+      warn: (message, data) => pluginLog.warn(`[${name}] ${message}`, data),
+      error: (message, data) => pluginLog.error(`[${name}] ${message}`, data),
+      isEnabled: (level) => pluginLog.isEnabled(level)
+    };
+
+    // Plugin code runs inside the MIDI pipeline; keep its errors there, async ones included
+    const guard = <A extends unknown[]>(what: string, fn: (...args: A) => void | Promise<void>) => (...args: A) => {
+      const failed = (error: unknown) => prefixed.error(`${what} failed: ${(error as Error).message}`);
+      try {
+        const result = fn(...args);
+        if (result && typeof result.then === 'function') {
+          result.then(undefined, failed);
+        }
+      } catch (error) {
+        failed(error);
+      }
+    };
+    const animationName = (animation: string) => `plugin:${name}:${animation}`;
+    const animations = new Set<string>();
+    // Old and new versions share animation names while a reload is under way
+    const stop = (animation: string) => {
+      if (this.animationOwners.get(animationName(animation)) !== loaded) return;
+      this.animationOwners.delete(animationName(animation));
+      animator.stop(animationName(animation));
+    };
+
+    loaded.cleanup.push(() => animations.forEach(stop));
+
+    return {
+      name,
+      manager,
+      state: manager.getStateManager(),
+      log: prefixed,
+      on: (event, listener) => {
+        const wrapped = guard(`${event} listener`, listener);
+        manager.on(event, wrapped);
+        loaded.cleanup.push(() => manager.removeListener(event, wrapped));
+      },
+      claim: (control, handler) => {
+        const guarded = guard('claim handler', handler);
+        const claim = { control, handler: guarded, release: manager.claimControl(control, guarded) };
+        loaded.claims.push(claim);
+        loaded.cleanup.push(() => claim.release());
+      },
+      setLED: (channel, note, velocity) => manager.setLED(channel, note, velocity),
+      animate: (animation, definition) => {
+        animations.add(animation);
+        this.animationOwners.set(animationName(animation), loaded);
+        animator.start(animationName(animation), definition);
+      },
+      stopAnimation: (animation) => {
+        animations.delete(animation);
+        stop(animation);
+      },
+      send: (event, data) => this.options.send(name, event, data)
+    };
+  }
+}
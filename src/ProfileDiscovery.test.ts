@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getDefaultProfile } from './ControllerProfile.js';
+import { ProfileDiscovery } from './ProfileDiscovery.js';
+
+describe('ProfileDiscovery', () => {
+  let discovery: ProfileDiscovery;
+
+  beforeEach(() => {
+    discovery = new ProfileDiscovery(getDefaultProfile());
+  });
+
+  it('should ask for every control the profile addresses', () => {
+    const ids = discovery.getInputSteps().map(step => step.id);
+    expect(ids[0]).toBe('shift');
+    expect(ids).toContain('sync:4');
+    expect(ids).toContain('pad:7');
+    expect(ids).toContain('mode:sampler');
+    expect(ids).toContain('fxAssign:3');
+    expect(ids).toContain('encoder:browse');
+    expect(ids).not.toContain('encoder:tempo'); // captured by the tempoKnob step
+  });
+
+  it('should return the base profile when nothing was captured', () => {
+    const { profile, problems } = discovery.buildProfile();
+    expect(problems).toEqual([]);
+    expect(profile).toEqual(getDefaultProfile());
+  });
+
+  it('should move everything on a deck control channel with its SYNC button', () => {
+    discovery.recordInput('sync:1', { channel: 12, number: 88 });
+    discovery.recordInput('tempoKnob', { channel: 12, number: 56 });
+
+    const { profile, problems } = discovery.buildProfile({ name: 'DDJ-SP1 (new firmware)' });
+    expect(problems).toEqual([]);
+    expect(profile.name).toBe('DDJ-SP1 (new firmware)');
+    expect(profile.decks[0].controlChannel).toBe(12);
+    expect(profile.sync.channels).toEqual([12, 1]);
+    expect(profile.tempoKnob).toEqual({ controller: 56, channels: [12, 1, 2, 3] });
+    expect(profile.encoders?.find(e => e.name === 'tempo')?.controller).toBe(56);
+    expect(profile.encoders?.find(e => e.name === 'volume')?.channels).toEqual([12, 1, 2, 3]);
+  });
+
+  it('should take pad notes and pad channels from pad presses', () => {
+    discovery.recordInput('pad:0', { channel: 11, number: 20 });
+    discovery.recordInput('padChannel:2', { channel: 12, number: 20 });
+    discovery.recordInput('mode:hotCue', { channel: 0, number: 28 });
+
+    const { profile } = discovery.buildProfile();
+    expect(profile.pads.notes.slice(0, 2)).toEqual([20, 1]);
+    expect(profile.decks.map(d => d.padChannel)).toEqual([11, 12, 9, 10]);
+    expect(profile.padModes.default).toBe(28);
+  });
+
+  it('should map numbered LED answers to profile fields and keep labels', () => {
+    expect(discovery.recordLED(6, 70, '')).toBeNull();
+    discovery.recordLED(6, 95, '2');
+    discovery.recordLED(7, 60, 'Jog ring');
+
+    const { profile } = discovery.buildProfile();
+    expect(profile.fxAssign[1].lightNote).toBe(95);
+    expect(profile.leds).toEqual([
+      { channel: 6, note: 95, label: discovery.getLEDTargets()[1].label, target: 'fxAssignLight:1' },
+      { channel: 7, note: 60, label: 'Jog ring' }
+    ]);
+  });
+
+  it('should report problems instead of throwing', () => {
+    discovery.recordInput('pad:0', { channel: 8, number: 0 }); // Deck 2's pad channel
+
+    const { problems } = discovery.buildProfile();
+    expect(problems).toContain('decks[1].padChannel is used by another deck');
+    expect(() => discovery.recordInput('jog', { channel: 0, number: 0 })).toThrow('Unknown discovery step: jog');
+  });
+});
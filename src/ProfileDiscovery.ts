@@ -0,0 +1,227 @@
+/**
+ * ProfileDiscovery
+ *
+ * Builds a controller profile from a guided session instead of code edits.
+ * The user presses each control the profile needs (SHIFT, DECK, SYNC, pads,
+ * pad modes, FX, FX ASSIGN, encoders) and names the LEDs that light up while
+ * channel/note ranges are walked. Captured addresses are applied on top of a
+ * base profile, so anything the session does not cover (UI layout, SHIFT-layer
+ * notes) keeps its base value.
+ *
+ * Used by `ddj-sp1 discover` (see CommandLine.ts).
+ */
+
+import { ControllerProfile, DiscoveredLED, validateControllerProfile } from './ControllerProfile.js';
+
+export type DiscoveryInputKind = 'note' | 'cc';
+
+/**
+ * One control the user is asked to press or turn
+ */
+export interface DiscoveryStep {
+  id: string;      // e.g. "sync:3"
+  prompt: string;  // e.g. "Press SYNC on Deck 3"
+  kind: DiscoveryInputKind;
+}
+
+/**
+ * A captured control: MIDI channel plus note or CC number
+ */
+export interface CapturedControl {
+  channel: number;
+  number: number;
+}
+
+/**
+ * An LED the profile has a field for, offered as an answer while walking LEDs
+ */
+export interface LEDTarget {
+  id: string;
+  label: string;
+}
+
+export class ProfileDiscovery {
+  private readonly base: ControllerProfile;
+  private readonly captures: Map<string, CapturedControl> = new Map();
+  private readonly leds: Map<string, DiscoveredLED> = new Map(); // key: "channel:note"
+
+  /**
+   * @param base - Profile the discovered addresses are applied to
+   */
+  constructor(base: ControllerProfile) {
+    this.base = JSON.parse(JSON.stringify(base));
+  }
+
+  /**
+   * Controls to capture, in the order the user is asked for them
+   */
+  getInputSteps(): DiscoveryStep[] {
+    const base = this.base;
+    const firstDeck = [...base.decks].sort((a, b) => a.deck - b.deck)[0];
+    const sideOf = (deck: number) => base.decks.find(d => d.deck === deck)?.side;
+    const steps: DiscoveryStep[] = [{ id: 'shift', prompt: 'Press SHIFT', kind: 'note' }];
+
+    base.sides.forEach(side => {
+      steps.push({ id: `deckButton:${side.name}`, prompt: `Press the DECK button on the ${side.name} side`, kind: 'note' });
+    });
+    base.decks.forEach(({ deck }) => {
+      steps.push({ id: `sync:${deck}`, prompt: `Switch the ${sideOf(deck)} side to Deck ${deck} and press SYNC`, kind: 'note' });
+    });
+    base.pads.notes.forEach((_, i) => {
+      steps.push({ id: `pad:${i}`, prompt: `Press performance pad ${i + 1} on Deck ${firstDeck.deck}`, kind: 'note' });
+    });
+    base.decks.filter(d => d !== firstDeck).forEach(({ deck }) => {
+      steps.push({ id: `padChannel:${deck}`, prompt: `Switch to Deck ${deck} and press pad 1`, kind: 'note' });
+    });
+    base.padModes.modes.forEach(mode => {
+      steps.push({ id: `mode:${mode.id}`, prompt: `Press ${mode.name} on Deck ${firstDeck.deck}`, kind: 'note' });
+    });
+    base.sides.forEach(side => {
+      steps.push({ id: `fx:${side.name}`, prompt: `Press FX 1 on the ${side.name} side`, kind: 'note' });
+    });
+    base.fxAssign.forEach((entry, i) => {
+      steps.push({ id: `fxAssign:${i}`, prompt: `Press FX ${entry.fx} ASSIGN on the ${entry.side} side`, kind: 'note' });
+    });
+    steps.push({ id: 'tempoKnob', prompt: `Hold SHIFT and turn VOLUME on Deck ${firstDeck.deck}`, kind: 'cc' });
+    (base.encoders ?? []).forEach(encoder => {
+      if (encoder.controller === base.tempoKnob.controller) return; // same control as tempoKnob
+      steps.push({ id: `encoder:${encoder.name}`, prompt: `Turn the ${encoder.name} encoder`, kind: 'cc' });
+    });
+
+    return steps;
+  }
+
+  /**
+   * LEDs with a profile field of their own (not implied by the button they light)
+   */
+  getLEDTargets(): LEDTarget[] {
+    return this.base.fxAssign.map((entry, i) => ({
+      id: `fxAssignLight:${i}`,
+      label: `FX ${entry.fx} ASSIGN light on the ${entry.side} side (alternate deck)`
+    }));
+  }
+
+  /**
+   * Store the control captured for a step
+   * @throws if the step id is unknown
+   */
+  recordInput(stepId: string, control: CapturedControl): void {
+    if (!this.getInputSteps().some(step => step.id === stepId)) {
+      throw new Error(`Unknown discovery step: ${stepId}`);
+    }
+    this.captures.set(stepId, { ...control });
+  }
+
+  /**
+   * Store what lit up for an LED address
+   * @param answer - LED target number (1-based, see getLEDTargets) or a free-text label
+   * @returns the stored LED, or null for an empty answer
+   */
+  recordLED(channel: number, note: number, answer: string): DiscoveredLED | null {
+    const text = answer.trim();
+    if (text === '') return null;
+
+    const targets = this.getLEDTargets();
+    const index = /^\d+$/.test(text) ? Number(text) - 1 : -1;
+    const target = targets[index];
+    const led: DiscoveredLED = target
+      ? { channel, note, label: target.label, target: target.id }
+      : { channel, note, label: text };
+    this.leds.set(`${channel}:${note}`, led);
+    return led;
+  }
+
+  /**
+   * Number of controls captured so far
+   */
+  getCaptureCount(): number {
+    return this.captures.size;
+  }
+
+  /**
+   * Apply everything captured to a copy of the base profile
+   * @returns the profile plus validation problems (empty if it can be loaded as is)
+   */
+  buildProfile(overrides: { name?: string; deviceMatch?: string } = {}): { profile: ControllerProfile; problems: string[] } {
+    const profile: ControllerProfile = JSON.parse(JSON.stringify(this.base));
+    const get = (id: string) => this.captures.get(id);
+    const note = (control: CapturedControl) => ({ channel: control.channel, note: control.number });
+
+    if (overrides.name) profile.name = overrides.name;
+    if (overrides.deviceMatch) profile.deviceMatch = overrides.deviceMatch;
+
+    const shift = get('shift');
+    if (shift) profile.shift = note(shift);
+
+    profile.sides.forEach(side => {
+      const button = get(`deckButton:${side.name}`);
+      if (button) side.deckButton = note(button);
+      const fx = get(`fx:${side.name}`);
+      if (fx) side.fxChannel = fx.channel;
+    });
+
+    // Deck control channels move with SYNC; everything addressed by an old control channel follows
+    const controlChannels = new Map<number, number>();
+    profile.decks.forEach(deck => {
+      const sync = get(`sync:${deck.deck}`);
+      if (sync) {
+        controlChannels.set(deck.controlChannel, sync.channel);
+        deck.controlChannel = sync.channel;
+        profile.sync.note = sync.number;
+      }
+    });
+    const remap = (channel: number) => controlChannels.get(channel) ?? channel;
+    profile.sync.channels = profile.sync.channels.map(remap);
+    profile.tempoKnob.channels = profile.tempoKnob.channels.map(remap);
+    profile.shiftedPads.forEach(entry => {
+      entry.channel = remap(entry.channel);
+      entry.original.channel = remap(entry.original.channel);
+    });
+
+    const firstDeck = [...profile.decks].sort((a, b) => a.deck - b.deck)[0];
+    profile.pads.notes = profile.pads.notes.map((padNote, i) => {
+      const pad = get(`pad:${i}`);
+      if (pad && i === 0) firstDeck.padChannel = pad.channel;
+      return pad ? pad.number : padNote;
+    });
+    profile.decks.forEach(deck => {
+      const pad = get(`padChannel:${deck.deck}`);
+      if (pad) deck.padChannel = pad.channel;
+    });
+
+    profile.padModes.modes.forEach(mode => {
+      const button = get(`mode:${mode.id}`);
+      if (!button) return;
+      if (profile.padModes.default === mode.note) profile.padModes.default = button.number;
+      mode.note = button.number;
+    });
+
+    profile.fxAssign.forEach((entry, i) => {
+      const button = get(`fxAssign:${i}`);
+      if (button) Object.assign(entry, note(button));
+    });
+
+    const tempo = get('tempoKnob');
+    (profile.encoders ?? []).forEach(encoder => {
+      const captured = encoder.controller === this.base.tempoKnob.controller ? tempo : get(`encoder:${encoder.name}`);
+      encoder.channels = encoder.channels.map(remap);
+      if (!captured) return;
+      encoder.controller = captured.number;
+      if (!encoder.channels.includes(captured.channel)) encoder.channels = [captured.channel];
+    });
+    if (tempo) profile.tempoKnob.controller = tempo.number;
+
+    const leds = [...this.leds.values()];
+    leds.forEach(led => {
+      const match = led.target?.match(/^fxAssignLight:(\d+)$/);
+      if (match && profile.fxAssign[Number(match[1])]) {
+        profile.fxAssign[Number(match[1])].lightNote = led.note;
+      }
+    });
+    if (leds.length > 0) {
+      profile.leds = leds.sort((a, b) => a.channel - b.channel || a.note - b.note);
+    }
+
+    return { profile, problems: validateControllerProfile(profile) };
+  }
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CLIENT_MESSAGE_SCHEMAS,
+  PROTOCOL_VERSION,
+  ProtocolError,
+  SERVER_MESSAGE_SCHEMAS,
+  encodeServerMessage,
+  parseClientMessage
+} from './Protocol.js';
+import * as browserProtocol from '../public/js/Protocol.js';
+
+function parseError(text: string): ProtocolError {
+  try {
+    parseClientMessage(text);
+  } catch (error) {
+    return error as ProtocolError;
+  }
+  throw new Error('expected parseClientMessage to throw');
+}
+
+describe('Protocol', () => {
+  it('should parse valid browser messages', () => {
+    expect(parseClientMessage('{"type":"hello","data":{"protocolVersion":1}}'))
+      .toEqual({ type: 'hello', data: { protocolVersion: 1 } });
+    expect(parseClientMessage('{"type":"slicerPosition","data":{"deck":2,"slice":null}}').data)
+      .toEqual({ deck: 2, slice: null });
+    expect(parseClientMessage('{"type":"setLogLevel","data":{"level":"debug"}}').type).toBe('setLogLevel');
+    expect(parseClientMessage('{"type":"setPadMode","data":{"deck":3,"mode":"slicer"}}').data).toEqual({ deck: 3, mode: 'slicer' });
+    expect(parseError('{"type":"toggleDeck","data":{"side":2}}').message).toBe('Invalid toggleDeck message: data.side must be <= 1');
+    expect(parseClientMessage('{"type":"deckUpdate","data":{"deck":1,"fx":{"level":90}}}').data).toEqual({ deck: 1, fx: { level: 90 } });
+    expect(parseError('{"type":"deckUpdate","data":{"deck":1,"section":"intro"}}').message).toContain('data.section must be one of lead, body');
+  });
+
+  it('should reject malformed, unknown and invalid messages with an error code', () => {
+    expect(parseError('not json').code).toBe('invalidJson');
+    expect(parseError('[1,2]').code).toBe('invalidJson');
+
+    const unknown = parseError('{"type":"launchRocket","data":{}}');
+    expect(unknown.code).toBe('unknownType');
+    expect(unknown.toErrorData()).toEqual({ code: 'unknownType', message: 'Unknown message type: launchRocket', inReplyTo: 'launchRocket' });
+
+    const invalid = parseError('{"type":"deckLoad","data":{"deck":"one"}}');
+    expect(invalid.code).toBe('invalidMessage');
+    expect(invalid.message).toBe('Invalid deckLoad message: data.deck must be an integer, data.loaded is required');
+
+    expect(parseError('{"type":"setLogLevel","data":{"level":"loud"}}').message)
+      .toContain('data.level must be one of debug, info, warn, error, silent');
+    expect(parseError('{"type":"samplerStatus","data":{"pads":["empty","broken"]}}').message)
+      .toContain('data.pads[1] must be one of');
+  });
+
+  it('should encode server messages and refuse data outside the catalog', () => {
+    expect(JSON.parse(encodeServerMessage('tempoChange', { tempo: 94 }))).toEqual({ type: 'tempoChange', data: { tempo: 94 } });
+    expect(JSON.parse(encodeServerMessage('deviceStatus', { connected: false, deviceName: null })).data.deviceName).toBeNull();
+
+    expect(() => encodeServerMessage('tempoChange', { tempo: 120 } as any)).toThrow('Invalid tempoChange message: data.tempo must be one of 84, 94, 102');
+    expect(() => encodeServerMessage('padPress', { channel: 16, note: 0, deck: 1, synced: false })).toThrow('data.channel must be <= 15');
+  });
+
+  it('should accept a sample of every server message type', () => {
+    const samples: { [T in keyof typeof SERVER_MESSAGE_SCHEMAS]: unknown } = {
+      hello: { protocolVersion: PROTOCOL_VERSION },
+      error: { code: 'commandFailed', message: 'boom', inReplyTo: 'deckLoad' },
+      layout: [{ id: 'btn-0-11', type: 'button', channel: 0, number: 11, label: 'PLAY', section: 'deck1' }],
+      deviceStatus: { connected: true, deviceName: 'DDJ-SP1' },
+      event: { type: 'knob', channel: 0, knob: 2, value: 64, delta: -3 },
+      lock: { button: 71, channel: 4, locked: true },
+      tempoChange: { tempo: 84 },
+      snapshot: {
+        tempo: 94,
+        deckButtons: { deck1_3: false, deck2_4: true },
+        padModes: { deck1: 27, deck2: 30, deck3: 27, deck4: 34 },
+        locks: [{ button: 71, channel: 4, locked: true }],
+        fxAssignments: [{ fx: 1, deck: 3 }],
+        syncedDecks: [],
+        decks: [{ deck: 1, loaded: true, songId: 12, section: 'body', volume: 100, fx: { echo: false, beats: 0.5 } }]
+      },
+      deckState: { deck: 2, loaded: false, songId: null, section: null, volume: 127, fx: { echo: true } },
+      modeChange: { activeMode: 30, channel: 0, deck: 1 },
+      padPress: { channel: 7, note: 0, deck: 1, synced: true },
+      padRelease: { channel: 7, note: 0, deck: 1 },
+      syncChange: { deck: 3, synced: false },
+      spindown: { deck: 2 },
+      gesture: { gesture: 'chord', buttons: [{ channel: 0, note: 64 }, { channel: 1, note: 64 }], name: 'panic' },
+      logConfig: { level: 'info', subsystems: { midi: 'debug' }, file: null },
+      loadDeck: { deck: 2, songId: 5 },
+      plugin: { plugin: 'strobe', event: 'flash', data: { deck: 1 } },
+      leds: { leds: [{ channel: 7, note: 0, velocity: 2 }] }
+    };
+
+    Object.entries(samples).forEach(([type, data]) => {
+      expect(() => encodeServerMessage(type as any, data as any)).not.toThrow();
+    });
+  });
+
+  it('should keep the browser copy of the catalog in step', () => {
+    expect(browserProtocol.PROTOCOL_VERSION).toBe(PROTOCOL_VERSION);
+    expect(JSON.parse(JSON.stringify(browserProtocol.SERVER_MESSAGE_SCHEMAS))).toEqual(JSON.parse(JSON.stringify(SERVER_MESSAGE_SCHEMAS)));
+    expect(JSON.parse(JSON.stringify(browserProtocol.CLIENT_MESSAGE_SCHEMAS))).toEqual(JSON.parse(JSON.stringify(CLIENT_MESSAGE_SCHEMAS)));
+    expect(browserProtocol.validateMessage({ type: 'deckLoad', data: { deck: 0, loaded: true } }, browserProtocol.CLIENT_MESSAGE_SCHEMAS))
+      .toEqual(['data.deck must be >= 1']);
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * Protocol
+ *
+ * Catalog of every WebSocket message between the server and the browser.
+ * Each message is `{ type, data }`; the types below describe `data` per
+ * message type and MESSAGE_SCHEMAS checks it at runtime:
+ * - Incoming browser messages are parsed with parseClientMessage(), which
+ *   throws a ProtocolError whose code is sent back in an `error` reply
+ * - Outgoing messages are built with encodeServerMessage(), which refuses
+ *   data that doesn't match the catalog
+ *
+ * Handshake: the server sends `hello` on connect, the browser answers with
+ * its own `hello`. Other browser messages are rejected until then, and a
+ * browser speaking another protocol version gets an `unsupportedVersion` error.
+ * On connect the server also sends a `snapshot` of the whole session (tempo,
+ * DECK toggles, pad modes, locks and what each deck holds); the server owns
+ * deck state, browsers report changes with deckLoad/deckUpdate and every
+ * browser follows the resulting `deckState` messages.
+ * Command messages (setTempo, toggleDeck, ...) drive the controller state the
+ * same way the hardware buttons do; a command the server can't apply is
+ * answered with `commandFailed`.
+ * The browser keeps its own copy of the catalog in public/js/Protocol.js;
+ * bump PROTOCOL_VERSION in both when a message changes incompatibly.
+ */
+
+import type { ControlDefinition, PadModeId } from './ControllerProfile.js';
+import { PAD_MODE_IDS } from './ControllerProfile.js';
+import type { DeckState, DeckUpdate, LockStateChange, SamplerPadStatus, SessionSnapshot } from './ControlStateManager.js';
+import { DECK_SECTIONS, SAMPLER_PAD_STATUSES } from './ControlStateManager.js';
+import type { GestureEvent } from './GestureDetector.js';
+import type { LEDState } from './LEDBuffer.js';
+import { GESTURE_TYPES } from './GestureDetector.js';
+import type { LogConfig, LogLevel, LogSubsystem } from './Logger.js';
+import { LOG_LEVELS, LOG_SUBSYSTEMS } from './Logger.js';
+import type {
+  ControllerEvent,
+  DeviceStatus,
+  ModeChangeEvent,
+  PadEvent,
+  PadPressEvent,
+  SpindownEvent,
+  SyncChangeEvent,
+  TempoChangeEvent
+} from './types.js';
+
+export const PROTOCOL_VERSION = 2;
+
+export const ERROR_CODES = [
+  'invalidJson',        // not JSON, or not a { type, data } object
+  'unknownType',        // no such message type
+  'invalidMessage',     // data doesn't match the message schema
+  'handshakeRequired',  // sent before the browser's hello
+  'unsupportedVersion', // hello with another protocol version
+  'commandFailed'       // valid message the server could not apply
+] as const;
+export type ErrorCode = typeof ERROR_CODES[number];
+
+export interface HelloData {
+  protocolVersion: number;
+}
+
+export interface ErrorData {
+  code: ErrorCode;
+  message: string;
+  inReplyTo?: string; // type of the offending message, when known
+}
+
+/**
+ * Server → browser messages
+ */
+export interface ServerMessageMap {
+  hello: HelloData;
+  error: ErrorData;
+  layout: ControlDefinition[];
+  deviceStatus: DeviceStatus;
+  event: ControllerEvent;
+  lock: LockStateChange;
+  tempoChange: TempoChangeEvent;
+  snapshot: SessionSnapshot;   // whole session, sent on connect
+  deckState: DeckState;        // a deck's song, section, volume or FX changed
+  modeChange: ModeChangeEvent;
+  padPress: PadPressEvent;
+  padRelease: PadEvent;
+  syncChange: SyncChangeEvent;
+  spindown: SpindownEvent;
+  gesture: GestureEvent;
+  logConfig: LogConfig;
+  loadDeck: { deck: number; songId?: number }; // load a song (or the selected one) into a deck
+  plugin: { plugin: string; event: string; data?: Record<string, unknown> }; // custom message from a server plugin
+  leds: { leds: LEDState[] };  // LED writes to the virtual controller
+}
+
+/**
+ * Browser → server messages
+ */
+export interface ClientMessageMap {
+  hello: HelloData;
+  deckLoad: { deck: number; loaded: boolean; songId?: number };
+  deckUpdate: { deck: number } & DeckUpdate;
+  deckEnding: { deck: number; ending: boolean };
+  slicerPosition: { deck: number; slice: number | null };
+  samplerStatus: { pads: SamplerPadStatus[] };
+  setLogLevel: { level: LogLevel; subsystem?: LogSubsystem };
+  log: { level: 'warn' | 'error'; subsystem: string; message: string };
+  setTempo: TempoChangeEvent;
+  setPadMode: { deck: number; mode: PadModeId };
+  toggleFXAssign: { fx: number; deck: number };
+  toggleDeck: { side: number }; // 0 = DECK 1/3, 1 = DECK 2/4
+  setLeds: { leds: Array<{ channel: number; note: number; velocity: number }> };
+  sync: SpindownEvent;
+  spindown: SpindownEvent;
+  startClock: { position?: number }; // MIDI beats (16th notes) from the start of the song
+  stopClock: Record<string, never>;
+  // Virtual controller input, addressed like the layout's controls
+  virtualButton: { channel: number; note: number; pressed: boolean };
+  virtualKnob: { channel: number; controller: number; steps: number }; // ticks, or value change for absolute knobs
+}
+
+export type ServerMessageType = keyof ServerMessageMap;
+export type ClientMessageType = keyof ClientMessageMap;
+export type ServerMessage = { [T in ServerMessageType]: { type: T; data: ServerMessageMap[T] } }[ServerMessageType];
+export type ClientMessage = { [T in ClientMessageType]: { type: T; data: ClientMessageMap[T] } }[ClientMessageType];
+
+/**
+ * Runtime description of a value
+ */
+export interface Schema {
+  type: 'integer' | 'number' | 'boolean' | 'string' | 'object' | 'array';
+  optional?: boolean;             // object field may be missing
+  nullable?: boolean;
+  min?: number;
+  max?: number;
+  values?: readonly unknown[];    // allowed values
+  fields?: Record<string, Schema>; // object: known fields (others are ignored)
+  items?: Schema;                 // array: every item
+}
+
+const integer = (min?: number, max?: number): Schema => ({ type: 'integer', min, max });
+const boolean: Schema = { type: 'boolean' };
+const string: Schema = { type: 'string' };
+const object = (fields: Record<string, Schema>): Schema => ({ type: 'object', fields });
+const optional = (schema: Schema): Schema => ({ ...schema, optional: true });
+
+const channel = integer(0, 15);
+const midiValue = integer(0, 127);
+const deck = integer(1);
+const note = object({ channel, note: midiValue });
+const tempo: Schema = { type: 'integer', values: [84, 94, 102] };
+const logLevel: Schema = { type: 'string', values: LOG_LEVELS };
+const hello = object({ protocolVersion: integer(1) });
+const lock = object({ button: midiValue, channel, locked: boolean });
+const section: Schema = { type: 'string', values: DECK_SECTIONS, nullable: true };
+const fxKnobs: Record<string, Schema> = { beats: optional({ type: 'number', values: [1, 0.5] }), level: optional(midiValue), feedback: optional(midiValue), filter: optional(midiValue) };
+const deckState = object({
+  deck,
+  loaded: boolean,
+  songId: { ...integer(1), nullable: true },
+  section,
+  volume: midiValue,
+  fx: object({ echo: boolean, ...fxKnobs })
+});
+
+export const SERVER_MESSAGE_SCHEMAS: Record<ServerMessageType, Schema> = {
+  hello,
+  error: object({ code: { type: 'string', values: ERROR_CODES }, message: string, inReplyTo: optional(string) }),
+  layout: {
+    type: 'array',
+    items: object({ id: string, type: { type: 'string', values: ['button', 'knob', 'slider'] }, channel, number: integer(), label: string, section: string })
+  },
+  deviceStatus: object({ connected: boolean, deviceName: { type: 'string', nullable: true }, virtual: optional(boolean) }),
+  event: object({
+    type: { type: 'string', values: ['button', 'knob'] },
+    channel,
+    button: optional(midiValue),
+    pressed: optional(boolean),
+    mainDeckAssigned: optional(boolean),
+    altDeckAssigned: optional(boolean),
+    longPressed: optional(boolean),
+    knob: optional(midiValue),
+    value: optional(midiValue),
+    delta: optional(integer())
+  }),
+  lock,
+  tempoChange: object({ tempo }),
+  snapshot: object({
+    tempo,
+    deckButtons: object({ deck1_3: boolean, deck2_4: boolean }),
+    padModes: object({ deck1: midiValue, deck2: midiValue, deck3: midiValue, deck4: midiValue }),
+    locks: { type: 'array', items: lock },
+    fxAssignments: { type: 'array', items: object({ fx: integer(1), deck }) },
+    syncedDecks: { type: 'array', items: deck },
+    decks: { type: 'array', items: deckState }
+  }),
+  deckState,
+  modeChange: object({ activeMode: midiValue, channel, deck }),
+  padPress: object({ channel, note: midiValue, deck, synced: boolean }),
+  padRelease: object({ channel, note: midiValue, deck }),
+  syncChange: object({ deck, synced: boolean }),
+  spindown: object({ deck }),
+  gesture: object({
+    gesture: { type: 'string', values: GESTURE_TYPES },
+    buttons: { type: 'array', items: note },
+    name: optional(string),
+    deck: optional(deck),
+    durationMs: optional({ type: 'number', min: 0 })
+  }),
+  logConfig: object({ level: logLevel, subsystems: { type: 'object' }, file: { type: 'string', nullable: true } }),
+  loadDeck: object({ deck, songId: optional(integer(1)) }),
+  plugin: object({ plugin: string, event: string, data: optional(object({})) }),
+  leds: object({ leds: { type: 'array', items: object({ channel, note: midiValue, velocity: midiValue }) } })
+};
+
+export const CLIENT_MESSAGE_SCHEMAS: Record<ClientMessageType, Schema> = {
+  hello,
+  deckLoad: object({ deck, loaded: boolean, songId: optional(integer(1)) }),
+  deckUpdate: object({
+    deck,
+    section: optional(section),
+    volume: optional(midiValue),
+    fx: optional(object({ echo: optional(boolean), ...fxKnobs }))
+  }),
+  deckEnding: object({ deck, ending: boolean }),
+  slicerPosition: object({ deck, slice: { ...integer(0), nullable: true } }),
+  samplerStatus: object({ pads: { type: 'array', items: { type: 'string', values: SAMPLER_PAD_STATUSES } } }),
+  setLogLevel: object({ level: logLevel, subsystem: optional({ type: 'string', values: LOG_SUBSYSTEMS }) }),
+  log: object({ level: { type: 'string', values: ['warn', 'error'] }, subsystem: string, message: string }),
+  setTempo: object({ tempo }),
+  setPadMode: object({ deck, mode: { type: 'string', values: PAD_MODE_IDS } }),
+  toggleFXAssign: object({ fx: integer(1), deck }),
+  toggleDeck: object({ side: integer(0, 1) }),
+  setLeds: object({ leds: { type: 'array', items: object({ channel, note: midiValue, velocity: midiValue }) } }),
+  sync: object({ deck }),
+  spindown: object({ deck }),
+  startClock: object({ position: optional(integer(0, 16383)) }),
+  stopClock: object({}),
+  virtualButton: object({ channel, note: midiValue, pressed: boolean }),
+  virtualKnob: object({ channel, controller: midiValue, steps: integer(-63, 63) })
+};
+
+/**
+ * A message that can't be accepted; `code` is sent back in the error reply
+ */
+export class ProtocolError extends Error {
+  constructor(readonly code: ErrorCode, message: string, readonly inReplyTo?: string) {
+    super(message);
+    this.name = 'ProtocolError';
+  }
+
+  /**
+   * Data for the `error` reply
+   */
+  toErrorData(): ErrorData {
+    return this.inReplyTo === undefined
+      ? { code: this.code, message: this.message }
+      : { code: this.code, message: this.message, inReplyTo: this.inReplyTo };
+  }
+}
+
+/**
+ * Check a value against a schema
+ * @returns list of problems (empty if valid)
+ */
+export function validateSchema(value: unknown, schema: Schema, path: string = 'data'): string[] {
+  if (value === null && schema.nullable) return [];
+
+  const problems: string[] = [];
+  const isObject = (v: unknown): v is Record<string, unknown> => typeof v === 'object' && v !== null && !Array.isArray(v);
+  const typeOk = {
+    integer: Number.isInteger(value),
+    number: typeof value === 'number' && Number.isFinite(value),
+    boolean: typeof value === 'boolean',
+    string: typeof value === 'string',
+    object: isObject(value),
+    array: Array.isArray(value)
+  }[schema.type];
+
+  if (!typeOk) {
+    return [`${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}${schema.nullable ? ' or null' : ''}`];
+  }
+  if (schema.values && !schema.values.includes(value)) {
+    problems.push(`${path} must be one of ${schema.values.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.min !== undefined && value < schema.min) problems.push(`${path} must be >= ${schema.min}`);
+    if (schema.max !== undefined && value > schema.max) problems.push(`${path} must be <= ${schema.max}`);
+  }
+  if (schema.fields && isObject(value)) {
+    Object.entries(schema.fields).forEach(([key, field]) => {
+      if (value[key] === undefined) {
+        if (!field.optional) problems.push(`${path}.${key} is required`);
+        return;
+      }
+      problems.push(...validateSchema(value[key], field, `${path}.${key}`));
+    });
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, i) => problems.push(...validateSchema(item, schema.items as Schema, `${path}[${i}]`)));
+  }
+  return problems;
+}
+
+/**
+ * Parse and validate a browser message
+ * @throws ProtocolError (invalidJson, unknownType or invalidMessage)
+ */
+export function parseClientMessage(text: string): ClientMessage {
+  let message: unknown;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    throw new ProtocolError('invalidJson', `Message is not valid JSON: ${(error as Error).message}`);
+  }
+  if (typeof message !== 'object' || message === null || typeof (message as any).type !== 'string') {
+    throw new ProtocolError('invalidJson', 'Message must be an object with a string type');
+  }
+
+  const { type, data } = message as { type: string; data: unknown };
+  if (!Object.prototype.hasOwnProperty.call(CLIENT_MESSAGE_SCHEMAS, type)) {
+    throw new ProtocolError('unknownType', `Unknown message type: ${type}`, type);
+  }
+  const problems = validateSchema(data, CLIENT_MESSAGE_SCHEMAS[type as ClientMessageType]);
+  if (problems.length > 0) {
+    throw new ProtocolError('invalidMessage', `Invalid ${type} message: ${problems.join(', ')}`, type);
+  }
+  return { type, data } as ClientMessage;
+}
+
+/**
+ * Serialize a server message after checking it against the catalog
+ * @throws if the data doesn't match the message schema
+ */
+export function encodeServerMessage<T extends ServerMessageType>(type: T, data: ServerMessageMap[T]): string {
+  const problems = validateSchema(data, SERVER_MESSAGE_SCHEMAS[type]);
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${type} message: ${problems.join(', ')}`);
+  }
+  return JSON.stringify({ type, data });
+}
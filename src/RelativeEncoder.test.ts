@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { accelerationMultiplier, decodeRelative, RelativeEncoder } from './RelativeEncoder.js';
+
+describe('RelativeEncoder', () => {
+  let time: number;
+  const clock = () => time;
+
+  /**
+   * Turn the encoder once per `intervalMs` and sum the steps
+   */
+  function spin(encoder: RelativeEncoder, values: number[], intervalMs: number): number {
+    return values.reduce((total, value) => {
+      time += intervalMs;
+      return total + encoder.turn(value);
+    }, 0);
+  }
+
+  beforeEach(() => {
+    time = 0;
+  });
+
+  describe('decodeRelative', () => {
+    it('should decode two\'s complement ticks', () => {
+      expect(decodeRelative(1)).toBe(1);
+      expect(decodeRelative(63)).toBe(63);
+      expect(decodeRelative(127)).toBe(-1);
+      expect(decodeRelative(65)).toBe(-63);
+      expect(decodeRelative(0)).toBe(0);
+    });
+
+    it('should decode binary offset ticks', () => {
+      expect(decodeRelative(65, 'binaryOffset')).toBe(1);
+      expect(decodeRelative(60, 'binaryOffset')).toBe(-4);
+    });
+  });
+
+  describe('Sensitivity', () => {
+    it('should carry fractional steps over to the next tick', () => {
+      const encoder = new RelativeEncoder({ sensitivity: 0.25 }, clock);
+      expect([1, 1, 1, 1, 1].map(value => {
+        time += 500;
+        return encoder.turn(value);
+      })).toEqual([0, 0, 0, 1, 0]);
+    });
+
+    it('should drop the carried fraction when the direction changes', () => {
+      const encoder = new RelativeEncoder({ sensitivity: 0.5 }, clock);
+      expect(spin(encoder, [1], 50)).toBe(0);
+      expect(spin(encoder, [127], 50)).toBe(0); // half a step the other way, not back to zero
+      expect(spin(encoder, [127], 50)).toBe(-1);
+    });
+
+    it('should scale multi-tick messages', () => {
+      const encoder = new RelativeEncoder({ sensitivity: 4 }, clock);
+      expect(encoder.turn(126)).toBe(-8);
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => new RelativeEncoder({ sensitivity: 0 })).toThrow('sensitivity must be a positive number');
+      expect(() => new RelativeEncoder({ acceleration: 'turbo' as any })).toThrow('acceleration must be one of');
+    });
+  });
+
+  describe('Acceleration', () => {
+    it('should not accelerate slow turns', () => {
+      const encoder = new RelativeEncoder({ acceleration: 'exponential', maxMultiplier: 8 }, clock);
+      expect(spin(encoder, Array(10).fill(1), 120)).toBe(10);
+    });
+
+    it('should cover more distance on fast spins', () => {
+      const encoder = new RelativeEncoder({ acceleration: 'linear', maxMultiplier: 4 }, clock);
+      const fast = spin(encoder, Array(10).fill(1), 20); // 50 ticks per second
+      expect(fast).toBeGreaterThan(20);
+      expect(fast).toBeLessThanOrEqual(40);
+    });
+
+    it('should start a new gesture after a pause', () => {
+      const encoder = new RelativeEncoder({ acceleration: 'linear', maxMultiplier: 4 }, clock);
+      spin(encoder, Array(10).fill(1), 20);
+      time += 500;
+      expect(encoder.turn(1)).toBe(1);
+    });
+
+    it('should cap the multiplier', () => {
+      expect(accelerationMultiplier('none', 1000, 8)).toBe(1);
+      expect(accelerationMultiplier('linear', 30, 8)).toBe(3);
+      expect(accelerationMultiplier('exponential', 30, 8)).toBe(4);
+      expect(accelerationMultiplier('exponential', 1000, 8)).toBe(8);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * RelativeEncoder
+ *
+ * Turns the CC values of an infinite (relative) encoder into integer steps.
+ * - Decodes the per-message tick count (two's complement by default:
+ *   1-63 = 1-63 ticks clockwise, 127-65 = 1-63 ticks counter-clockwise)
+ * - Applies an acceleration curve based on how fast the knob spins, so fast
+ *   spins cover long distances while slow turns stay precise
+ * - Scales by a per-control sensitivity; fractional steps are carried over
+ *   to the next tick in the same direction instead of being lost to rounding
+ */
+
+export const ENCODER_ENCODINGS = ['twosComplement', 'binaryOffset'] as const;
+export type EncoderEncoding = typeof ENCODER_ENCODINGS[number];
+
+export const ACCELERATION_CURVES = ['none', 'linear', 'exponential'] as const;
+export type AccelerationCurve = typeof ACCELERATION_CURVES[number];
+
+export interface EncoderSettings {
+  sensitivity: number;            // steps per tick when turning slowly
+  acceleration: AccelerationCurve;
+  maxMultiplier: number;          // cap on the acceleration multiplier
+  encoding: EncoderEncoding;
+}
+
+export const DEFAULT_ENCODER_SETTINGS: EncoderSettings = {
+  sensitivity: 1,
+  acceleration: 'none',
+  maxMultiplier: 1,
+  encoding: 'twosComplement'
+};
+
+// Spinning slower than this (ticks per second) never accelerates
+const PRECISE_TICKS_PER_SECOND = 10;
+// A pause longer than this starts a new gesture (no acceleration carried over)
+const IDLE_MS = 150;
+
+/**
+ * Decode a relative CC value into signed ticks (positive = clockwise)
+ * - twosComplement: 1 = +1, 127 = -1
+ * - binaryOffset:   65 = +1, 63 = -1
+ */
+export function decodeRelative(value: number, encoding: EncoderEncoding = 'twosComplement'): number {
+  if (encoding === 'binaryOffset') {
+    return value - 64;
+  }
+  return value >= 64 ? value - 128 : value;
+}
+
+/**
+ * Multiplier for a spin speed
+ * @param ticksPerSecond - smoothed spin speed
+ */
+export function accelerationMultiplier(curve: AccelerationCurve, ticksPerSecond: number, maxMultiplier: number): number {
+  const excess = Math.max(0, ticksPerSecond / PRECISE_TICKS_PER_SECOND - 1);
+  let multiplier = 1;
+  if (curve === 'linear') {
+    multiplier = 1 + excess;
+  } else if (curve === 'exponential') {
+    multiplier = 2 ** excess;
+  }
+  return Math.min(Math.max(1, maxMultiplier), multiplier);
+}
+
+/**
+ * Validate encoder settings
+ * @returns list of problems (empty if valid)
+ */
+export function validateEncoderSettings(settings: Partial<EncoderSettings>, path: string = 'encoder'): string[] {
+  const problems: string[] = [];
+  if (settings.sensitivity !== undefined && !(typeof settings.sensitivity === 'number' && settings.sensitivity > 0)) {
+    problems.push(`${path}.sensitivity must be a positive number`);
+  }
+  if (settings.acceleration !== undefined && !ACCELERATION_CURVES.includes(settings.acceleration)) {
+    problems.push(`${path}.acceleration must be one of ${ACCELERATION_CURVES.join(', ')}`);
+  }
+  if (settings.maxMultiplier !== undefined && !(typeof settings.maxMultiplier === 'number' && settings.maxMultiplier >= 1)) {
+    problems.push(`${path}.maxMultiplier must be a number >= 1`);
+  }
+  if (settings.encoding !== undefined && !ENCODER_ENCODINGS.includes(settings.encoding)) {
+    problems.push(`${path}.encoding must be one of ${ENCODER_ENCODINGS.join(', ')}`);
+  }
+  return problems;
+}
+
+export class RelativeEncoder {
+  private settings: EncoderSettings;
+  private now: () => number;
+  private lastTime: number | null = null;
+  private lastDirection = 0;
+  private speed = 0;      // smoothed ticks per second
+  private remainder = 0;  // fractional steps carried to the next tick
+
+  /**
+   * @param settings - overrides for DEFAULT_ENCODER_SETTINGS
+   * @param now - clock in ms (injectable for tests)
+   */
+  constructor(settings: Partial<EncoderSettings> = {}, now: () => number = Date.now) {
+    this.settings = { ...DEFAULT_ENCODER_SETTINGS };
+    this.setSettings(settings);
+    this.now = now;
+  }
+
+  /**
+   * Feed one CC value
+   * @returns signed number of steps to apply (0 while a slow turn accumulates)
+   */
+  turn(value: number): number {
+    const ticks = decodeRelative(value, this.settings.encoding);
+    if (ticks === 0) return 0;
+
+    const time = this.now();
+    const elapsed = this.lastTime === null ? Infinity : time - this.lastTime;
+    const direction = Math.sign(ticks);
+    this.lastTime = time;
+
+    if (direction !== this.lastDirection) {
+      this.remainder = 0;
+    }
+    if (elapsed > IDLE_MS || direction !== this.lastDirection) {
+      this.speed = 0;
+    } else {
+      const instantSpeed = Math.abs(ticks) * 1000 / Math.max(elapsed, 1);
+      this.speed = this.speed === 0 ? instantSpeed : (this.speed + instantSpeed) / 2;
+    }
+    this.lastDirection = direction;
+
+    const { sensitivity, acceleration, maxMultiplier } = this.settings;
+    const exact = ticks * sensitivity * accelerationMultiplier(acceleration, this.speed, maxMultiplier) + this.remainder;
+    const steps = Math.trunc(exact + direction * 1e-9);
+    this.remainder = exact - steps;
+    return steps;
+  }
+
+  /**
+   * Change some settings (e.g. sensitivity); the rest stay as they are
+   * @throws if a setting is invalid
+   */
+  setSettings(settings: Partial<EncoderSettings>): void {
+    const problems = validateEncoderSettings(settings);
+    if (problems.length > 0) {
+      throw new Error(`Invalid encoder settings: ${problems.join(', ')}`);
+    }
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  getSettings(): EncoderSettings {
+    return { ...this.settings };
+  }
+
+  /**
+   * Forget the current gesture (speed and fractional steps)
+   */
+  reset(): void {
+    this.lastTime = null;
+    this.lastDirection = 0;
+    this.speed = 0;
+    this.remainder = 0;
+  }
+}
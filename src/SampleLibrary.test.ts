@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadSampleBanks, loadSampleBanksFromRoots } from './SampleLibrary.js';
+
+describe('SampleLibrary', () => {
+  let root: string;
+
+  /**
+   * Create a bank folder with empty audio files and an optional bank.json
+   */
+  function makeBank(name: string, files: string[], config?: unknown): void {
+    const dir = join(root, name);
+    mkdirSync(dir);
+    files.forEach(file => writeFileSync(join(dir, file), ''));
+    if (config !== undefined) {
+      writeFileSync(join(dir, 'bank.json'), JSON.stringify(config));
+    }
+  }
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'ddj-samples-'));
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should return no banks when the folder does not exist', async () => {
+    expect(await loadSampleBanks(join(root, 'missing'))).toEqual([]);
+  });
+
+  it('should map the first 8 audio files to one-shot pads', async () => {
+    const files = ['a.wav', 'b.mp3', 'c.wav', 'd.wav', 'e.wav', 'f.wav', 'g.wav', 'h.wav', 'i.wav', 'notes.txt'];
+    makeBank('drums', files);
+
+    const [bank] = await loadSampleBanks(root);
+    expect(bank.name).toBe('drums');
+    expect(bank.pads).toHaveLength(8);
+    expect(bank.pads[0]).toEqual({
+      pad: 0, name: 'a', url: '/samples/drums/a.wav', mode: 'oneShot', gain: 1, beats: null
+    });
+    expect(bank.pads[7].name).toBe('h');
+  });
+
+  it('should read pad settings from bank.json', async () => {
+    makeBank('loops', ['beat.wav', 'hit.wav'], {
+      pads: [
+        { pad: 3, file: 'beat.wav', mode: 'loop', beats: 4, gain: 0.8 },
+        { pad: 1, file: 'hit.wav', name: 'Air Horn' }
+      ]
+    });
+
+    const [bank] = await loadSampleBanks(root);
+    expect(bank.pads).toEqual([
+      { pad: 0, name: 'Air Horn', url: '/samples/loops/hit.wav', mode: 'oneShot', gain: 1, beats: null },
+      { pad: 2, name: 'beat', url: '/samples/loops/beat.wav', mode: 'loop', gain: 0.8, beats: 4 }
+    ]);
+  });
+
+  it('should list banks in name order', async () => {
+    makeBank('vox', ['a.wav']);
+    makeBank('fx', ['b.wav']);
+
+    const banks = await loadSampleBanks(root);
+    expect(banks.map(b => b.name)).toEqual(['fx', 'vox']);
+  });
+
+  it('should merge banks from several roots, first root winning', async () => {
+    makeBank('home', []);
+    makeBank('home/vox', ['a.wav']);
+    makeBank('shared', []);
+    makeBank('shared/vox', ['z.wav']);
+    makeBank('shared/drums', ['kick.wav']);
+
+    const banks = await loadSampleBanksFromRoots([join(root, 'missing'), join(root, 'home'), join(root, 'shared')]);
+    expect(banks.map(b => b.name)).toEqual(['drums', 'vox']);
+    expect(banks[1].pads.map(p => p.name)).toEqual(['a']);
+  });
+
+  it('should reject invalid bank.json entries', async () => {
+    makeBank('broken', ['a.wav'], { pads: [{ pad: 9, file: 'a.wav' }] });
+    await expect(loadSampleBanks(root)).rejects.toThrow('Invalid sample bank broken: pads[0].pad must be 1-8');
+  });
+
+  it('should reject pads pointing at missing files', async () => {
+    makeBank('broken', ['a.wav'], { pads: [{ pad: 1, file: 'nope.wav' }] });
+    await expect(loadSampleBanks(root)).rejects.toThrow('pads[0].file');
+  });
+});
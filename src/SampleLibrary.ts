@@ -0,0 +1,165 @@
+/**
+ * SampleLibrary
+ *
+ * Discovers SAMPLER banks on disk. Every sub-folder of the samples root is
+ * a bank of up to 8 pads. A bank can describe its pads in `bank.json`:
+ *
+ *   { "pads": [{ "pad": 1, "file": "drums.wav", "mode": "loop", "beats": 4, "gain": 0.8 }] }
+ *
+ * - pad:   1-8
+ * - mode:  "oneShot" (default) plays to the end; "loop" repeats until pressed again
+ * - beats: loop length in beats; loops are time-stretched to the current BPM
+ * - gain:  0-2 (default 1)
+ *
+ * Without bank.json the first 8 audio files (sorted by name) become one-shots.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join, extname, basename } from 'path';
+
+export const SAMPLE_EXTENSIONS = ['.wav', '.mp3', '.ogg', '.flac', '.m4a'];
+const PAD_COUNT = 8;
+
+export type SampleMode = 'oneShot' | 'loop';
+
+export interface SamplePad {
+  pad: number;          // 0-7
+  name: string;
+  url: string;          // URL the browser fetches
+  mode: SampleMode;
+  gain: number;
+  beats: number | null; // loop length in beats (tempo-aware looping)
+}
+
+export interface SampleBank {
+  name: string;
+  pads: SamplePad[];
+}
+
+/**
+ * List every bank under a samples root
+ * @param rootDir - Folder containing one sub-folder per bank
+ * @param urlPrefix - URL the samples root is served at
+ * @returns banks sorted by name, or [] if the root does not exist
+ * @throws if a bank.json is invalid
+ */
+export async function loadSampleBanks(rootDir: string, urlPrefix: string = '/samples'): Promise<SampleBank[]> {
+  let entries;
+  try {
+    entries = await readdir(rootDir, { withFileTypes: true });
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const bankNames = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+  const banks: SampleBank[] = [];
+  for (const name of bankNames) {
+    banks.push(await loadSampleBank(join(rootDir, name), `${urlPrefix}/${encodeURIComponent(name)}`));
+  }
+  return banks;
+}
+
+/**
+ * List the banks of several samples roots served at the same URL
+ * A bank name found in more than one root comes from the first root only.
+ * @returns banks sorted by name
+ * @throws if a bank.json is invalid
+ */
+export async function loadSampleBanksFromRoots(rootDirs: string[], urlPrefix: string = '/samples'): Promise<SampleBank[]> {
+  const banks = new Map<string, SampleBank>();
+  for (const rootDir of rootDirs) {
+    for (const bank of await loadSampleBanks(rootDir, urlPrefix)) {
+      if (!banks.has(bank.name)) {
+        banks.set(bank.name, bank);
+      }
+    }
+  }
+  return [...banks.keys()].sort().map(name => banks.get(name) as SampleBank);
+}
+
+/**
+ * Load one bank folder
+ * @throws if bank.json is invalid
+ */
+export async function loadSampleBank(bankDir: string, urlPrefix: string): Promise<SampleBank> {
+  const name = basename(bankDir);
+  const files = (await readdir(bankDir))
+    .filter(file => SAMPLE_EXTENSIONS.includes(extname(file).toLowerCase()))
+    .sort();
+
+  let config: unknown = null;
+  try {
+    config = JSON.parse(await readFile(join(bankDir, 'bank.json'), 'utf8'));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+      throw new Error(`Invalid sample bank ${name}: bank.json is not valid JSON`);
+    }
+  }
+
+  if (config === null) {
+    return {
+      name,
+      pads: files.slice(0, PAD_COUNT).map((file, pad) => ({
+        pad,
+        name: basename(file, extname(file)),
+        url: `${urlPrefix}/${encodeURIComponent(file)}`,
+        mode: 'oneShot',
+        gain: 1,
+        beats: null
+      }))
+    };
+  }
+
+  return { name, pads: parseBankConfig(name, config, files, urlPrefix) };
+}
+
+/**
+ * Validate a bank.json and resolve its pads
+ */
+function parseBankConfig(bank: string, config: any, files: string[], urlPrefix: string): SamplePad[] {
+  const fail = (problem: string): never => {
+    throw new Error(`Invalid sample bank ${bank}: ${problem}`);
+  };
+
+  if (!config || !Array.isArray(config.pads)) {
+    fail('bank.json must have a "pads" array');
+  }
+
+  const used = new Set<number>();
+  return config.pads.map((entry: any, i: number) => {
+    const path = `pads[${i}]`;
+    if (!Number.isInteger(entry?.pad) || entry.pad < 1 || entry.pad > PAD_COUNT) {
+      fail(`${path}.pad must be 1-${PAD_COUNT}`);
+    }
+    if (used.has(entry.pad)) {
+      fail(`${path}.pad ${entry.pad} is assigned twice`);
+    }
+    used.add(entry.pad);
+
+    if (typeof entry.file !== 'string' || !files.includes(entry.file)) {
+      fail(`${path}.file must name an audio file in the bank folder`);
+    }
+    const mode = entry.mode ?? 'oneShot';
+    if (mode !== 'oneShot' && mode !== 'loop') {
+      fail(`${path}.mode must be "oneShot" or "loop"`);
+    }
+    const gain = entry.gain ?? 1;
+    if (typeof gain !== 'number' || gain < 0 || gain > 2) {
+      fail(`${path}.gain must be between 0 and 2`);
+    }
+    const beats = entry.beats ?? null;
+    if (beats !== null && !(typeof beats === 'number' && beats > 0)) {
+      fail(`${path}.beats must be a positive number`);
+    }
+
+    return {
+      pad: entry.pad - 1,
+      name: typeof entry.name === 'string' ? entry.name : basename(entry.file, extname(entry.file)),
+      url: `${urlPrefix}/${encodeURIComponent(entry.file)}`,
+      mode,
+      gain,
+      beats
+    };
+  }).sort((a: SamplePad, b: SamplePad) => a.pad - b.pad);
+}
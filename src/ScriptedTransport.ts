@@ -0,0 +1,35 @@
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { MidiMessageMap, MidiMessageType } from './MidiTransport.js';
+
+/**
+ * A single step of a scripted MIDI session
+ */
+export interface ScriptStep<T extends MidiMessageType = MidiMessageType> {
+  delay?: number; // ms to wait before sending this step
+  type: T;
+  message: MidiMessageMap[T];
+}
+
+/**
+ * ScriptedTransport
+ *
+ * Loopback transport that plays back a fixed sequence of input messages.
+ * Useful for driving DeviceManager through a known interaction.
+ */
+export class ScriptedTransport extends LoopbackTransport {
+  constructor(private readonly script: ScriptStep[], deviceName?: string) {
+    super(deviceName);
+  }
+
+  /**
+   * Send every scripted step to the open input, honouring step delays
+   */
+  async play(): Promise<void> {
+    for (const step of this.script) {
+      if (step.delay && step.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, step.delay));
+      }
+      this.inject(step.type, step.message);
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { delimiter, join } from 'path';
+import { formatServerConfig, getDefaultServerConfig, loadServerConfig } from './ServerConfig.js';
+
+describe('ServerConfig', () => {
+  let dir: string;
+  let baseDir: string;
+
+  const writeConfig = (name: string, data: unknown) => {
+    writeFileSync(join(dir, name), typeof data === 'string' ? data : JSON.stringify(data));
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddj-config-'));
+    baseDir = join(dir, 'app');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should use the defaults without file, env or flags', () => {
+    const resolved = loadServerConfig({ baseDir, cwd: dir });
+
+    expect(resolved.config).toEqual(getDefaultServerConfig(baseDir));
+    expect(resolved.config).toMatchObject({ port: 3000, host: '0.0.0.0', deviceMatch: null, log: 'info' });
+    expect(resolved.config.musicRoots).toEqual([join(dir, 'juh/music')]);
+    expect(resolved.file).toBeNull();
+    expect(Object.values(resolved.sources).every(source => source === 'default')).toBe(true);
+  });
+
+  it('should apply file < env < flags and remember where each value came from', () => {
+    writeConfig('ddj-sp1.config.json', { port: 4000, host: '127.0.0.1', deviceMatch: 'DDJ', musicRoots: ['music', '/srv/music'] });
+
+    const resolved = loadServerConfig({
+      baseDir,
+      cwd: dir,
+      env: { DDJ_PORT: '5000', DDJ_SAMPLES: `a${delimiter}b`, DDJ_LOG: 'warn' },
+      argv: ['serve', '--port', '6000', '--log=debug,midi=info', '--profile', 'other.json']
+    });
+
+    expect(resolved.file).toBe(join(dir, 'ddj-sp1.config.json'));
+    expect(resolved.config).toMatchObject({
+      port: 6000,
+      host: '127.0.0.1',
+      deviceMatch: 'DDJ',
+      log: 'debug,midi=info',
+      musicRoots: [join(dir, 'music'), '/srv/music'],
+      sampleRoots: [join(dir, 'a'), join(dir, 'b')],
+      profile: join(dir, 'other.json')
+    });
+    expect(resolved.sources).toMatchObject({ profile: 'flag', port: 'flag', host: 'file', musicRoots: 'file', sampleRoots: 'env', log: 'flag', stateFile: 'default' });
+  });
+
+  it('should resolve paths in a named config file against its folder', () => {
+    mkdirSync(join(dir, 'etc'));
+    writeConfig('etc/rig.json', { stateFile: 'state.json' });
+
+    const resolved = loadServerConfig({ baseDir, cwd: dir, env: { DDJ_CONFIG: 'etc/rig.json' } });
+    expect(resolved.config.stateFile).toBe(join(dir, 'etc', 'state.json'));
+
+    expect(() => loadServerConfig({ baseDir, cwd: dir, argv: ['--config', 'missing.json'] }))
+      .toThrow(`Cannot load server config ${join(dir, 'missing.json')}`);
+  });
+
+  it('should list every invalid value', () => {
+    writeConfig('ddj-sp1.config.json', { port: 'http', musicRoots: [], prot: 1 });
+
+    let message = '';
+    try {
+      loadServerConfig({ baseDir, cwd: dir, env: { DDJ_LOG: 'loud' }, argv: ['--host', ' '] });
+    } catch (error) {
+      message = (error as Error).message;
+    }
+
+    const file = join(dir, 'ddj-sp1.config.json');
+    expect(message).toBe([
+      'Invalid server config:',
+      `  - ${file}: unknown setting "prot"`,
+      `  - ${file}: port must be a port number (0-65535)`,
+      '  - --host must be a non-empty string',
+      `  - ${file}: musicRoots must be a non-empty list of paths`,
+      '  - DDJ_LOG must be a log spec such as "info,midi=debug" (Invalid log level "loud". Use one of: debug, info, warn, error, silent)'
+    ].join('\n'));
+  });
+
+  it('should summarize the settings and flag missing folders', () => {
+    mkdirSync(join(dir, 'music'));
+    const resolved = loadServerConfig({ baseDir, cwd: dir, argv: ['--music', `music${delimiter}gone`] });
+
+    const lines = formatServerConfig(resolved, 'DDJ-SP1');
+    expect(lines[0]).toBe('⚙️  Config file: none (ddj-sp1.config.json not found)');
+    expect(lines).toContain(`   musicRoots        ${join(dir, 'music')}, ${join(dir, 'gone')} (missing)  [flag]`);
+    expect(lines).toContain('   profile           bundled DDJ-SP1  [default]');
+    expect(lines).toContain('   deviceMatch       DDJ-SP1 (from profile)  [default]');
+    expect(lines).toContain('   oscPort           off  [default]');
+  });
+
+  it('should read OSC targets as a comma-separated list', () => {
+    const resolved = loadServerConfig({ baseDir, cwd: dir, env: { DDJ_OSC_TARGETS: '127.0.0.1:9000, mixer.local:8000' }, argv: ['--osc-port', '9001'] });
+    expect(resolved.config).toMatchObject({ oscPort: 9001, oscTargets: ['127.0.0.1:9000', 'mixer.local:8000'] });
+
+    expect(() => loadServerConfig({ baseDir, cwd: dir, argv: ['--osc-targets', 'mixer.local'] }))
+      .toThrow('--osc-targets must be a list of host:port targets ("mixer.local" is not)');
+  });
+
+  it('should only accept known virtual controller modes', () => {
+    expect(loadServerConfig({ baseDir, cwd: dir }).config.virtualController).toBe('off');
+    expect(loadServerConfig({ baseDir, cwd: dir, argv: ['--virtual-controller', 'auto'] }).config.virtualController).toBe('auto');
+    expect(() => loadServerConfig({ baseDir, cwd: dir, env: { DDJ_VIRTUAL_CONTROLLER: 'yes' } }))
+      .toThrow('DDJ_VIRTUAL_CONTROLLER must be one of off, auto, on');
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * ServerConfig
+ *
+ * Web server settings, resolved from (lowest to highest precedence):
+ * built-in defaults < JSON config file < DDJ_* environment variables < command-line flags
+ *
+ *   {
+ *     "port": 3000,
+ *     "host": "0.0.0.0",
+ *     "musicRoots": ["/srv/music", "music"],
+ *     "sampleRoots": ["samples"],
+ *     "profile": "profiles/my-controller.json",
+ *     "deviceMatch": "DDJ-SP1",
+ *     "log": "info,midi=debug",
+ *     "stateFile": "data/controller-state.json",
+ *     "oscPort": 9001,
+ *     "oscTargets": ["127.0.0.1:9000"],
+ *     "virtualOutput": "DDJ-SP1 (Translated)",
+ *     "clockOutput": "TR-8S",
+ *     "clockInput": null,
+ *     "pluginDir": "plugins",
+ *     "virtualController": "auto"
+ *   }
+ *
+ * The file is ddj-sp1.config.json in the working directory, or the one named
+ * by --config / DDJ_CONFIG. Relative paths in the file are resolved against
+ * its folder; in env vars and flags against the working directory. Lists in
+ * env vars and flags are separated by the platform path delimiter (":" or ";"),
+ * except OSC targets, which are separated by commas.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { delimiter, dirname, resolve } from 'path';
+import { parseArgs } from './CommandLine.js';
+import { parseLogSpec } from './Logger.js';
+import { parseOscTarget } from './Osc.js';
+import { VIRTUAL_CONTROLLER_MODES, VirtualControllerMode } from './VirtualController.js';
+
+export const CONFIG_FILE_NAME = 'ddj-sp1.config.json';
+
+export interface ServerConfig {
+  port: number;
+  host: string;
+  musicRoots: string[];       // served at /music; earlier roots win for the same file
+  sampleRoots: string[];      // SAMPLER banks; earlier roots win for the same bank name
+  profile: string | null;     // controller profile JSON; null = the bundled DDJ-SP1 profile
+  deviceMatch: string | null; // MIDI port name substring; null = the profile's deviceMatch
+  log: string;                // DDJ_LOG-style spec, e.g. "info,midi=debug"
+  stateFile: string;          // persisted controller state
+  oscPort: number | null;     // UDP port for OSC commands; null = no fixed port
+  oscTargets: string[];       // host:port receivers of OSC controller events
+  virtualOutput: string | null; // virtual MIDI port for the translated stream; null = off
+  clockOutput: string | null; // MIDI port MIDI clock is sent on; null = off
+  clockInput: string | null;  // MIDI port whose clock sets the tempo; null = off
+  pluginDir: string;          // user plugins, loaded at startup and reloaded on change
+  virtualController: VirtualControllerMode; // browser-played controller: off, auto (while no hardware) or on
+}
+
+export type ConfigSource = 'default' | 'file' | 'env' | 'flag';
+
+export interface ResolvedServerConfig {
+  config: ServerConfig;
+  sources: Record<keyof ServerConfig, ConfigSource>; // where each value came from
+  file: string | null;                               // config file that was read
+}
+
+export interface ServerConfigInputs {
+  baseDir: string;            // project folder the defaults are relative to
+  argv?: string[];            // command-line arguments (unknown options are ignored)
+  env?: NodeJS.ProcessEnv;
+  cwd?: string;
+}
+
+type SettingKind = 'port' | 'text' | 'paths' | 'path' | 'log' | 'targets' | 'virtualController';
+
+const SETTINGS: Array<{ key: keyof ServerConfig; env: string; flag: string; kind: SettingKind }> = [
+  { key: 'port', env: 'DDJ_PORT', flag: 'port', kind: 'port' },
+  { key: 'host', env: 'DDJ_HOST', flag: 'host', kind: 'text' },
+  { key: 'musicRoots', env: 'DDJ_MUSIC', flag: 'music', kind: 'paths' },
+  { key: 'sampleRoots', env: 'DDJ_SAMPLES', flag: 'samples', kind: 'paths' },
+  { key: 'profile', env: 'DDJ_PROFILE', flag: 'profile', kind: 'path' },
+  { key: 'deviceMatch', env: 'DDJ_DEVICE_MATCH', flag: 'device-match', kind: 'text' },
+  { key: 'log', env: 'DDJ_LOG', flag: 'log', kind: 'log' },
+  { key: 'stateFile', env: 'DDJ_STATE_FILE', flag: 'state-file', kind: 'path' },
+  { key: 'oscPort', env: 'DDJ_OSC_PORT', flag: 'osc-port', kind: 'port' },
+  { key: 'oscTargets', env: 'DDJ_OSC_TARGETS', flag: 'osc-targets', kind: 'targets' },
+  { key: 'virtualOutput', env: 'DDJ_VIRTUAL_OUTPUT', flag: 'virtual-output', kind: 'text' },
+  { key: 'clockOutput', env: 'DDJ_CLOCK_OUTPUT', flag: 'clock-output', kind: 'text' },
+  { key: 'clockInput', env: 'DDJ_CLOCK_INPUT', flag: 'clock-input', kind: 'text' },
+  { key: 'pluginDir', env: 'DDJ_PLUGINS', flag: 'plugins', kind: 'path' },
+  { key: 'virtualController', env: 'DDJ_VIRTUAL_CONTROLLER', flag: 'virtual-controller', kind: 'virtualController' }
+];
+
+/**
+ * Settings used when nothing overrides them
+ */
+export function getDefaultServerConfig(baseDir: string): ServerConfig {
+  return {
+    port: 3000,
+    host: '0.0.0.0',
+    musicRoots: [resolve(baseDir, '../juh/music')],
+    sampleRoots: [resolve(baseDir, '../juh/samples')],
+    profile: null,
+    deviceMatch: null,
+    log: 'info',
+    stateFile: resolve(baseDir, 'data/controller-state.json'),
+    oscPort: null,
+    oscTargets: [],
+    virtualOutput: null,
+    clockOutput: null,
+    clockInput: null,
+    pluginDir: resolve(baseDir, 'plugins'),
+    virtualController: 'off'
+  };
+}
+
+/**
+ * Convert one raw setting value
+ * @param text - true for env vars and flags (strings), false for JSON values
+ * @param dir - folder relative paths are resolved against
+ * @throws with the reason (e.g. "must be a port number") if the value is invalid
+ */
+function parseSetting(kind: SettingKind, raw: unknown, text: boolean, dir: string): unknown {
+  switch (kind) {
+    case 'port': {
+      const port = text ? Number(raw) : raw;
+      if (!Number.isInteger(port) || (port as number) < 0 || (port as number) > 65535) {
+        throw new Error('must be a port number (0-65535)');
+      }
+      return port;
+    }
+    case 'text':
+      if (typeof raw !== 'string' || raw.trim() === '') throw new Error('must be a non-empty string');
+      return raw;
+    case 'path':
+      if (typeof raw !== 'string' || raw.trim() === '') throw new Error('must be a path');
+      return resolve(dir, raw);
+    case 'paths': {
+      const paths = text ? String(raw).split(delimiter).filter(Boolean) : raw;
+      if (!Array.isArray(paths) || paths.length === 0 || !paths.every(p => typeof p === 'string' && p.trim() !== '')) {
+        throw new Error(text ? 'must list at least one path' : 'must be a non-empty list of paths');
+      }
+      return paths.map(p => resolve(dir, p));
+    }
+    case 'log':
+      if (typeof raw !== 'string') throw new Error('must be a log spec such as "info,midi=debug"');
+      try {
+        parseLogSpec(raw);
+      } catch (error) {
+        throw new Error(`must be a log spec such as "info,midi=debug" (${(error as Error).message})`);
+      }
+      return raw;
+    case 'targets': {
+      const targets = text ? String(raw).split(',').map(t => t.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(targets) || !targets.every(t => typeof t === 'string')) {
+        throw new Error('must be a list of host:port targets');
+      }
+      targets.forEach(t => {
+        try {
+          parseOscTarget(t);
+        } catch {
+          throw new Error(`must be a list of host:port targets ("${t}" is not)`);
+        }
+      });
+      return targets;
+    }
+    case 'virtualController':
+      if (!VIRTUAL_CONTROLLER_MODES.includes(raw as VirtualControllerMode)) {
+        throw new Error(`must be one of ${VIRTUAL_CONTROLLER_MODES.join(', ')}`);
+      }
+      return raw;
+  }
+}
+
+/**
+ * Read a config file
+ * @returns its settings, or null if the file is optional and missing
+ * @throws if the file cannot be read or is not JSON
+ */
+function readConfigFile(file: string, required: boolean): Record<string, unknown> | null {
+  if (!required && !existsSync(file)) return null;
+
+  let data: unknown;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot load server config ${file}: ${(error as Error).message}`);
+  }
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error(`Invalid server config (${file}): must be a JSON object`);
+  }
+  return data as Record<string, unknown>;
+}
+
+/**
+ * Resolve the server settings from defaults, config file, environment and flags
+ * @throws listing every invalid value, or if a named config file cannot be read
+ */
+export function loadServerConfig(inputs: ServerConfigInputs): ResolvedServerConfig {
+  const { baseDir, argv = [], env = {}, cwd = process.cwd() } = inputs;
+  const flags = parseArgs(argv).options;
+  const config = getDefaultServerConfig(baseDir);
+  const sources = Object.fromEntries(SETTINGS.map(({ key }) => [key, 'default'])) as ResolvedServerConfig['sources'];
+  const problems: string[] = [];
+
+  const named = flags.config ?? env.DDJ_CONFIG;
+  const file = resolve(cwd, typeof named === 'string' ? named : CONFIG_FILE_NAME);
+  const data = readConfigFile(file, named !== undefined);
+
+  const apply = (setting: typeof SETTINGS[number], raw: unknown, source: ConfigSource, name: string, dir: string) => {
+    try {
+      (config as unknown as Record<string, unknown>)[setting.key] = parseSetting(setting.kind, raw, source !== 'file', dir);
+      sources[setting.key] = source;
+    } catch (error) {
+      problems.push(`${name} ${(error as Error).message}`);
+    }
+  };
+
+  if (data) {
+    Object.keys(data)
+      .filter(key => !SETTINGS.some(setting => setting.key === key))
+      .forEach(key => problems.push(`${file}: unknown setting "${key}"`));
+  }
+
+  SETTINGS.forEach(setting => {
+    if (data && data[setting.key] !== undefined) {
+      apply(setting, data[setting.key], 'file', `${file}: ${setting.key}`, dirname(file));
+    }
+    if (env[setting.env] !== undefined) {
+      apply(setting, env[setting.env], 'env', setting.env, cwd);
+    }
+    if (flags[setting.flag] !== undefined) {
+      apply(setting, flags[setting.flag], 'flag', `--${setting.flag}`, cwd);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid server config:\n  - ${problems.join('\n  - ')}`);
+  }
+  return { config, sources, file: data ? file : null };
+}
+
+/**
+ * Startup summary: one line per setting with where it came from;
+ * folders that don't exist are marked
+ * @param profileDeviceMatch - shown when deviceMatch is left to the profile
+ */
+export function formatServerConfig(resolved: ResolvedServerConfig, profileDeviceMatch?: string): string[] {
+  const { config, sources, file } = resolved;
+  const roots = (paths: string[]) => paths.map(path => existsSync(path) ? path : `${path} (missing)`).join(', ');
+  const values: Record<keyof ServerConfig, string> = {
+    port: String(config.port),
+    host: config.host,
+    musicRoots: roots(config.musicRoots),
+    sampleRoots: roots(config.sampleRoots),
+    profile: config.profile ?? 'bundled DDJ-SP1',
+    deviceMatch: config.deviceMatch ?? `${profileDeviceMatch ?? '?'} (from profile)`,
+    log: config.log,
+    stateFile: config.stateFile,
+    oscPort: config.oscPort === null ? (config.oscTargets.length > 0 ? 'any free port' : 'off') : String(config.oscPort),
+    oscTargets: config.oscTargets.join(', ') || 'none',
+    virtualOutput: config.virtualOutput ?? 'off',
+    clockOutput: config.clockOutput ?? 'off',
+    clockInput: config.clockInput ?? 'off',
+    pluginDir: existsSync(config.pluginDir) ? config.pluginDir : `${config.pluginDir} (missing)`,
+    virtualController: config.virtualController
+  };
+
+  return [
+    `⚙️  Config file: ${file ?? `none (${CONFIG_FILE_NAME} not found)`}`,
+    ...SETTINGS.map(({ key }) => `   ${key.padEnd(17)} ${values[key]}  [${sources[key]}]`)
+  ];
+}
@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DeviceManager } from './DeviceManager.js';
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { SessionReplayer } from './SessionReplayer.js';
+
+describe('SessionRecorder / SessionReplayer', () => {
+  let dir: string;
+  let transport: LoopbackTransport;
+  let device: DeviceManager;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddj-session-'));
+    transport = new LoopbackTransport();
+    device = new DeviceManager(transport);
+    device.connect();
+  });
+
+  afterEach(() => {
+    device.disconnect();
+    rmSync(dir, { recursive: true, force: true });
+    vi.useRealTimers();
+  });
+
+  describe('Recording', () => {
+    it('should write every raw message as a JSON line', async () => {
+      const file = join(dir, 'session.jsonl');
+      const recorder = new SessionRecorder();
+
+      recorder.start(device, file);
+      expect(recorder.isRecording()).toBe(true);
+
+      transport.noteOn(2, 114);
+      transport.noteOff(7, 0);
+      transport.cc(0, 55, 1);
+
+      const count = await recorder.stop();
+      expect(count).toBe(3);
+      expect(recorder.isRecording()).toBe(false);
+
+      const messages = SessionReplayer.parse(readFileSync(file, 'utf8'));
+      expect(messages.map(m => m.type)).toEqual(['noteon', 'noteoff', 'cc']);
+      expect(messages[0].message).toEqual({ channel: 2, note: 114, velocity: 127 });
+      expect(messages[2].message).toEqual({ channel: 0, controller: 55, value: 1 });
+      expect(messages[1].t).toBeGreaterThanOrEqual(messages[0].t);
+    });
+
+    it('should refuse to start twice', () => {
+      const recorder = new SessionRecorder();
+      recorder.start(device, join(dir, 'a.jsonl'));
+
+      expect(() => recorder.start(device, join(dir, 'b.jsonl'))).toThrow('already in progress');
+      return recorder.stop();
+    });
+
+    it('should stop recording when the file cannot be written', async () => {
+      const recorder = new SessionRecorder();
+      recorder.start(device, join(dir, 'missing', 'session.jsonl'));
+
+      await vi.waitFor(() => expect(recorder.isRecording()).toBe(false));
+      expect(() => transport.noteOn(2, 114)).not.toThrow();
+      expect(await recorder.stop()).toBe(0);
+    });
+  });
+
+  describe('Parsing', () => {
+    it('should skip blank lines', () => {
+      const text = '{"t":0,"type":"noteon","message":{"channel":7,"note":0,"velocity":127}}\n\n';
+      expect(SessionReplayer.parse(text)).toHaveLength(1);
+    });
+
+    it('should report the offending line', () => {
+      const text = '{"t":0,"type":"noteon","message":{"channel":7,"note":0,"velocity":127}}\nnope\n';
+      expect(() => SessionReplayer.parse(text)).toThrow('line 2');
+    });
+
+    it('should reject notes with missing or out-of-range fields', () => {
+      expect(() => SessionReplayer.parse('{"t":0,"type":"noteon","message":{"channel":7,"velocity":127}}'))
+        .toThrow('line 1: noteon message.note must be 0-127');
+      expect(() => SessionReplayer.parse('{"t":0,"type":"noteoff","message":{"channel":7,"note":0,"velocity":128}}'))
+        .toThrow('line 1: noteoff message.velocity must be 0-127');
+      expect(() => SessionReplayer.parse('{"t":0,"type":"noteon","message":{"channel":16,"note":0,"velocity":127}}'))
+        .toThrow('line 1: noteon message.channel must be 0-15');
+    });
+
+    it('should reject control changes with missing or out-of-range fields', () => {
+      expect(() => SessionReplayer.parse('{"t":0,"type":"cc","message":{"channel":0,"value":1}}'))
+        .toThrow('line 1: cc message.controller must be 0-127');
+      expect(() => SessionReplayer.parse('{"t":0,"type":"cc","message":{"channel":0,"controller":55,"value":-1}}'))
+        .toThrow('line 1: cc message.value must be 0-127');
+      expect(() => SessionReplayer.parse('{"t":0,"type":"cc","message":{"channel":0,"controller":55,"value":1.5}}'))
+        .toThrow('line 1: cc message.value must be 0-127');
+    });
+
+    it('should reject the whole file before anything plays', () => {
+      const text = '{"t":0,"type":"noteon","message":{"channel":7,"note":0,"velocity":127}}\n' +
+        '{"t":5,"type":"cc","message":{"channel":0,"controller":300,"value":1}}\n';
+      expect(() => SessionReplayer.parse(text)).toThrow('line 2: cc message.controller must be 0-127');
+    });
+
+    it('should reject unknown message types', () => {
+      const text = '{"t":0,"type":"sysex","message":{"channel":0}}';
+      expect(() => SessionReplayer.parse(text)).toThrow('line 1');
+    });
+  });
+
+  describe('Replay', () => {
+    it('should reproduce state and events from a recording', async () => {
+      const file = join(dir, 'session.jsonl');
+      const recorder = new SessionRecorder();
+      recorder.start(device, file);
+      transport.noteOn(2, 114); // DECK 1/3 → deck 3
+      transport.noteOn(6, 76);  // FX1 → deck 3
+      transport.noteOn(7, 4);   // pad 5 on deck 3
+      await recorder.stop();
+
+      const fresh = new DeviceManager(new LoopbackTransport());
+      fresh.connect();
+      const presses: any[] = [];
+      fresh.on('padPress', (data) => presses.push(data));
+
+      const replayer = await SessionReplayer.fromFile(file);
+      await replayer.play(fresh, { speed: Infinity });
+
+      expect(fresh.getStateManager().getDeckButtonStates()).toEqual({ deck1_3: true, deck2_4: false });
+      expect(fresh.getStateManager().isFXAssigned(1, 3)).toBe(true);
+      expect(presses).toEqual([{ channel: 7, note: 4, deck: 3, synced: false }]);
+      fresh.disconnect();
+    });
+
+    it('should preserve gaps scaled by speed', async () => {
+      vi.useFakeTimers();
+      const replayer = new SessionReplayer([
+        { t: 0, type: 'noteon', message: { channel: 7, note: 0, velocity: 127 } },
+        { t: 1000, type: 'noteon', message: { channel: 7, note: 1, velocity: 127 } }
+      ]);
+      const presses: any[] = [];
+      device.on('padPress', (data) => presses.push(data));
+
+      const done = replayer.play(device, { speed: 2 });
+      await vi.advanceTimersByTimeAsync(0);
+      expect(presses).toHaveLength(1);
+
+      await vi.advanceTimersByTimeAsync(499);
+      expect(presses).toHaveLength(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(presses).toHaveLength(2);
+      await done;
+      expect(replayer.isPlaying()).toBe(false);
+    });
+
+    it('should stop early', async () => {
+      vi.useFakeTimers();
+      const replayer = new SessionReplayer([
+        { t: 0, type: 'noteon', message: { channel: 7, note: 0, velocity: 127 } },
+        { t: 1000, type: 'noteon', message: { channel: 7, note: 1, velocity: 127 } }
+      ]);
+      const presses: any[] = [];
+      device.on('padPress', (data) => presses.push(data));
+
+      const done = replayer.play(device);
+      await vi.advanceTimersByTimeAsync(0);
+      replayer.stop();
+      await done;
+      await vi.advanceTimersByTimeAsync(2000);
+
+      expect(presses).toHaveLength(1);
+    });
+
+    it('should stop and reject when a message fails', async () => {
+      vi.useFakeTimers();
+      const replayer = new SessionReplayer([
+        { t: 0, type: 'noteon', message: { channel: 7, note: 0, velocity: 127 } },
+        { t: 100, type: 'noteon', message: { channel: 7, note: 1, velocity: 127 } }
+      ]);
+      const target = {
+        handleMidiMessage: vi.fn(() => {
+          throw new Error('Broken listener');
+        })
+      };
+
+      const done = replayer.play(target);
+      const failed = expect(done).rejects.toThrow('Broken listener');
+      await vi.advanceTimersByTimeAsync(1000);
+      await failed;
+
+      expect(target.handleMidiMessage).toHaveBeenCalledTimes(1);
+      expect(replayer.isPlaying()).toBe(false);
+    });
+
+    it('should reject invalid speeds', () => {
+      const replayer = new SessionReplayer([]);
+      expect(() => replayer.play(device, { speed: 0 })).toThrow('Invalid replay speed');
+    });
+  });
+});
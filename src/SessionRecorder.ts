@@ -0,0 +1,108 @@
+/**
+ * SessionRecorder
+ *
+ * Captures every raw MIDI message a DeviceManager receives and appends it
+ * to a JSON-lines file. Each line holds a monotonic timestamp (ms since the
+ * recording started) plus the message, so the session can be replayed
+ * deterministically with SessionReplayer.
+ */
+
+import { createWriteStream, WriteStream } from 'fs';
+import { performance } from 'perf_hooks';
+import { EventEmitter } from 'events';
+import { MidiMessageMap, MidiMessageType } from './MidiTransport.js';
+import { createLogger } from './Logger.js';
+
+const log = createLogger('midi');
+
+/**
+ * One recorded MIDI message
+ */
+export interface RecordedMessage<T extends MidiMessageType = MidiMessageType> {
+  t: number;       // ms since recording started (monotonic)
+  type: T;
+  message: MidiMessageMap[T];
+}
+
+export class SessionRecorder {
+  private stream: WriteStream | null = null;
+  private source: EventEmitter | null = null;
+  private startTime = 0;
+  private count = 0;
+
+  private readonly onMidi = (data: { type: MidiMessageType; message: MidiMessageMap[MidiMessageType] }) => {
+    this.write(data.type, data.message);
+  };
+
+  /**
+   * Start recording messages from a DeviceManager to a file
+   * @param source - DeviceManager (anything emitting 'midi' events)
+   * @param filePath - JSONL file to write (overwritten if it exists)
+   */
+  start(source: EventEmitter, filePath: string): void {
+    if (this.stream) {
+      throw new Error('Recording already in progress');
+    }
+
+    const stream = createWriteStream(filePath, { flags: 'w' });
+    // e.g. a missing directory: stop recording rather than crash the server
+    stream.on('error', (error) => {
+      if (this.stream !== stream) return; // stop() reports errors while flushing
+      log.error(`Recording to ${filePath} failed: ${error.message}`);
+      this.detach();
+    });
+
+    this.stream = stream;
+    this.source = source;
+    this.startTime = performance.now();
+    this.count = 0;
+    source.on('midi', this.onMidi);
+
+    log.info(`⏺️  Recording MIDI session to ${filePath}`);
+  }
+
+  /**
+   * Stop recording and flush the file
+   * @returns number of messages recorded
+   */
+  stop(): Promise<number> {
+    const stream = this.stream;
+    if (!stream) return Promise.resolve(0);
+
+    this.detach();
+
+    const count = this.count;
+    return new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(() => {
+        log.info(`⏹️  Recorded ${count} MIDI messages`);
+        resolve(count);
+      });
+    });
+  }
+
+  /**
+   * Check if a recording is in progress
+   */
+  isRecording(): boolean {
+    return this.stream !== null;
+  }
+
+  private detach(): void {
+    this.source?.removeListener('midi', this.onMidi);
+    this.source = null;
+    this.stream = null;
+  }
+
+  private write(type: MidiMessageType, message: MidiMessageMap[MidiMessageType]): void {
+    if (!this.stream) return;
+
+    const entry: RecordedMessage = {
+      t: Math.round((performance.now() - this.startTime) * 1000) / 1000,
+      type,
+      message: { ...message }
+    };
+    this.stream.write(JSON.stringify(entry) + '\n');
+    this.count++;
+  }
+}
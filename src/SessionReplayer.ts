@@ -0,0 +1,164 @@
+/**
+ * SessionReplayer
+ *
+ * Feeds a recording made by SessionRecorder back through
+ * DeviceManager.handleMidiMessage(), so state changes, LED writes and
+ * emitted events (and therefore WebSocket broadcasts) happen exactly as
+ * they did during the original session.
+ */
+
+import { readFile } from 'fs/promises';
+import type { DeviceManager } from './DeviceManager.js';
+import type { MidiMessageType } from './MidiTransport.js';
+import type { RecordedMessage } from './SessionRecorder.js';
+import { createLogger } from './Logger.js';
+
+const log = createLogger('midi');
+
+export interface ReplayOptions {
+  speed?: number; // 1 = real time, 2 = twice as fast, Infinity = no delays
+}
+
+// Fields of each message type, with their largest value (all start at 0)
+const MESSAGE_FIELDS: Record<MidiMessageType, Record<string, number>> = {
+  noteon: { channel: 15, note: 127, velocity: 127 },
+  noteoff: { channel: 15, note: 127, velocity: 127 },
+  cc: { channel: 15, controller: 127, value: 127 }
+};
+
+export class SessionReplayer {
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private playing = false;
+  private finish: (() => void) | null = null;
+
+  constructor(private readonly messages: RecordedMessage[]) {}
+
+  /**
+   * Parse the contents of a JSONL recording
+   * Every line is checked up front, so a bad file is rejected before anything plays.
+   * @throws if a line is not a valid recorded message
+   */
+  static parse(text: string): RecordedMessage[] {
+    const messages: RecordedMessage[] = [];
+
+    text.split('\n').forEach((line, index) => {
+      if (line.trim() === '') return;
+
+      let entry: any;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        throw new Error(`Invalid recording at line ${index + 1}: not JSON`);
+      }
+
+      if (typeof entry?.t !== 'number' || !Object.prototype.hasOwnProperty.call(MESSAGE_FIELDS, entry.type) ||
+          typeof entry.message !== 'object' || entry.message === null) {
+        throw new Error(`Invalid recording at line ${index + 1}: expected {t, type, message}`);
+      }
+      Object.entries(MESSAGE_FIELDS[entry.type as MidiMessageType]).forEach(([field, max]) => {
+        const value = entry.message[field];
+        if (!Number.isInteger(value) || value < 0 || value > max) {
+          throw new Error(`Invalid recording at line ${index + 1}: ${entry.type} message.${field} must be 0-${max}`);
+        }
+      });
+
+      messages.push(entry as RecordedMessage);
+    });
+
+    return messages;
+  }
+
+  /**
+   * Load a replayer from a JSONL recording on disk
+   */
+  static async fromFile(filePath: string): Promise<SessionReplayer> {
+    const text = await readFile(filePath, 'utf8');
+    return new SessionReplayer(SessionReplayer.parse(text));
+  }
+
+  /**
+   * Get the recorded messages
+   */
+  getMessages(): RecordedMessage[] {
+    return [...this.messages];
+  }
+
+  /**
+   * Replay all messages into a DeviceManager
+   * Gaps between messages are preserved, divided by the speed factor.
+   * @returns promise that resolves when playback finishes or is stopped, and
+   *   rejects (ending playback) if the target throws on a message
+   */
+  play(target: Pick<DeviceManager, 'handleMidiMessage'>, options: ReplayOptions = {}): Promise<void> {
+    const speed = options.speed ?? 1;
+    if (!(speed > 0)) {
+      throw new Error(`Invalid replay speed: ${speed}. Must be greater than 0`);
+    }
+    if (this.playing) {
+      throw new Error('Replay already in progress');
+    }
+
+    this.playing = true;
+    log.info(`▶️  Replaying ${this.messages.length} MIDI messages at ${speed}x`);
+
+    return new Promise((resolve, reject) => {
+      this.finish = resolve;
+
+      const step = (index: number) => {
+        if (!this.playing) return;
+
+        const entry = this.messages[index];
+        try {
+          target.handleMidiMessage(entry.type, entry.message);
+        } catch (error) {
+          this.finish = null;
+          this.done();
+          reject(new Error(`Replay stopped at message ${index + 1}: ${(error as Error).message}`));
+          return;
+        }
+
+        const next = this.messages[index + 1];
+        if (!next) {
+          this.done();
+          return;
+        }
+        this.timer = setTimeout(() => step(index + 1), Math.max(0, next.t - entry.t) / speed);
+      };
+
+      const first = this.messages[0];
+      if (!first) {
+        this.done();
+        return;
+      }
+      this.timer = setTimeout(() => step(0), Math.max(0, first.t) / speed);
+    });
+  }
+
+  /**
+   * Stop an in-progress replay
+   */
+  stop(): void {
+    if (!this.playing) return;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    log.info('⏹️  Replay stopped');
+    this.done();
+  }
+
+  /**
+   * Check if a replay is in progress
+   */
+  isPlaying(): boolean {
+    return this.playing;
+  }
+
+  private done(): void {
+    this.playing = false;
+    this.timer = null;
+    const finish = this.finish;
+    this.finish = null;
+    finish?.();
+  }
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ControlStateManager } from './ControlStateManager.js';
+import { StatePersistence } from './StatePersistence.js';
+
+describe('StatePersistence', () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddj-state-'));
+    file = join(dir, 'nested', 'state.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should write one snapshot for a burst of changes', async () => {
+    const state = new ControlStateManager();
+    const persistence = new StatePersistence(file, 50);
+    persistence.watch(state);
+
+    state.setTempo(84);
+    state.toggleFXAssignment(2, 4);
+    await persistence.close();
+
+    const saved = JSON.parse(readFileSync(file, 'utf8'));
+    expect(saved).toEqual(state.getSnapshot());
+    expect(saved.fxAssignments).toEqual([{ fx: 2, deck: 4 }]);
+  });
+
+  it('should restore the saved state and keep saving it', async () => {
+    const before = new ControlStateManager();
+    before.setDeckLoaded(3, true);
+    before.toggleDeckButton(3, 114);
+    const first = new StatePersistence(file, 10);
+    first.watch(before);
+    before.setTempo(102);
+    await first.close();
+
+    const after = new ControlStateManager();
+    const second = new StatePersistence(file, 10);
+    expect(await second.restoreAndWatch(after)).toBe(true);
+    expect(after.getSnapshot()).toEqual(before.getSnapshot());
+
+    after.setTempo(84);
+    await second.close();
+    expect(JSON.parse(readFileSync(file, 'utf8')).tempo).toBe(84);
+  });
+
+  it('should start fresh without a usable file', async () => {
+    const persistence = new StatePersistence(join(dir, 'missing.json'));
+    expect(await persistence.load()).toBeNull();
+
+    writeFileSync(join(dir, 'broken.json'), '{"version": 1');
+    expect(await new StatePersistence(join(dir, 'broken.json')).load()).toBeNull();
+
+    writeFileSync(join(dir, 'old.json'), JSON.stringify({ version: 0 }));
+    const state = new ControlStateManager();
+    expect(await new StatePersistence(join(dir, 'old.json')).restoreAndWatch(state)).toBe(false);
+    expect(state.getCurrentTempo()).toBe(94);
+  });
+});
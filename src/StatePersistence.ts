@@ -0,0 +1,128 @@
+/**
+ * StatePersistence
+ *
+ * Keeps a ControlStateManager snapshot in a local JSON file so FX assignments,
+ * locks, DECK toggles, pad modes, tempo and what each deck holds survive a
+ * server restart. Changes are written after a short debounce (a burst of
+ * button presses is one write), through a temp file + rename so a crash
+ * mid-write never leaves a half-written snapshot behind.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { ControlStateManager, ControlStateSnapshot, validateSnapshot } from './ControlStateManager.js';
+import { createLogger } from './Logger.js';
+
+const log = createLogger('state');
+
+export class StatePersistence {
+  private source: ControlStateManager | null = null;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private writing: Promise<void> = Promise.resolve();
+
+  private readonly onChange = () => this.scheduleSave();
+
+  /**
+   * @param filePath - Snapshot file (created with its folder on first save)
+   * @param debounceMs - Quiet time after the last change before writing
+   */
+  constructor(private readonly filePath: string, private readonly debounceMs: number = 500) {}
+
+  /**
+   * Read the saved snapshot
+   * @returns the snapshot, or null if there is none or it cannot be used
+   */
+  async load(): Promise<ControlStateSnapshot | null> {
+    let data: unknown;
+    try {
+      data = JSON.parse(await readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        log.warn(`Ignoring unreadable state file ${this.filePath}: ${(error as Error).message}`);
+      }
+      return null;
+    }
+
+    const problems = validateSnapshot(data);
+    if (problems.length > 0) {
+      log.warn(`Ignoring invalid state file ${this.filePath}: ${problems.join(', ')}`);
+      return null;
+    }
+    return data as ControlStateSnapshot;
+  }
+
+  /**
+   * Restore the saved snapshot (if any) into a state manager, then save on every change
+   * @returns true if a snapshot was restored
+   */
+  async restoreAndWatch(state: ControlStateManager): Promise<boolean> {
+    const snapshot = await this.load();
+    if (snapshot) {
+      state.restoreSnapshot(snapshot);
+    }
+    this.watch(state);
+    return snapshot !== null;
+  }
+
+  /**
+   * Save the state manager's snapshot after each change (debounced)
+   */
+  watch(state: ControlStateManager): void {
+    if (this.source) {
+      throw new Error('Already persisting a state manager');
+    }
+    this.source = state;
+    state.on('change', this.onChange);
+  }
+
+  /**
+   * Write any pending change now and stop watching
+   */
+  async close(): Promise<void> {
+    await this.flush();
+    this.source?.removeListener('change', this.onChange);
+    this.source = null;
+  }
+
+  /**
+   * Write a pending change now (e.g. before shutting down)
+   */
+  async flush(): Promise<void> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.save();
+    }
+    await this.writing;
+  }
+
+  private scheduleSave(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.save();
+    }, this.debounceMs);
+  }
+
+  /**
+   * Queue a write of the current snapshot behind any write in progress
+   */
+  private save(): void {
+    if (!this.source) return;
+
+    const snapshot = this.source.getSnapshot();
+    this.writing = this.writing.then(async () => {
+      try {
+        const temp = `${this.filePath}.tmp`;
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(temp, JSON.stringify(snapshot, null, 2) + '\n');
+        await rename(temp, this.filePath);
+        log.debug(`💾 Saved state to ${this.filePath}`);
+      } catch (error) {
+        log.error(`Error saving state to ${this.filePath}: ${(error as Error).message}`);
+      }
+    });
+  }
+}
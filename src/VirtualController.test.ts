@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DeviceManager } from './DeviceManager.js';
+import { getDefaultProfile } from './ControllerProfile.js';
+import { LoopbackTransport } from './LoopbackTransport.js';
+import { VirtualController } from './VirtualController.js';
+import type { MidiMessageType } from './MidiTransport.js';
+
+describe('VirtualController', () => {
+  let hardware: LoopbackTransport;
+  let virtual: VirtualController;
+  let manager: DeviceManager;
+  let midi: Array<{ type: MidiMessageType; message: Record<string, number> }>;
+
+  beforeEach(() => {
+    hardware = new LoopbackTransport();
+    hardware.setDevices([]); // no DDJ-SP1 attached
+    virtual = new VirtualController(hardware, getDefaultProfile());
+    manager = new DeviceManager(virtual);
+    midi = [];
+    manager.on('midi', (event) => midi.push(event));
+    manager.connect();
+  });
+
+  afterEach(() => {
+    manager.stopWatching();
+    manager.disconnect();
+    vi.useRealTimers();
+  });
+
+  it('should stand in for the hardware until it is plugged in', () => {
+    expect(manager.getStatus()).toEqual({ connected: true, deviceName: 'DDJ-SP1 (Virtual)', virtual: true });
+
+    vi.useFakeTimers();
+    manager.startWatching(500);
+    hardware.setDevices(['PIONEER DDJ-SP1 (Loopback)']);
+    vi.advanceTimersByTime(500);
+    expect(manager.getStatus()).toEqual({ connected: true, deviceName: 'PIONEER DDJ-SP1 (Loopback)' });
+    expect(() => virtual.press(6, 64, true)).toThrow('Virtual controller is not connected');
+
+    hardware.setDevices([]);
+    vi.advanceTimersByTime(500);
+    expect(manager.getStatus().virtual).toBe(true);
+  });
+
+  it('should send presses as note on and apply the SHIFT layer', () => {
+    const locks: unknown[] = [];
+    const tempos: unknown[] = [];
+    manager.on('lock', (lock) => locks.push(lock));
+    manager.on('tempoChange', (tempo) => tempos.push(tempo));
+
+    virtual.press(7, 3, true);
+    virtual.press(7, 3, false);
+    virtual.press(6, 64, true);   // SHIFT
+    virtual.press(4, 71, true);   // SHIFT + FX 1: lock
+    virtual.press(6, 64, false);
+    virtual.press(4, 71, false);  // released as pressed, after SHIFT let go
+    virtual.press(6, 64, true);
+    virtual.turn(0, 23, -1);      // SHIFT + VOLUME: tempo down
+    virtual.press(6, 64, false);
+
+    expect(midi.map(({ type, message }) => [type, message.channel, message.note ?? message.controller, message.velocity ?? message.value])).toEqual([
+      ['noteon', 7, 3, 127],
+      ['noteon', 7, 3, 0],
+      ['noteon', 6, 64, 127],
+      ['noteon', 4, 99, 127],
+      ['noteon', 6, 64, 0],
+      ['noteon', 4, 99, 0],
+      ['noteon', 6, 64, 127],
+      ['cc', 0, 55, 127],
+      ['noteon', 6, 64, 0]
+    ]);
+    expect(locks).toEqual([{ button: 71, channel: 4, locked: true }]);
+    expect(tempos).toEqual([{ tempo: 84 }]);
+  });
+
+  it('should turn encoders by ticks and other knobs by value', () => {
+    const knobs: unknown[] = [];
+    manager.on('knob', (knob) => knobs.push(knob));
+
+    virtual.turn(6, 64, 2);   // BROWSE: encoder
+    virtual.turn(4, 2, 10);   // FX 1 level: absolute, starts centred
+    virtual.turn(4, 2, 100);
+    virtual.turn(4, 2, 1);    // already at the end stop: nothing sent
+
+    expect(knobs).toEqual([
+      { type: 'knob', knob: 64, value: 2, channel: 6, delta: 2 },
+      { type: 'knob', knob: 2, value: 74, channel: 4 },
+      { type: 'knob', knob: 2, value: 127, channel: 4 }
+    ]);
+  });
+
+  it('should mirror LED writes in batches', async () => {
+    const batches: unknown[][] = [];
+    virtual.on('leds', (leds) => batches.push(leds));
+
+    manager.flushLEDs();
+    manager.setLEDs([{ channel: 6, note: 70, velocity: 127 }, { channel: 6, note: 71, velocity: 64 }]);
+    manager.flushLEDs();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0]).toContainEqual({ channel: 6, note: 71, velocity: 64 });
+    expect(virtual.getLEDs()).toContainEqual({ channel: 6, note: 70, velocity: 127 });
+    expect(virtual.getLEDs()).toContainEqual({ channel: 0, note: 27, velocity: 127 }); // HOT CUE mode button
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * VirtualController
+ *
+ * A DDJ-SP1 that lives in the browser, for rehearsing and developing
+ * without the hardware. It is a MIDI transport wrapped around the real one:
+ * the device list gains "<deviceMatch> (Virtual)", which DeviceManager
+ * connects to like any controller. The page presses buttons and turns knobs
+ * through press() and turn(), and they arrive as the MIDI the hardware
+ * sends, including its SHIFT layer:
+ * - a button press is note on 127, its release note on 0
+ * - while SHIFT is held, FX buttons, mode buttons, VOLUME and BROWSE send
+ *   their shifted notes and controllers (from the profile)
+ * - encoders send relative ticks; other knobs send absolute values 0-127,
+ *   starting centred
+ *
+ * LED writes to the virtual device are kept and emitted as 'leds' batches
+ * so the page can mirror them. Virtual outputs and clock ports, and every
+ * other device, go to the wrapped transport.
+ *
+ * Modes: 'auto' offers the virtual device only while no hardware
+ * controller is listed, so plugging one in takes over (and unplugging it
+ * falls back); 'on' offers only the virtual device.
+ */
+
+import { EventEmitter } from 'events';
+import { ControllerProfile } from './ControllerProfile.js';
+import { createLogger } from './Logger.js';
+import {
+  MidiClockInputPort,
+  MidiClockOutputPort,
+  MidiInputPort,
+  MidiMessageMap,
+  MidiMessageType,
+  MidiOutputPort,
+  MidiTransport
+} from './MidiTransport.js';
+import { EncoderEncoding } from './RelativeEncoder.js';
+import type { LEDState } from './LEDBuffer.js';
+
+const log = createLogger('midi');
+
+export const VIRTUAL_CONTROLLER_MODES = ['off', 'auto', 'on'] as const;
+export type VirtualControllerMode = typeof VIRTUAL_CONTROLLER_MODES[number];
+
+const MAX_TICKS = 63; // per relative CC message
+
+type Address = { channel: number; number: number };
+
+const key = (channel: number, number: number) => `${channel}:${number}`;
+
+/**
+ * Input port the page's presses and turns are delivered to
+ */
+class VirtualInput extends EventEmitter implements MidiInputPort {
+  open = true;
+
+  close(): void {
+    this.open = false;
+    this.removeAllListeners();
+  }
+}
+
+export class VirtualController extends EventEmitter implements MidiTransport {
+  readonly deviceName: string;
+  private input: VirtualInput | null = null;
+  private leds: Map<string, LEDState> = new Map();
+  private pendingLEDs: LEDState[] = [];
+  private shiftHeld = false;
+  private held: Map<string, Address> = new Map();       // pressed control → note sent for it
+  private knobValues: Map<string, number> = new Map();  // absolute knobs, by address sent
+  private readonly shiftedNotes: Map<string, Address> = new Map();
+  private readonly shiftedControllers: Map<string, Address> = new Map();
+  private readonly encoders: Map<string, EncoderEncoding> = new Map();
+
+  /**
+   * @param hardware - Transport for real devices, virtual outputs and clock ports
+   */
+  constructor(
+    private readonly hardware: MidiTransport,
+    private readonly profile: ControllerProfile,
+    private readonly mode: Exclude<VirtualControllerMode, 'off'> = 'auto'
+  ) {
+    super();
+    this.deviceName = `${profile.deviceMatch} (Virtual)`;
+
+    // SHIFT layer: FX buttons on each side's FX channel, and the mode buttons
+    profile.sides.forEach(({ fxChannel }) => {
+      profile.fx.shifted.forEach(({ note, original }) => {
+        this.shiftedNotes.set(key(fxChannel, original), { channel: fxChannel, number: note });
+      });
+    });
+    profile.shiftedPads.forEach(({ channel, note, original }) => {
+      this.shiftedNotes.set(key(original.channel, original.note), { channel, number: note });
+    });
+
+    // SHIFT + VOLUME is the tempo knob, SHIFT + BROWSE scrolls by rows
+    const encoders = profile.encoders ?? [];
+    const encoder = (name: string) => encoders.find(e => e.name === name);
+    const volume = encoder('volume');
+    volume?.channels.filter(channel => profile.tempoKnob.channels.includes(channel)).forEach(channel => {
+      this.shiftedControllers.set(key(channel, volume.controller), { channel, number: profile.tempoKnob.controller });
+    });
+    const browse = encoder('browse');
+    const browseQuick = encoder('browseQuick');
+    if (browse && browseQuick) {
+      browse.channels.filter(channel => browseQuick.channels.includes(channel)).forEach(channel => {
+        this.shiftedControllers.set(key(channel, browse.controller), { channel, number: browseQuick.controller });
+      });
+    }
+
+    encoders.forEach(({ controller, channels, encoding }) => {
+      channels.forEach(channel => this.encoders.set(key(channel, controller), encoding ?? 'twosComplement'));
+    });
+    profile.tempoKnob.channels.forEach(channel => {
+      const address = key(channel, profile.tempoKnob.controller);
+      if (!this.encoders.has(address)) this.encoders.set(address, 'twosComplement');
+    });
+  }
+
+  /**
+   * Device list: the hardware's, with the virtual device when it is offered
+   */
+  getInputs(): string[] {
+    if (this.mode === 'on') {
+      return [this.deviceName];
+    }
+    const inputs = this.hardware.getInputs();
+    const hardwarePresent = inputs.some(name => name.includes(this.profile.deviceMatch));
+    return hardwarePresent ? inputs : [...inputs, this.deviceName];
+  }
+
+  openInput(name: string): MidiInputPort {
+    if (name !== this.deviceName) {
+      return this.hardware.openInput(name);
+    }
+    this.input?.close();
+    this.input = new VirtualInput();
+    this.shiftHeld = false;
+    this.held.clear();
+    log.info(`🖱️  Virtual controller ready: play it from the browser`);
+    return this.input;
+  }
+
+  openOutput(name: string): MidiOutputPort {
+    if (name !== this.deviceName) {
+      return this.hardware.openOutput(name);
+    }
+    return {
+      send: <T extends MidiMessageType>(type: T, msg: MidiMessageMap[T]) => {
+        if (type !== 'noteon') return;
+        const { channel, note, velocity } = msg as MidiMessageMap['noteon'];
+        this.recordLED({ channel, note, velocity });
+      },
+      close: () => {}
+    };
+  }
+
+  openVirtualOutput(name: string): MidiOutputPort {
+    if (!this.hardware.openVirtualOutput) {
+      throw new Error('This MIDI backend cannot create virtual ports');
+    }
+    return this.hardware.openVirtualOutput(name);
+  }
+
+  openClockOutput(name: string): MidiClockOutputPort {
+    if (!this.hardware.openClockOutput) {
+      throw new Error('This MIDI backend cannot send MIDI clock');
+    }
+    return this.hardware.openClockOutput(name);
+  }
+
+  openClockInput(name: string): MidiClockInputPort {
+    if (!this.hardware.openClockInput) {
+      throw new Error('This MIDI backend cannot receive MIDI clock');
+    }
+    return this.hardware.openClockInput(name);
+  }
+
+  isVirtualDevice(name: string): boolean {
+    return name === this.deviceName;
+  }
+
+  /**
+   * Check if DeviceManager is connected to the virtual device
+   */
+  isConnected(): boolean {
+    return this.input !== null && this.input.open;
+  }
+
+  /**
+   * Press or release a button or pad, as addressed in the layout
+   * @throws if the virtual device isn't connected
+   */
+  press(channel: number, note: number, pressed: boolean): void {
+    const input = this.getInput();
+    const control = key(channel, note);
+
+    if (note === this.profile.shift.note && channel === this.profile.shift.channel) {
+      this.shiftHeld = pressed;
+    }
+
+    // A release goes out as the note its press was sent as, even if SHIFT changed since
+    let address: Address | undefined;
+    if (pressed) {
+      address = (this.shiftHeld ? this.shiftedNotes.get(control) : undefined) ?? { channel, number: note };
+      this.held.set(control, address);
+    } else {
+      address = this.held.get(control) ?? { channel, number: note };
+      this.held.delete(control);
+    }
+    input.emit('noteon', { channel: address.channel, note: address.number, velocity: pressed ? 127 : 0 });
+  }
+
+  /**
+   * Turn a knob or move a slider, as addressed in the layout
+   * @param steps - ticks for encoders, value change for other knobs (positive = clockwise/up)
+   * @throws if the virtual device isn't connected
+   */
+  turn(channel: number, controller: number, steps: number): void {
+    const input = this.getInput();
+    if (steps === 0) return;
+
+    const address = (this.shiftHeld ? this.shiftedControllers.get(key(channel, controller)) : undefined)
+      ?? { channel, number: controller };
+    const target = key(address.channel, address.number);
+    const encoding = this.encoders.get(target);
+
+    let value: number;
+    if (encoding) {
+      const ticks = Math.max(-MAX_TICKS, Math.min(MAX_TICKS, steps));
+      value = encoding === 'binaryOffset' ? 64 + ticks : (ticks + 128) % 128;
+    } else {
+      const current = this.knobValues.get(target) ?? 64;
+      value = Math.max(0, Math.min(127, current + steps));
+      if (value === current) return; // already at the end stop
+      this.knobValues.set(target, value);
+    }
+    input.emit('cc', { channel: address.channel, controller: address.number, value });
+  }
+
+  /**
+   * Last value written to every LED of the virtual device, sorted by channel then note
+   */
+  getLEDs(): LEDState[] {
+    return [...this.leds.values()].sort((a, b) => a.channel - b.channel || a.note - b.note);
+  }
+
+  private getInput(): VirtualInput {
+    if (!this.input || !this.input.open) {
+      throw new Error('Virtual controller is not connected');
+    }
+    return this.input;
+  }
+
+  /**
+   * Keep an LED write; writes made in the same tick go out as one 'leds' event
+   */
+  private recordLED(led: LEDState): void {
+    this.leds.set(key(led.channel, led.note), led);
+    this.pendingLEDs.push(led);
+    if (this.pendingLEDs.length === 1) {
+      setImmediate(() => this.emit('leds', this.pendingLEDs.splice(0)));
+    }
+  }
+}
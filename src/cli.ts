@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * ddj-sp1 command-line tool
+ *
+ * Diagnostics for the controller: list ports, monitor MIDI, set/scan LEDs,
+ * identify lights interactively, replay recordings and start the web UI.
+ * Run `ddj-sp1 --help` (or `npm run cli -- --help`) for usage.
+ */
+
+import * as readline from 'readline';
+import { DeviceManager } from './DeviceManager.js';
+import { EasyMidiTransport } from './EasyMidiTransport.js';
+import { getDefaultProfile, loadControllerProfile } from './ControllerProfile.js';
+import { configureLoggingFromEnv, setLogLevel } from './Logger.js';
+import { parseArgs, runCommand } from './CommandLine.js';
+
+// Keep command output readable: only warnings unless DDJ_LOG asks for more
+setLogLevel('warn');
+configureLoggingFromEnv();
+
+const controller = new AbortController();
+let rl = null as readline.Interface | null;
+let pendingAnswer: ((answer: string) => void) | null = null;
+
+/**
+ * Ask a question on the terminal; closing the input (Ctrl+C / Ctrl+D) answers "q"
+ */
+function prompt(question: string): Promise<string> {
+  if (!rl) {
+    rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.on('close', () => pendingAnswer?.('q'));
+  }
+  return new Promise(resolve => {
+    pendingAnswer = resolve;
+    rl!.question(question, resolve);
+  });
+}
+
+process.on('SIGINT', () => {
+  if (controller.signal.aborted) process.exit(130);
+  controller.abort();
+  rl?.close();
+});
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  if (typeof args.options.profile === 'string') {
+    process.env.DDJ_PROFILE = args.options.profile; // also picked up by `serve`
+  }
+  const profile = process.env.DDJ_PROFILE ? loadControllerProfile(process.env.DDJ_PROFILE) : getDefaultProfile();
+
+  await runCommand(args, {
+    createDevice: (transport = new EasyMidiTransport(), deviceProfile = profile) => new DeviceManager(transport, deviceProfile),
+    output: (line) => console.log(line),
+    prompt,
+    signal: controller.signal
+  });
+
+  rl?.close();
+  if (args.positional[0] !== 'serve') {
+    process.exit(0);
+  }
+} catch (error) {
+  console.error(`❌ ${(error as Error).message}`);
+  rl?.close();
+  process.exit(1);
+}
@@ -1,167 +1,499 @@
 import express from 'express';
 import { WebSocketServer } from 'ws';
 import { DeviceManager } from './DeviceManager.js';
-import { DDJ_SP1_LAYOUT } from './ddj-sp1-layout.js';
+import { ControllerProfile, getDefaultProfile, loadControllerProfile } from './ControllerProfile.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { SessionReplayer } from './SessionReplayer.js';
+import { StatePersistence } from './StatePersistence.js';
+import { loadSampleBanksFromRoots } from './SampleLibrary.js';
+import { GESTURE_TYPES } from './GestureDetector.js';
+import { createApiRouter } from './HttpApi.js';
+import { Metrics } from './Metrics.js';
+import { OscBridge } from './OscBridge.js';
+import { parseOscTarget } from './Osc.js';
+import { PluginHost } from './PluginHost.js';
+import { VirtualController } from './VirtualController.js';
+import { EasyMidiTransport } from './EasyMidiTransport.js';
+import {
+  closeLogFile,
+  configureLogging,
+  createLogger,
+  getLogConfig,
+  isLogSubsystem,
+  parseLogSpec,
+  setLogLevel
+} from './Logger.js';
+import { formatServerConfig, loadServerConfig, ResolvedServerConfig } from './ServerConfig.js';
+import {
+  ClientMessage,
+  encodeServerMessage,
+  parseClientMessage,
+  PROTOCOL_VERSION,
+  ProtocolError,
+  ServerMessageMap,
+  ServerMessageType
+} from './Protocol.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { performance } from 'perf_hooks';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const log = createLogger('app');
+const wsLog = createLogger('ws');
+
+// Settings: ddj-sp1.config.json < DDJ_* env vars < --flags (see ServerConfig.ts)
+let settings: ResolvedServerConfig;
+try {
+  settings = loadServerConfig({ baseDir: join(__dirname, '..'), argv: process.argv.slice(2), env: process.env });
+} catch (error) {
+  log.error((error as Error).message);
+  process.exit(1);
+}
+const config = settings.config;
+
+// Log levels: config "log" / DDJ_LOG=info,midi=debug  JSON lines: DDJ_LOG_FILE=logs/ddj.jsonl
+configureLogging({ ...parseLogSpec(config.log), ...(process.env.DDJ_LOG_FILE ? { file: process.env.DDJ_LOG_FILE } : {}) });
+
+// Controller mapping: config "profile" / DDJ_PROFILE=profiles/my-controller.json / --profile
+let baseProfile: ControllerProfile;
+try {
+  baseProfile = config.profile ? loadControllerProfile(config.profile) : getDefaultProfile();
+} catch (error) {
+  log.error((error as Error).message);
+  process.exit(1);
+}
+const profile = config.deviceMatch ? { ...baseProfile, deviceMatch: config.deviceMatch } : baseProfile;
+log.info(`Using controller profile: ${profile.name}`);
+formatServerConfig(settings, baseProfile.deviceMatch).forEach(line => log.info(line));
+
 const app = express();
-const PORT = 3000;
 
 // Serve static files from public directory
 app.use(express.static(join(__dirname, '../public')));
 
-// Serve music files from juh project
-app.use('/music', express.static(join(__dirname, '../../juh/music')));
+// Serve music files; a file missing from one root is looked up in the next
+config.musicRoots.forEach(root => app.use('/music', express.static(root)));
+
+// Serve SAMPLER banks (one sub-folder per bank)
+config.sampleRoots.forEach(root => app.use('/samples', express.static(root)));
+
+// List sample banks for the SAMPLER pad mode
+app.get('/api/samples', async (_req, res) => {
+  try {
+    res.json(await loadSampleBanksFromRoots(config.sampleRoots));
+  } catch (error) {
+    log.error(`Error loading sample banks: ${(error as Error).message}`);
+    res.status(500).json({ error: (error as Error).message });
+  }
+});
 
-const server = app.listen(PORT, () => {
-  console.log(`Web UI running at http://localhost:${PORT}`);
+const server = app.listen(config.port, config.host, () => {
+  log.info(`Web UI running at http://${config.host === '0.0.0.0' ? 'localhost' : config.host}:${config.port}`);
+});
+server.on('error', (error) => {
+  log.error(`Cannot listen on ${config.host}:${config.port}: ${error.message}`);
+  process.exit(1);
 });
 
 // WebSocket server
 const wss = new WebSocketServer({ server });
 
+// Operational metrics: Prometheus text at /metrics, JSON at /api/metrics
+const metrics = new Metrics();
+app.get('/metrics', (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.toPrometheus());
+});
+app.get('/api/metrics', (_req, res) => {
+  res.json(metrics.getSnapshot());
+});
+
+/**
+ * Send a message to every connected browser
+ * @param except - Browser to leave out (e.g. the one that reported the change)
+ */
+function broadcast<T extends ServerMessageType>(type: T, data: ServerMessageMap[T], except?: unknown): void {
+  const start = performance.now();
+  let message: string;
+  try {
+    message = encodeServerMessage(type, data);
+  } catch (error) {
+    wsLog.error(`Not broadcasting ${type}: ${(error as Error).message}`);
+    metrics.recordDropped('invalidOutgoing');
+    return;
+  }
+  let recipients = 0;
+  wss.clients.forEach((client) => {
+    if (client.readyState === 1 && client !== except) {
+      client.send(message);
+      recipients++;
+    }
+  });
+  metrics.recordBroadcast(performance.now() - start, recipients);
+}
+
+// Virtual controller: played from the browser when there's no hardware (or always)
+const virtualController = config.virtualController === 'off'
+  ? null
+  : new VirtualController(new EasyMidiTransport(), profile, config.virtualController);
+virtualController?.on('leds', (leds) => broadcast('leds', { leds }));
+
 // Initialize device manager
-const manager = new DeviceManager();
+const manager = new DeviceManager(virtualController ?? new EasyMidiTransport(), profile);
+metrics.watch(manager);
+
+// Translated controller stream for DAWs and Mixxx on this machine
+if (config.virtualOutput) {
+  try {
+    manager.openVirtualOutput(config.virtualOutput);
+  } catch (error) {
+    log.error(`Cannot open virtual MIDI output "${config.virtualOutput}": ${(error as Error).message}`);
+  }
+}
 
+// MIDI clock for drum machines and external FX units
+if (config.clockOutput) {
+  try {
+    manager.openClockOutput(config.clockOutput);
+  } catch (error) {
+    log.error(`Cannot open MIDI clock output "${config.clockOutput}": ${(error as Error).message}`);
+  }
+}
+if (config.clockInput) {
+  try {
+    manager.openClockInput(config.clockInput);
+  } catch (error) {
+    log.error(`Cannot open MIDI clock input "${config.clockInput}": ${(error as Error).message}`);
+  }
+}
+
+// OSC bridge for lighting desks, Max/MSP, TouchOSC: off unless a port or targets are set
+let oscBridge: OscBridge | null = null;
+if (config.oscPort !== null || config.oscTargets.length > 0) {
+  oscBridge = new OscBridge(manager, {
+    port: config.oscPort ?? 0,
+    host: config.host,
+    targets: config.oscTargets.map(parseOscTarget)
+  });
+  try {
+    await oscBridge.start();
+  } catch (error) {
+    log.error(`Cannot start OSC bridge on udp ${config.oscPort}: ${(error as Error).message}`);
+    process.exit(1);
+  }
+}
+
+// Restore controller state saved before the last restart, and keep saving it
+const persistence = new StatePersistence(config.stateFile);
 try {
-  manager.connect();
-  console.log(`Connected to: ${manager.getDeviceName()}`);
+  if (await persistence.restoreAndWatch(manager.getStateManager())) {
+    log.info('Restored controller state from the last session');
+  }
 } catch (error) {
-  console.error('Error connecting to DDJ-SP1:', (error as Error).message);
-  console.error('Make sure the device is connected via USB.');
+  log.error(`Error restoring controller state: ${(error as Error).message}`);
+}
+
+// Broadcast controller connect/disconnect so the UI can show an offline banner
+manager.on('connected', (status) => {
+  log.info(`Connected to: ${status.deviceName}`);
+  broadcast('deviceStatus', status);
+});
+
+manager.on('disconnected', (status) => {
+  log.warn(`${profile.name} disconnected. Waiting for it to come back...`);
+  broadcast('deviceStatus', status);
+});
+
+// Connect now if the controller is attached, and keep watching for hot-plug
+manager.startWatching();
+if (!manager.isConnected()) {
+  log.warn(`${profile.name} not found. Waiting for it to be connected via USB...`);
+}
+
+// Optional session recording: DDJ_RECORD=session.jsonl npm start
+const recorder = new SessionRecorder();
+if (process.env.DDJ_RECORD) {
+  try {
+    recorder.start(manager, process.env.DDJ_RECORD);
+  } catch (error) {
+    log.error(`Error starting recording: ${(error as Error).message}`);
+  }
+}
+
+// Optional session replay: DDJ_REPLAY=session.jsonl [DDJ_REPLAY_SPEED=4] npm start
+// Playback starts when the first browser connects so it sees every event
+let replayer: SessionReplayer | null = null;
+if (process.env.DDJ_REPLAY) {
+  try {
+    replayer = await SessionReplayer.fromFile(process.env.DDJ_REPLAY);
+    log.info(`Loaded replay: ${process.env.DDJ_REPLAY} (${replayer.getMessages().length} messages)`);
+  } catch (error) {
+    log.error(`Error loading replay: ${(error as Error).message}`);
+  }
 }
 
 // Broadcast events to all connected clients
 manager.on('event', (event) => {
-  const message = JSON.stringify({ type: 'event', data: event });
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      client.send(message);
-    }
-  });
+  broadcast('event', event);
 });
 
 // Broadcast lock state changes to all connected clients
 manager.on('lock', (lockEvent) => {
-  const message = JSON.stringify({ type: 'lock', data: lockEvent });
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      client.send(message);
-    }
-  });
+  broadcast('lock', lockEvent);
 });
 
 // Broadcast tempo changes to all connected clients
 manager.on('tempoChange', (tempoEvent) => {
-  const message = JSON.stringify({ type: 'tempoChange', data: tempoEvent });
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      client.send(message);
-    }
-  });
+  broadcast('tempoChange', tempoEvent);
 });
 
 // Broadcast pad mode changes to all connected clients
 manager.on('modeChange', (modeEvent) => {
-  const message = JSON.stringify({ type: 'modeChange', data: modeEvent });
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      client.send(message);
-    }
-  });
+  broadcast('modeChange', modeEvent);
 });
 
 // Broadcast pad press events to all connected clients
 manager.on('padPress', (padEvent) => {
-  console.log(`📤 Broadcasting padPress:`, padEvent);
-  const message = JSON.stringify({ type: 'padPress', data: padEvent });
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      client.send(message);
-    }
-  });
+  wsLog.debug('📤 Broadcasting padPress', padEvent);
+  broadcast('padPress', padEvent);
 });
 
 // Broadcast pad release events to all connected clients
 manager.on('padRelease', (padEvent) => {
-  console.log(`📤 Broadcasting padRelease:`, padEvent);
-  const message = JSON.stringify({ type: 'padRelease', data: padEvent });
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      client.send(message);
-    }
-  });
+  wsLog.debug('📤 Broadcasting padRelease', padEvent);
+  broadcast('padRelease', padEvent);
 });
 
 // Broadcast sync state changes to all connected clients
 manager.on('syncChange', (syncEvent) => {
-  const message = JSON.stringify({ type: 'syncChange', data: syncEvent });
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      client.send(message);
-    }
-  });
+  broadcast('syncChange', syncEvent);
+});
+
+// Broadcast deck changes (song, section, volume, FX) so every other browser follows
+manager.on('deckState', (deckState, source) => {
+  broadcast('deckState', deckState, source);
 });
 
 // Broadcast spindown events to all connected clients
 manager.on('spindown', (spindownEvent) => {
-  const message = JSON.stringify({ type: 'spindown', data: spindownEvent });
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) {
-      client.send(message);
-    }
+  broadcast('spindown', spindownEvent);
+});
+
+// Broadcast gestures (long press, double tap, chord) to all connected clients
+GESTURE_TYPES.forEach((type) => {
+  manager.on(type, (gestureEvent) => {
+    broadcast('gesture', gestureEvent);
   });
 });
 
+// REST API for scripts and stream overlays: /api/state, /api/tempo, ...
+app.use('/api', createApiRouter(manager, {
+  // Song library and audio live in the browsers, so deck loads are handed to them
+  loadDeck: (deck, songId) => {
+    if (![...wss.clients].some((client) => client.readyState === 1)) {
+      return false;
+    }
+    broadcast('loadDeck', songId === undefined ? { deck } : { deck, songId });
+    return true;
+  }
+}));
+
+// User plugins: loaded now, reloaded when their files change
+const plugins = new PluginHost(manager, {
+  dir: config.pluginDir,
+  send: (plugin, event, data) => broadcast('plugin', data === undefined ? { plugin, event } : { plugin, event, data })
+});
+await plugins.loadAll();
+plugins.watch();
+
+app.get('/api/plugins', (_req, res) => {
+  res.json({ dir: plugins.dir, available: plugins.findPlugins(), loaded: plugins.list() });
+});
+app.post('/api/plugins/:name/load', async (req, res) => {
+  try {
+    res.json(await plugins.load(req.params.name));
+  } catch (error) {
+    const message = (error as Error).message;
+    res.status(message.startsWith('Plugin not found') ? 404 : 400).json({ error: message });
+  }
+});
+app.post('/api/plugins/:name/unload', async (req, res) => {
+  if (!(await plugins.unload(req.params.name))) {
+    res.status(404).json({ error: `Plugin not loaded: ${req.params.name}` });
+    return;
+  }
+  res.json({ unloaded: req.params.name });
+});
+
 wss.on('connection', (ws) => {
-  console.log('Client connected');
+  wsLog.info('Client connected');
+  metrics.setClients(wss.clients.size);
+  let handshakeDone = false;
 
-  // Send initial layout to new client
-  ws.send(JSON.stringify({ type: 'layout', data: DDJ_SP1_LAYOUT }));
+  const send = <T extends ServerMessageType>(type: T, data: ServerMessageMap[T]) => {
+    try {
+      ws.send(encodeServerMessage(type, data));
+    } catch (error) {
+      wsLog.error(`Not sending ${type}: ${(error as Error).message}`);
+      metrics.recordDropped('invalidOutgoing');
+    }
+  };
+
+  // Reply to a message that can't be accepted
+  const sendError = (error: ProtocolError) => {
+    wsLog.warn(`Rejected message (${error.code}): ${error.message}`);
+    metrics.recordDropped(error.code);
+    send('error', error.toErrorData());
+  };
 
-  // Send current tempo to new client
-  const currentTempo = manager.getStateManager().getCurrentTempo();
-  ws.send(JSON.stringify({ type: 'tempoChange', data: { tempo: currentTempo } }));
+  // Protocol handshake: the browser answers with its own hello
+  send('hello', { protocolVersion: PROTOCOL_VERSION });
 
-  // Send current DECK button states to new client
-  const deckStates = manager.getStateManager().getDeckButtonStates();
-  ws.send(JSON.stringify({ type: 'deckButtonStates', data: deckStates }));
+  // Send initial layout to new client
+  send('layout', profile.controls);
 
-  // Send current pad mode states to new client
-  const padModes = manager.getStateManager().getPadModeStates();
-  ws.send(JSON.stringify({ type: 'padModeStates', data: padModes }));
+  // Send controller connection status to new client
+  send('deviceStatus', manager.getStatus());
+
+  // Send the whole session (tempo, DECK toggles, pad modes, locks, decks) so a
+  // reload, a second browser or a reconnect picks up where things stand
+  send('snapshot', manager.getStateManager().getSessionSnapshot());
 
   // Sync device LEDs to match current state
   manager.syncModeLEDs();
+  if (virtualController?.isConnected()) {
+    send('leds', { leds: virtualController.getLEDs() });
+  }
+
+  // Start pending replay once a client is listening
+  if (replayer) {
+    const speed = Number(process.env.DDJ_REPLAY_SPEED ?? 1);
+    const pending = replayer;
+    replayer = null;
+    try {
+      pending.play(manager, { speed })
+        .then(() => log.info('Replay finished'))
+        .catch((error) => log.error(`Replay failed: ${(error as Error).message}`));
+    } catch (error) {
+      log.error(`Error starting replay: ${(error as Error).message}`);
+    }
+  }
 
   // Handle messages from frontend
   ws.on('message', (data: string) => {
+    let message: ClientMessage;
     try {
-      const message = JSON.parse(data);
+      message = parseClientMessage(data.toString());
+    } catch (error) {
+      sendError(error as ProtocolError);
+      return;
+    }
+
+    if (message.type === 'hello') {
+      if (message.data.protocolVersion !== PROTOCOL_VERSION) {
+        sendError(new ProtocolError('unsupportedVersion',
+          `Protocol version ${message.data.protocolVersion} is not supported (server speaks ${PROTOCOL_VERSION}); reload the page`, 'hello'));
+        ws.close();
+        return;
+      }
+      handshakeDone = true;
+      wsLog.debug(`Handshake done (protocol ${PROTOCOL_VERSION})`);
+      return;
+    }
+    if (!handshakeDone) {
+      sendError(new ProtocolError('handshakeRequired', `Send hello before ${message.type}`, message.type));
+      return;
+    }
 
+    try {
       if (message.type === 'deckLoad') {
         // Frontend notifying backend that a deck loaded/unloaded a song
-        const { deck, loaded } = message.data;
-        manager.handleDeckLoadChange(deck, loaded);
+        const { deck, loaded, songId } = message.data;
+        manager.handleDeckLoadChange(deck, loaded, songId ?? null, ws);
+      } else if (message.type === 'deckUpdate') {
+        // Frontend reporting a deck's section, volume or FX settings
+        const { deck, ...update } = message.data;
+        manager.updateDeck(deck, update, ws);
+      } else if (message.type === 'deckEnding') {
+        // Frontend notifying backend that a deck is about to run out of body
+        const { deck, ending } = message.data;
+        manager.setDeckEnding(deck, ending);
+      } else if (message.type === 'slicerPosition') {
+        // Frontend reporting which slice of the bar a SLICER deck is playing
+        const { deck, slice } = message.data;
+        manager.setSlicerPosition(deck, slice);
+      } else if (message.type === 'samplerStatus') {
+        // Frontend reporting which SAMPLER pads are loaded/playing
+        manager.setSamplerStatus(message.data.pads);
+      } else if (message.type === 'setLogLevel') {
+        // Change log verbosity at runtime: { level, subsystem? }
+        const { level, subsystem } = message.data;
+        setLogLevel(level, subsystem);
+        wsLog.info(`Log level ${subsystem ?? 'default'} → ${level}`);
+        send('logConfig', getLogConfig());
+      } else if (message.type === 'log') {
+        // Warning/error forwarded by the browser logger
+        const { level, subsystem, message: text } = message.data;
+        const target = createLogger(isLogSubsystem(subsystem) ? subsystem : 'app');
+        const write = level === 'error' ? target.error : target.warn;
+        write(`🌐 browser: ${text}`);
+      } else if (message.type === 'setTempo') {
+        // Commands: same effect as the hardware control, so LEDs and every client follow
+        manager.setTempo(message.data.tempo);
+      } else if (message.type === 'setPadMode') {
+        manager.setPadMode(message.data.deck, message.data.mode);
+      } else if (message.type === 'toggleFXAssign') {
+        manager.toggleFXAssign(message.data.fx, message.data.deck);
+      } else if (message.type === 'toggleDeck') {
+        manager.toggleDeck(message.data.side);
+      } else if (message.type === 'setLeds') {
+        manager.setLEDs(message.data.leds);
+      } else if (message.type === 'sync') {
+        manager.triggerSync(message.data.deck);
+      } else if (message.type === 'spindown') {
+        manager.triggerSpindown(message.data.deck);
+      } else if (message.type === 'startClock') {
+        manager.startClock(message.data.position);
+      } else if (message.type === 'stopClock') {
+        manager.stopClock();
+      } else if (message.type === 'virtualButton' || message.type === 'virtualKnob') {
+        // Virtual controller: the page's clicks and turns arrive as the hardware's MIDI
+        if (!virtualController) {
+          throw new Error('Virtual controller is off; start the server with --virtual-controller auto');
+        }
+        if (message.type === 'virtualButton') {
+          virtualController.press(message.data.channel, message.data.note, message.data.pressed);
+        } else {
+          virtualController.turn(message.data.channel, message.data.controller, message.data.steps);
+        }
       }
     } catch (error) {
-      console.error('Error parsing WebSocket message:', error);
+      // e.g. a deck the profile doesn't have
+      sendError(new ProtocolError('commandFailed', (error as Error).message, message.type));
     }
   });
 
   ws.on('close', () => {
-    console.log('Client disconnected');
+    wsLog.info('Client disconnected');
+    metrics.setClients(wss.clients.size);
   });
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\nShutting down...');
+process.on('SIGINT', async () => {
+  log.info('Shutting down...');
+  await recorder.stop();
+  await persistence.close();
+  await closeLogFile();
+  metrics.close();
+  await oscBridge?.stop();
+  await plugins.close();
+  manager.stopWatching();
   manager.disconnect();
+  manager.closeVirtualOutput();
+  manager.closeClockOutput();
+  manager.closeClockInput();
   server.close();
   process.exit(0);
 });
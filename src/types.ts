@@ -8,6 +8,7 @@ export interface ButtonEvent {
   channel: number;
   mainDeckAssigned?: boolean; // For FX ASSIGN: true if assigned to Deck 1/2
   altDeckAssigned?: boolean;  // For FX ASSIGN: true if assigned to Deck 3/4
+  longPressed?: boolean;      // On release: the button was held into a long press
 }
 
 /**
@@ -18,9 +19,84 @@ export interface KnobEvent {
   knob: number;
   value: number;
   channel: number;
+  delta?: number; // Infinite encoders: steps after acceleration & sensitivity (+ = clockwise)
 }
 
 /**
  * Union type of all controller events
  */
 export type ControllerEvent = ButtonEvent | KnobEvent;
+
+/**
+ * Controller connection status (sent with connected/disconnected events)
+ */
+export interface DeviceStatus {
+  connected: boolean;
+  deviceName: string | null;
+  virtual?: boolean; // set while connected to the virtual controller
+}
+
+/**
+ * Performance pad released (padRelease) on a deck
+ */
+export interface PadEvent {
+  channel: number;
+  note: number; // 0-7
+  deck: number;
+}
+
+/**
+ * Performance pad pressed in an active pad mode (padPress)
+ */
+export interface PadPressEvent extends PadEvent {
+  synced: boolean;
+}
+
+/**
+ * Pad mode button pressed on a loaded deck (modeChange)
+ */
+export interface ModeChangeEvent {
+  activeMode: number; // mode button note
+  channel: number;
+  deck: number;
+}
+
+/**
+ * Tempo changed with SHIFT + VOLUME (tempoChange)
+ */
+export interface TempoChangeEvent {
+  tempo: 84 | 94 | 102;
+}
+
+/**
+ * SYNC pressed on a deck (syncChange)
+ */
+export interface SyncChangeEvent {
+  deck: number;
+  synced: boolean;
+}
+
+/**
+ * SHIFT + SYNC vinyl stop on a deck (spindown)
+ */
+export interface SpindownEvent {
+  deck: number;
+}
+
+/**
+ * DECK 1/3 and DECK 2/4 toggle states (true = Deck 3 / Deck 4 active)
+ */
+export interface DeckButtonStates {
+  deck1_3: boolean;
+  deck2_4: boolean;
+}
+
+/**
+ * Active pad mode button note per deck
+ */
+export interface PadModeStates {
+  deck1: number;
+  deck2: number;
+  deck3: number;
+  deck4: number;
+}